@@ -0,0 +1,38 @@
+/**
+ * Card Images
+ *
+ * Bundled artwork for playing cards, so card games work offline and
+ * never depend on a third-party image host. Cards are identified by the
+ * two-character codes the server sends: the rank ("A", "2"-"9", "0" for
+ * ten, "J", "Q", "K") followed by the suit initial ("S", "H", "D", "C").
+ *
+ * @author LuckyBet Inc.
+ * @version 1.0.0
+ */
+
+/**
+ * Image URLs keyed by file path, resolved by Vite at build time
+ */
+const images = import.meta.glob("./assets/cards/*.svg", {
+	eager: true,
+	query: "?url",
+	import: "default",
+});
+
+/**
+ * Image of a face-down card
+ */
+export const CARD_BACK = images["./assets/cards/back.svg"];
+
+/**
+ * Looks up the image for a card
+ *
+ * @param {string} code - Card code, e.g. "AS" or "0H"
+ * @returns {string} Image URL, or the card back for an unknown code
+ *
+ * @example
+ * getCardImage("QH"); // Returns the bundled queen of hearts
+ */
+export const getCardImage = (code) => {
+	return images[`./assets/cards/${code}.svg`] ?? CARD_BACK;
+};
@@ -0,0 +1,256 @@
+/**
+ * Account Security Component
+ *
+ * Shows players where their account is logged in and who has tried to log
+ * in to it, so they can spot access that was not them and shut it out.
+ *
+ * Features:
+ * - Active sessions with their device, address and start time
+ * - The current session is marked and logging it out logs out here too
+ * - Log out of a single session, or everywhere at once
+ * - Latest login attempts, successful or failed
+ *
+ * API Integration:
+ * - GET /user/sessions: { sessions: [{ id, current, ip, userAgent, startedAt, expires }] }
+ * - DELETE /user/sessions/:id
+ * - DELETE /user/sessions → { sessions }
+ * - GET /user/logins: { logins: [{ id, ip, user_agent, success, created_at }] }
+ *
+ * @component
+ * @author LuckyBet Inc.
+ * @version 1.0.0
+ */
+
+import React, { useContext, useEffect, useState } from "react";
+import { UserContext } from "./UserContext";
+
+/**
+ * Formats a date from the server for display
+ *
+ * @param {string|null} value - ISO date string
+ * @returns {string} Localised date and time, or a dash
+ */
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "—");
+
+/**
+ * Account Security Component
+ *
+ * @returns {JSX.Element} The session list and login history
+ */
+export default function AccountSecurity() {
+	const { setUser } = useContext(UserContext);
+
+	// ===================
+	// STATE
+	// ===================
+
+	/**
+	 * @type {Array<Object>} Sessions the account is logged in with
+	 */
+	const [sessions, setSessions] = useState([]);
+
+	/**
+	 * @type {Array<Object>} Latest login attempts, newest first
+	 */
+	const [logins, setLogins] = useState([]);
+
+	/**
+	 * @type {Object|null} Feedback for the last action: { text, type }
+	 */
+	const [message, setMessage] = useState(null);
+
+	/**
+	 * @type {boolean} Whether a request is in progress
+	 */
+	const [loading, setLoading] = useState(false);
+
+	// ===================
+	// API FUNCTIONS
+	// ===================
+
+	/**
+	 * Loads the sessions and login history
+	 */
+	const load = async () => {
+		try {
+			const [sessionsRes, loginsRes] = await Promise.all([
+				fetch("http://localhost:3000/user/sessions", {
+					credentials: "include",
+				}),
+				fetch("http://localhost:3000/user/logins", {
+					credentials: "include",
+				}),
+			]);
+			const [sessionsData, loginsData] = await Promise.all([
+				sessionsRes.json(),
+				loginsRes.json(),
+			]);
+
+			if (sessionsData.payload) {
+				setSessions(sessionsData.payload.sessions);
+			}
+			if (loginsData.payload) {
+				setLogins(loginsData.payload.logins);
+			}
+		} catch (err) {
+			console.error("Account security fetch error:", err);
+			setMessage({ text: "Error connecting to server", type: "error" });
+		}
+	};
+
+	useEffect(() => {
+		load();
+	}, []);
+
+	// ===================
+	// EVENT HANDLERS
+	// ===================
+
+	/**
+	 * Logs sessions out, then reloads the list, or leaves the profile if
+	 * the current session went with them
+	 *
+	 * @param {string} path - "/user/sessions" or "/user/sessions/:id"
+	 * @param {boolean} includesCurrent - Whether the current session is logged out
+	 */
+	const logOut = async (path, includesCurrent) => {
+		setLoading(true);
+		setMessage(null);
+
+		try {
+			const response = await fetch(`http://localhost:3000${path}`, {
+				method: "DELETE",
+				credentials: "include",
+			});
+			const data = await response.json();
+
+			if (!response.ok) {
+				setMessage({ text: data.message, type: "error" });
+				return;
+			}
+
+			if (includesCurrent) {
+				setUser(null);
+				window.location.href = "/"; // Force page reload to clear all state
+				return;
+			}
+
+			setMessage({ text: data.message, type: "success" });
+			await load();
+		} catch {
+			setMessage({ text: "Error connecting to server", type: "error" });
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	/**
+	 * Logs out of every session after the player confirms it
+	 */
+	const logOutEverywhere = () => {
+		const confirmed = window.confirm(
+			"You will be logged out on every device, including this one. Continue?"
+		);
+		if (confirmed) logOut("/user/sessions", true);
+	};
+
+	// ===================
+	// RENDER
+	// ===================
+
+	return (
+		<div className="account-security">
+			{message && (
+				<div className={`message ${message.type}`}>{message.text}</div>
+			)}
+
+			{/* Sessions */}
+			<h3>Active Sessions ({sessions.length})</h3>
+			<table className="history-table">
+				<thead>
+					<tr>
+						<th>Device</th>
+						<th>IP Address</th>
+						<th>Started</th>
+						<th></th>
+					</tr>
+				</thead>
+				<tbody>
+					{sessions.map((session) => (
+						<tr key={session.id}>
+							<td className="user-agent">
+								{session.userAgent || "Unknown device"}
+								{session.current && (
+									<span className="current-session">
+										{" "}
+										(this device)
+									</span>
+								)}
+							</td>
+							<td>{session.ip ?? "—"}</td>
+							<td>{formatDate(session.startedAt)}</td>
+							<td>
+								<button
+									className="btn btn-outline"
+									onClick={() =>
+										logOut(
+											`/user/sessions/${session.id}`,
+											session.current
+										)
+									}
+									disabled={loading}
+								>
+									Log Out
+								</button>
+							</td>
+						</tr>
+					))}
+				</tbody>
+			</table>
+			<button
+				className="btn btn-danger"
+				onClick={logOutEverywhere}
+				disabled={loading || sessions.length === 0}
+			>
+				Log Out Everywhere
+			</button>
+
+			{/* Login history */}
+			<h3>Recent Logins</h3>
+			{logins.length === 0 ? (
+				<p>No logins yet.</p>
+			) : (
+				<table className="history-table">
+					<thead>
+						<tr>
+							<th>Time</th>
+							<th>IP Address</th>
+							<th>Device</th>
+							<th>Result</th>
+						</tr>
+					</thead>
+					<tbody>
+						{logins.map((login) => (
+							<tr key={login.id}>
+								<td>{formatDate(login.created_at)}</td>
+								<td>{login.ip}</td>
+								<td className="user-agent">
+									{login.user_agent || "Unknown device"}
+								</td>
+								<td
+									className={
+										login.success
+											? "result-win"
+											: "result-loss"
+									}
+								>
+									{login.success ? "Success" : "Failed"}
+								</td>
+							</tr>
+						))}
+					</tbody>
+				</table>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,83 @@
+/**
+ * Achievement Toasts Component
+ *
+ * Shown on every game page. Pops up a toast for each achievement the
+ * player unlocks, as the server pushes them over the event stream.
+ *
+ * Features:
+ * - One toast per unlocked achievement, with its reward if it has one
+ * - Toasts dismiss themselves after a few seconds, or on click
+ * - Achievements unlocked elsewhere wait until a game page is open
+ *
+ * Data Source:
+ * - `achievement` events from the UserContext: { id, name, description, reward }
+ *
+ * @component
+ * @author LuckyBet Inc.
+ * @version 1.0.0
+ */
+
+import React, { useContext, useEffect } from "react";
+import { UserContext } from "./UserContext";
+import "../styles/Achievements.css";
+
+/**
+ * How long a toast stays up, in milliseconds
+ */
+const TOAST_DURATION = 6000;
+
+/**
+ * Achievement Toasts Component
+ *
+ * @returns {JSX.Element|null} The toasts, or nothing to show
+ */
+export default function AchievementToasts() {
+	const { achievements, dismissAchievement } = useContext(UserContext);
+
+	// ===================
+	// LIFECYCLE EFFECTS
+	// ===================
+
+	/**
+	 * Dismisses the oldest toast once it has been up long enough
+	 */
+	useEffect(() => {
+		if (achievements.length === 0) return;
+
+		const timer = setTimeout(
+			() => dismissAchievement(achievements[0].id),
+			TOAST_DURATION
+		);
+		return () => clearTimeout(timer);
+	}, [achievements, dismissAchievement]);
+
+	// ===================
+	// RENDER
+	// ===================
+
+	if (achievements.length === 0) return null;
+
+	return (
+		<div className="achievement-toasts" role="status">
+			{achievements.map((achievement) => (
+				<button
+					key={achievement.id}
+					className="achievement-toast"
+					onClick={() => dismissAchievement(achievement.id)}
+					title="Dismiss"
+				>
+					<span className="achievement-icon">🏆</span>
+					<span>
+						<strong>
+							Achievement unlocked: {achievement.name}
+						</strong>
+						<br />
+						{achievement.description}
+						{achievement.reward > 0 &&
+							` +${achievement.reward} coins`}
+					</span>
+				</button>
+			))}
+		</div>
+	);
+}
@@ -0,0 +1,105 @@
+/**
+ * Achievement Wall Component
+ *
+ * Shows every achievement as a badge on the profile page: unlocked ones
+ * with the date they were earned, locked ones greyed out with what it
+ * takes to earn them.
+ *
+ * Features:
+ * - Badge for every achievement the server defines
+ * - Unlock date and coin reward on each badge
+ * - Count of achievements unlocked so far
+ * - Refreshes when an achievement is unlocked while the page is open
+ *
+ * API Integration:
+ * - GET /achievements: { achievements: [{ id, name, description, reward, unlockedAt }] }
+ *
+ * @component
+ * @author LuckyBet Inc.
+ * @version 1.0.0
+ */
+
+import React, { useContext, useEffect, useState } from "react";
+import { UserContext } from "./UserContext";
+import "../styles/Achievements.css";
+
+/**
+ * Achievement Wall Component
+ *
+ * @returns {JSX.Element} The badge wall
+ */
+export default function AchievementWall() {
+	const { achievements: unlockedNow } = useContext(UserContext);
+
+	// ===================
+	// STATE
+	// ===================
+
+	/**
+	 * @type {Array<Object>|null} Every achievement, with unlockedAt if earned
+	 */
+	const [achievements, setAchievements] = useState(null);
+
+	// ===================
+	// LIFECYCLE EFFECTS
+	// ===================
+
+	/**
+	 * Loads the achievements, and again whenever one is unlocked
+	 */
+	useEffect(() => {
+		fetch("http://localhost:3000/achievements", {
+			credentials: "include",
+		})
+			.then((r) => r.json())
+			.then((data) => {
+				if (data.payload) setAchievements(data.payload.achievements);
+			})
+			.catch((err) => console.error("Achievements fetch error:", err));
+	}, [unlockedNow.length]);
+
+	// ===================
+	// RENDER
+	// ===================
+
+	if (!achievements) return <p>Loading achievements...</p>;
+
+	const unlocked = achievements.filter((a) => a.unlockedAt).length;
+
+	return (
+		<div className="achievement-wall">
+			<p>
+				{unlocked} of {achievements.length} unlocked
+			</p>
+			<ul className="achievement-badges">
+				{achievements.map((achievement) => (
+					<li
+						key={achievement.id}
+						className={`achievement-badge ${
+							achievement.unlockedAt ? "unlocked" : "locked"
+						}`}
+						title={achievement.description}
+					>
+						<span className="achievement-icon">
+							{achievement.unlockedAt ? "🏆" : "🔒"}
+						</span>
+						<strong>{achievement.name}</strong>
+						<small>{achievement.description}</small>
+						{achievement.reward > 0 && (
+							<small className="achievement-reward">
+								+{achievement.reward} coins
+							</small>
+						)}
+						{achievement.unlockedAt && (
+							<small>
+								{new Date(
+									achievement.unlockedAt
+								).toLocaleDateString()}
+							</small>
+						)}
+					</li>
+				))}
+			</ul>
+		</div>
+	);
+}
@@ -0,0 +1,326 @@
+/**
+ * Admin Console Component
+ *
+ * Player management for LuckyBet operators. Admins search for players by
+ * username or email and open a player to review and manage their account.
+ *
+ * Features:
+ * - Search by username or email (case-insensitive, partial matches)
+ * - Paginated results with balance and account status
+ * - Player details panel (see AdminUserDetails)
+ * - Admin guard: players see an "admins only" notice, guests go to login
+ *
+ * API Integration:
+ * - Fetches from GET /admin/users?search&page&limit
+ * - Response: { payload: { users, page, limit, total } }
+ * - All admin routes require an admin session (credentials: include)
+ *
+ * @component
+ * @author LuckyBet Inc.
+ * @version 1.0.0
+ */
+
+import React, { useContext, useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { UserContext } from "./UserContext";
+import AdminUserDetails from "./AdminUserDetails";
+import "../styles/Profile.css";
+import "../styles/Admin.css";
+
+/**
+ * Number of players shown per page
+ */
+const PAGE_SIZE = 20;
+
+/**
+ * Main Admin Console Component
+ *
+ * @returns {JSX.Element} The admin console
+ */
+export default function AdminPage() {
+	// ===================
+	// CONTEXT & HOOKS
+	// ===================
+
+	const { user } = useContext(UserContext);
+	const navigate = useNavigate();
+
+	// ===================
+	// STATE DECLARATIONS
+	// ===================
+
+	/**
+	 * @type {string} Text typed in the search box
+	 */
+	const [searchInput, setSearchInput] = useState("");
+
+	/**
+	 * @type {string} Search text the results are for
+	 */
+	const [search, setSearch] = useState("");
+
+	/**
+	 * @type {number} Current page (1-based)
+	 */
+	const [page, setPage] = useState(1);
+
+	/**
+	 * @type {Array<Object>} Players on the current page
+	 */
+	const [users, setUsers] = useState([]);
+
+	/**
+	 * @type {number} Total number of players matching the search
+	 */
+	const [total, setTotal] = useState(0);
+
+	/**
+	 * @type {number|null} ID of the player whose details are open
+	 */
+	const [selectedId, setSelectedId] = useState(null);
+
+	/**
+	 * @type {boolean} Loading state indicator for API requests
+	 */
+	const [loading, setLoading] = useState(false);
+
+	/**
+	 * @type {string|null} Error message if API request fails
+	 */
+	const [error, setError] = useState(null);
+
+	const isAdmin = user?.role === "admin";
+
+	// ===================
+	// API FUNCTIONS
+	// ===================
+
+	/**
+	 * Fetches the current page of players matching the search
+	 *
+	 * @async
+	 * @returns {Promise<void>}
+	 */
+	const fetchUsers = useCallback(async () => {
+		const params = new URLSearchParams({ page, limit: PAGE_SIZE });
+		if (search) params.set("search", search);
+
+		try {
+			setLoading(true);
+			setError(null);
+
+			const response = await fetch(
+				`http://localhost:3000/admin/users?${params}`,
+				{ credentials: "include" }
+			);
+			const data = await response.json();
+
+			if (response.ok) {
+				setUsers(data.payload.users);
+				setTotal(data.payload.total);
+			} else {
+				setError(data.message || "Failed to search players");
+			}
+		} catch (err) {
+			console.error("Admin search error:", err);
+			setError("Error connecting to server");
+		} finally {
+			setLoading(false);
+		}
+	}, [search, page]);
+
+	// ===================
+	// LIFECYCLE EFFECTS
+	// ===================
+
+	/**
+	 * Authentication guard: guests are sent to the login page
+	 */
+	useEffect(() => {
+		if (!user) navigate("/login");
+	}, [user, navigate]);
+
+	/**
+	 * Reload whenever the search or page change
+	 */
+	useEffect(() => {
+		if (isAdmin) fetchUsers();
+	}, [isAdmin, fetchUsers]);
+
+	// ===================
+	// EVENT HANDLERS
+	// ===================
+
+	/**
+	 * Runs the search typed in the search box from the first page
+	 *
+	 * @param {React.FormEvent} e - Form submit event
+	 * @returns {void}
+	 */
+	const handleSearch = (e) => {
+		e.preventDefault();
+		setSearch(searchInput.trim());
+		setPage(1);
+	};
+
+	// ===================
+	// UTILITY FUNCTIONS
+	// ===================
+
+	/**
+	 * Formats an amount as US dollars
+	 *
+	 * @param {number} amount - Raw amount
+	 * @returns {string} Formatted currency string
+	 */
+	const formatAmount = (amount) => {
+		return new Intl.NumberFormat("en-US", {
+			style: "currency",
+			currency: "USD",
+		}).format(amount);
+	};
+
+	const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+	// ===================
+	// RENDER COMPONENT
+	// ===================
+
+	if (!user) return null;
+
+	if (!isAdmin) {
+		return (
+			<div className="profile-page">
+				<div className="profile-container">
+					<div className="profile-content">
+						<p className="message error">
+							This area is for admins only.
+						</p>
+					</div>
+				</div>
+			</div>
+		);
+	}
+
+	return (
+		<div className="profile-page">
+			<div className="profile-container admin-container">
+				{/* Header */}
+				<div className="profile-header">
+					<button
+						className="back-btn"
+						onClick={() => navigate("/games")}
+					>
+						← Back to Games
+					</button>
+					<h1>Admin Console</h1>
+				</div>
+
+				<div className="profile-content">
+					{/* Player search */}
+					<div className="profile-section">
+						<h2>Players</h2>
+
+						<form className="admin-search" onSubmit={handleSearch}>
+							<input
+								type="search"
+								value={searchInput}
+								onChange={(e) => setSearchInput(e.target.value)}
+								placeholder="Username or email"
+								aria-label="Search players"
+							/>
+							<button type="submit" className="btn btn-primary">
+								Search
+							</button>
+						</form>
+
+						{loading ? (
+							<p>Loading players...</p>
+						) : error ? (
+							<p className="history-error">❌ {error}</p>
+						) : users.length === 0 ? (
+							<p>No players found</p>
+						) : (
+							<table className="history-table admin-users">
+								<thead>
+									<tr>
+										<th>ID</th>
+										<th>Username</th>
+										<th>Email</th>
+										<th>Balance</th>
+										<th>Status</th>
+									</tr>
+								</thead>
+								<tbody>
+									{users.map((player) => (
+										<tr
+											key={player.id}
+											className={
+												player.id === selectedId
+													? "selected"
+													: ""
+											}
+											onClick={() =>
+												setSelectedId(player.id)
+											}
+										>
+											<td>{player.id}</td>
+											<td>
+												{player.username}
+												{player.role === "admin" &&
+													" 🛡️"}
+											</td>
+											<td>{player.email}</td>
+											<td>
+												{formatAmount(player.balance)}
+											</td>
+											<td>
+												<span
+													className={`status-badge status-${player.status}`}
+												>
+													{player.status}
+												</span>
+											</td>
+										</tr>
+									))}
+								</tbody>
+							</table>
+						)}
+
+						{/* Pagination */}
+						{totalPages > 1 && (
+							<div className="history-pagination">
+								<button
+									className="btn btn-outline"
+									onClick={() => setPage((p) => p - 1)}
+									disabled={page <= 1 || loading}
+								>
+									← Previous
+								</button>
+								<span>
+									Page {page} of {totalPages}
+								</span>
+								<button
+									className="btn btn-outline"
+									onClick={() => setPage((p) => p + 1)}
+									disabled={page >= totalPages || loading}
+								>
+									Next →
+								</button>
+							</div>
+						)}
+					</div>
+
+					{/* Selected player */}
+					{selectedId && (
+						<AdminUserDetails
+							key={selectedId}
+							userId={selectedId}
+							onChange={fetchUsers}
+						/>
+					)}
+				</div>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,571 @@
+/**
+ * Admin User Details Component
+ *
+ * Shows one player inside the admin console and the actions admins can
+ * take on their account.
+ *
+ * Features:
+ * - Account overview: balance, role, status and the reason for it
+ * - Active sessions with their expiry, and a "log out everywhere" action
+ * - Balance adjustments (credit or debit) with a mandatory reason
+ * - Suspend (optionally until a date), ban or reactivate with a reason
+ * - Recent game rounds and coin transactions, paginated
+ *
+ * API Integration:
+ * - GET /admin/users/:id → { user, sessions }
+ * - GET /admin/users/:id/history?page&limit → { rounds, total }
+ * - GET /admin/users/:id/transactions?page&limit → { transactions, total }
+ * - POST /admin/users/:id/adjustments { amount, reason } → { balance }
+ * - PUT /admin/users/:id/status { status, reason, until? } → user
+ * - DELETE /admin/users/:id/sessions → { count }
+ *
+ * @component
+ * @author LuckyBet Inc.
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+
+/**
+ * Number of rounds and transactions shown per page
+ */
+const PAGE_SIZE = 10;
+
+/**
+ * Sends a request to one of the player's admin routes
+ *
+ * @param {number} userId - Player the route is for
+ * @param {string} path - Route below /admin/users/:id, e.g. "/status"
+ * @param {Object} [options] - fetch options; `body` is sent as JSON
+ * @returns {Promise<Object>} The response payload
+ * @throws {Error} With the server's message if the request fails
+ */
+const adminRequest = async (userId, path = "", { body, ...options } = {}) => {
+	const response = await fetch(
+		`http://localhost:3000/admin/users/${userId}${path}`,
+		{
+			...options,
+			credentials: "include",
+			headers: body ? { "Content-Type": "application/json" } : undefined,
+			body: body ? JSON.stringify(body) : undefined,
+		}
+	);
+	const data = await response.json();
+
+	if (!response.ok) throw new Error(data.message || "Request failed");
+	return data.payload;
+};
+
+/**
+ * Admin User Details Component
+ *
+ * @param {Object} props
+ * @param {number} props.userId - Player to show
+ * @param {Function} props.onChange - Called after the player's account changed
+ * @returns {JSX.Element} The player's details and actions
+ */
+export default function AdminUserDetails({ userId, onChange }) {
+	// ===================
+	// STATE DECLARATIONS
+	// ===================
+
+	/**
+	 * @type {Object|null} The player's account
+	 */
+	const [player, setPlayer] = useState(null);
+
+	/**
+	 * @type {Array<Object>} The player's active sessions
+	 */
+	const [sessions, setSessions] = useState([]);
+
+	/**
+	 * @type {Object} Page of game rounds: { items, page, total }
+	 */
+	const [history, setHistory] = useState({ items: [], page: 1, total: 0 });
+
+	/**
+	 * @type {Object} Page of coin transactions: { items, page, total }
+	 */
+	const [transactions, setTransactions] = useState({
+		items: [],
+		page: 1,
+		total: 0,
+	});
+
+	/**
+	 * @type {Object} Balance adjustment form
+	 */
+	const [adjustment, setAdjustment] = useState({ amount: "", reason: "" });
+
+	/**
+	 * @type {Object} Status form; `until` is a datetime-local value or ""
+	 */
+	const [statusForm, setStatusForm] = useState({
+		status: "suspended",
+		reason: "",
+		until: "",
+	});
+
+	/**
+	 * @type {Object|null} Feedback for the last action: { text, type }
+	 */
+	const [message, setMessage] = useState(null);
+
+	/**
+	 * @type {boolean} Whether an action is in progress
+	 */
+	const [busy, setBusy] = useState(false);
+
+	// ===================
+	// API FUNCTIONS
+	// ===================
+
+	/**
+	 * Loads the player's account and sessions
+	 */
+	const fetchDetails = useCallback(async () => {
+		try {
+			const payload = await adminRequest(userId);
+			setPlayer(payload.user);
+			setSessions(payload.sessions);
+		} catch (err) {
+			setMessage({ text: err.message, type: "error" });
+		}
+	}, [userId]);
+
+	/**
+	 * Loads one page of the player's game rounds
+	 *
+	 * @param {number} page - Page to load (1-based)
+	 */
+	const fetchHistory = useCallback(
+		async (page) => {
+			try {
+				const payload = await adminRequest(
+					userId,
+					`/history?page=${page}&limit=${PAGE_SIZE}`
+				);
+				setHistory({
+					items: payload.rounds,
+					page,
+					total: payload.total,
+				});
+			} catch (err) {
+				setMessage({ text: err.message, type: "error" });
+			}
+		},
+		[userId]
+	);
+
+	/**
+	 * Loads one page of the player's coin transactions
+	 *
+	 * @param {number} page - Page to load (1-based)
+	 */
+	const fetchTransactions = useCallback(
+		async (page) => {
+			try {
+				const payload = await adminRequest(
+					userId,
+					`/transactions?page=${page}&limit=${PAGE_SIZE}`
+				);
+				setTransactions({
+					items: payload.transactions,
+					page,
+					total: payload.total,
+				});
+			} catch (err) {
+				setMessage({ text: err.message, type: "error" });
+			}
+		},
+		[userId]
+	);
+
+	// ===================
+	// LIFECYCLE EFFECTS
+	// ===================
+
+	useEffect(() => {
+		fetchDetails();
+		fetchHistory(1);
+		fetchTransactions(1);
+	}, [fetchDetails, fetchHistory, fetchTransactions]);
+
+	// ===================
+	// EVENT HANDLERS
+	// ===================
+
+	/**
+	 * Runs an admin action, then reloads the player and reports the outcome
+	 *
+	 * @param {Function} action - Async function performing the request
+	 * @param {string} success - Message shown when it succeeds
+	 * @returns {Promise<boolean>} Whether the action succeeded
+	 */
+	const runAction = async (action, success) => {
+		setBusy(true);
+		setMessage(null);
+
+		try {
+			await action();
+			setMessage({ text: success, type: "success" });
+			await fetchDetails();
+			onChange();
+			return true;
+		} catch (err) {
+			setMessage({ text: err.message, type: "error" });
+			return false;
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	/**
+	 * Credits or debits the player's balance with the given reason
+	 *
+	 * @param {React.FormEvent} e - Form submit event
+	 */
+	const handleAdjust = async (e) => {
+		e.preventDefault();
+
+		const done = await runAction(
+			() =>
+				adminRequest(userId, "/adjustments", {
+					method: "POST",
+					body: {
+						amount: Number(adjustment.amount),
+						reason: adjustment.reason,
+					},
+				}),
+			"Balance adjusted"
+		);
+
+		if (done) {
+			setAdjustment({ amount: "", reason: "" });
+			fetchTransactions(1);
+		}
+	};
+
+	/**
+	 * Suspends, bans or reactivates the player
+	 *
+	 * @param {React.FormEvent} e - Form submit event
+	 */
+	const handleStatus = async (e) => {
+		e.preventDefault();
+
+		const { status, reason, until } = statusForm;
+		const body = { status, reason };
+		if (status === "suspended" && until) {
+			body.until = new Date(until).toISOString();
+		}
+
+		const done = await runAction(
+			() => adminRequest(userId, "/status", { method: "PUT", body }),
+			`Account is now ${status}`
+		);
+
+		if (done) setStatusForm((prev) => ({ ...prev, reason: "", until: "" }));
+	};
+
+	/**
+	 * Ends every session of the player
+	 */
+	const handleLogout = () => {
+		runAction(
+			() => adminRequest(userId, "/sessions", { method: "DELETE" }),
+			"Player logged out everywhere"
+		);
+	};
+
+	// ===================
+	// UTILITY FUNCTIONS
+	// ===================
+
+	/**
+	 * Formats an amount as US dollars
+	 *
+	 * @param {number} amount - Raw amount
+	 * @returns {string} Formatted currency string
+	 */
+	const formatAmount = (amount) => {
+		return new Intl.NumberFormat("en-US", {
+			style: "currency",
+			currency: "USD",
+		}).format(Number(amount));
+	};
+
+	/**
+	 * Formats a date string for display
+	 *
+	 * @param {string} date - ISO date
+	 * @returns {string} Localized date and time
+	 */
+	const formatDate = (date) => new Date(date).toLocaleString();
+
+	// ===================
+	// RENDER HELPERS
+	// ===================
+
+	/**
+	 * Renders Previous/Next buttons for a paginated list
+	 *
+	 * @param {Object} list - { page, total }
+	 * @param {Function} load - Loads a page of the list
+	 * @returns {JSX.Element|null} The pagination controls
+	 */
+	const renderPagination = (list, load) => {
+		const totalPages = Math.max(1, Math.ceil(list.total / PAGE_SIZE));
+		if (totalPages <= 1) return null;
+
+		return (
+			<div className="history-pagination">
+				<button
+					className="btn btn-outline"
+					onClick={() => load(list.page - 1)}
+					disabled={list.page <= 1}
+				>
+					← Previous
+				</button>
+				<span>
+					Page {list.page} of {totalPages}
+				</span>
+				<button
+					className="btn btn-outline"
+					onClick={() => load(list.page + 1)}
+					disabled={list.page >= totalPages}
+				>
+					Next →
+				</button>
+			</div>
+		);
+	};
+
+	// ===================
+	// RENDER COMPONENT
+	// ===================
+
+	if (!player) {
+		return (
+			<div className="profile-section">
+				{message ? (
+					<p className="history-error">❌ {message.text}</p>
+				) : (
+					<p>Loading player...</p>
+				)}
+			</div>
+		);
+	}
+
+	return (
+		<div className="profile-section admin-details">
+			<h2>
+				{player.username} <small>#{player.id}</small>
+			</h2>
+
+			{message && (
+				<div className={`message ${message.type}`}>{message.text}</div>
+			)}
+
+			{/* Account overview */}
+			<dl className="admin-overview">
+				<dt>Email</dt>
+				<dd>{player.email}</dd>
+				<dt>Balance</dt>
+				<dd>{formatAmount(player.balance)}</dd>
+				<dt>Role</dt>
+				<dd>{player.role}</dd>
+				<dt>Status</dt>
+				<dd>
+					<span className={`status-badge status-${player.status}`}>
+						{player.status}
+					</span>
+					{player.suspendedUntil &&
+						` until ${formatDate(player.suspendedUntil)}`}
+					{player.statusReason && ` (${player.statusReason})`}
+				</dd>
+				<dt>Joined</dt>
+				<dd>{formatDate(player.createdAt)}</dd>
+			</dl>
+
+			{/* Sessions */}
+			<h3>Active Sessions ({sessions.length})</h3>
+			<ul className="admin-sessions">
+				{sessions.map((session) => (
+					<li key={session.id}>
+						<code>{session.id}…</code> expires{" "}
+						{formatDate(session.expires)}
+					</li>
+				))}
+			</ul>
+			<button
+				className="btn btn-secondary"
+				onClick={handleLogout}
+				disabled={busy || sessions.length === 0}
+			>
+				Log Out Everywhere
+			</button>
+
+			{/* Balance adjustment */}
+			<h3>Adjust Balance</h3>
+			<form className="admin-form" onSubmit={handleAdjust}>
+				<input
+					type="number"
+					step="0.01"
+					value={adjustment.amount}
+					onChange={(e) =>
+						setAdjustment((prev) => ({
+							...prev,
+							amount: e.target.value,
+						}))
+					}
+					placeholder="Amount (negative to debit)"
+					aria-label="Adjustment amount"
+					required
+				/>
+				<input
+					type="text"
+					value={adjustment.reason}
+					onChange={(e) =>
+						setAdjustment((prev) => ({
+							...prev,
+							reason: e.target.value,
+						}))
+					}
+					placeholder="Reason"
+					aria-label="Adjustment reason"
+					minLength={3}
+					maxLength={200}
+					required
+				/>
+				<button
+					type="submit"
+					className="btn btn-primary"
+					disabled={busy}
+				>
+					Apply
+				</button>
+			</form>
+
+			{/* Account status */}
+			<h3>Account Status</h3>
+			<form className="admin-form" onSubmit={handleStatus}>
+				<select
+					value={statusForm.status}
+					onChange={(e) =>
+						setStatusForm((prev) => ({
+							...prev,
+							status: e.target.value,
+						}))
+					}
+					aria-label="New status"
+				>
+					<option value="active">Active</option>
+					<option value="suspended">Suspended</option>
+					<option value="banned">Banned</option>
+				</select>
+				{statusForm.status === "suspended" && (
+					<input
+						type="datetime-local"
+						value={statusForm.until}
+						onChange={(e) =>
+							setStatusForm((prev) => ({
+								...prev,
+								until: e.target.value,
+							}))
+						}
+						aria-label="Suspended until (leave empty for no end)"
+						title="Leave empty for no end date"
+					/>
+				)}
+				<input
+					type="text"
+					value={statusForm.reason}
+					onChange={(e) =>
+						setStatusForm((prev) => ({
+							...prev,
+							reason: e.target.value,
+						}))
+					}
+					placeholder="Reason"
+					aria-label="Status reason"
+					minLength={3}
+					maxLength={200}
+					required
+				/>
+				<button
+					type="submit"
+					className="btn btn-danger"
+					disabled={busy}
+				>
+					Update Status
+				</button>
+			</form>
+
+			{/* Game history */}
+			<h3>Game History ({history.total})</h3>
+			{history.items.length === 0 ? (
+				<p>No games played</p>
+			) : (
+				<table className="history-table">
+					<thead>
+						<tr>
+							<th>Date</th>
+							<th>Game</th>
+							<th>Bet</th>
+							<th>Payout</th>
+							<th>Result</th>
+						</tr>
+					</thead>
+					<tbody>
+						{history.items.map((round) => (
+							<tr key={round.id}>
+								<td>{formatDate(round.created_at)}</td>
+								<td>{round.game}</td>
+								<td>{formatAmount(round.bet)}</td>
+								<td>{formatAmount(round.payout)}</td>
+								<td className={`result-${round.result}`}>
+									{round.result.toUpperCase()}
+								</td>
+							</tr>
+						))}
+					</tbody>
+				</table>
+			)}
+			{renderPagination(history, fetchHistory)}
+
+			{/* Coin transactions */}
+			<h3>Transactions ({transactions.total})</h3>
+			{transactions.items.length === 0 ? (
+				<p>No transactions</p>
+			) : (
+				<table className="history-table">
+					<thead>
+						<tr>
+							<th>Date</th>
+							<th>Type</th>
+							<th>Amount</th>
+							<th>Balance</th>
+							<th>Description</th>
+						</tr>
+					</thead>
+					<tbody>
+						{transactions.items.map((transaction) => (
+							<tr key={transaction.id}>
+								<td>{formatDate(transaction.created_at)}</td>
+								<td>{transaction.type}</td>
+								<td>{formatAmount(transaction.amount)}</td>
+								<td>
+									{formatAmount(transaction.balance_after)}
+								</td>
+								<td>{transaction.description}</td>
+							</tr>
+						))}
+					</tbody>
+				</table>
+			)}
+			{renderPagination(transactions, fetchTransactions)}
+		</div>
+	);
+}
@@ -2,6 +2,8 @@
 import React, { useState, useRef, useContext } from "react";
 import "../styles/CoinFlip.css";
 import { UserContext } from "./UserContext";
+import PlayReminder from "./PlayReminder";
+import AchievementToasts from "./AchievementToasts";
 
 const HEADS_URL =
 	"https://www.pngkey.com/png/detail/146-1464786_400px-circle-quarter-heads-side-of-coin.png";
@@ -80,6 +82,8 @@ export default function CoinFlipPage() {
 
 	return (
 		<div className="coinflip-page">
+			<PlayReminder />
+			<AchievementToasts />
 			<div className="coinflip-header">
 				<h2>COIN FLIP</h2>
 				<div className="balance">
@@ -0,0 +1,195 @@
+/**
+ * Daily Bonus Component
+ *
+ * Lets the player claim their daily coin bonus from the profile page and
+ * shows their current streak and the time left until the next claim.
+ *
+ * Features:
+ * - One claim every 24 hours, enforced by the server
+ * - Streak badge for consecutive days
+ * - Live countdown until the next claim
+ * - Preview of the next reward (grows with the streak)
+ *
+ * API Integration:
+ * - GET /bonus/status: { canClaim, streak, nextReward, msUntilNextClaim, ... }
+ * - POST /bonus: { amount, newBalance, ...status } or 403 if already claimed
+ *
+ * @component
+ * @author LuckyBet Inc.
+ * @version 1.0.0
+ */
+
+import React, { useContext, useEffect, useState } from "react";
+import { UserContext } from "./UserContext";
+
+/**
+ * Formats a duration as HH:MM:SS
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted countdown
+ *
+ * @example
+ * formatCountdown(3723000); // Returns "01:02:03"
+ */
+const formatCountdown = (ms) => {
+	const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+	const hours = Math.floor(totalSeconds / 3600);
+	const minutes = Math.floor((totalSeconds % 3600) / 60);
+	const seconds = totalSeconds % 60;
+
+	return [hours, minutes, seconds]
+		.map((n) => n.toString().padStart(2, "0"))
+		.join(":");
+};
+
+/**
+ * Daily Bonus Component
+ *
+ * @returns {JSX.Element} The daily bonus claim button, streak and countdown
+ */
+export default function DailyBonus() {
+	// ===================
+	// CONTEXT & STATE
+	// ===================
+
+	const { updateBalance } = useContext(UserContext);
+
+	/**
+	 * @type {Object|null} Latest bonus status from the server
+	 */
+	const [status, setStatus] = useState(null);
+
+	/**
+	 * @type {number} Timestamp (ms) when the next claim becomes available
+	 */
+	const [nextClaimAt, setNextClaimAt] = useState(0);
+
+	/**
+	 * @type {number} Current time, updated every second to drive the countdown
+	 */
+	const [now, setNow] = useState(Date.now());
+
+	/**
+	 * @type {string} Claim feedback message
+	 */
+	const [bonusMessage, setBonusMessage] = useState("");
+
+	/**
+	 * @type {boolean} Whether a claim request is in flight
+	 */
+	const [claiming, setClaiming] = useState(false);
+
+	// ===================
+	// LIFECYCLE EFFECTS
+	// ===================
+
+	/**
+	 * Load the bonus status on mount
+	 */
+	useEffect(() => {
+		fetch("http://localhost:3000/bonus/status", { credentials: "include" })
+			.then((r) => r.json())
+			.then((data) => {
+				if (!data.payload) return;
+				setStatus(data.payload);
+				setNextClaimAt(Date.now() + data.payload.msUntilNextClaim);
+			})
+			.catch((error) => console.error("Bonus status error:", error));
+	}, []);
+
+	/**
+	 * Tick the clock once per second for the countdown
+	 */
+	useEffect(() => {
+		const timer = setInterval(() => setNow(Date.now()), 1000);
+		return () => clearInterval(timer);
+	}, []);
+
+	// ===================
+	// API FUNCTIONS
+	// ===================
+
+	/**
+	 * Stores a status payload and restarts the countdown from it
+	 *
+	 * @param {Object} payload - Bonus status from the server
+	 * @returns {void}
+	 */
+	const applyStatus = (payload) => {
+		setStatus(payload);
+		setNextClaimAt(Date.now() + payload.msUntilNextClaim);
+	};
+
+	/**
+	 * Claims today's bonus and updates the balance
+	 *
+	 * Error Handling:
+	 * - 403 status: Bonus already claimed (status returned restarts countdown)
+	 * - Network errors: Connection error message
+	 *
+	 * @returns {Promise<void>}
+	 */
+	const claimBonus = async () => {
+		setClaiming(true);
+
+		try {
+			const res = await fetch("http://localhost:3000/bonus", {
+				method: "POST",
+				credentials: "include",
+			});
+			const data = await res.json();
+
+			if (res.ok) {
+				updateBalance(data.payload.newBalance);
+				setBonusMessage(
+					`Daily bonus claimed! +${data.payload.amount} coins`
+				);
+			} else {
+				setBonusMessage(data.message || "Bonus already claimed");
+			}
+
+			if (data.payload) applyStatus(data.payload);
+		} catch (error) {
+			console.error("Bonus claim error:", error);
+			setBonusMessage("Error connecting to server");
+		} finally {
+			setClaiming(false);
+		}
+	};
+
+	// ===================
+	// RENDER COMPONENT
+	// ===================
+
+	const remaining = nextClaimAt - now;
+	const canClaim = status !== null && remaining <= 0;
+
+	return (
+		<div className="daily-bonus">
+			{status?.streak > 0 && (
+				<span className="streak-badge">
+					🔥 {status.streak}-day streak
+				</span>
+			)}
+
+			<button
+				className="btn btn-primary"
+				onClick={claimBonus}
+				disabled={!canClaim || claiming}
+			>
+				{!status
+					? "Loading bonus..."
+					: canClaim
+					? `Claim Daily Bonus (+${status.nextReward} coins)`
+					: `Next bonus in ${formatCountdown(remaining)}`}
+			</button>
+
+			{status && !canClaim && (
+				<p className="bonus-next">
+					Come back tomorrow for +{status.nextReward} coins
+				</p>
+			)}
+			{bonusMessage && <p className="bonus-message">{bonusMessage}</p>}
+		</div>
+	);
+}
@@ -0,0 +1,146 @@
+/**
+ * Email Link Page Component
+ *
+ * Landing page for the links mailed to players other than password resets:
+ * verifying the address they registered with, and confirming a new address
+ * they asked to change to from the profile page. The token in the link is
+ * sent to the server as soon as the page opens.
+ *
+ * Features:
+ * - Verifies an address or confirms an email change, chosen by `purpose`
+ * - Progress, success and error states
+ * - Refreshes the logged-in user so the profile shows the change
+ *
+ * API Integration:
+ * - POST /auth/verify-email: { token } → { email, emailVerifiedAt }
+ * - POST /auth/email-change/confirm: { token } → { email, emailVerifiedAt }
+ *
+ * @component
+ * @author LuckyBet Inc.
+ * @version 1.0.0
+ */
+
+import React, { useContext, useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { UserContext } from "./UserContext";
+import "../styles/App.css";
+
+/**
+ * Endpoint and wording for each kind of link
+ */
+const PURPOSES = {
+	verify: {
+		endpoint: "/auth/verify-email",
+		title: "Verify Email",
+		success: "Your email address is verified.",
+	},
+	change: {
+		endpoint: "/auth/email-change/confirm",
+		title: "Confirm New Email",
+		success: "Your email address was changed.",
+	},
+};
+
+/**
+ * Email Link Page Component
+ *
+ * @param {Object} props - Component props
+ * @param {"verify"|"change"} props.purpose - What the mailed link is for
+ * @returns {JSX.Element} The outcome of following the link
+ */
+export default function EmailLinkPage({ purpose }) {
+	// ===================
+	// HOOKS & CONTEXT
+	// ===================
+
+	const { endpoint, title, success } = PURPOSES[purpose];
+
+	/**
+	 * @type {string|null} Token from the mailed link
+	 */
+	const token = useSearchParams()[0].get("token");
+
+	const { user, setUser } = useContext(UserContext);
+
+	/**
+	 * Tokens only work once, so the request must not be sent twice
+	 */
+	const requested = useRef(false);
+
+	// ===================
+	// STATE DECLARATIONS
+	// ===================
+
+	/**
+	 * @type {Object} { state: "pending" | "done" | "error", text }
+	 */
+	const [status, setStatus] = useState(
+		token
+			? { state: "pending", text: "Checking your link..." }
+			: { state: "error", text: "This link is missing its token." }
+	);
+
+	// ===================
+	// LIFECYCLE EFFECTS
+	// ===================
+
+	/**
+	 * Sends the token once the page opens
+	 */
+	useEffect(() => {
+		if (!token || requested.current) return;
+		requested.current = true;
+
+		fetch(`http://localhost:3000${endpoint}`, {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			credentials: "include",
+			body: JSON.stringify({ token }),
+		})
+			.then(async (response) => {
+				const data = await response.json();
+
+				if (!response.ok) {
+					setStatus({ state: "error", text: data.message });
+					return;
+				}
+
+				setStatus({ state: "done", text: success });
+				setUser((u) => u && { ...u, ...data.payload });
+			})
+			.catch((err) => {
+				console.error("Email link error:", err);
+				setStatus({
+					state: "error",
+					text: "Error connecting to server",
+				});
+			});
+	}, [token, endpoint, success, setUser]);
+
+	// ===================
+	// RENDER COMPONENT
+	// ===================
+
+	return (
+		<div className="container">
+			<div className="card">
+				<h2>{title}</h2>
+				<p
+					className={status.state === "error" ? "form-error" : ""}
+					role={status.state === "error" ? "alert" : "status"}
+				>
+					{status.text}
+				</p>
+
+				{/* Navigation links */}
+				<div className="footer-links">
+					{user ? (
+						<Link to="/profile">Go to Profile</Link>
+					) : (
+						<Link to="/login">Go to Login</Link>
+					)}
+				</div>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,308 @@
+/**
+ * Fairness Panel Component
+ *
+ * Lets the player check that game outcomes were not rigged. Every outcome
+ * is derived from a secret server seed, the player's client seed and a
+ * nonce counting their bets. The hash of the server seed is shown before
+ * play; rotating the seeds reveals the server seed so past outcomes can be
+ * recomputed and compared with what happened. The hash of the server seed
+ * rotated to is shown too, so it is fixed before the new client seed is chosen.
+ *
+ * Features:
+ * - Current server seed hash, client seed and next nonce
+ * - Hash of the next server seed
+ * - Seed rotation with an optional custom client seed
+ * - Revealed seed pair after a rotation
+ * - Outcome verifier for coin flip, roulette and blackjack
+ *
+ * API Integration:
+ * - GET /fair: { serverSeedHash, clientSeed, nonce, nextServerSeedHash }
+ * - POST /fair/rotate: { previous: { serverSeed, ... }, current: { ... } }
+ * - GET /fair/verify?game&serverSeed&clientSeed&nonce: { serverSeedHash, outcome }
+ *
+ * @component
+ * @author LuckyBet Inc.
+ * @version 1.0.0
+ */
+
+import React, { useEffect, useState } from "react";
+
+/**
+ * Describes a verified outcome for display
+ *
+ * @param {string} game - Game the outcome belongs to
+ * @param {*} outcome - Outcome returned by /fair/verify
+ * @returns {string} Human readable outcome
+ *
+ * @example
+ * describeOutcome("roulette", { number: 17, color: "black" }); // Returns "17 black"
+ */
+const describeOutcome = (game, outcome) => {
+	switch (game) {
+		case "roulette":
+			return `${outcome.number} ${outcome.color}`;
+		case "blackjack":
+			return `Shoe starts ${outcome.slice(0, 10).join(" ")} …`;
+		default:
+			return outcome;
+	}
+};
+
+/**
+ * Fairness Panel Component
+ *
+ * @returns {JSX.Element} The seed commitment, rotation form and verifier
+ */
+export default function FairnessPanel() {
+	// ===================
+	// STATE
+	// ===================
+
+	/**
+	 * @type {Object|null} Seed pair in play: { serverSeedHash, clientSeed, nonce, nextServerSeedHash }
+	 */
+	const [seeds, setSeeds] = useState(null);
+
+	/**
+	 * @type {Object|null} Last revealed seed pair
+	 */
+	const [revealed, setRevealed] = useState(null);
+
+	/**
+	 * @type {string} Client seed to use for the next seed pair
+	 */
+	const [newClientSeed, setNewClientSeed] = useState("");
+
+	/**
+	 * @type {Object} Verifier form fields
+	 */
+	const [verifyForm, setVerifyForm] = useState({
+		game: "coinflip",
+		serverSeed: "",
+		clientSeed: "",
+		nonce: "0",
+	});
+
+	/**
+	 * @type {Object|null} Result of the last verification
+	 */
+	const [verified, setVerified] = useState(null);
+
+	/**
+	 * @type {string} Feedback message
+	 */
+	const [fairMessage, setFairMessage] = useState("");
+
+	// ===================
+	// LIFECYCLE EFFECTS
+	// ===================
+
+	/**
+	 * Load the seed pair in play on mount
+	 */
+	useEffect(() => {
+		fetch("http://localhost:3000/fair", { credentials: "include" })
+			.then((r) => r.json())
+			.then((data) => data.payload && setSeeds(data.payload))
+			.catch((error) => console.error("Fair seeds error:", error));
+	}, []);
+
+	// ===================
+	// API FUNCTIONS
+	// ===================
+
+	/**
+	 * Reveals the current server seed and starts a new seed pair
+	 *
+	 * @returns {Promise<void>}
+	 */
+	const rotateSeeds = async () => {
+		try {
+			const res = await fetch("http://localhost:3000/fair/rotate", {
+				method: "POST",
+				headers: { "Content-Type": "application/json" },
+				credentials: "include",
+				body: JSON.stringify(
+					newClientSeed ? { clientSeed: newClientSeed } : {}
+				),
+			});
+			const data = await res.json();
+
+			if (!res.ok) {
+				setFairMessage(data.message || "Seed rotation failed");
+				return;
+			}
+
+			const { previous, current } = data.payload;
+			setSeeds(current);
+			setRevealed(previous);
+			setNewClientSeed("");
+			setFairMessage("Seeds rotated");
+
+			if (previous) {
+				setVerifyForm((form) => ({
+					...form,
+					serverSeed: previous.serverSeed,
+					clientSeed: previous.clientSeed,
+				}));
+			}
+		} catch (error) {
+			console.error("Seed rotation error:", error);
+			setFairMessage("Error connecting to server");
+		}
+	};
+
+	/**
+	 * Recomputes an outcome from the verifier form
+	 *
+	 * @param {React.FormEvent} e - Form submission event
+	 * @returns {Promise<void>}
+	 */
+	const verifyOutcome = async (e) => {
+		e.preventDefault();
+		setVerified(null);
+
+		try {
+			const params = new URLSearchParams(verifyForm);
+			const res = await fetch(
+				`http://localhost:3000/fair/verify?${params}`
+			);
+			const data = await res.json();
+
+			if (!res.ok) {
+				setFairMessage(data.message || "Verification failed");
+				return;
+			}
+
+			setVerified(data.payload);
+			setFairMessage("");
+		} catch (error) {
+			console.error("Verification error:", error);
+			setFairMessage("Error connecting to server");
+		}
+	};
+
+	/**
+	 * Updates a verifier form field
+	 *
+	 * @param {React.ChangeEvent<HTMLInputElement|HTMLSelectElement>} e - Change event
+	 * @returns {void}
+	 */
+	const handleVerifyChange = (e) => {
+		setVerifyForm({ ...verifyForm, [e.target.name]: e.target.value });
+	};
+
+	// ===================
+	// RENDER COMPONENT
+	// ===================
+
+	return (
+		<div className="fairness-panel">
+			{seeds ? (
+				<dl className="fair-seeds">
+					<dt>Server seed (hashed)</dt>
+					<dd>{seeds.serverSeedHash}</dd>
+					<dt>Client seed</dt>
+					<dd>{seeds.clientSeed}</dd>
+					<dt>Next nonce</dt>
+					<dd>{seeds.nonce}</dd>
+					<dt>Next server seed (hashed)</dt>
+					<dd>{seeds.nextServerSeedHash}</dd>
+				</dl>
+			) : (
+				<p>Loading seeds...</p>
+			)}
+
+			<div className="form-group">
+				<label htmlFor="newClientSeed">New Client Seed (optional)</label>
+				<input
+					type="text"
+					id="newClientSeed"
+					value={newClientSeed}
+					maxLength="64"
+					onChange={(e) => setNewClientSeed(e.target.value)}
+				/>
+			</div>
+			<button className="btn btn-outline" onClick={rotateSeeds}>
+				Reveal &amp; Rotate Seeds
+			</button>
+
+			{revealed && (
+				<dl className="fair-seeds">
+					<dt>Revealed server seed</dt>
+					<dd>{revealed.serverSeed}</dd>
+					<dt>Its hash</dt>
+					<dd>{revealed.serverSeedHash}</dd>
+					<dt>Bets played</dt>
+					<dd>{revealed.nonce}</dd>
+				</dl>
+			)}
+
+			<form className="fair-verify" onSubmit={verifyOutcome}>
+				<h3>Verify an Outcome</h3>
+				<div className="form-group">
+					<label htmlFor="verifyGame">Game</label>
+					<select
+						id="verifyGame"
+						name="game"
+						value={verifyForm.game}
+						onChange={handleVerifyChange}
+					>
+						<option value="coinflip">Coin Flip</option>
+						<option value="roulette">Roulette</option>
+						<option value="blackjack">Blackjack (shuffle)</option>
+					</select>
+				</div>
+				<div className="form-group">
+					<label htmlFor="verifyServerSeed">Server Seed</label>
+					<input
+						type="text"
+						id="verifyServerSeed"
+						name="serverSeed"
+						value={verifyForm.serverSeed}
+						onChange={handleVerifyChange}
+						required
+					/>
+				</div>
+				<div className="form-group">
+					<label htmlFor="verifyClientSeed">Client Seed</label>
+					<input
+						type="text"
+						id="verifyClientSeed"
+						name="clientSeed"
+						value={verifyForm.clientSeed}
+						onChange={handleVerifyChange}
+						required
+					/>
+				</div>
+				<div className="form-group">
+					<label htmlFor="verifyNonce">Nonce</label>
+					<input
+						type="number"
+						id="verifyNonce"
+						name="nonce"
+						min="0"
+						value={verifyForm.nonce}
+						onChange={handleVerifyChange}
+						required
+					/>
+				</div>
+				<button type="submit" className="btn btn-primary">
+					Verify
+				</button>
+			</form>
+
+			{verified && (
+				<p className="fair-result">
+					Outcome:{" "}
+					<strong>
+						{describeOutcome(verified.game, verified.outcome)}
+					</strong>
+					<br />
+					Server seed hash: {verified.serverSeedHash}
+				</p>
+			)}
+			{fairMessage && <p className="fair-message">{fairMessage}</p>}
+		</div>
+	);
+}
@@ -0,0 +1,141 @@
+/**
+ * Forgot Password Page Component
+ *
+ * First step of the password reset flow. The player enters the email they
+ * registered with and is mailed a link to choose a new password. The page
+ * shows the same reply whether or not the email is registered, so it
+ * cannot be used to find out who has an account.
+ *
+ * Features:
+ * - Email form with browser validation
+ * - Server confirmation shown in place of the form
+ * - Rate limit and validation errors shown to the user
+ * - Navigation back to login
+ *
+ * API Integration:
+ * - POST /auth/password-reset/request: { email }
+ *
+ * @component
+ * @author LuckyBet Inc.
+ * @version 1.0.0
+ */
+
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import "../styles/App.css";
+
+/**
+ * Forgot Password Page Component
+ *
+ * @returns {JSX.Element} The reset request form, or the confirmation once sent
+ */
+export default function ForgotPasswordPage() {
+	// ===================
+	// STATE DECLARATIONS
+	// ===================
+
+	/**
+	 * @type {string} Email address input value
+	 */
+	const [email, setEmail] = useState("");
+
+	/**
+	 * @type {string} Confirmation from the server once the link was requested
+	 */
+	const [sent, setSent] = useState("");
+
+	/**
+	 * @type {string} Error from the last request
+	 */
+	const [error, setError] = useState("");
+
+	/**
+	 * @type {boolean} Whether the request is in progress
+	 */
+	const [loading, setLoading] = useState(false);
+
+	// ===================
+	// EVENT HANDLERS
+	// ===================
+
+	/**
+	 * Asks the server to mail a password reset link
+	 *
+	 * @param {React.FormEvent<HTMLFormElement>} e - Form submission event
+	 */
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		setLoading(true);
+		setError("");
+
+		try {
+			const response = await fetch(
+				"http://localhost:3000/auth/password-reset/request",
+				{
+					method: "POST",
+					headers: { "Content-Type": "application/json" },
+					body: JSON.stringify({ email }),
+				}
+			);
+			const data = await response.json();
+
+			if (response.ok) {
+				setSent(data.message);
+			} else {
+				setError(data.message || "Failed to request a reset link");
+			}
+		} catch (err) {
+			console.error("Password reset request error:", err);
+			setError("Error connecting to server");
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	// ===================
+	// RENDER COMPONENT
+	// ===================
+
+	return (
+		<div className="container">
+			<div className="card">
+				<h2>Forgot Password</h2>
+
+				{sent ? (
+					<p role="status">{sent}</p>
+				) : (
+					<>
+						<p>We will email you a link to choose a new one</p>
+
+						<form onSubmit={handleSubmit}>
+							<input
+								type="email"
+								placeholder="youremail@gmail.com"
+								value={email}
+								onChange={(e) => setEmail(e.target.value)}
+								required
+								autoComplete="email"
+								aria-label="Email address"
+							/>
+
+							{error && (
+								<p className="form-error" role="alert">
+									{error}
+								</p>
+							)}
+
+							<button type="submit" disabled={loading}>
+								{loading ? "Sending..." : "Send Reset Link"}
+							</button>
+						</form>
+					</>
+				)}
+
+				{/* Navigation links */}
+				<div className="footer-links">
+					<Link to="/login">Back to Login</Link>
+				</div>
+			</div>
+		</div>
+	);
+}
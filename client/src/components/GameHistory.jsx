@@ -0,0 +1,281 @@
+/**
+ * Game History Component
+ *
+ * Displays a paginated, filterable list of the player's past game rounds
+ * inside the profile page.
+ *
+ * Features:
+ * - Filters by game type, result and date range
+ * - Paginated results (newest first)
+ * - Formatted bet/payout amounts and timestamps
+ * - Loading, error and empty states
+ *
+ * API Integration:
+ * - Fetches from GET /games/history
+ * - Query parameters: game, result, from, to, page, limit
+ * - Response: { payload: { rounds, page, limit, total } }
+ *
+ * @component
+ * @author LuckyBet Inc.
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+
+/**
+ * Number of rounds shown per page
+ */
+const PAGE_SIZE = 10;
+
+/**
+ * Human-readable names for each game type
+ */
+const GAME_LABELS = {
+	coinflip: "Coin Flip",
+	roulette: "Roulette",
+	blackjack: "Blackjack",
+};
+
+/**
+ * Game History Component
+ *
+ * @returns {JSX.Element} The game history section
+ */
+export default function GameHistory() {
+	// ===================
+	// STATE DECLARATIONS
+	// ===================
+
+	/**
+	 * @type {Object} Active filters
+	 * @property {string} game - Game type, or "" for all games
+	 * @property {string} result - "win", "loss", "push", or "" for all results
+	 * @property {string} from - Start date (YYYY-MM-DD), or ""
+	 * @property {string} to - End date (YYYY-MM-DD), or ""
+	 */
+	const [filters, setFilters] = useState({
+		game: "",
+		result: "",
+		from: "",
+		to: "",
+	});
+
+	/**
+	 * @type {number} Current page (1-based)
+	 */
+	const [page, setPage] = useState(1);
+
+	/**
+	 * @type {Array<Object>} Rounds on the current page
+	 */
+	const [rounds, setRounds] = useState([]);
+
+	/**
+	 * @type {number} Total number of rounds matching the filters
+	 */
+	const [total, setTotal] = useState(0);
+
+	/**
+	 * @type {boolean} Loading state indicator for API requests
+	 */
+	const [loading, setLoading] = useState(true);
+
+	/**
+	 * @type {string|null} Error message if API request fails
+	 */
+	const [error, setError] = useState(null);
+
+	// ===================
+	// API FUNCTIONS
+	// ===================
+
+	/**
+	 * Fetches the current page of history using the active filters
+	 *
+	 * @async
+	 * @returns {Promise<void>}
+	 */
+	const fetchHistory = useCallback(async () => {
+		const params = new URLSearchParams({ page, limit: PAGE_SIZE });
+
+		if (filters.game) params.set("game", filters.game);
+		if (filters.result) params.set("result", filters.result);
+		if (filters.from) params.set("from", filters.from);
+		// Include the whole "to" day
+		if (filters.to) params.set("to", `${filters.to}T23:59:59`);
+
+		try {
+			setLoading(true);
+			setError(null);
+
+			const response = await fetch(
+				`http://localhost:3000/games/history?${params}`,
+				{ credentials: "include" }
+			);
+			const data = await response.json();
+
+			if (response.ok) {
+				setRounds(data.payload.rounds);
+				setTotal(data.payload.total);
+			} else {
+				setError(data.message || "Failed to fetch game history");
+			}
+		} catch (err) {
+			console.error("Game history fetch error:", err);
+			setError("Error connecting to server");
+		} finally {
+			setLoading(false);
+		}
+	}, [filters, page]);
+
+	/**
+	 * Reload whenever the filters or page change
+	 */
+	useEffect(() => {
+		fetchHistory();
+	}, [fetchHistory]);
+
+	// ===================
+	// EVENT HANDLERS
+	// ===================
+
+	/**
+	 * Updates a filter and returns to the first page
+	 *
+	 * @param {React.ChangeEvent<HTMLInputElement|HTMLSelectElement>} e - Change event
+	 * @returns {void}
+	 */
+	const handleFilterChange = (e) => {
+		const { name, value } = e.target;
+		setFilters((prev) => ({ ...prev, [name]: value }));
+		setPage(1);
+	};
+
+	// ===================
+	// UTILITY FUNCTIONS
+	// ===================
+
+	/**
+	 * Formats an amount as US dollars
+	 *
+	 * @param {number|string} amount - Raw amount
+	 * @returns {string} Formatted currency string
+	 */
+	const formatAmount = (amount) => {
+		return new Intl.NumberFormat("en-US", {
+			style: "currency",
+			currency: "USD",
+		}).format(Number(amount));
+	};
+
+	const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+	// ===================
+	// RENDER COMPONENT
+	// ===================
+
+	return (
+		<div className="game-history">
+			{/* Filters */}
+			<div className="history-filters">
+				<select
+					name="game"
+					value={filters.game}
+					onChange={handleFilterChange}
+				>
+					<option value="">All games</option>
+					{Object.entries(GAME_LABELS).map(([value, label]) => (
+						<option key={value} value={value}>
+							{label}
+						</option>
+					))}
+				</select>
+
+				<select
+					name="result"
+					value={filters.result}
+					onChange={handleFilterChange}
+				>
+					<option value="">All results</option>
+					<option value="win">Wins</option>
+					<option value="loss">Losses</option>
+					<option value="push">Pushes</option>
+				</select>
+
+				<input
+					type="date"
+					name="from"
+					value={filters.from}
+					onChange={handleFilterChange}
+					aria-label="From date"
+				/>
+				<input
+					type="date"
+					name="to"
+					value={filters.to}
+					onChange={handleFilterChange}
+					aria-label="To date"
+				/>
+			</div>
+
+			{/* Results */}
+			{loading ? (
+				<p>Loading history...</p>
+			) : error ? (
+				<p className="history-error">❌ {error}</p>
+			) : rounds.length === 0 ? (
+				<p>No games found</p>
+			) : (
+				<table className="history-table">
+					<thead>
+						<tr>
+							<th>Date</th>
+							<th>Game</th>
+							<th>Bet</th>
+							<th>Payout</th>
+							<th>Result</th>
+						</tr>
+					</thead>
+					<tbody>
+						{rounds.map((round) => (
+							<tr key={round.id}>
+								<td>
+									{new Date(
+										round.created_at
+									).toLocaleString()}
+								</td>
+								<td>{GAME_LABELS[round.game] ?? round.game}</td>
+								<td>{formatAmount(round.bet)}</td>
+								<td>{formatAmount(round.payout)}</td>
+								<td className={`result-${round.result}`}>
+									{round.result.toUpperCase()}
+								</td>
+							</tr>
+						))}
+					</tbody>
+				</table>
+			)}
+
+			{/* Pagination */}
+			<div className="history-pagination">
+				<button
+					className="btn btn-outline"
+					onClick={() => setPage((p) => p - 1)}
+					disabled={page <= 1 || loading}
+				>
+					← Previous
+				</button>
+				<span>
+					Page {page} of {totalPages}
+				</span>
+				<button
+					className="btn btn-outline"
+					onClick={() => setPage((p) => p + 1)}
+					disabled={page >= totalPages || loading}
+				>
+					Next →
+				</button>
+			</div>
+		</div>
+	);
+}
@@ -1,37 +1,72 @@
 /**
  * Leaderboard Component
  *
- * Displays a ranked list of casino players based on their account balances.
- * Features real-time data fetching, loading states, error handling, and
- * formatted display with special recognition for top performers.
+ * Displays ranked lists of casino players built from their game rounds.
+ * Players pick which ranking to view and over which time window, page
+ * through the results, and see their own position even when they are
+ * not on the current page.
  *
  * Features:
- * - Real-time leaderboard data from server API
+ * - Tabs for net winnings, biggest single win, win rate and volume wagered
+ * - Daily, weekly and all-time windows
  * - Ranked display with medal icons for top 3 players
+ * - "Your position" row for the logged-in player
+ * - Pagination through the full ranking
+ * - Live refresh when the server pushes a "leaderboard" event
  * - Formatted currency display using Intl.NumberFormat
  * - Loading states with spinner animation
  * - Error handling with retry functionality
  * - Empty state handling for no data scenarios
- * - Responsive design with player information cards
  *
  * API Integration:
- * - Fetches from GET /leaderboard endpoint
- * - Expects array of player objects with id, username, email, balance
- * - Includes credentials for authenticated requests
+ * - Fetches from GET /leaderboard?type&period&page&limit
+ * - Response: { entries, total, viewer }
+ * - Entry: { rank, userId, username, rounds, wins, winRate, netWinnings, biggestWin, wagered }
+ * - Includes credentials so the server can return the viewer's own entry
  *
  * Ranking System:
- * - Players ranked by account balance (highest to lowest)
+ * - Players ranked by the selected statistic (highest to lowest)
+ * - Players with equal values share a rank
  * - Top 3 receive special visual treatment (medals)
  * - Remaining players show numerical rank
+ * - Win rate only ranks players with enough rounds in the window
+ *
+ * Privacy:
+ * - Only usernames are shown; the server never sends emails
  *
  * @component
  * @author LuckyBet Inc.
- * @version 1.0.0
+ * @version 2.0.0
  */
 
 // File: client/src/components/Leaderboard.jsx
-import React, { useState, useEffect } from "react";
-import "../styles/Leaderboard.css";
+import React, { useState, useEffect, useCallback, useContext } from "react";
+import { UserContext } from "./UserContext";
+import "../styles/LeaderBoard.css";
+
+/**
+ * Rankings the server can build, with the entry field each one shows
+ */
+const BOARDS = [
+	{ type: "net", label: "Net Winnings", field: "netWinnings" },
+	{ type: "biggest-win", label: "Biggest Win", field: "biggestWin" },
+	{ type: "win-rate", label: "Win Rate", field: "winRate" },
+	{ type: "wagered", label: "Wagered", field: "wagered" },
+];
+
+/**
+ * Time windows the rankings cover
+ */
+const PERIODS = [
+	{ period: "day", label: "Today" },
+	{ period: "week", label: "This Week" },
+	{ period: "all", label: "All Time" },
+];
+
+/**
+ * Number of players shown per page
+ */
+const PAGE_SIZE = 10;
 
 /**
  * Main Leaderboard Component
@@ -44,61 +79,71 @@ import "../styles/Leaderboard.css";
  */
 export default function Leaderboard() {
 	// ===================
-	// STATE DECLARATIONS
+	// CONTEXT & STATE
 	// ===================
 
 	/**
-	 * @type {Array<Object>} Array of player objects from leaderboard API
-	 * Each player object contains: { id, username, email, balance }
+	 * Bumped by UserContext whenever rankings may have moved
 	 */
-	const [leaderboardData, setLeaderboardData] = useState([]);
+	const { leaderboardVersion } = useContext(UserContext);
 
 	/**
-	 * @type {boolean} Loading state indicator for API requests
+	 * @type {string} Selected ranking, one of BOARDS' types
 	 */
-	const [loading, setLoading] = useState(true);
+	const [board, setBoard] = useState("net");
 
 	/**
-	 * @type {string|null} Error message if API request fails
+	 * @type {string} Selected time window, one of PERIODS' periods
 	 */
-	const [error, setError] = useState(null);
+	const [period, setPeriod] = useState("all");
 
-	// ===================
-	// LIFECYCLE EFFECTS
-	// ===================
+	/**
+	 * @type {number} Current page (1-based)
+	 */
+	const [page, setPage] = useState(1);
 
 	/**
-	 * Fetch leaderboard data on component mount
-	 * Automatically loads the latest ranking data when component initializes
+	 * @type {Array<Object>} Leaderboard entries on the current page
 	 */
-	useEffect(() => {
-		fetchLeaderboard();
-	}, []);
+	const [entries, setEntries] = useState([]);
+
+	/**
+	 * @type {number} Total number of ranked players
+	 */
+	const [total, setTotal] = useState(0);
+
+	/**
+	 * @type {Object|null} The logged-in player's own entry, if they are ranked
+	 */
+	const [viewer, setViewer] = useState(null);
+
+	/**
+	 * @type {boolean} Loading state indicator for API requests
+	 */
+	const [loading, setLoading] = useState(true);
+
+	/**
+	 * @type {string|null} Error message if API request fails
+	 */
+	const [error, setError] = useState(null);
 
 	// ===================
 	// API FUNCTIONS
 	// ===================
 
 	/**
-	 * Fetches leaderboard data from the server API
+	 * Fetches the current page of the selected leaderboard
 	 *
 	 * Process:
 	 * 1. Sets loading state to true
-	 * 2. Makes authenticated GET request to leaderboard endpoint
-	 * 3. Processes response and updates state accordingly
-	 * 4. Handles both success and error scenarios
-	 * 5. Always clears loading state when complete
+	 * 2. Makes GET request with the selected ranking, window and page
+	 * 3. Stores the entries, total and the viewer's own entry
+	 * 4. Always clears loading state when complete
 	 *
 	 * API Contract:
-	 * - Endpoint: GET /leaderboard
-	 * - Authentication: Required (credentials: include)
-	 * - Response: { payload: Array<PlayerObject> }
-	 * - PlayerObject: { id, username, email, balance }
-	 *
-	 * Error Handling:
-	 * - Network errors: Connection issues, timeout
-	 * - HTTP errors: 4xx/5xx response codes
-	 * - Data errors: Missing or malformed payload
+	 * - Endpoint: GET /leaderboard?type&period&page&limit
+	 * - Authentication: Optional (credentials: include adds the viewer row)
+	 * - Response: { payload: { entries, total, viewer } }
 	 *
 	 * @async
 	 * @returns {Promise<void>}
@@ -106,21 +151,33 @@ export default function Leaderboard() {
 	 * @example
 	 * fetchLeaderboard(); // Loads fresh leaderboard data
 	 */
-	const fetchLeaderboard = async () => {
+	const fetchLeaderboard = useCallback(async () => {
+		const params = new URLSearchParams({
+			type: board,
+			period,
+			page,
+			limit: PAGE_SIZE,
+		});
+
 		try {
 			setLoading(true);
 			setError(null); // Clear previous errors
 
-			const response = await fetch("http://localhost:3000/leaderboard", {
-				method: "GET",
-				credentials: "include", // Include session cookies for authentication
-			});
+			const response = await fetch(
+				`http://localhost:3000/leaderboard?${params}`,
+				{
+					method: "GET",
+					credentials: "include", // Lets the server find the viewer's entry
+				}
+			);
 
 			const data = await response.json();
 
 			if (response.ok) {
 				// Success: Update leaderboard data
-				setLeaderboardData(data.payload || []);
+				setEntries(data.payload.entries);
+				setTotal(data.payload.total);
+				setViewer(data.payload.viewer);
 			} else {
 				// HTTP error: Display server error message
 				setError(data.message || "Failed to fetch leaderboard");
@@ -133,6 +190,43 @@ export default function Leaderboard() {
 			// Always clear loading state
 			setLoading(false);
 		}
+	}, [board, period, page]);
+
+	// ===================
+	// LIFECYCLE EFFECTS
+	// ===================
+
+	/**
+	 * Reload whenever the ranking, window or page change, or new rounds are played
+	 */
+	useEffect(() => {
+		fetchLeaderboard();
+	}, [fetchLeaderboard, leaderboardVersion]);
+
+	// ===================
+	// EVENT HANDLERS
+	// ===================
+
+	/**
+	 * Switches to another ranking and returns to the first page
+	 *
+	 * @param {string} type - Ranking to show
+	 * @returns {void}
+	 */
+	const selectBoard = (type) => {
+		setBoard(type);
+		setPage(1);
+	};
+
+	/**
+	 * Switches to another time window and returns to the first page
+	 *
+	 * @param {string} value - Time window to show
+	 * @returns {void}
+	 */
+	const selectPeriod = (value) => {
+		setPeriod(value);
+		setPage(1);
 	};
 
 	// ===================
@@ -169,55 +263,99 @@ export default function Leaderboard() {
 	};
 
 	/**
-	 * Formats balance amount as localized currency
+	 * Formats an amount as localized currency
 	 *
-	 * Uses Intl.NumberFormat for consistent, localized currency display:
-	 * - Currency: USD ($)
-	 * - Locale: en-US (American English)
-	 * - Includes currency symbol and proper comma separators
-	 * - Handles decimal places automatically
-	 *
-	 * @param {number} balance - Raw balance amount in dollars
+	 * @param {number} amount - Raw amount in dollars
 	 * @returns {string} Formatted currency string
 	 *
 	 * @example
-	 * formatBalance(1234.56); // Returns "$1,234.56"
-	 * formatBalance(1000000);  // Returns "$1,000,000.00"
+	 * formatAmount(1234.56); // Returns "$1,234.56"
 	 */
-	const formatBalance = (balance) => {
+	const formatAmount = (amount) => {
 		return new Intl.NumberFormat("en-US", {
 			style: "currency",
 			currency: "USD",
-		}).format(balance);
+		}).format(amount);
 	};
 
+	/**
+	 * Formats the statistic the selected ranking is ordered by
+	 *
+	 * @param {Object} entry - Leaderboard entry
+	 * @returns {string} Percentage for win rate, currency otherwise
+	 *
+	 * @example
+	 * formatValue({ winRate: 0.4125 }); // Returns "41.3%" on the win rate board
+	 */
+	const formatValue = (entry) => {
+		const { field } = BOARDS.find((b) => b.type === board);
+
+		return field === "winRate"
+			? `${(entry.winRate * 100).toFixed(1)}%`
+			: formatAmount(entry[field]);
+	};
+
+	const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
 	// ===================
-	// CONDITIONAL RENDERS
+	// RENDER HELPERS
 	// ===================
 
 	/**
-	 * Loading State Render
-	 * Shows spinner animation and loading message while fetching data
+	 * Renders one player's row
+	 *
+	 * Layout Structure:
+	 * - Left: Rank indicator
+	 * - Center: Player info (name + rounds played)
+	 * - Right: The ranked statistic
+	 *
+	 * @param {Object} entry - Leaderboard entry
+	 * @param {string} [className] - Extra class for the row
+	 * @returns {JSX.Element} The player row
 	 */
-	if (loading) {
-		return (
-			<div className="leaderboard-content">
+	const renderEntry = (entry, className = "") => (
+		<div
+			key={entry.userId}
+			className={`leaderboard-item ${
+				entry.rank <= 3 ? "top-three" : ""
+			} ${className}`}
+		>
+			{/* Rank display section */}
+			<div className="rank">{getRankIcon(entry.rank)}</div>
+
+			{/* Player information section */}
+			<div className="player-info">
+				<div className="player-name">
+					{entry.username || "Anonymous"}
+				</div>
+				<div className="player-stats">
+					{entry.rounds} rounds · {entry.wins} wins
+				</div>
+			</div>
+
+			{/* Ranked statistic section */}
+			<div className="player-balance">{formatValue(entry)}</div>
+		</div>
+	);
+
+	/**
+	 * Renders the list for the current state: loading, error, empty or entries
+	 *
+	 * @returns {JSX.Element} The list area
+	 */
+	const renderList = () => {
+		if (loading) {
+			return (
 				<div className="loading">
 					{/* CSS-animated spinner for visual feedback */}
 					<div className="spinner"></div>
 					<p>Loading leaderboard...</p>
 				</div>
-			</div>
-		);
-	}
+			);
+		}
 
-	/**
-	 * Error State Render
-	 * Displays error message with retry functionality when API fails
-	 */
-	if (error) {
-		return (
-			<div className="leaderboard-content">
+		if (error) {
+			return (
 				<div className="error">
 					<p>❌ {error}</p>
 					{/* Retry button to attempt data fetch again */}
@@ -225,83 +363,94 @@ export default function Leaderboard() {
 						Try Again
 					</button>
 				</div>
-			</div>
-		);
-	}
+			);
+		}
 
-	/**
-	 * Empty State Render
-	 * Shows message when no players exist in the system
-	 */
-	if (leaderboardData.length === 0) {
-		return (
-			<div className="leaderboard-content">
+		if (entries.length === 0) {
+			return (
 				<div className="no-data">
-					<p>No players found</p>
+					<p>No players ranked yet</p>
 				</div>
+			);
+		}
+
+		return (
+			<div className="leaderboard-list">
+				{entries.map((entry) => renderEntry(entry))}
 			</div>
 		);
-	}
+	};
 
 	// ===================
 	// MAIN RENDER
 	// ===================
 
-	/**
-	 * Main Leaderboard Render
-	 * Displays the complete ranked list of players with their information
-	 */
 	return (
 		<div className="leaderboard-content">
-			<div className="leaderboard-list">
-				{leaderboardData.map((player, index) => {
-					// Calculate rank (index is 0-based, rank is 1-based)
-					const rank = index + 1;
-					const isTopThree = rank <= 3;
-
-					return (
-						/**
-						 * Individual Player Card
-						 *
-						 * Features:
-						 * - Unique key for React optimization
-						 * - Special styling for top 3 players
-						 * - Rank display with icons/numbers
-						 * - Player information (name, email)
-						 * - Formatted balance display
-						 *
-						 * Layout Structure:
-						 * - Left: Rank indicator
-						 * - Center: Player info (name + email)
-						 * - Right: Balance amount
-						 */
-						<div
-							key={player.id || index} // Prefer unique ID, fallback to index
-							className={`leaderboard-item ${
-								isTopThree ? "top-three" : ""
-							}`}
-						>
-							{/* Rank display section */}
-							<div className="rank">{getRankIcon(rank)}</div>
-
-							{/* Player information section */}
-							<div className="player-info">
-								<div className="player-name">
-									{player.username || "Anonymous"}
-								</div>
-								<div className="player-email">
-									{player.email}
-								</div>
-							</div>
-
-							{/* Balance display section */}
-							<div className="player-balance">
-								{formatBalance(player.balance)}
-							</div>
-						</div>
-					);
-				})}
+			{/* Ranking tabs */}
+			<div className="leaderboard-tabs" role="tablist">
+				{BOARDS.map(({ type, label }) => (
+					<button
+						key={type}
+						role="tab"
+						aria-selected={board === type}
+						className={`leaderboard-tab ${
+							board === type ? "active" : ""
+						}`}
+						onClick={() => selectBoard(type)}
+					>
+						{label}
+					</button>
+				))}
+			</div>
+
+			{/* Time window tabs */}
+			<div className="leaderboard-periods">
+				{PERIODS.map(({ period: value, label }) => (
+					<button
+						key={value}
+						className={`leaderboard-period ${
+							period === value ? "active" : ""
+						}`}
+						onClick={() => selectPeriod(value)}
+					>
+						{label}
+					</button>
+				))}
 			</div>
+
+			{renderList()}
+
+			{/* The viewer's own position */}
+			{viewer && !loading && (
+				<div className="leaderboard-viewer">
+					<h4>Your Position</h4>
+					{renderEntry(viewer, "viewer")}
+				</div>
+			)}
+
+			{/* Pagination */}
+			{totalPages > 1 && (
+				<div className="leaderboard-pagination">
+					<button
+						className="btn btn-outline"
+						onClick={() => setPage((p) => p - 1)}
+						disabled={page <= 1 || loading}
+					>
+						← Previous
+					</button>
+					<span>
+						Page {page} of {totalPages}
+					</span>
+					<button
+						className="btn btn-outline"
+						onClick={() => setPage((p) => p + 1)}
+						disabled={page >= totalPages || loading}
+					>
+						Next →
+					</button>
+				</div>
+			)}
 		</div>
 	);
 }
@@ -0,0 +1,127 @@
+/**
+ * Play Reminder Component
+ *
+ * Shown at the top of every game page. Reminds players how long they have
+ * been playing at the interval they chose on the profile page, and tells
+ * self-excluded players why their bets are refused.
+ *
+ * Features:
+ * - "You've played 60 minutes" reminder at every chosen interval
+ * - Dismissable until the next interval comes around
+ * - Self-exclusion notice with its end date
+ *
+ * API Integration:
+ * - GET /responsible-play: { limits: { reminderMinutes }, excludedUntil, sessionStartedAt }
+ *
+ * @component
+ * @author LuckyBet Inc.
+ * @version 1.0.0
+ */
+
+import React, { useEffect, useState } from "react";
+import "../styles/PlayReminder.css";
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Play Reminder Component
+ *
+ * @returns {JSX.Element|null} The reminder banner, or nothing to remind of
+ */
+export default function PlayReminder() {
+	// ===================
+	// STATE
+	// ===================
+
+	/**
+	 * @type {Object|null} { startedAt, reminderMinutes, excludedUntil }
+	 */
+	const [settings, setSettings] = useState(null);
+
+	/**
+	 * @type {number} Whole minutes played when the last reminder was due
+	 */
+	const [playedMinutes, setPlayedMinutes] = useState(0);
+
+	/**
+	 * @type {number} The reminder the player dismissed, in minutes played
+	 */
+	const [dismissed, setDismissed] = useState(0);
+
+	// ===================
+	// LIFECYCLE EFFECTS
+	// ===================
+
+	/**
+	 * Loads the session start and reminder interval once
+	 */
+	useEffect(() => {
+		fetch("http://localhost:3000/responsible-play", {
+			credentials: "include",
+		})
+			.then((r) => r.json())
+			.then((data) => {
+				if (!data.payload) return;
+				setSettings({
+					startedAt: new Date(
+						data.payload.sessionStartedAt
+					).getTime(),
+					reminderMinutes: data.payload.limits.reminderMinutes,
+					excludedUntil: data.payload.excludedUntil,
+				});
+			})
+			.catch((err) => console.error("Play reminder fetch error:", err));
+	}, []);
+
+	/**
+	 * Schedules the next reminder, and the one after that once it shows
+	 */
+	useEffect(() => {
+		if (!settings?.reminderMinutes) return;
+
+		const interval = settings.reminderMinutes * MINUTE;
+		const elapsed = Date.now() - settings.startedAt;
+		const reminders = Math.floor(elapsed / interval);
+
+		setPlayedMinutes(reminders * settings.reminderMinutes);
+
+		const timer = setTimeout(
+			() => setSettings((prev) => ({ ...prev })),
+			(reminders + 1) * interval - elapsed
+		);
+		return () => clearTimeout(timer);
+	}, [settings]);
+
+	// ===================
+	// RENDER
+	// ===================
+
+	if (settings?.excludedUntil) {
+		return (
+			<div className="play-reminder excluded" role="alert">
+				🚫 You are self-excluded until{" "}
+				{new Date(settings.excludedUntil).toLocaleString()}. Bets are
+				blocked until then.
+			</div>
+		);
+	}
+
+	if (playedMinutes === 0 || playedMinutes === dismissed) return null;
+
+	return (
+		<div className="play-reminder" role="status">
+			<span>
+				⏰ You've played {playedMinutes} minutes this session. Consider
+				taking a break.
+			</span>
+			<button
+				className="close-btn"
+				onClick={() => setDismissed(playedMinutes)}
+				aria-label="Dismiss reminder"
+				title="Dismiss"
+			>
+				×
+			</button>
+		</div>
+	);
+}
@@ -3,14 +3,23 @@
  *
  * A comprehensive user profile interface for the LuckyBet casino application
  * that provides account management functionality including profile viewing,
- * balance management, password updates, daily bonus claiming, and logout.
+ * balance display, password updates, daily bonus claiming, and logout.
  *
  * Features:
  * - Read-only profile information display (username, email)
- * - Real-time balance display with manual balance update capability
- * - Daily bonus system with claim functionality (+1000 coins)
+ * - Email verification status with a resend link option
+ * - Email change confirmed through a link mailed to the new address
+ * - Real-time balance display
+ * - Daily bonus with streak badge and countdown to the next claim
  * - Secure password change with validation and confirmation
+ * - Game history with filters and pagination
+ * - Achievement badge wall with unlock dates and rewards
+ * - Provably fair seeds, seed rotation and outcome verification
+ * - Loss and wager limits, play reminders and self-exclusion
  * - Session management with logout functionality
+ * - Active sessions and login history, with per-session and global logout
+ * - Personal data export as a JSON download
+ * - Account deletion confirmed by re-entering the password
  * - User-friendly messaging system for feedback
  * - Form validation and error handling
  * - Authentication guard (redirects to login if not authenticated)
@@ -38,13 +47,19 @@
 import React, { useContext, useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { UserContext } from "./UserContext";
+import GameHistory from "./GameHistory";
+import DailyBonus from "./DailyBonus";
+import FairnessPanel from "./FairnessPanel";
+import AchievementWall from "./AchievementWall";
+import ResponsiblePlay from "./ResponsiblePlay";
+import AccountSecurity from "./AccountSecurity";
 import "../styles/Profile.css";
 
 /**
  * Main Profile Management Component
  *
  * Provides a comprehensive interface for users to manage their account
- * settings, view profile information, update balance, change passwords,
+ * settings, view profile information and balance, change passwords,
  * claim daily bonuses, and logout from the application.
  *
  * @returns {JSX.Element} The complete profile management interface
@@ -56,9 +71,9 @@ export default function Profile() {
 
 	/**
 	 * User context providing authenticated user data and update functions
-	 * Contains user profile, balance update function, and user setter
+	 * Contains user profile and user setter
 	 */
-	const { user, updateBalance, setUser } = useContext(UserContext);
+	const { user, setUser } = useContext(UserContext);
 
 	/**
 	 * React Router navigation hook for programmatic routing
@@ -71,15 +86,13 @@ export default function Profile() {
 	// ===================
 
 	/**
-	 * @type {Object} Form data for profile information display and balance updates
+	 * @type {Object} Form data for profile information display
 	 * @property {string} username - User's display name
 	 * @property {string} email - User's email address
-	 * @property {number} balance - User's account balance
 	 */
 	const [formData, setFormData] = useState({
 		username: "",
 		email: "",
-		balance: 0,
 	});
 
 	/**
@@ -94,6 +107,26 @@ export default function Profile() {
 		confirmPassword: "",
 	});
 
+	/**
+	 * @type {boolean} Controls visibility of email change form
+	 */
+	const [showEmailForm, setShowEmailForm] = useState(false);
+
+	/**
+	 * @type {string} New email address to change to
+	 */
+	const [newEmail, setNewEmail] = useState("");
+
+	/**
+	 * @type {boolean} Controls visibility of account deletion form
+	 */
+	const [showDeleteForm, setShowDeleteForm] = useState(false);
+
+	/**
+	 * @type {string} Password re-entered to confirm account deletion
+	 */
+	const [deletePassword, setDeletePassword] = useState("");
+
 	/**
 	 * @type {boolean} Controls visibility of password change form
 	 */
@@ -114,17 +147,6 @@ export default function Profile() {
 	 */
 	const [messageType, setMessageType] = useState("");
 
-	// Daily bonus system state
-	/**
-	 * @type {boolean} Whether daily bonus has been claimed today
-	 */
-	const [bonusClaimed, setBonusClaimed] = useState(false);
-
-	/**
-	 * @type {string} Daily bonus feedback message
-	 */
-	const [bonusMessage, setBonusMessage] = useState("");
-
 	// ===================
 	// LIFECYCLE EFFECTS
 	// ===================
@@ -150,7 +172,6 @@ export default function Profile() {
 		setFormData({
 			username: user.username || "",
 			email: user.email || "",
-			balance: user.balance || 0,
 		});
 	}, [user, navigate]);
 
@@ -171,7 +192,7 @@ export default function Profile() {
 	 * @returns {void}
 	 *
 	 * @example
-	 * showMessage("Balance updated successfully!", "success");
+	 * showMessage("Password changed successfully!", "success");
 	 * showMessage("Invalid password", "error");
 	 */
 	const showMessage = (msg, type) => {
@@ -189,21 +210,6 @@ export default function Profile() {
 	// FORM HANDLERS
 	// ===================
 
-	/**
-	 * Handles input changes for profile form fields
-	 * Updates formData state with new values from form inputs
-	 *
-	 * @param {React.ChangeEvent<HTMLInputElement>} e - Input change event
-	 * @returns {void}
-	 */
-	const handleInputChange = (e) => {
-		const { name, value } = e.target;
-		setFormData((prev) => ({
-			...prev,
-			[name]: value,
-		}));
-	};
-
 	/**
 	 * Handles input changes for password form fields
 	 * Updates passwordData state with new values from password inputs
@@ -223,69 +229,6 @@ export default function Profile() {
 	// API FUNCTIONS
 	// ===================
 
-	/**
-	 * Updates user's account balance via API
-	 *
-	 * Process:
-	 * 1. Validates balance input (numeric, non-negative)
-	 * 2. Sends PUT request to update balance endpoint
-	 * 3. Updates global user context with new balance
-	 * 4. Displays success/error feedback to user
-	 *
-	 * Validation:
-	 * - Must be a valid number
-	 * - Must be non-negative (>= 0)
-	 * - Decimal precision supported
-	 *
-	 * @param {React.FormEvent<HTMLFormElement>} e - Form submission event
-	 * @returns {Promise<void>}
-	 *
-	 * @example
-	 * // User enters "1500.50" in balance field and submits
-	 * // Function validates, sends to API, updates context
-	 */
-	const updateBalanceHandler = async (e) => {
-		e.preventDefault();
-		const balance = Number(formData.balance);
-
-		// Validate balance input
-		if (isNaN(balance) || balance < 0) {
-			showMessage("Invalid balance amount", "error");
-			return;
-		}
-
-		setLoading(true);
-
-		try {
-			const response = await fetch("http://localhost:3000/user/balance", {
-				method: "POST",
-				headers: {
-					"Content-Type": "application/json",
-				},
-				credentials: "include", // Include session cookies
-				body: JSON.stringify({ balance }),
-			});
-
-			const data = await response.json();
-
-			if (response.ok) {
-				// Update global user context
-				updateBalance(data.payload.balance);
-				showMessage("Balance updated successfully!", "success");
-			} else {
-				showMessage(
-					data.message || "Failed to update balance",
-					"error"
-				);
-			}
-		} catch (error) {
-			console.error("Balance update error:", error);
-			showMessage("Error connecting to server", "error");
-		} finally {
-			setLoading(false);
-		}
-	};
-
 	/**
 	 * Updates user's password with security validation
 	 *
@@ -367,6 +310,156 @@ export default function Profile() {
 		}
 	};
 
+	/**
+	 * Mails the user a new link to verify their email address
+	 *
+	 * @returns {Promise<void>}
+	 */
+	const resendVerification = async () => {
+		setLoading(true);
+
+		try {
+			const response = await fetch(
+				"http://localhost:3000/auth/verify-email/resend",
+				{
+					method: "POST",
+					credentials: "include", // Include session cookies
+				}
+			);
+			const data = await response.json();
+
+			showMessage(data.message, response.ok ? "success" : "error");
+		} catch (error) {
+			console.error("Verification resend error:", error);
+			showMessage("Error connecting to server", "error");
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	/**
+	 * Requests an email change. The email only changes once the user
+	 * follows the link mailed to the new address.
+	 *
+	 * @param {React.FormEvent<HTMLFormElement>} e - Form submission event
+	 * @returns {Promise<void>}
+	 */
+	const requestEmailChange = async (e) => {
+		e.preventDefault();
+		setLoading(true);
+
+		try {
+			const response = await fetch("http://localhost:3000/user/profile", {
+				method: "PUT",
+				headers: {
+					"Content-Type": "application/json",
+				},
+				credentials: "include", // Include session cookies
+				body: JSON.stringify({ email: newEmail }),
+			});
+			const data = await response.json();
+
+			if (response.ok) {
+				setNewEmail("");
+				setShowEmailForm(false);
+				showMessage(data.message, "success");
+			} else {
+				showMessage(data.message || "Failed to change email", "error");
+			}
+		} catch (error) {
+			console.error("Email change error:", error);
+			showMessage("Error connecting to server", "error");
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	/**
+	 * Downloads everything kept about the user as a JSON file
+	 *
+	 * Process:
+	 * 1. Fetches the export from the server
+	 * 2. Wraps it in a Blob and clicks a temporary download link
+	 *
+	 * @returns {Promise<void>}
+	 */
+	const exportData = async () => {
+		setLoading(true);
+
+		try {
+			const response = await fetch("http://localhost:3000/user/export", {
+				credentials: "include", // Include session cookies
+			});
+			const data = await response.json();
+
+			if (!response.ok) {
+				showMessage(data.message || "Failed to export data", "error");
+				return;
+			}
+
+			const blob = new Blob([JSON.stringify(data.payload, null, 2)], {
+				type: "application/json",
+			});
+			const url = URL.createObjectURL(blob);
+			const link = document.createElement("a");
+			link.href = url;
+			link.download = `luckybet-export-${user.id}.json`;
+			link.click();
+			URL.revokeObjectURL(url);
+		} catch (error) {
+			console.error("Data export error:", error);
+			showMessage("Error connecting to server", "error");
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	/**
+	 * Deletes the user's account after they re-enter their password
+	 * and confirm, then leaves like logging out does
+	 *
+	 * @param {React.FormEvent<HTMLFormElement>} e - Form submission event
+	 * @returns {Promise<void>}
+	 */
+	const deleteAccount = async (e) => {
+		e.preventDefault();
+
+		const confirmed = window.confirm(
+			"Your account, balance, game history and transactions will be " +
+				"deleted for good. Continue?"
+		);
+		if (!confirmed) return;
+
+		setLoading(true);
+
+		try {
+			const response = await fetch("http://localhost:3000/user", {
+				method: "DELETE",
+				headers: {
+					"Content-Type": "application/json",
+				},
+				credentials: "include", // Include session cookies
+				body: JSON.stringify({ password: deletePassword }),
+			});
+			const data = await response.json();
+
+			if (response.ok) {
+				setUser(null);
+				window.location.href = "/"; // Force page reload to clear all state
+			} else {
+				showMessage(
+					data.message || "Failed to delete account",
+					"error"
+				);
+			}
+		} catch (error) {
+			console.error("Account deletion error:", error);
+			showMessage("Error connecting to server", "error");
+		} finally {
+			setLoading(false);
+		}
+	};
+
 	/**
 	 * Logs out the user and redirects to home page
 	 *
@@ -403,55 +496,6 @@ export default function Profile() {
 		}
 	};
 
-	/**
-	 * Claims daily bonus for the user
-	 *
-	 * Daily Bonus System:
-	 * - Awards +1000 coins once per day
-	 * - Tracks claim status to prevent multiple claims
-	 * - Updates user balance in global context
-	 * - Provides feedback on claim status
-	 *
-	 * Error Handling:
-	 * - 403 status: Bonus already claimed (disables button)
-	 * - Network errors: Connection error message
-	 * - Other errors: Generic error handling
-	 *
-	 * @returns {Promise<void>}
-	 *
-	 * @example
-	 * claimBonus(); // Awards 1000 coins and updates balance
-	 */
-	const claimBonus = async () => {
-		try {
-			const res = await fetch("http://localhost:5173/bonus", {
-				method: "POST",
-				credentials: "include",
-			});
-
-			const data = await res.json();
-
-			if (res.ok) {
-				// Successful bonus claim
-				setBonusClaimed(true);
-				setUser((prev) => ({
-					...prev,
-					balance: data.payload.newBalance,
-				}));
-				setBonusMessage("Daily bonus claimed! +1000 coins");
-			} else {
-				// Handle various error scenarios
-				setBonusMessage(data.message || "Bonus already claimed");
-				if (res.status === 403) {
-					setBonusClaimed(true); // Disable button if already claimed
-				}
-			}
-		} catch (error) {
-			console.error("Bonus claim error:", error);
-			setBonusMessage("Error connecting to server");
-		}
-	};
-
 	// Early return for loading state
 	if (!user) {
 		return <div>Loading...</div>;
@@ -512,6 +556,72 @@ export default function Profile() {
 								/>
 							</div>
 						</form>
+
+						{/* Email Verification Status */}
+						{user.emailVerifiedAt ? (
+							<p className="email-status verified">
+								✓ Email verified
+							</p>
+						) : (
+							<div className="email-status">
+								<p>
+									Your email is not verified yet. Follow the
+									link we sent you.
+								</p>
+								<button
+									className="btn btn-outline"
+									onClick={resendVerification}
+									disabled={loading}
+								>
+									Resend Verification Link
+								</button>
+							</div>
+						)}
+
+						{/* Email Change Form */}
+						{!showEmailForm ? (
+							<button
+								className="btn btn-outline"
+								onClick={() => setShowEmailForm(true)}
+							>
+								Change Email
+							</button>
+						) : (
+							<form onSubmit={requestEmailChange}>
+								<div className="form-group">
+									<label htmlFor="newEmail">New Email</label>
+									<input
+										type="email"
+										id="newEmail"
+										name="newEmail"
+										value={newEmail}
+										onChange={(e) =>
+											setNewEmail(e.target.value)
+										}
+										required
+									/>
+								</div>
+								<div className="form-actions">
+									<button
+										type="submit"
+										className="btn btn-primary"
+										disabled={loading}
+									>
+										Send Confirmation Link
+									</button>
+									<button
+										type="button"
+										className="btn btn-outline"
+										onClick={() => {
+											setShowEmailForm(false);
+											setNewEmail("");
+										}}
+									>
+										Cancel
+									</button>
+								</div>
+							</form>
+						)}
 					</div>
 
 					{/* Account Balance Section */}
@@ -522,43 +632,38 @@ export default function Profile() {
 						</div>
 
 						{/* Daily Bonus Feature */}
-						<button
-							className="btn btn-primary"
-							onClick={claimBonus}
-							disabled={bonusClaimed}
-							style={{ marginTop: "1rem" }}
-						>
-							{bonusClaimed
-								? "Bonus already claimed"
-								: "Claim Daily Bonus (+1000 coins)"}
-						</button>
-						{bonusMessage && (
-							<p className="bonus-message">{bonusMessage}</p>
-						)}
+						<DailyBonus />
 
-						{/* Manual Balance Update Form */}
-						<form onSubmit={updateBalanceHandler}>
-							<div className="form-group">
-								<label htmlFor="balance">Set New Balance</label>
-								<input
-									type="number"
-									id="balance"
-									name="balance"
-									value={formData.balance}
-									onChange={handleInputChange}
-									min="0"
-									step="0.01"
-									placeholder="Enter new balance"
-								/>
-							</div>
-							<button
-								type="submit"
-								className="btn btn-secondary"
-								disabled={loading}
-							>
-								{loading ? "Updating..." : "Update Balance"}
-							</button>
-						</form>
+					</div>
+
+					{/* Game History Section */}
+					<div className="profile-section">
+						<h2>Game History</h2>
+						<GameHistory />
+					</div>
+
+					{/* Achievements Section */}
+					<div className="profile-section">
+						<h2>Achievements</h2>
+						<AchievementWall />
+					</div>
+
+					{/* Provably Fair Section */}
+					<div className="profile-section">
+						<h2>Provably Fair</h2>
+						<FairnessPanel />
+					</div>
+
+					{/* Responsible Play Section */}
+					<div className="profile-section">
+						<h2>Responsible Play</h2>
+						<ResponsiblePlay />
+					</div>
+
+					{/* Security Section */}
+					<div className="profile-section">
+						<h2>Security</h2>
+						<AccountSecurity />
 					</div>
 
 					{/* Password Management Section */}
@@ -655,9 +760,76 @@ export default function Profile() {
 					{/* Account Actions Section */}
 					<div className="profile-section">
 						<h2>Account Actions</h2>
-						<button className="btn btn-danger" onClick={logout}>
-							Logout
-						</button>
+						<div className="form-actions">
+							<button className="btn btn-danger" onClick={logout}>
+								Logout
+							</button>
+							<button
+								className="btn btn-outline"
+								onClick={exportData}
+								disabled={loading}
+							>
+								Download My Data
+							</button>
+							{!showDeleteForm && (
+								<button
+									className="btn btn-outline"
+									onClick={() => setShowDeleteForm(true)}
+								>
+									Delete Account
+								</button>
+							)}
+						</div>
+
+						{/* Account Deletion Form */}
+						{showDeleteForm && (
+							<form
+								className="delete-account"
+								onSubmit={deleteAccount}
+							>
+								<p>
+									Deleting your account removes your balance,
+									game history and transactions for good.
+									Download your data first if you want to keep
+									it.
+								</p>
+								<div className="form-group">
+									<label htmlFor="deletePassword">
+										Password
+									</label>
+									<input
+										type="password"
+										id="deletePassword"
+										name="deletePassword"
+										value={deletePassword}
+										onChange={(e) =>
+											setDeletePassword(e.target.value)
+										}
+										required
+										autoComplete="current-password"
+									/>
+								</div>
+								<div className="form-actions">
+									<button
+										type="submit"
+										className="btn btn-danger"
+										disabled={loading}
+									>
+										Delete My Account
+									</button>
+									<button
+										type="button"
+										className="btn btn-outline"
+										onClick={() => {
+											setShowDeleteForm(false);
+											setDeletePassword("");
+										}}
+									>
+										Cancel
+									</button>
+								</div>
+							</form>
+						)}
 					</div>
 				</div>
 			</div>
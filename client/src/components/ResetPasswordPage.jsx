@@ -0,0 +1,195 @@
+/**
+ * Reset Password Page Component
+ *
+ * Second step of the password reset flow, opened from the link mailed by
+ * the forgot password page. The token in the link lets the player choose
+ * a new password once; afterwards they are logged out everywhere and log
+ * in again with the new password.
+ *
+ * Features:
+ * - New password form with confirmation
+ * - Client-side match and length checks
+ * - Clear error for used or expired links, with a way to request a new one
+ * - Navigation to login once the password is reset
+ *
+ * API Integration:
+ * - POST /auth/password-reset: { token, password }
+ *
+ * @component
+ * @author LuckyBet Inc.
+ * @version 1.0.0
+ */
+
+import React, { useContext, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { UserContext } from "./UserContext";
+import "../styles/App.css";
+
+/**
+ * Reset Password Page Component
+ *
+ * @returns {JSX.Element} The new password form, or the outcome of the reset
+ */
+export default function ResetPasswordPage() {
+	// ===================
+	// HOOKS & CONTEXT
+	// ===================
+
+	/**
+	 * @type {string|null} Token from the mailed link
+	 */
+	const token = useSearchParams()[0].get("token");
+
+	/**
+	 * Cleared once the reset logs the player out everywhere
+	 */
+	const { setUser } = useContext(UserContext);
+
+	// ===================
+	// STATE DECLARATIONS
+	// ===================
+
+	/**
+	 * @type {string} New password input value
+	 */
+	const [password, setPassword] = useState("");
+
+	/**
+	 * @type {string} Confirmation of the new password
+	 */
+	const [confirmPassword, setConfirmPassword] = useState("");
+
+	/**
+	 * @type {boolean} Whether the password was reset
+	 */
+	const [done, setDone] = useState(false);
+
+	/**
+	 * @type {string} Error from the last attempt
+	 */
+	const [error, setError] = useState("");
+
+	/**
+	 * @type {boolean} Whether the request is in progress
+	 */
+	const [loading, setLoading] = useState(false);
+
+	// ===================
+	// EVENT HANDLERS
+	// ===================
+
+	/**
+	 * Sets the new password with the token from the link
+	 *
+	 * @param {React.FormEvent<HTMLFormElement>} e - Form submission event
+	 */
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+
+		if (password !== confirmPassword) {
+			setError("Passwords don't match");
+			return;
+		}
+		if (password.length < 6) {
+			setError("Password must be at least 6 characters");
+			return;
+		}
+
+		setLoading(true);
+		setError("");
+
+		try {
+			const response = await fetch(
+				"http://localhost:3000/auth/password-reset",
+				{
+					method: "POST",
+					headers: { "Content-Type": "application/json" },
+					credentials: "include",
+					body: JSON.stringify({ token, password }),
+				}
+			);
+			const data = await response.json();
+
+			if (response.ok) {
+				setUser(null);
+				setDone(true);
+			} else {
+				setError(data.message || "Failed to reset password");
+			}
+		} catch (err) {
+			console.error("Password reset error:", err);
+			setError("Error connecting to server");
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	// ===================
+	// RENDER COMPONENT
+	// ===================
+
+	return (
+		<div className="container">
+			<div className="card">
+				<h2>Reset Password</h2>
+
+				{done ? (
+					<p role="status">
+						Your password was reset. Log in with your new password.
+					</p>
+				) : !token ? (
+					<p className="form-error" role="alert">
+						This link is missing its token. Request a new one.
+					</p>
+				) : (
+					<>
+						<p>Choose a new password</p>
+
+						<form onSubmit={handleSubmit}>
+							<input
+								type="password"
+								placeholder="New password"
+								value={password}
+								onChange={(e) => setPassword(e.target.value)}
+								minLength="6"
+								required
+								autoComplete="new-password"
+								aria-label="New password"
+							/>
+							<input
+								type="password"
+								placeholder="Confirm new password"
+								value={confirmPassword}
+								onChange={(e) =>
+									setConfirmPassword(e.target.value)
+								}
+								minLength="6"
+								required
+								autoComplete="new-password"
+								aria-label="Confirm new password"
+							/>
+
+							{error && (
+								<p className="form-error" role="alert">
+									{error}
+								</p>
+							)}
+
+							<button type="submit" disabled={loading}>
+								{loading ? "Saving..." : "Reset Password"}
+							</button>
+						</form>
+					</>
+				)}
+
+				{/* Navigation links */}
+				<div className="footer-links">
+					<Link to="/login">Back to Login</Link>
+					{!done && (
+						<Link to="/forgot-password">Request a new link</Link>
+					)}
+				</div>
+			</div>
+		</div>
+	);
+}
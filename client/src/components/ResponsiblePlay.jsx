@@ -0,0 +1,311 @@
+/**
+ * Responsible Play Component
+ *
+ * Lets players keep their play in check from the profile page: limits on
+ * how much they lose or bet, how often they are reminded of the time they
+ * have played, and a self-exclusion that blocks all betting for a while.
+ *
+ * Features:
+ * - Daily and weekly loss limits (last 24 hours / last 7 days)
+ * - Daily and weekly wager limits
+ * - Play-time reminder interval shown on the game pages
+ * - Current usage against each limit
+ * - Self-exclusion for a chosen period, with a confirmation step;
+ *   it cannot be shortened or lifted early
+ *
+ * API Integration:
+ * - GET /responsible-play: { limits, usage, excludedUntil, sessionStartedAt }
+ * - PUT /responsible-play/limits: { dailyLoss, weeklyLoss, dailyWager, weeklyWager, reminderMinutes }
+ * - POST /responsible-play/exclusion: { days } → { excludedUntil }
+ *
+ * @component
+ * @author LuckyBet Inc.
+ * @version 1.0.0
+ */
+
+import React, { useEffect, useState } from "react";
+
+/**
+ * Limits the player can set, with their labels
+ */
+const LIMITS = [
+	{ key: "dailyLoss", label: "Daily loss limit" },
+	{ key: "weeklyLoss", label: "Weekly loss limit" },
+	{ key: "dailyWager", label: "Daily wager limit" },
+	{ key: "weeklyWager", label: "Weekly wager limit" },
+];
+
+/**
+ * Self-exclusion lengths offered, in days
+ */
+const EXCLUSION_OPTIONS = [
+	{ days: 1, label: "24 hours" },
+	{ days: 7, label: "7 days" },
+	{ days: 30, label: "30 days" },
+	{ days: 90, label: "90 days" },
+	{ days: 180, label: "6 months" },
+	{ days: 365, label: "1 year" },
+];
+
+/**
+ * Responsible Play Component
+ *
+ * @returns {JSX.Element} The limits form and self-exclusion controls
+ */
+export default function ResponsiblePlay() {
+	// ===================
+	// STATE
+	// ===================
+
+	/**
+	 * @type {Object|null} Status from the server: { limits, usage, excludedUntil }
+	 */
+	const [status, setStatus] = useState(null);
+
+	/**
+	 * @type {Object} Limits form; empty strings mean "no limit"
+	 */
+	const [form, setForm] = useState({
+		dailyLoss: "",
+		weeklyLoss: "",
+		dailyWager: "",
+		weeklyWager: "",
+		reminderMinutes: "",
+	});
+
+	/**
+	 * @type {number} Self-exclusion length picked, in days
+	 */
+	const [days, setDays] = useState(1);
+
+	/**
+	 * @type {Object|null} Feedback for the last action: { text, type }
+	 */
+	const [message, setMessage] = useState(null);
+
+	/**
+	 * @type {boolean} Whether a request is in progress
+	 */
+	const [loading, setLoading] = useState(false);
+
+	// ===================
+	// API FUNCTIONS
+	// ===================
+
+	/**
+	 * Stores a status from the server and fills the form from its limits
+	 *
+	 * @param {Object} payload - { limits, usage, excludedUntil }
+	 */
+	const applyStatus = (payload) => {
+		setStatus(payload);
+		setForm(
+			Object.fromEntries(
+				Object.entries(payload.limits).map(([key, value]) => [
+					key,
+					value ?? "",
+				])
+			)
+		);
+	};
+
+	useEffect(() => {
+		fetch("http://localhost:3000/responsible-play", {
+			credentials: "include",
+		})
+			.then((r) => r.json())
+			.then((data) => data.payload && applyStatus(data.payload))
+			.catch((err) =>
+				console.error("Responsible play fetch error:", err)
+			);
+	}, []);
+
+	// ===================
+	// EVENT HANDLERS
+	// ===================
+
+	/**
+	 * Saves the limits form. Empty fields remove the limit.
+	 *
+	 * @param {React.FormEvent} e - Form submit event
+	 */
+	const saveLimits = async (e) => {
+		e.preventDefault();
+		setLoading(true);
+		setMessage(null);
+
+		const body = Object.fromEntries(
+			Object.entries(form).map(([key, value]) => [
+				key,
+				value === "" ? null : Number(value),
+			])
+		);
+
+		try {
+			const response = await fetch(
+				"http://localhost:3000/responsible-play/limits",
+				{
+					method: "PUT",
+					headers: { "Content-Type": "application/json" },
+					credentials: "include",
+					body: JSON.stringify(body),
+				}
+			);
+			const data = await response.json();
+
+			if (response.ok) {
+				applyStatus(data.payload);
+				setMessage({ text: "Limits saved", type: "success" });
+			} else {
+				setMessage({ text: data.message, type: "error" });
+			}
+		} catch {
+			setMessage({ text: "Error connecting to server", type: "error" });
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	/**
+	 * Starts a self-exclusion after the player confirms it
+	 */
+	const selfExclude = async () => {
+		const { label } = EXCLUSION_OPTIONS.find((o) => o.days === days);
+		const confirmed = window.confirm(
+			`You will not be able to play for ${label}. ` +
+				"This cannot be undone or shortened. Continue?"
+		);
+		if (!confirmed) return;
+
+		setLoading(true);
+		setMessage(null);
+
+		try {
+			const response = await fetch(
+				"http://localhost:3000/responsible-play/exclusion",
+				{
+					method: "POST",
+					headers: { "Content-Type": "application/json" },
+					credentials: "include",
+					body: JSON.stringify({ days }),
+				}
+			);
+			const data = await response.json();
+
+			if (response.ok) {
+				setStatus((prev) => ({
+					...prev,
+					excludedUntil: data.payload.excludedUntil,
+				}));
+				setMessage({ text: "Self-exclusion started", type: "success" });
+			} else {
+				setMessage({ text: data.message, type: "error" });
+			}
+		} catch {
+			setMessage({ text: "Error connecting to server", type: "error" });
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	// ===================
+	// RENDER
+	// ===================
+
+	if (!status) return <p>Loading limits...</p>;
+
+	return (
+		<div className="responsible-play">
+			{message && (
+				<div className={`message ${message.type}`}>{message.text}</div>
+			)}
+
+			{/* Limits */}
+			<form onSubmit={saveLimits}>
+				{LIMITS.map(({ key, label }) => (
+					<div className="form-group" key={key}>
+						<label htmlFor={key}>
+							{label}
+							<span className="limit-usage">
+								{" "}
+								(used: ${status.usage[key].toFixed(2)})
+							</span>
+						</label>
+						<input
+							type="number"
+							id={key}
+							min="0.01"
+							step="0.01"
+							value={form[key]}
+							onChange={(e) =>
+								setForm((prev) => ({
+									...prev,
+									[key]: e.target.value,
+								}))
+							}
+							placeholder="No limit"
+						/>
+					</div>
+				))}
+				<div className="form-group">
+					<label htmlFor="reminderMinutes">
+						Remind me every (minutes)
+					</label>
+					<input
+						type="number"
+						id="reminderMinutes"
+						min="15"
+						max="600"
+						step="1"
+						value={form.reminderMinutes}
+						onChange={(e) =>
+							setForm((prev) => ({
+								...prev,
+								reminderMinutes: e.target.value,
+							}))
+						}
+						placeholder="No reminders"
+					/>
+				</div>
+				<button
+					type="submit"
+					className="btn btn-primary"
+					disabled={loading}
+				>
+					Save Limits
+				</button>
+			</form>
+
+			{/* Self-exclusion */}
+			<h3>Take a Break</h3>
+			{status.excludedUntil ? (
+				<p className="message error">
+					You are self-excluded until{" "}
+					{new Date(status.excludedUntil).toLocaleString()}.
+				</p>
+			) : (
+				<p>Block all betting on your account for a while.</p>
+			)}
+			<div className="form-actions">
+				<select
+					value={days}
+					onChange={(e) => setDays(Number(e.target.value))}
+					aria-label="Self-exclusion length"
+				>
+					{EXCLUSION_OPTIONS.map((option) => (
+						<option key={option.days} value={option.days}>
+							{option.label}
+						</option>
+					))}
+				</select>
+				<button
+					className="btn btn-danger"
+					onClick={selfExclude}
+					disabled={loading}
+				>
+					Self-Exclude
+				</button>
+			</div>
+		</div>
+	);
+}
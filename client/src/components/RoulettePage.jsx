@@ -2,6 +2,8 @@ import React, { useState, useContext } from "react";
 import { Wheel } from "react-custom-roulette";
 import "../styles/Roulette.css";
 import { UserContext } from "./UserContext";
+import PlayReminder from "./PlayReminder";
+import AchievementToasts from "./AchievementToasts";
 import { useEffect } from "react";
 
 // Define roulette numbers and their properties
@@ -54,28 +56,61 @@ const wheelData = ROULETTE_NUMBERS.map((item) => ({
 	},
 }));
 
-// Define betting options
-const BETTING_OPTIONS = {
-	NUMBERS: Array.from({ length: 37 }, (_, i) => ({
-		value: i.toString(),
-		label: i.toString(),
-		payout: 35,
-	})),
-	RED: { value: "red", label: "Red", payout: 1 },
-	BLACK: { value: "black", label: "Black", payout: 1 },
-	EVEN: { value: "even", label: "Even", payout: 1 },
-	ODD: { value: "odd", label: "Odd", payout: 1 },
-	FIRST_DOZEN: { value: "1-12", label: "1-12", payout: 2 },
-	SECOND_DOZEN: { value: "13-24", label: "13-24", payout: 2 },
-	THIRD_DOZEN: { value: "25-36", label: "25-36", payout: 2 },
+// Inside bets: the player picks the numbers on the layout
+const INSIDE_BETS = [
+	{ type: "straight", label: "Straight", size: 1, payout: 35 },
+	{ type: "split", label: "Split", size: 2, payout: 17 },
+	{ type: "street", label: "Street", size: 3, payout: 11 },
+	{ type: "corner", label: "Corner", size: 4, payout: 8 },
+	{ type: "sixline", label: "Six Line", size: 6, payout: 5 },
+];
+
+// Outside bets: the numbers follow from the bet
+const OUTSIDE_BETS = [
+	[
+		{ type: "red", label: "Red", payout: 1 },
+		{ type: "black", label: "Black", payout: 1 },
+		{ type: "even", label: "Even", payout: 1 },
+		{ type: "odd", label: "Odd", payout: 1 },
+		{ type: "low", label: "1-18", payout: 1 },
+		{ type: "high", label: "19-36", payout: 1 },
+	],
+	[
+		{ type: "dozen-1", label: "1st 12", payout: 2 },
+		{ type: "dozen-2", label: "2nd 12", payout: 2 },
+		{ type: "dozen-3", label: "3rd 12", payout: 2 },
+		{ type: "column-1", label: "Column 1", payout: 2 },
+		{ type: "column-2", label: "Column 2", payout: 2 },
+		{ type: "column-3", label: "Column 3", payout: 2 },
+	],
+];
+
+const ALL_BETS = [...INSIDE_BETS, ...OUTSIDE_BETS.flat()];
+
+// The table layout: three rows of twelve, with 3 in the top-left corner
+const LAYOUT_ROWS = [3, 2, 1].map((start) =>
+	Array.from({ length: 12 }, (_, i) => start + i * 3)
+);
+
+const getColor = (number) =>
+	ROULETTE_NUMBERS.find((item) => item.number === number).color;
+
+const describeBet = (bet) => {
+	const { label, payout } = ALL_BETS.find((b) => b.type === bet.type);
+	const isInside = INSIDE_BETS.some((b) => b.type === bet.type);
+	const numbers = isInside ? ` ${bet.numbers.join(", ")}` : "";
+	return `${label}${numbers} (${payout}:1)`;
 };
 
 export default function RoulettePage() {
 	const [mustSpin, setMustSpin] = useState(false);
 	const [prizeNumber, setPrizeNumber] = useState(0);
-	const [betType, setBetType] = useState("");
+	const [insideType, setInsideType] = useState("straight");
+	const [picked, setPicked] = useState([]);
+	const [bets, setBets] = useState([]);
 	const [betAmount, setBetAmount] = useState(100);
 	const [message, setMessage] = useState("");
+	const [breakdown, setBreakdown] = useState([]);
 	const { user, updateBalance } = useContext(UserContext);
 	const [spinResult, setSpinResult] = useState(null);
 	const [shouldSpin, setShouldSpin] = useState(false);
@@ -89,23 +124,62 @@ export default function RoulettePage() {
 	// If user context is not loaded yet
 	if (!user) return <p>Loading user info...</p>;
 
-	const handleSpin = async () => {
-		if (betType === "") {
-			setMessage("Please select a bet type");
-			return;
-		}
+	const insideBet = INSIDE_BETS.find((bet) => bet.type === insideType);
+	const totalBet = bets.reduce((sum, bet) => sum + bet.amount, 0);
 
+	const addBet = (bet) => {
 		if (betAmount <= 0) {
 			setMessage("Bet amount must be greater than 0");
 			return;
 		}
 
-		if (betAmount > user.balance) {
+		setBets((current) => [...current, { ...bet, amount: betAmount }]);
+		setMessage("");
+	};
+
+	const removeBet = (index) => {
+		setBets((current) => current.filter((_, i) => i !== index));
+	};
+
+	// Picking numbers for an inside bet: the bet is added to the slip
+	// as soon as enough numbers have been picked
+	const pickNumber = (number) => {
+		if (picked.includes(number)) {
+			setPicked(picked.filter((n) => n !== number));
+			return;
+		}
+
+		const numbers = [...picked, number];
+		if (numbers.length < insideBet.size) {
+			setPicked(numbers);
+			return;
+		}
+
+		addBet({
+			type: insideType,
+			numbers: numbers.sort((a, b) => a - b),
+		});
+		setPicked([]);
+	};
+
+	const changeInsideType = (type) => {
+		setInsideType(type);
+		setPicked([]);
+	};
+
+	const handleSpin = async () => {
+		if (bets.length === 0) {
+			setMessage("Please place at least one bet");
+			return;
+		}
+
+		if (totalBet > user.balance) {
 			setMessage("Not enough balance");
 			return;
 		}
 
 		setShouldSpin(true);
+		setBreakdown([]);
 		setMessage("Spinning...");
 
 		try {
@@ -115,7 +189,7 @@ export default function RoulettePage() {
 					method: "POST",
 					headers: { "Content-Type": "application/json" },
 					credentials: "include",
-					body: JSON.stringify({ betType, amount: betAmount }),
+					body: JSON.stringify({ bets }),
 				}
 			);
 
@@ -129,17 +203,14 @@ export default function RoulettePage() {
 			if (resultIndex === -1)
 				throw new Error("Invalid result from server");
 
-			setSpinResult(data.payload);
 			setSpinResult(data.payload);
 			setPrizeNumber(resultIndex);
 			setMustSpin(true);
-
-			console.log("ResultIndex:", resultIndex);
-			console.log("Set spinResult:", data.payload);
 		} catch (error) {
 			console.error("Error playing roulette:", error);
+			setShouldSpin(false);
 			setMustSpin(false);
-			setMessage("An error occurred. Please try again.");
+			setMessage(error.message || "An error occurred. Please try again.");
 		}
 	};
 
@@ -147,67 +218,109 @@ export default function RoulettePage() {
 		return (
 			<div className="betting-options">
 				<div className="bet-groups">
-					{["red", "black", "even", "odd"].map((type) => (
+					{INSIDE_BETS.map((bet) => (
 						<button
-							key={type}
+							key={bet.type}
 							className={`bet-option ${
-								betType === type ? "selected" : ""
+								insideType === bet.type ? "selected" : ""
 							} ${mustSpin ? "disabled" : ""}`}
-							onClick={() => !mustSpin && setBetType(type)}
+							onClick={() => changeInsideType(bet.type)}
 							disabled={mustSpin}
 						>
-							{type.charAt(0).toUpperCase() + type.slice(1)}
+							{bet.label}
 						</button>
 					))}
 				</div>
 
-				<div className="bet-groups">
-					{["1-12", "13-24", "25-36"].map((range) => (
-						<button
-							key={range}
-							className={`bet-option ${
-								betType === range ? "selected" : ""
-							} ${mustSpin ? "disabled" : ""}`}
-							onClick={() => !mustSpin && setBetType(range)}
-							disabled={mustSpin}
-						>
-							{range}
-						</button>
-					))}
-				</div>
+				<p className="bet-hint">
+					Pick {insideBet.size}{" "}
+					{insideBet.size === 1 ? "number" : "neighbouring numbers"}{" "}
+					for a {insideBet.label.toLowerCase()} bet (
+					{insideBet.payout}:1)
+				</p>
 
-				<div className="number-grid">
+				<div className="number-layout">
 					<button
 						className={`bet-option zero ${
-							betType === "0" ? "selected" : ""
+							picked.includes(0) ? "selected" : ""
 						} ${mustSpin ? "disabled" : ""}`}
-						onClick={() => !mustSpin && setBetType("0")}
+						onClick={() => pickNumber(0)}
 						disabled={mustSpin}
 					>
 						0
 					</button>
 
-					{Array.from({ length: 36 }, (_, i) => i + 1).map((num) => (
-						<button
-							key={num}
-							className={`bet-option number ${
-								betType === num.toString() ? "selected" : ""
-							} ${mustSpin ? "disabled" : ""}`}
-							onClick={() =>
-								!mustSpin && setBetType(num.toString())
-							}
-							disabled={mustSpin}
-						>
-							{num}
-						</button>
-					))}
+					<div className="number-grid">
+						{LAYOUT_ROWS.flat().map((num) => (
+							<button
+								key={num}
+								className={`bet-option number ${getColor(
+									num
+								)} ${picked.includes(num) ? "selected" : ""} ${
+									mustSpin ? "disabled" : ""
+								}`}
+								onClick={() => pickNumber(num)}
+								disabled={mustSpin}
+							>
+								{num}
+							</button>
+						))}
+					</div>
 				</div>
+
+				{OUTSIDE_BETS.map((group, i) => (
+					<div className="bet-groups" key={i}>
+						{group.map((bet) => (
+							<button
+								key={bet.type}
+								className={`bet-option ${
+									mustSpin ? "disabled" : ""
+								}`}
+								onClick={() => addBet({ type: bet.type })}
+								disabled={mustSpin}
+							>
+								{bet.label}
+							</button>
+						))}
+					</div>
+				))}
 			</div>
 		);
 	};
 
+	const renderBetSlip = () => {
+		if (bets.length === 0) {
+			return <p>No bets placed yet</p>;
+		}
+
+		return (
+			<>
+				<ul className="bet-slip">
+					{bets.map((bet, index) => (
+						<li key={index}>
+							<span>{describeBet(bet)}</span>
+							<span>${bet.amount.toFixed(2)}</span>
+							<button
+								className="remove-bet"
+								onClick={() => removeBet(index)}
+								disabled={mustSpin}
+							>
+								✕
+							</button>
+						</li>
+					))}
+				</ul>
+				<p className="bet-total">
+					Total bet: <strong>${totalBet.toFixed(2)}</strong>
+				</p>
+			</>
+		);
+	};
+
 	return (
 		<div className="roulette-page">
+			<PlayReminder />
+			<AchievementToasts />
 			<div className="roulette-header">
 				<h2>Roulette</h2>
 				<div className="balance">
@@ -236,22 +349,24 @@ export default function RoulettePage() {
 								return;
 							}
 
-							const { win, payout, result, newBalance } =
+							const { totalBet, totalPayout, result, newBalance } =
 								spinResult;
 
 							updateBalance(newBalance);
+							setBreakdown(spinResult.bets);
 
-							const winnings = win ? payout.toFixed(2) : "0.00";
-
+							const net = totalPayout - totalBet;
 							setMessage(
-								win
-									? `🎉 You won $${winnings}! Result: ${result}`
-									: `❌ You lost $${betAmount.toFixed(
+								net >= 0
+									? `🎉 You won $${net.toFixed(
+											2
+									  )}! Result: ${result}`
+									: `❌ You lost $${(-net).toFixed(
 											2
 									  )}. Result: ${result}`
 							);
 
-							setBetType("");
+							setBets([]);
 							setSpinResult(null); // clean up
 						}}
 					/>
@@ -286,39 +401,39 @@ export default function RoulettePage() {
 
 					{renderBettingOptions()}
 
-					<div className="selected-bet">
-						{betType && (
-							<p>
-								Betting on: <strong>{betType}</strong> (
-								{BETTING_OPTIONS.NUMBERS.some(
-									(opt) => opt.value === betType
-								)
-									? "35:1"
-									: betType === "red" ||
-									  betType === "black" ||
-									  betType === "even" ||
-									  betType === "odd"
-									? "1:1"
-									: "2:1"}
-								)
-							</p>
-						)}
-					</div>
+					<div className="selected-bet">{renderBetSlip()}</div>
 
 					<button
 						className="spin-button"
 						onClick={handleSpin}
 						disabled={
 							mustSpin ||
-							!betType ||
-							betAmount <= 0 ||
-							betAmount > user.balance
+							bets.length === 0 ||
+							totalBet > user.balance
 						}
 					>
 						{mustSpin ? "Spinning..." : "Spin"}
 					</button>
 
 					{message && <p className="message">{message}</p>}
+
+					{breakdown.length > 0 && (
+						<ul className="bet-slip bet-breakdown">
+							{breakdown.map((bet, index) => (
+								<li
+									key={index}
+									className={bet.win ? "won" : "lost"}
+								>
+									<span>{describeBet(bet)}</span>
+									<span>
+										{bet.win
+											? `+$${bet.payout.toFixed(2)}`
+											: `-$${bet.amount.toFixed(2)}`}
+									</span>
+								</li>
+							))}
+						</ul>
+					)}
 				</div>
 			</div>
 		</div>
@@ -4,6 +4,12 @@ export const UserContext = createContext(null);
 
 export function UserProvider({ children }) {
 	const [user, setUser] = useState(null);
+	// Bumped on every "leaderboard" event so open leaderboards refetch
+	const [leaderboardVersion, setLeaderboardVersion] = useState(0);
+	// System messages pushed by the server, newest last
+	const [messages, setMessages] = useState([]);
+	// Achievements unlocked while the page is open, oldest first
+	const [achievements, setAchievements] = useState([]);
 
 	// On mount, try fetching current user/session
 	useEffect(() => {
@@ -22,18 +28,69 @@ export function UserProvider({ children }) {
 						username: data.payload.username,
 						email: data.payload.email,
 						balance: data.payload.balance,
+						role: data.payload.role,
+						emailVerifiedAt: data.payload.emailVerifiedAt,
 					});
 				}
 			})
 			.catch((err) => console.error("⚙️  profile fetch error:", err));
 	}, []);
 
+	// While logged in, listen to the server's event stream so the balance
+	// stays in sync across tabs. EventSource reconnects by itself, and the
+	// stream starts with the current balance.
+	const userId = user?.id;
+	useEffect(() => {
+		if (!userId) return;
+
+		const events = new EventSource("http://localhost:3000/events", {
+			withCredentials: true,
+		});
+
+		events.addEventListener("balance", (e) => {
+			const { balance } = JSON.parse(e.data);
+			setUser((u) => ({ ...u, balance }));
+		});
+		events.addEventListener("leaderboard", () => {
+			setLeaderboardVersion((v) => v + 1);
+		});
+		events.addEventListener("message", (e) => {
+			const message = { id: Date.now(), ...JSON.parse(e.data) };
+			setMessages((list) => [...list, message]);
+		});
+		events.addEventListener("achievement", (e) => {
+			const achievement = JSON.parse(e.data);
+			setAchievements((list) => [...list, achievement]);
+		});
+
+		return () => events.close();
+	}, [userId]);
+
 	const updateBalance = (newBal) => {
 		setUser((u) => ({ ...u, balance: newBal }));
 	};
 
+	const dismissMessage = (id) => {
+		setMessages((list) => list.filter((m) => m.id !== id));
+	};
+
+	const dismissAchievement = (id) => {
+		setAchievements((list) => list.filter((a) => a.id !== id));
+	};
+
 	return (
-		<UserContext.Provider value={{ user, setUser, updateBalance }}>
+		<UserContext.Provider
+			value={{
+				user,
+				setUser,
+				updateBalance,
+				leaderboardVersion,
+				messages,
+				dismissMessage,
+				achievements,
+				dismissAchievement,
+			}}
+		>
 			{children}
 		</UserContext.Provider>
 	);
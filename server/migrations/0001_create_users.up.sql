@@ -0,0 +1,12 @@
+-- IF NOT EXISTS lets databases created before migrations adopt this history
+-- without losing their players.
+CREATE TABLE IF NOT EXISTS users (
+  id         SERIAL        PRIMARY KEY,
+  username   TEXT          NOT NULL,
+  email      TEXT          NOT NULL UNIQUE,
+  password   TEXT          NOT NULL,
+  created_at TIMESTAMP     NOT NULL DEFAULT NOW(),
+  balance    DECIMAL(10,2) NOT NULL DEFAULT 0
+);
+
+ALTER TABLE users ALTER COLUMN balance SET DEFAULT 0;
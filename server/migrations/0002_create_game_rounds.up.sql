@@ -0,0 +1,12 @@
+CREATE TABLE IF NOT EXISTS game_rounds (
+  id         SERIAL        PRIMARY KEY,
+  user_id    INTEGER       NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  game       TEXT          NOT NULL,
+  bet        DECIMAL(10,2) NOT NULL,
+  payout     DECIMAL(10,2) NOT NULL,
+  result     TEXT          NOT NULL,
+  outcome    JSONB         NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP     NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS game_rounds_user_id_created_at ON game_rounds (user_id, created_at DESC);
@@ -0,0 +1,12 @@
+CREATE TABLE IF NOT EXISTS transactions (
+  id            SERIAL        PRIMARY KEY,
+  user_id       INTEGER       NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type          TEXT          NOT NULL,
+  amount        DECIMAL(10,2) NOT NULL,
+  balance_after DECIMAL(10,2) NOT NULL,
+  game          TEXT,
+  description   TEXT          NOT NULL DEFAULT '',
+  created_at    TIMESTAMP     NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS transactions_user_id_created_at ON transactions (user_id, created_at DESC);
@@ -0,0 +1,9 @@
+CREATE TABLE IF NOT EXISTS daily_bonuses (
+  id         SERIAL        PRIMARY KEY,
+  user_id    INTEGER       NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  amount     DECIMAL(10,2) NOT NULL,
+  streak     INTEGER       NOT NULL,
+  claimed_at TIMESTAMP     NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS daily_bonuses_user_id_claimed_at ON daily_bonuses (user_id, claimed_at DESC);
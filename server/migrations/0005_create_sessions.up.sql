@@ -0,0 +1,7 @@
+CREATE TABLE IF NOT EXISTS sessions (
+  id         TEXT        PRIMARY KEY,
+  data       JSONB       NOT NULL DEFAULT '{}',
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS sessions_expires_at ON sessions (expires_at);
@@ -0,0 +1,12 @@
+CREATE TABLE IF NOT EXISTS fair_seeds (
+  id               SERIAL    PRIMARY KEY,
+  user_id          INTEGER   NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  server_seed      TEXT      NOT NULL,
+  server_seed_hash TEXT      NOT NULL,
+  client_seed      TEXT      NOT NULL,
+  nonce            INTEGER   NOT NULL DEFAULT 0,
+  created_at       TIMESTAMP NOT NULL DEFAULT NOW(),
+  revealed_at      TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS fair_seeds_active_user ON fair_seeds (user_id) WHERE revealed_at IS NULL;
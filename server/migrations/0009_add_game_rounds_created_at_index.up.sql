@@ -0,0 +1 @@
+CREATE INDEX IF NOT EXISTS game_rounds_created_at ON game_rounds (created_at);
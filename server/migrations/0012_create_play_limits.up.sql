@@ -0,0 +1,12 @@
+-- Responsible-play settings, one row per player who changed them.
+-- A NULL limit means no limit.
+CREATE TABLE IF NOT EXISTS play_limits (
+  user_id          INTEGER       PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  daily_loss       DECIMAL(10,2) CHECK (daily_loss > 0),
+  weekly_loss      DECIMAL(10,2) CHECK (weekly_loss > 0),
+  daily_wager      DECIMAL(10,2) CHECK (daily_wager > 0),
+  weekly_wager     DECIMAL(10,2) CHECK (weekly_wager > 0),
+  reminder_minutes INTEGER       DEFAULT 60 CHECK (reminder_minutes > 0),
+  excluded_until   TIMESTAMP,
+  updated_at       TIMESTAMP     NOT NULL DEFAULT NOW()
+);
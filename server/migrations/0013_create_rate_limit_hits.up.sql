@@ -0,0 +1,10 @@
+-- Recent hits on rate-limited routes, such as login attempts per IP
+-- and failed logins per account. Rows expire with their window.
+CREATE TABLE IF NOT EXISTS rate_limit_hits (
+  key        TEXT        NOT NULL,
+  hit_at     TIMESTAMPTZ NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS rate_limit_hits_key ON rate_limit_hits (key, hit_at);
+CREATE INDEX IF NOT EXISTS rate_limit_hits_expires_at ON rate_limit_hits (expires_at);
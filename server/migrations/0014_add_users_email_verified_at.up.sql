@@ -0,0 +1,3 @@
+-- NULL until the player follows the link mailed to their address.
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
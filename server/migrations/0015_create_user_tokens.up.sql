@@ -0,0 +1,15 @@
+-- Single-use tokens mailed to players. Only a hash of each token is
+-- kept, so the table cannot be used to take over accounts.
+CREATE TABLE IF NOT EXISTS user_tokens (
+  id         SERIAL      PRIMARY KEY,
+  user_id    INTEGER     NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose    TEXT        NOT NULL
+             CHECK (purpose IN ('verify_email', 'reset_password', 'change_email')),
+  token_hash TEXT        NOT NULL UNIQUE,
+  email      TEXT        NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at    TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS user_tokens_user_id_purpose ON user_tokens (user_id, purpose);
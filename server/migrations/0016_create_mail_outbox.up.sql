@@ -0,0 +1,10 @@
+-- Mail written by the development mailer instead of being sent.
+CREATE TABLE IF NOT EXISTS mail_outbox (
+  id         SERIAL      PRIMARY KEY,
+  to_address TEXT        NOT NULL,
+  subject    TEXT        NOT NULL,
+  body       TEXT        NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS mail_outbox_to_address ON mail_outbox (to_address, id DESC);
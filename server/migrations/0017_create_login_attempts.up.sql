@@ -0,0 +1,12 @@
+-- Every login attempt on an account, kept so players can spot logins
+-- that were not them. Attempts on unregistered emails are not kept.
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id         SERIAL      PRIMARY KEY,
+  user_id    INTEGER     NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  ip         TEXT        NOT NULL,
+  user_agent TEXT        NOT NULL DEFAULT '',
+  success    BOOLEAN     NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS login_attempts_user_id ON login_attempts (user_id, created_at DESC);
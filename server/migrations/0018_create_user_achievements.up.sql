@@ -0,0 +1,8 @@
+-- Achievements players have unlocked. What each achievement takes is
+-- defined in the server code; only the ID is kept here.
+CREATE TABLE IF NOT EXISTS user_achievements (
+  user_id     INTEGER     NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  achievement TEXT        NOT NULL,
+  unlocked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, achievement)
+);
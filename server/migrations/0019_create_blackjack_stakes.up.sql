@@ -0,0 +1,8 @@
+-- What players have bet on their Blackjack rounds in progress. Rounds are
+-- kept in memory, so their bets are refunded from here if the server
+-- stops before they settle.
+CREATE TABLE IF NOT EXISTS blackjack_stakes (
+  user_id    INTEGER       PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  amount     DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+  created_at TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,13 @@
+ALTER TABLE blackjack_stakes ALTER COLUMN amount TYPE DECIMAL(10,2);
+
+ALTER TABLE daily_bonuses ALTER COLUMN amount TYPE DECIMAL(10,2);
+
+ALTER TABLE game_rounds
+  ALTER COLUMN bet TYPE DECIMAL(10,2),
+  ALTER COLUMN payout TYPE DECIMAL(10,2);
+
+ALTER TABLE transactions
+  ALTER COLUMN amount TYPE DECIMAL(10,2),
+  ALTER COLUMN balance_after TYPE DECIMAL(10,2);
+
+ALTER TABLE users ALTER COLUMN balance TYPE DECIMAL(10,2);
@@ -0,0 +1,15 @@
+-- Balances and round totals can grow past the 99,999,999.99 a single
+-- amount is capped at: a winning payout must never fail to fit.
+ALTER TABLE users ALTER COLUMN balance TYPE NUMERIC(18,2);
+
+ALTER TABLE transactions
+  ALTER COLUMN amount TYPE NUMERIC(18,2),
+  ALTER COLUMN balance_after TYPE NUMERIC(18,2);
+
+ALTER TABLE game_rounds
+  ALTER COLUMN bet TYPE NUMERIC(18,2),
+  ALTER COLUMN payout TYPE NUMERIC(18,2);
+
+ALTER TABLE daily_bonuses ALTER COLUMN amount TYPE NUMERIC(18,2);
+
+ALTER TABLE blackjack_stakes ALTER COLUMN amount TYPE NUMERIC(18,2);
@@ -0,0 +1,2 @@
+ALTER TABLE blackjack_stakes DROP COLUMN IF EXISTS instance_id;
+DROP TABLE IF EXISTS server_instances;
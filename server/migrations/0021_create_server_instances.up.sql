@@ -0,0 +1,13 @@
+-- Every server that is running. Each marks itself as alive every so
+-- often, so one that starts up can tell which Blackjack rounds were left
+-- behind by a server that has stopped.
+CREATE TABLE IF NOT EXISTS server_instances (
+  id           SERIAL      PRIMARY KEY,
+  started_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- The server dealing the round. Stakes without one were taken by a server
+-- that has since stopped (or before servers were tracked).
+ALTER TABLE blackjack_stakes
+  ADD COLUMN IF NOT EXISTS instance_id INTEGER REFERENCES server_instances(id) ON DELETE SET NULL;
@@ -0,0 +1,3 @@
+ALTER TABLE fair_seeds
+  DROP COLUMN IF EXISTS next_server_seed,
+  DROP COLUMN IF EXISTS next_server_seed_hash;
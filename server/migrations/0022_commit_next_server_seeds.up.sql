@@ -0,0 +1,6 @@
+-- The server seed a pair is rotated to, chosen ahead of time so its hash
+-- can be shown before the player picks the client seed it is paired with.
+-- Pairs started before this are given one the next time they are shown.
+ALTER TABLE fair_seeds
+  ADD COLUMN IF NOT EXISTS next_server_seed TEXT,
+  ADD COLUMN IF NOT EXISTS next_server_seed_hash TEXT;
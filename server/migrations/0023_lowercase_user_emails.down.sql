@@ -0,0 +1,2 @@
+-- The case emails were typed in is not kept, so there is nothing to restore.
+SELECT 1;
@@ -0,0 +1,11 @@
+-- Emails are lowercased as they come in, so they are matched whatever
+-- case they are typed in. Stored emails are lowercased to match, except
+-- where that would clash with another account: those cannot sign in by
+-- email until an admin sorts them out.
+UPDATE users u
+SET email = lower(u.email)
+WHERE u.email <> lower(u.email)
+  AND NOT EXISTS (
+    SELECT 1 FROM users other
+    WHERE other.id <> u.id AND lower(other.email) = lower(u.email)
+  );
@@ -0,0 +1,60 @@
+// server/scripts/migrate.ts
+// Applies, reverts or lists the schema migrations in server/migrations.
+// Usage: npm run migrate up [steps]
+//        npm run migrate down [steps]
+//        npm run migrate status
+
+import path from "path";
+import postgres from "postgres";
+import Migrator from "../src/database/Migrator";
+
+const sql = postgres({
+	database: process.env.PGDATABASE || "luckybet",
+	onnotice: () => {},
+});
+
+const migrator = new Migrator(sql, path.join(__dirname, "..", "migrations"));
+
+async function main() {
+	const [command = "status", stepsArg] = process.argv.slice(2);
+	const steps = stepsArg === undefined ? undefined : Number(stepsArg);
+
+	if (steps !== undefined && (!Number.isInteger(steps) || steps < 1)) {
+		throw new Error(`Invalid number of steps: ${stepsArg}`);
+	}
+
+	switch (command) {
+		case "up": {
+			const applied = await migrator.up(steps);
+			applied.forEach((m) => console.log(`⬆️  ${m.version} ${m.name}`));
+			console.log(`✅ Applied ${applied.length} migration(s).`);
+			break;
+		}
+		case "down": {
+			const reverted = await migrator.down(steps);
+			reverted.forEach((m) => console.log(`⬇️  ${m.version} ${m.name}`));
+			console.log(`✅ Reverted ${reverted.length} migration(s).`);
+			break;
+		}
+		case "status": {
+			const status = await migrator.status();
+			console.table(
+				status.map((m) => ({
+					version: m.version,
+					name: m.name,
+					applied: m.appliedAt ? m.appliedAt.toISOString() : "pending",
+				})),
+			);
+			break;
+		}
+		default:
+			throw new Error(`Unknown command: ${command} (expected up, down or status)`);
+	}
+}
+
+main()
+	.catch((err) => {
+		console.error("🔥 Migration failed", err);
+		process.exitCode = 1;
+	})
+	.finally(() => sql.end());
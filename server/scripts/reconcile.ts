@@ -0,0 +1,32 @@
+// server/scripts/reconcile.ts
+// Recomputes every balance from the coin ledger and reports drift.
+// Usage: npm run reconcile
+
+import postgres from "postgres";
+import TransactionModel from "../src/models/TransactionModel";
+import LedgerService from "../src/Services/LedgerService";
+
+const sql = postgres({
+	database: process.env.PGDATABASE || "luckybet",
+});
+
+async function main() {
+	const ledgerService = new LedgerService(sql, TransactionModel);
+	const drifts = await ledgerService.reconcile();
+
+	if (drifts.length === 0) {
+		console.log("✅ All balances match the ledger.");
+		return;
+	}
+
+	console.table(drifts);
+	console.error(`❌ ${drifts.length} balance(s) drifted from the ledger.`);
+	process.exitCode = 1;
+}
+
+main()
+	.catch((err) => {
+		console.error("🔥 Reconciliation failed", err);
+		process.exitCode = 1;
+	})
+	.finally(() => sql.end());
@@ -0,0 +1,149 @@
+/**
+ * An exact amount of coins, stored as a whole number of cents so that
+ * adding up bets, payouts and balances never drifts the way floating
+ * point does (0.1 + 0.2 !== 0.3).
+ *
+ * Money enters the server as a JSON number (validated to at most two
+ * decimal places) or as a DECIMAL string from postgres, and leaves it
+ * the same ways: `toJSON` gives the client a plain number of coins and
+ * `toString` gives postgres a decimal string.
+ *
+ * Rounding rule: the only operation that can produce a fraction of a cent
+ * is `times`, which always rounds down to a whole cent. Every game goes
+ * through it, e.g. a 3:2 blackjack on 0.05 pays 0.12, not 0.125.
+ */
+export default class Money {
+	static readonly ZERO = new Money(0);
+
+	private constructor(readonly cents: number) {
+		if (!Number.isSafeInteger(cents)) {
+			throw new Error(`Invalid amount of cents: ${cents}`);
+		}
+	}
+
+	/**
+	 * @example Money.fromCents(1050).toString() => "10.50"
+	 */
+	static fromCents(cents: number) {
+		return new Money(cents);
+	}
+
+	/**
+	 * Converts a number of coins, e.g. from a request body.
+	 * @throws If the number is not finite or has more than two decimal places.
+	 * @example Money.fromCoins(10.5).cents => 1050
+	 */
+	static fromCoins(coins: number) {
+		const cents = Math.round(coins * 100);
+
+		if (!Number.isFinite(coins) || Math.abs(coins * 100 - cents) > 1e-6) {
+			throw new Error(`Invalid amount: ${coins}`);
+		}
+
+		return new Money(cents);
+	}
+
+	/**
+	 * Parses a decimal string, e.g. a DECIMAL column, without going
+	 * through floating point.
+	 * @throws If the string is not a number with at most two decimal places.
+	 * @example Money.parse("-12.5").cents => -1250
+	 */
+	static parse(value: string) {
+		const match = /^(-)?(\d+)(?:\.(\d{1,2}))?$/.exec(value.trim());
+		if (!match) throw new Error(`Invalid amount: ${value}`);
+
+		const [, sign, whole, fraction = ""] = match;
+		const cents = Number(whole) * 100 + Number(fraction.padEnd(2, "0"));
+
+		return new Money(sign ? -cents : cents);
+	}
+
+	/**
+	 * Converts whatever postgres or a request body holds for an amount.
+	 */
+	static from(value: Money | string | number) {
+		if (value instanceof Money) return value;
+		return typeof value === "string"
+			? Money.parse(value)
+			: Money.fromCoins(value);
+	}
+
+	/**
+	 * @example Money.sum([a, b, c]) => a.plus(b).plus(c)
+	 */
+	static sum(amounts: Money[]) {
+		return amounts.reduce((total, amount) => total.plus(amount), Money.ZERO);
+	}
+
+	plus(other: Money) {
+		return new Money(this.cents + other.cents);
+	}
+
+	minus(other: Money) {
+		return new Money(this.cents - other.cents);
+	}
+
+	negate() {
+		return new Money(-this.cents);
+	}
+
+	/**
+	 * Multiplies by a fraction, rounding down to a whole cent.
+	 * Ratios are given as whole numbers so they stay exact.
+	 * @example Money.fromCoins(10).times(39, 20) => 19.50 (a 1.95x payout)
+	 * @example Money.fromCoins(0.05).times(5, 2) => 0.12
+	 */
+	times(numerator: number, denominator = 1) {
+		return new Money(Math.floor((this.cents * numerator) / denominator));
+	}
+
+	isZero() {
+		return this.cents === 0;
+	}
+
+	isPositive() {
+		return this.cents > 0;
+	}
+
+	isNegative() {
+		return this.cents < 0;
+	}
+
+	equals(other: Money) {
+		return this.cents === other.cents;
+	}
+
+	greaterThan(other: Money) {
+		return this.cents > other.cents;
+	}
+
+	lessThan(other: Money) {
+		return this.cents < other.cents;
+	}
+
+	/**
+	 * @returns The amount in coins, e.g. 10.5. Only for display and JSON.
+	 */
+	toNumber() {
+		return this.cents / 100;
+	}
+
+	/**
+	 * @returns The amount as a decimal string with two decimals, e.g. "-10.50".
+	 */
+	toString() {
+		const sign = this.cents < 0 ? "-" : "";
+		const cents = Math.abs(this.cents);
+		const fraction = (cents % 100).toString().padStart(2, "0");
+
+		return `${sign}${Math.floor(cents / 100)}.${fraction}`;
+	}
+
+	/**
+	 * Called by JSON.stringify, so amounts reach the client as numbers of coins.
+	 */
+	toJSON() {
+		return this.toNumber();
+	}
+}
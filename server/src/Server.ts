@@ -8,20 +8,37 @@ import postgres from "postgres";
 
 import fs from "fs/promises";
 import SessionManager from "./auth/SessionManager";
-import Cookie from "./auth/Cookie";
+import SessionStore from "./auth/SessionStore";
+import PostgresSessionStore from "./auth/PostgresSessionStore";
+import RateLimitStore from "./auth/RateLimitStore";
+import PostgresRateLimitStore from "./auth/PostgresRateLimitStore";
+import Mailer from "./mail/Mailer";
+import OutboxMailer from "./mail/OutboxMailer";
+import PushService from "./Services/PushService";
 
 /**
  * Options for creating a new Server instance.
  * @property host The hostname of the server.
  * @property port The port number of the server.
  * @property sql The postgres connection object.
+ * @property sessionStore Where sessions are kept. Defaults to the Postgres `sessions` table.
+ * @property rateLimitStore Where rate limits and login failures are counted. Defaults to the Postgres `rate_limit_hits` table.
+ * @property mailer How mail reaches players. Defaults to writing it to the Postgres `mail_outbox` table.
  */
 export interface ServerOptions {
 	host: string;
 	port: number;
 	sql: postgres.Sql;
+	sessionStore?: SessionStore;
+	rateLimitStore?: RateLimitStore;
+	mailer?: Mailer;
 }
 
+/**
+ * How often expired rate limit hits are purged from the store.
+ */
+const RATE_LIMIT_CLEAN_UP_INTERVAL = 1000 * 60;
+
 /**
  * A class that represents an HTTP server.
  * The server listens for incoming requests and routes them to the appropriate controller.
@@ -33,6 +50,9 @@ export default class Server {
 	private sql: postgres.Sql;
 	private router: Router;
 	private Controller: Controller;
+	private pushService: PushService;
+	private rateLimitStore: RateLimitStore;
+	private rateLimitCleanUp?: NodeJS.Timeout;
 
 	/**
 	 * Initializes a new Server instance. The server is not started until the `start` method is called.
@@ -44,8 +64,21 @@ export default class Server {
 		this.host = serverOptions.host;
 		this.port = serverOptions.port;
 
+		this.getSessionManager().setStore(
+			serverOptions.sessionStore ?? new PostgresSessionStore(this.sql),
+		);
+
+		this.rateLimitStore =
+			serverOptions.rateLimitStore ?? new PostgresRateLimitStore(this.sql);
+
 		this.router = new Router();
-		this.Controller = new Controller(this.sql);
+		this.pushService = new PushService(this.sql);
+		this.Controller = new Controller(
+			this.sql,
+			this.pushService,
+			this.rateLimitStore,
+			serverOptions.mailer ?? new OutboxMailer(this.sql),
+		);
 		this.Controller.registerRoutes(this.router);
 
 		this.router.get("/", (req: Request, res: Response) => {
@@ -97,15 +130,30 @@ export default class Server {
 			return;
 		}
 
-		if (req.url?.match(/.*\..*/)) {
-			await this.serveStaticFile(req.url, res);
+		// Only the path decides whether a file is asked for, so a dot in the
+		// query string (?search=alice.example) still reaches the router.
+		const { pathname } = request.getURL();
+		if (pathname.match(/\.[^/]*$/)) {
+			await this.serveStaticFile(pathname, response);
+			return;
+		}
+
+		try {
+			await request.loadSession();
+		} catch (error) {
+			console.error("Error loading session:", error);
+			response.send({
+				statusCode: StatusCode.InternalServerError,
+				message: "Failed to load session",
+			});
 			return;
 		}
 
 		// Parse the request body and extract the incoming data.
-		// This is only done for POST and PUT requests because they
-		// normally data in their body whereas GET and DELETE requests do not.
-		if (req.method === "POST" || req.method === "PUT") {
+		// This is only done for POST, PUT, PATCH and DELETE requests because
+		// they may carry data in their body whereas GET requests do not.
+		// DELETE /user, for one, takes the password to confirm with.
+		if (["POST", "PUT", "PATCH", "DELETE"].includes(req.method)) {
 			try {
 				await request.parseBody();
 			} catch (err) {
@@ -118,25 +166,10 @@ export default class Server {
 			}
 		}
 
-		// Find the appropriate handler for the current request.
-		const handler = this.router.findMatchingHandler(
-			request.getMethod(),
-			req.url,
-		);
-
-		// If no handler is found, send a 404 Not Found response.
-		if (!handler) {
-			response.send({
-				statusCode: StatusCode.NotFound,
-				message: `Invalid route: ${req.method} ${req.url}`,
-			});
-
-			return;
-		}
-
-		// If a handler is found, call it with the request and response objects.
+		// Let the router run the middleware and the matching handler,
+		// or reply with a 404 or 405 if there is none.
 		try {
-			await handler(request, response);
+			await this.router.handle(request, response);
 		} catch (error) {
 			const message = `Error while handling request: ${error}`;
 			console.error(message);
@@ -152,13 +185,23 @@ export default class Server {
 	 * directly. This is anything with a valid file extension.
 	 * Within the context of the web, this is usually .html,
 	 * .css, .js, and any image/video/audio file types.
+	 * Files that cannot be read are answered with a 404.
 	 */
-	serveStaticFile = async (url: string, res: ServerResponse) => {
-		const filePath = `.${url}`;
-		const file = await fs.readFile(filePath);
+	serveStaticFile = async (pathname: string, response: Response) => {
+		const filePath = `.${pathname}`;
+		let file: Buffer;
+
+		try {
+			file = await fs.readFile(filePath);
+		} catch (error) {
+			response.send({
+				statusCode: StatusCode.NotFound,
+				message: `File not found: ${pathname}`,
+			});
+			return;
+		}
 
-		res.end(file);
-		return;
+		response.res.end(file);
 	};
 
 	/**
@@ -166,6 +209,19 @@ export default class Server {
 	 */
 	start = async () => {
 		this.server.on("request", this.handleRequest);
+		await this.pushService.start();
+		await this.Controller.start();
+
+		// Purge expired rate limit hits every minute, without keeping the process alive.
+		this.rateLimitCleanUp = setInterval(() => {
+			this.rateLimitStore
+				.destroyExpired(Date.now())
+				.catch((error) =>
+					console.error("Error purging rate limit hits:", error),
+				);
+		}, RATE_LIMIT_CLEAN_UP_INTERVAL);
+		this.rateLimitCleanUp.unref();
+
 		await this.server.listen(this.port);
 		console.log(`Server running at http://${this.host}:${this.port}/.`);
 	};
@@ -174,6 +230,10 @@ export default class Server {
 	 * Stops the server and closes the database connection.
 	 */
 	stop = async () => {
+		this.getSessionManager().stopCleanUp();
+		clearInterval(this.rateLimitCleanUp);
+		this.pushService.stop();
+		await this.Controller.stop();
 		await this.sql.end();
 		await this.server.close();
 		console.log(`Server stopped.`);
@@ -0,0 +1,224 @@
+import crypto from "crypto";
+import postgres from "postgres";
+import UserModel from "../models/UserModel";
+import UserTokenModel, { TokenPurpose } from "../models/UserTokenModel";
+import Mailer from "../mail/Mailer";
+import SessionManager from "../auth/SessionManager";
+import { hashPassword } from "../auth/password";
+
+/**
+ * Where the React app is served. Links in mail point there.
+ */
+export const APP_URL = process.env.APP_URL ?? "http://localhost:5173";
+
+/**
+ * How long each kind of link works for, in milliseconds.
+ */
+export const TOKEN_TTL: Record<TokenPurpose, number> = {
+	verify_email: 1000 * 60 * 60 * 24,
+	reset_password: 1000 * 60 * 60,
+	change_email: 1000 * 60 * 60 * 24,
+};
+
+const INVALID_LINK = "This link is invalid or has expired";
+
+/**
+ * @returns A token of 32 random bytes, encoded as hex, to put in a link.
+ */
+export const generateToken = () => crypto.randomBytes(32).toString("hex");
+
+/**
+ * @returns The SHA-256 hash of a token, which is all the database keeps.
+ */
+export const hashToken = (token: string) =>
+	crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Email verification, password reset and email change confirmation.
+ * Each mails the player a link with a single-use token that expires.
+ */
+export default class AccountEmailService {
+	private sql: postgres.Sql;
+	private userTokenModel: typeof UserTokenModel;
+	private mailer: Mailer;
+	private sessionManager: SessionManager;
+
+	constructor(
+		sql: postgres.Sql,
+		userTokenModel: typeof UserTokenModel,
+		mailer: Mailer,
+		sessionManager = SessionManager.getInstance(),
+	) {
+		this.sql = sql;
+		this.userTokenModel = userTokenModel;
+		this.mailer = mailer;
+		this.sessionManager = sessionManager;
+	}
+
+	/**
+	 * Mails the user a link to verify their email address.
+	 * @throws If the address is already verified.
+	 */
+	async sendVerification(user: UserModel) {
+		if (user.props.emailVerifiedAt) {
+			throw new Error("Email already verified");
+		}
+
+		const { email, username } = user.props;
+		const link = await this.createLink(user, "verify_email", email);
+
+		await this.mailer.send({
+			to: email,
+			subject: "Verify your LuckyBet email address",
+			body: `Hi ${username},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link works for 24 hours.`,
+		});
+	}
+
+	/**
+	 * @returns The user whose address was verified.
+	 * @throws If the link was used already, expired, or is for an address the user no longer has.
+	 */
+	async verifyEmail(token: string) {
+		const user = await this.useToken("verify_email", token);
+
+		await user.update({ emailVerifiedAt: new Date() });
+		return user;
+	}
+
+	/**
+	 * Mails a password reset link to the address, if it is registered.
+	 * Says nothing either way, so the route cannot be used to find out
+	 * who has an account.
+	 */
+	async requestPasswordReset(email: string) {
+		const user = await UserModel.findByEmail(this.sql, email);
+		if (!user) return;
+
+		const link = await this.createLink(user, "reset_password", email);
+
+		await this.mailer.send({
+			to: email,
+			subject: "Reset your LuckyBet password",
+			body: `Hi ${user.props.username},\n\nChoose a new password by opening this link:\n${link}\n\nThe link works for 1 hour. If you did not ask to reset your password, you can ignore this email.`,
+		});
+	}
+
+	/**
+	 * Sets a new password and logs the user out everywhere, in case
+	 * someone else knew the old one. Following the link also proves
+	 * the user owns their address.
+	 * @returns The user whose password was reset.
+	 */
+	async resetPassword(token: string, password: string) {
+		const user = await this.useToken("reset_password", token);
+
+		await user.update({
+			password: await hashPassword(password),
+			emailVerifiedAt: user.props.emailVerifiedAt ?? new Date(),
+		});
+		await this.sessionManager.destroyUserSessions(user.props.id!);
+
+		return user;
+	}
+
+	/**
+	 * Mails a confirmation link to the new address. The email only
+	 * changes once the link is followed. The current address is told
+	 * about the request.
+	 * @throws If the address is the user's own or someone else's.
+	 */
+	async requestEmailChange(user: UserModel, email: string) {
+		if (email === user.props.email) {
+			throw new Error("That is already your email");
+		}
+		if (await UserModel.findByEmail(this.sql, email)) {
+			throw new Error("Email is already taken");
+		}
+
+		const { username } = user.props;
+		const link = await this.createLink(user, "change_email", email);
+
+		await this.mailer.send({
+			to: email,
+			subject: "Confirm your new LuckyBet email address",
+			body: `Hi ${username},\n\nConfirm ${email} as your new email address by opening this link:\n${link}\n\nThe link works for 24 hours.`,
+		});
+		await this.mailer.send({
+			to: user.props.email,
+			subject: "Your LuckyBet email address is changing",
+			body: `Hi ${username},\n\nSomeone asked to change the email address of your account to ${email}. It changes once the new address is confirmed.\n\nIf this was not you, change your password now.`,
+		});
+	}
+
+	/**
+	 * @returns The user whose email was changed.
+	 * @throws If the link cannot be used or the address was taken in the meantime.
+	 */
+	async confirmEmailChange(token: string) {
+		const tokenHash = hashToken(token);
+		const used = await this.userTokenModel.consume(
+			this.sql,
+			"change_email",
+			tokenHash,
+		);
+		const user = used && (await UserModel.read(this.sql, used.userId));
+
+		if (!used || !user) throw new Error(INVALID_LINK);
+		if (await UserModel.findByEmail(this.sql, used.email)) {
+			throw new Error("Email is already taken");
+		}
+
+		await user.update({ email: used.email, emailVerifiedAt: new Date() });
+		return user;
+	}
+
+	/**
+	 * Stores a new token for the user and builds the link to mail them.
+	 * @example createLink(user, "reset_password", email) => "http://localhost:5173/reset-password?token=9f86d0..."
+	 */
+	private async createLink(
+		user: UserModel,
+		purpose: TokenPurpose,
+		email: string,
+	) {
+		const token = generateToken();
+
+		await this.userTokenModel.issue(this.sql, {
+			userId: user.props.id!,
+			purpose,
+			tokenHash: hashToken(token),
+			email,
+			expiresAt: new Date(Date.now() + TOKEN_TTL[purpose]),
+		});
+
+		return `${APP_URL}/${LINK_PATHS[purpose]}?token=${token}`;
+	}
+
+	/**
+	 * Uses up a token mailed to the user's current address.
+	 * @returns The user the token was for.
+	 */
+	private async useToken(purpose: TokenPurpose, token: string) {
+		const used = await this.userTokenModel.consume(
+			this.sql,
+			purpose,
+			hashToken(token),
+		);
+		const user = used && (await UserModel.read(this.sql, used.userId));
+
+		if (!user || user.props.email !== used.email) {
+			throw new Error(INVALID_LINK);
+		}
+
+		return user;
+	}
+}
+
+/**
+ * Pages of the React app that complete each kind of link.
+ */
+const LINK_PATHS: Record<TokenPurpose, string> = {
+	verify_email: "verify-email",
+	reset_password: "reset-password",
+	change_email: "confirm-email",
+};
@@ -0,0 +1,132 @@
+import postgres from "postgres";
+import UserModel from "../models/UserModel";
+import GameRoundModel from "../models/GameRoundModel";
+import TransactionModel from "../models/TransactionModel";
+import LoginAttemptModel from "../models/LoginAttemptModel";
+import SessionManager from "../auth/SessionManager";
+import { verifyPassword } from "../auth/password";
+import ResponsiblePlayService from "./ResponsiblePlayService";
+
+/**
+ * Players' own control over their account: seeing where it is logged in
+ * from, logging sessions out, exporting everything kept about them, and
+ * deleting it.
+ */
+export default class AccountService {
+	private sql: postgres.Sql;
+	private gameRoundModel: typeof GameRoundModel;
+	private transactionModel: typeof TransactionModel;
+	private responsiblePlayService: ResponsiblePlayService;
+	private loginAttemptModel: typeof LoginAttemptModel;
+	private sessionManager: SessionManager;
+
+	constructor(
+		sql: postgres.Sql,
+		gameRoundModel: typeof GameRoundModel,
+		transactionModel: typeof TransactionModel,
+		responsiblePlayService: ResponsiblePlayService,
+		loginAttemptModel: typeof LoginAttemptModel,
+		sessionManager = SessionManager.getInstance(),
+	) {
+		this.sql = sql;
+		this.gameRoundModel = gameRoundModel;
+		this.transactionModel = transactionModel;
+		this.responsiblePlayService = responsiblePlayService;
+		this.loginAttemptModel = loginAttemptModel;
+		this.sessionManager = sessionManager;
+	}
+
+	/**
+	 * @returns The user's latest login attempts, newest first.
+	 */
+	async getLogins(userId: number) {
+		return await this.loginAttemptModel.findByUser(this.sql, userId);
+	}
+
+	/**
+	 * Lists the sessions the user is logged in with, newest first.
+	 * @param currentId The ID of the session the user is asking from.
+	 */
+	async getSessions(userId: number, currentId: string) {
+		const sessions = await this.sessionManager.getUserSessions(userId);
+
+		return sessions.map((session) => ({
+			id: session.getShortId(),
+			current: session.id === currentId,
+			ip: session.get("client")?.ip ?? null,
+			userAgent: session.get("client")?.userAgent ?? null,
+			startedAt: session.exists("startedAt")
+				? new Date(session.get("startedAt"))
+				: null,
+			expires: session.getExpires(),
+		}));
+	}
+
+	/**
+	 * Logs one of the user's sessions out.
+	 * @param shortId The session's ID as listed by `getSessions`.
+	 * @returns The session that was logged out.
+	 * @throws If the user has no such session.
+	 */
+	async revokeSession(userId: number, shortId: string) {
+		const session = await this.sessionManager.destroyUserSession(
+			userId,
+			shortId,
+		);
+		if (!session) throw new Error("Session not found");
+
+		return session;
+	}
+
+	/**
+	 * Logs the user out of every session, including the one asking.
+	 * @returns How many sessions were logged out.
+	 */
+	async logoutEverywhere(userId: number) {
+		return await this.sessionManager.destroyUserSessions(userId);
+	}
+
+	/**
+	 * @returns The user's profile, game history, transactions, oldest
+	 * first, and latest login attempts.
+	 */
+	async exportData(user: UserModel) {
+		const userId = user.props.id!;
+
+		return {
+			exportedAt: new Date(),
+			profile: user,
+			gameRounds: await this.gameRoundModel.findAllByUser(this.sql, userId),
+			transactions: await this.transactionModel.findAllByUser(this.sql, userId),
+			logins: await this.getLogins(userId),
+		};
+	}
+
+	/**
+	 * Deletes the account with its rounds, transactions, bonuses, seeds,
+	 * limits, login history and mail, and logs it out everywhere.
+	 * @throws If the password is wrong, or the player is self-excluded:
+	 * deleting the account must not be a way to end an exclusion early.
+	 */
+	async deleteAccount(user: UserModel, password: string) {
+		if (!(await verifyPassword(password, user.props.password))) {
+			throw new Error("Password is incorrect");
+		}
+
+		const userId = user.props.id!;
+		const { excludedUntil } =
+			await this.responsiblePlayService.getStatus(userId);
+		if (excludedUntil) {
+			throw new Error(
+				`Accounts cannot be deleted while self-excluded, until ${excludedUntil.toISOString()}`,
+			);
+		}
+
+		// Everything else kept about the player goes with the users row.
+		await this.sql.begin(async (sql) => {
+			await sql`DELETE FROM mail_outbox WHERE to_address = ${user.props.email}`;
+			await sql`DELETE FROM users WHERE id = ${userId}`;
+		});
+		await this.sessionManager.destroyUserSessions(userId);
+	}
+}
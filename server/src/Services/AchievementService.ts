@@ -0,0 +1,142 @@
+import postgres from "postgres";
+import Money from "../Money";
+import AchievementModel from "../models/AchievementModel";
+import GameRoundModel, { GameRoundProps } from "../models/GameRoundModel";
+import LedgerService from "./LedgerService";
+import { ACHIEVEMENT_CHANNEL } from "./PushService";
+import {
+	ACHIEVEMENTS,
+	AchievementEvent,
+	ROULETTE_STREAK,
+	findUnlocks,
+} from "./Achievements";
+
+/**
+ * The most recent results needed to judge any win streak.
+ */
+const STREAK_LENGTH = ROULETTE_STREAK;
+
+/**
+ * Unlocks achievements as players play and credits their rewards. Checks
+ * run inside the transaction of the round or bonus that triggered them, so
+ * an unlock and its reward are rolled back with it.
+ */
+export default class AchievementService {
+	private sql: postgres.Sql;
+	private achievementModel: typeof AchievementModel;
+	private gameRoundModel: typeof GameRoundModel;
+	private ledgerService: LedgerService;
+
+	constructor(
+		sql: postgres.Sql,
+		achievementModel: typeof AchievementModel,
+		gameRoundModel: typeof GameRoundModel,
+		ledgerService: LedgerService,
+	) {
+		this.sql = sql;
+		this.achievementModel = achievementModel;
+		this.gameRoundModel = gameRoundModel;
+		this.ledgerService = ledgerService;
+	}
+
+	/**
+	 * Lists every achievement, with when the user unlocked it or null if
+	 * they have not yet.
+	 */
+	async getAchievements(userId: number) {
+		const rows = await this.achievementModel.findByUser(this.sql, userId);
+		const unlockedAt = new Map<string, Date>(
+			rows.map((row) => [row.achievement, row.unlocked_at]),
+		);
+
+		return ACHIEVEMENTS.map(({ id, name, description, reward }) => ({
+			id,
+			name,
+			description,
+			reward,
+			unlockedAt: unlockedAt.get(id) ?? null,
+		}));
+	}
+
+	/**
+	 * Checks achievements once a round has been recorded.
+	 * @param sql The transaction the round was recorded in.
+	 */
+	async checkRound(round: GameRoundProps, sql: postgres.TransactionSql) {
+		const { userId, game } = round;
+
+		return await this.check(
+			userId,
+			{
+				type: "round",
+				round,
+				recentResults: await this.gameRoundModel.findRecentResults(
+					sql,
+					userId,
+					game,
+					STREAK_LENGTH,
+				),
+				roundsPlayed: await this.gameRoundModel.countByUser(sql, userId),
+			},
+			sql,
+		);
+	}
+
+	/**
+	 * Checks achievements once a daily bonus has been claimed.
+	 * @param streak The day of the streak the bonus was claimed for.
+	 * @param sql The transaction the bonus was claimed in.
+	 */
+	async checkBonus(
+		userId: number,
+		streak: number,
+		sql: postgres.TransactionSql,
+	) {
+		return await this.check(userId, { type: "bonus", streak }, sql);
+	}
+
+	/**
+	 * Unlocks the achievements the event earns, credits their rewards and
+	 * tells the player's open pages once the transaction commits.
+	 * @returns The achievements unlocked, and the balance after their
+	 * rewards, or undefined if no reward was credited.
+	 */
+	private async check(
+		userId: number,
+		event: AchievementEvent,
+		sql: postgres.TransactionSql,
+	) {
+		const rows = await this.achievementModel.findByUser(sql, userId);
+		const candidates = findUnlocks(
+			event,
+			new Set(rows.map((row) => row.achievement)),
+		);
+		if (candidates.length === 0) return { unlocked: [] };
+
+		const ids = await this.achievementModel.unlock(
+			sql,
+			userId,
+			candidates.map((achievement) => achievement.id),
+		);
+		const unlocked = candidates.filter(({ id }) => ids.includes(id));
+		let balance: Money | undefined;
+
+		for (const { id, name, description, reward } of unlocked) {
+			if (reward > 0) {
+				({ balance } = await this.ledgerService.record(
+					userId,
+					"bonus",
+					Money.fromCoins(reward),
+					{ description: `Achievement unlocked: ${name}` },
+					sql,
+				));
+			}
+
+			await sql`
+				SELECT pg_notify(${ACHIEVEMENT_CHANNEL}, ${JSON.stringify({ userId, id, name, description, reward })})
+			`;
+		}
+
+		return { unlocked, balance };
+	}
+}
@@ -0,0 +1,185 @@
+import Money from "../Money";
+import { GameRoundProps, RoundResult } from "../models/GameRoundModel";
+
+/**
+ * A round was settled.
+ * @property recentResults Results of the player's latest rounds of the same game, newest first, this one included.
+ * @property roundsPlayed Rounds the player has played of any game, this one included.
+ */
+export interface RoundEvent {
+	type: "round";
+	round: GameRoundProps;
+	recentResults: RoundResult[];
+	roundsPlayed: number;
+}
+
+/**
+ * A daily bonus was claimed.
+ * @property streak The day of the streak the claim was for.
+ */
+export interface BonusEvent {
+	type: "bonus";
+	streak: number;
+}
+
+/**
+ * Something a player did that may unlock achievements.
+ */
+export type AchievementEvent = RoundEvent | BonusEvent;
+
+/**
+ * An achievement and what it takes to unlock it.
+ * @property reward Coins credited once it unlocks, or 0 for none.
+ * @property unlocks Whether the event meets the criteria.
+ */
+export interface Achievement {
+	id: string;
+	name: string;
+	description: string;
+	reward: number;
+	unlocks: (event: AchievementEvent) => boolean;
+}
+
+/**
+ * Roulette wins in a row needed for "Hot Streak".
+ */
+export const ROULETTE_STREAK = 5;
+
+/**
+ * Coin flip wins in a row needed for "Call It".
+ */
+export const COIN_FLIP_STREAK = 3;
+
+/**
+ * Bet on a single round needed for "High Roller".
+ */
+export const HIGH_ROLLER_BET = Money.fromCoins(1000);
+
+/**
+ * Rounds needed for "Regular".
+ */
+export const REGULAR_ROUNDS = 100;
+
+/**
+ * Daily bonus streak needed for "Creature of Habit".
+ */
+export const BONUS_STREAK = 7;
+
+/**
+ * @returns Whether the latest `count` results are all wins.
+ */
+const isWinStreak = (results: RoundResult[], count: number) => {
+	return (
+		results.length >= count &&
+		results.slice(0, count).every((result) => result === "win")
+	);
+};
+
+/**
+ * Narrows an achievement's criteria to settled rounds.
+ */
+const onRound =
+	(check: (event: RoundEvent) => boolean) => (event: AchievementEvent) =>
+		event.type === "round" && check(event);
+
+/**
+ * Every achievement players can unlock, in the order they are shown.
+ * IDs are stored with each unlock, so they must never change.
+ */
+export const ACHIEVEMENTS: Achievement[] = [
+	{
+		id: "first-win",
+		name: "Beginner's Luck",
+		description: "Win your first round of any game.",
+		reward: 0,
+		unlocks: onRound(({ round }) => round.result === "win"),
+	},
+	{
+		id: "first-blackjack",
+		name: "Take a Seat",
+		description: "Play your first round of Blackjack.",
+		reward: 100,
+		unlocks: onRound(({ round }) => round.game === "blackjack"),
+	},
+	{
+		id: "natural",
+		name: "Natural",
+		description: "Be dealt a blackjack.",
+		reward: 250,
+		unlocks: onRound(
+			({ round }) =>
+				round.game === "blackjack" &&
+				round.outcome.hands.some(
+					(hand: { result?: string }) => hand.result === "blackjack",
+				),
+		),
+	},
+	{
+		id: "straight-up",
+		name: "Bullseye",
+		description: "Win a straight-up bet on a single roulette number.",
+		reward: 500,
+		unlocks: onRound(
+			({ round }) =>
+				round.game === "roulette" &&
+				round.outcome.bets.some(
+					(bet: { type: string; win: boolean }) =>
+						bet.type === "straight" && bet.win,
+				),
+		),
+	},
+	{
+		id: "roulette-streak",
+		name: "Hot Streak",
+		description: `Win ${ROULETTE_STREAK} rounds of roulette in a row.`,
+		reward: 1000,
+		unlocks: onRound(
+			({ round, recentResults }) =>
+				round.game === "roulette" &&
+				isWinStreak(recentResults, ROULETTE_STREAK),
+		),
+	},
+	{
+		id: "coinflip-streak",
+		name: "Call It",
+		description: `Win ${COIN_FLIP_STREAK} coin flips in a row.`,
+		reward: 250,
+		unlocks: onRound(
+			({ round, recentResults }) =>
+				round.game === "coinflip" &&
+				isWinStreak(recentResults, COIN_FLIP_STREAK),
+		),
+	},
+	{
+		id: "high-roller",
+		name: "High Roller",
+		description: `Bet ${HIGH_ROLLER_BET.toNumber()} coins or more on a single round.`,
+		reward: 0,
+		unlocks: onRound(({ round }) => !round.bet.lessThan(HIGH_ROLLER_BET)),
+	},
+	{
+		id: "regular",
+		name: "Regular",
+		description: `Play ${REGULAR_ROUNDS} rounds.`,
+		reward: 500,
+		unlocks: onRound(({ roundsPlayed }) => roundsPlayed >= REGULAR_ROUNDS),
+	},
+	{
+		id: "bonus-streak",
+		name: "Creature of Habit",
+		description: `Claim the daily bonus ${BONUS_STREAK} days in a row.`,
+		reward: 1000,
+		unlocks: (event) => event.type === "bonus" && event.streak >= BONUS_STREAK,
+	},
+];
+
+/**
+ * @param unlocked IDs of the achievements the player already has.
+ * @returns The achievements the event unlocks that the player does not have yet.
+ */
+export const findUnlocks = (event: AchievementEvent, unlocked: Set<string>) => {
+	return ACHIEVEMENTS.filter(
+		(achievement) =>
+			!unlocked.has(achievement.id) && achievement.unlocks(event),
+	);
+};
@@ -0,0 +1,126 @@
+import postgres from "postgres";
+import Money from "../Money";
+import UserModel, { UserSearchQuery, UserStatus } from "../models/UserModel";
+import SessionManager from "../auth/SessionManager";
+import LedgerService from "./LedgerService";
+
+/**
+ * A status change made by an admin.
+ * @property reason Why the status changed, kept on the account.
+ * @property until When a suspension ends. Suspensions without one last until lifted.
+ */
+export interface StatusChange {
+	status: UserStatus;
+	reason: string;
+	until?: Date;
+}
+
+/**
+ * Player management for admins: finding accounts, correcting balances,
+ * suspending or banning players and logging them out.
+ */
+export default class AdminService {
+	private sql: postgres.Sql;
+	private ledgerService: LedgerService;
+	private sessionManager: SessionManager;
+
+	constructor(
+		sql: postgres.Sql,
+		ledgerService: LedgerService,
+		sessionManager = SessionManager.getInstance(),
+	) {
+		this.sql = sql;
+		this.ledgerService = ledgerService;
+		this.sessionManager = sessionManager;
+	}
+
+	async searchUsers(query: UserSearchQuery) {
+		return await UserModel.search(this.sql, query);
+	}
+
+	/**
+	 * @throws If there is no user with the ID.
+	 */
+	async getUser(userId: number) {
+		const user = await UserModel.read(this.sql, userId);
+		if (!user) throw new Error("User not found");
+
+		return user;
+	}
+
+	/**
+	 * Lists the user's active sessions. Only the start of each session ID
+	 * is returned, enough to tell them apart but not to use them.
+	 */
+	async getSessions(userId: number) {
+		const sessions = await this.sessionManager.getUserSessions(userId);
+
+		return sessions.map((session) => ({
+			id: session.getShortId(),
+			expires: session.getExpires(),
+		}));
+	}
+
+	/**
+	 * Credits or debits a user's balance through the ledger. The reason
+	 * and the admin who made the change are kept on the transaction.
+	 * @param amount Positive to credit, negative to debit.
+	 * @returns The new balance.
+	 */
+	async adjustBalance(
+		userId: number,
+		amount: Money,
+		reason: string,
+		adminId: number,
+	) {
+		if (amount.isZero()) {
+			throw new Error("Adjustment amount must not be zero");
+		}
+
+		const { balance } = await this.ledgerService.record(
+			userId,
+			"adjustment",
+			amount,
+			{ description: `Adjusted by admin #${adminId}: ${reason}` },
+		);
+		return balance;
+	}
+
+	/**
+	 * Activates, suspends or bans an account. Suspending or banning
+	 * also logs the player out everywhere.
+	 * @throws If an admin tries to change their own status, or a suspension ends in the past.
+	 */
+	async setStatus(userId: number, change: StatusChange, adminId: number) {
+		const { status, reason, until } = change;
+
+		if (userId === adminId) {
+			throw new Error("You cannot change your own status");
+		}
+		if (status === "suspended" && until && until <= new Date()) {
+			throw new Error("Suspension must end in the future");
+		}
+
+		const user = await this.getUser(userId);
+		await user.update({
+			status,
+			statusReason: status === "active" ? null : reason,
+			suspendedUntil: status === "suspended" ? (until ?? null) : null,
+		});
+
+		if (status !== "active") {
+			await this.sessionManager.destroyUserSessions(userId);
+		}
+
+		return user;
+	}
+
+	/**
+	 * Logs a player out of every session.
+	 * @returns How many sessions were ended.
+	 */
+	async forceLogout(userId: number) {
+		await this.getUser(userId);
+		return await this.sessionManager.destroyUserSessions(userId);
+	}
+}
@@ -0,0 +1,385 @@
+import Money from "../Money";
+import { Card } from "./CardShoe";
+
+export type { Card, Suit } from "./CardShoe";
+
+/**
+ * How a single player hand finished once the round was settled.
+ */
+export type HandResult = "blackjack" | "win" | "push" | "lose" | "bust";
+
+/**
+ * The stages a round goes through:
+ * - insurance: dealer shows an ace and the player must accept or decline insurance.
+ * - player: the player is acting on their hands.
+ * - settled: the dealer has played and every hand has a result.
+ */
+export type RoundPhase = "insurance" | "player" | "settled";
+
+/**
+ * A player hand and the money riding on it.
+ */
+export interface BlackjackHand {
+	cards: Card[];
+	bet: Money;
+	doubled: boolean;
+	fromSplit: boolean;
+	done: boolean;
+	result?: HandResult;
+	payout?: Money;
+}
+
+export const BLACKJACK = 21;
+export const DEALER_STAND = 17;
+
+/**
+ * @returns The points a card is worth, counting aces as 11.
+ */
+export const getCardValue = (card: Card) => {
+	if (["KING", "QUEEN", "JACK"].includes(card.value)) return 10;
+	if (card.value === "ACE") return 11;
+	return parseInt(card.value, 10);
+};
+
+/**
+ * Calculates the best total of a hand, counting aces as 1
+ * whenever counting them as 11 would bust the hand.
+ * @example getHandValue([ACE, KING]) => 21
+ * @example getHandValue([ACE, ACE, 9]) => 21
+ */
+export const getHandValue = (cards: Card[]) => {
+	let total = 0;
+	let aces = 0;
+
+	cards.forEach((card) => {
+		total += getCardValue(card);
+		if (card.value === "ACE") aces++;
+	});
+
+	while (total > BLACKJACK && aces > 0) {
+		total -= 10;
+		aces--;
+	}
+
+	return total;
+};
+
+/**
+ * A natural blackjack is exactly two cards worth 21.
+ */
+export const isBlackjack = (cards: Card[]) => {
+	return cards.length === 2 && getHandValue(cards) === BLACKJACK;
+};
+
+/**
+ * A single round of Blackjack against the dealer.
+ *
+ * The round only knows about cards and bets: it never touches a
+ * user's balance. The caller is responsible for charging the player
+ * before calling `double`, `split` or `insure`, and for paying out
+ * `getTotalPayout()` once the round reaches the "settled" phase.
+ */
+export default class BlackjackRound {
+	dealer: Card[] = [];
+	hands: BlackjackHand[] = [];
+	currentHand = 0;
+	phase: RoundPhase = "player";
+	insurance = Money.ZERO;
+	insurancePayout = Money.ZERO;
+
+	/**
+	 * Deals the opening cards and resolves naturals.
+	 * @param draw Removes and returns the next card from the shoe.
+	 * @param bet The amount wagered on the opening hand.
+	 */
+	constructor(
+		private draw: () => Card,
+		bet: Money,
+	) {
+		// Cards alternate between the player and the dealer.
+		const [player1, dealer1, player2, dealer2] = [1, 2, 3, 4].map(() =>
+			this.draw(),
+		);
+
+		this.hands.push({
+			cards: [player1, player2],
+			bet,
+			doubled: false,
+			fromSplit: false,
+			done: false,
+		});
+		this.dealer = [dealer1, dealer2];
+
+		if (this.dealer[0].value === "ACE") {
+			this.phase = "insurance";
+			return;
+		}
+
+		this.peek();
+	}
+
+	/**
+	 * @returns The hand the player is currently acting on.
+	 */
+	getCurrentHand = () => {
+		return this.hands[this.currentHand];
+	};
+
+	/**
+	 * @returns The cost of taking insurance: half the opening bet, rounded down to the cent.
+	 */
+	getInsuranceCost = () => {
+		return this.hands[0].bet.times(1, 2);
+	};
+
+	/**
+	 * @returns Whether the current hand may be split into two hands.
+	 */
+	canSplit = () => {
+		const hand = this.getCurrentHand();
+		return (
+			this.phase === "player" &&
+			hand.cards.length === 2 &&
+			hand.cards[0].value === hand.cards[1].value
+		);
+	};
+
+	/**
+	 * @returns Whether the current hand may be doubled.
+	 */
+	canDouble = () => {
+		return this.phase === "player" && this.getCurrentHand().cards.length === 2;
+	};
+
+	/**
+	 * Accepts or declines insurance when the dealer shows an ace.
+	 * Insurance pays 2:1 if the dealer has blackjack.
+	 * @param accept Whether the player bought insurance.
+	 */
+	insure = (accept: boolean) => {
+		if (this.phase !== "insurance") {
+			throw new Error("Insurance is not available");
+		}
+
+		if (accept) {
+			this.insurance = this.getInsuranceCost();
+		}
+
+		this.phase = "player";
+
+		if (isBlackjack(this.dealer)) {
+			this.insurancePayout = this.insurance.times(3);
+		}
+
+		this.peek();
+	};
+
+	/**
+	 * Draws another card for the current hand.
+	 * The hand ends automatically on 21 or a bust.
+	 */
+	hit = () => {
+		this.assertPlayerTurn();
+
+		const hand = this.getCurrentHand();
+		hand.cards.push(this.draw());
+
+		if (getHandValue(hand.cards) >= BLACKJACK) {
+			this.nextHand();
+		}
+	};
+
+	/**
+	 * Ends the current hand.
+	 */
+	stand = () => {
+		this.assertPlayerTurn();
+		this.nextHand();
+	};
+
+	/**
+	 * Doubles the bet on the current hand, draws exactly one card and ends the hand.
+	 */
+	double = () => {
+		this.assertPlayerTurn();
+
+		if (!this.canDouble()) {
+			throw new Error("Can only double on the first two cards");
+		}
+
+		const hand = this.getCurrentHand();
+		hand.bet = hand.bet.times(2);
+		hand.doubled = true;
+		hand.cards.push(this.draw());
+		this.nextHand();
+	};
+
+	/**
+	 * Splits a pair into two hands, each with the original bet,
+	 * and deals a second card to each.
+	 */
+	split = () => {
+		this.assertPlayerTurn();
+
+		if (!this.canSplit()) {
+			throw new Error("Can only split a pair");
+		}
+
+		const hand = this.getCurrentHand();
+		const [left, right] = hand.cards;
+		const newHands: BlackjackHand[] = [left, right].map((card) => ({
+			cards: [card, this.draw()],
+			bet: hand.bet,
+			doubled: false,
+			fromSplit: true,
+			done: false,
+		}));
+
+		this.hands.splice(this.currentHand, 1, ...newHands);
+
+		if (getHandValue(this.getCurrentHand().cards) === BLACKJACK) {
+			this.nextHand();
+		}
+	};
+
+	/**
+	 * @returns The sum of all bets placed during the round, including insurance.
+	 */
+	getTotalBet = () => {
+		return Money.sum(this.hands.map((hand) => hand.bet)).plus(this.insurance);
+	};
+
+	/**
+	 * @returns The total amount returned to the player, stakes included.
+	 * Only meaningful once the round is settled.
+	 */
+	getTotalPayout = () => {
+		return Money.sum(
+			this.hands.map((hand) => hand.payout ?? Money.ZERO),
+		).plus(this.insurancePayout);
+	};
+
+	/**
+	 * Serializes the round for the client. The dealer's hole card
+	 * stays hidden until the round is settled.
+	 */
+	toJSON = () => {
+		const settled = this.phase === "settled";
+		const dealer = settled ? this.dealer : [this.dealer[0], { hidden: true }];
+
+		return {
+			phase: this.phase,
+			dealer,
+			dealerValue: getHandValue(settled ? this.dealer : [this.dealer[0]]),
+			hands: this.hands.map((hand) => ({
+				...hand,
+				value: getHandValue(hand.cards),
+			})),
+			currentHand: this.currentHand,
+			insurance: this.insurance,
+			insurancePayout: this.insurancePayout,
+			canSplit: !settled && this.canSplit(),
+			canDouble: !settled && this.canDouble(),
+			totalBet: this.getTotalBet(),
+			totalPayout: settled ? this.getTotalPayout() : Money.ZERO,
+		};
+	};
+
+	private assertPlayerTurn = () => {
+		if (this.phase === "insurance") {
+			throw new Error("Accept or decline insurance first");
+		}
+
+		if (this.phase !== "player") {
+			throw new Error("Round is already over");
+		}
+	};
+
+	/**
+	 * Checks for naturals after the opening deal. A dealer blackjack
+	 * or a player blackjack ends the round immediately.
+	 */
+	private peek = () => {
+		if (isBlackjack(this.dealer) || isBlackjack(this.hands[0].cards)) {
+			this.settle();
+		}
+	};
+
+	/**
+	 * Moves on to the next unfinished hand, or to the dealer
+	 * once every player hand is done.
+	 */
+	private nextHand = () => {
+		this.getCurrentHand().done = true;
+
+		while (this.currentHand + 1 < this.hands.length) {
+			this.currentHand++;
+
+			const hand = this.getCurrentHand();
+			if (getHandValue(hand.cards) < BLACKJACK) return;
+			hand.done = true;
+		}
+
+		this.playDealer();
+	};
+
+	/**
+	 * The dealer draws until reaching at least 17, unless every
+	 * player hand has already busted.
+	 */
+	private playDealer = () => {
+		const allBusted = this.hands.every(
+			(hand) => getHandValue(hand.cards) > BLACKJACK,
+		);
+
+		if (!allBusted) {
+			while (getHandValue(this.dealer) < DEALER_STAND) {
+				this.dealer.push(this.draw());
+			}
+		}
+
+		this.settle();
+	};
+
+	/**
+	 * Decides the result and payout of every hand.
+	 * A natural pays 3:2 (rounded down to the cent), a blackjack on a
+	 * split hand counts as a plain 21.
+	 */
+	private settle = () => {
+		const dealerValue = getHandValue(this.dealer);
+		const dealerBlackjack = isBlackjack(this.dealer);
+
+		this.hands.forEach((hand) => {
+			const value = getHandValue(hand.cards);
+			const natural = isBlackjack(hand.cards) && !hand.fromSplit;
+
+			hand.done = true;
+
+			if (natural && dealerBlackjack) {
+				hand.result = "push";
+				hand.payout = hand.bet;
+			} else if (natural) {
+				hand.result = "blackjack";
+				hand.payout = hand.bet.times(5, 2);
+			} else if (value > BLACKJACK) {
+				hand.result = "bust";
+				hand.payout = Money.ZERO;
+			} else if (dealerBlackjack) {
+				hand.result = "lose";
+				hand.payout = Money.ZERO;
+			} else if (dealerValue > BLACKJACK || value > dealerValue) {
+				hand.result = "win";
+				hand.payout = hand.bet.times(2);
+			} else if (value === dealerValue) {
+				hand.result = "push";
+				hand.payout = hand.bet;
+			} else {
+				hand.result = "lose";
+				hand.payout = Money.ZERO;
+			}
+		});
+
+		this.phase = "settled";
+	};
+}
@@ -0,0 +1,162 @@
+import postgres from "postgres";
+import DailyBonusModel from "../models/DailyBonusModel";
+import AchievementService from "./AchievementService";
+import LedgerService from "./LedgerService";
+import Money from "../Money";
+
+const HOUR = 1000 * 60 * 60;
+
+/**
+ * Time a user must wait between two claims.
+ */
+export const BONUS_INTERVAL = 24 * HOUR;
+
+/**
+ * A claim made within this long of the previous one continues the streak.
+ */
+export const STREAK_WINDOW = 48 * HOUR;
+
+/**
+ * Reward for the first day of a streak.
+ */
+export const BASE_REWARD = 1000;
+
+/**
+ * Extra coins for every consecutive day after the first.
+ */
+export const STREAK_STEP = 250;
+
+/**
+ * Rewards stop growing after this many consecutive days.
+ */
+export const MAX_STREAK_DAYS = 7;
+
+/**
+ * The user's last claim, as far as the bonus rules are concerned.
+ */
+export interface LastClaim {
+	claimedAt: Date;
+	streak: number;
+}
+
+/**
+ * @returns The reward for a given day of a streak.
+ * @example getReward(1) => 1000
+ * @example getReward(3) => 1500
+ */
+export const getReward = (streak: number) => {
+	return BASE_REWARD + (Math.min(streak, MAX_STREAK_DAYS) - 1) * STREAK_STEP;
+};
+
+/**
+ * Works out whether a user can claim right now and what they would get.
+ * @param lastClaim The user's previous claim, or null if they never claimed.
+ * @param now The current time.
+ */
+export const getBonusStatus = (lastClaim: LastClaim | null, now = new Date()) => {
+	if (!lastClaim) {
+		return {
+			canClaim: true,
+			streak: 0,
+			nextStreak: 1,
+			nextReward: getReward(1),
+			nextClaimAt: now,
+			msUntilNextClaim: 0,
+		};
+	}
+
+	const elapsed = now.getTime() - lastClaim.claimedAt.getTime();
+	const streakAlive = elapsed < STREAK_WINDOW;
+	const streak = streakAlive ? lastClaim.streak : 0;
+	const nextStreak = streak + 1;
+	const msUntilNextClaim = Math.max(0, BONUS_INTERVAL - elapsed);
+
+	return {
+		canClaim: msUntilNextClaim === 0,
+		streak,
+		nextStreak,
+		nextReward: getReward(nextStreak),
+		nextClaimAt: new Date(now.getTime() + msUntilNextClaim),
+		msUntilNextClaim,
+	};
+};
+
+/**
+ * Hands out the daily bonus: one claim every 24 hours, with rewards
+ * that grow for every consecutive day the user comes back.
+ */
+export default class BonusService {
+	private sql: postgres.Sql;
+	private dailyBonusModel: typeof DailyBonusModel;
+	private ledgerService: LedgerService;
+	private achievementService: AchievementService;
+
+	constructor(
+		sql: postgres.Sql,
+		dailyBonusModel: typeof DailyBonusModel,
+		ledgerService: LedgerService,
+		achievementService: AchievementService,
+	) {
+		this.sql = sql;
+		this.dailyBonusModel = dailyBonusModel;
+		this.ledgerService = ledgerService;
+		this.achievementService = achievementService;
+	}
+
+	async getStatus(userId: number) {
+		const latest = await this.dailyBonusModel.findLatest(this.sql, userId);
+		return getBonusStatus(this.toLastClaim(latest));
+	}
+
+	/**
+	 * Claims today's bonus. The user's row is locked for the duration
+	 * of the claim so two simultaneous requests cannot both succeed.
+	 * @returns Whether the bonus was claimed, the amount, the new balance and the updated status.
+	 */
+	async claim(userId: number) {
+		return await this.sql.begin(async (sql) => {
+			const [user] = await sql`SELECT id FROM users WHERE id = ${userId} FOR UPDATE`;
+			if (!user) throw new Error("User not found");
+
+			const latest = await this.dailyBonusModel.findLatest(sql, userId);
+			const status = getBonusStatus(this.toLastClaim(latest));
+
+			if (!status.canClaim) {
+				return { claimed: false, status };
+			}
+
+			const amount = Money.fromCoins(status.nextReward);
+			const bonus = await this.dailyBonusModel.create(sql, {
+				userId,
+				amount,
+				streak: status.nextStreak,
+			});
+			const { balance } = await this.ledgerService.record(
+				userId,
+				"bonus",
+				amount,
+				{ description: `Daily bonus (day ${status.nextStreak})` },
+				sql,
+			);
+			const rewarded = await this.achievementService.checkBonus(
+				userId,
+				status.nextStreak,
+				sql,
+			);
+
+			return {
+				claimed: true,
+				amount,
+				newBalance: rewarded.balance ?? balance,
+				status: getBonusStatus({
+					claimedAt: bonus.props.claimedAt!,
+					streak: bonus.props.streak,
+				}),
+			};
+		});
+	}
+
+	private toLastClaim(row: postgres.Row | null): LastClaim | null {
+		return row ? { claimedAt: row.claimed_at, streak: row.streak } : null;
+	}
+}
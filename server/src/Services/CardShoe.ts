@@ -0,0 +1,164 @@
+/**
+ * Card suits, named the same way the client renders them.
+ */
+export type Suit = "SPADES" | "HEARTS" | "DIAMONDS" | "CLUBS";
+
+/**
+ * A single playing card.
+ * @property code Short code of the card, e.g. "AS" (ace of spades) or "0H" (ten of hearts).
+ * @property value Face value of the card, e.g. "ACE", "7" or "KING".
+ * @property suit Suit of the card.
+ */
+export interface Card {
+	code: string;
+	value: string;
+	suit: Suit;
+}
+
+export const SUITS: Suit[] = ["SPADES", "HEARTS", "DIAMONDS", "CLUBS"];
+
+export const VALUES = [
+	"ACE",
+	"2",
+	"3",
+	"4",
+	"5",
+	"6",
+	"7",
+	"8",
+	"9",
+	"10",
+	"JACK",
+	"QUEEN",
+	"KING",
+];
+
+/**
+ * How a shoe is built and dealt.
+ * @property decks How many 52-card decks are shuffled together.
+ * @property penetration Share of the shoe dealt before the cut card comes out, e.g. 0.75.
+ * @property burn Cards discarded face down after every shuffle.
+ */
+export interface ShoeOptions {
+	decks: number;
+	penetration: number;
+	burn: number;
+}
+
+const DEFAULT_OPTIONS: ShoeOptions = { decks: 1, penetration: 1, burn: 0 };
+
+/**
+ * Builds the card code used by the client to pick an image.
+ * @example toCode("10", "HEARTS") => "0H"
+ */
+const toCode = (value: string, suit: Suit) => {
+	const rank = value === "10" ? "0" : value.charAt(0);
+	return `${rank}${suit.charAt(0)}`;
+};
+
+/**
+ * @returns One unshuffled 52-card deck, suit by suit.
+ */
+export const createDeck = (): Card[] => {
+	return SUITS.flatMap((suit) =>
+		VALUES.map((value) => ({ code: toCode(value, suit), value, suit })),
+	);
+};
+
+/**
+ * A shoe of one or more shuffled decks, dealt from the top. A cut card
+ * placed at the penetration point tells the game to reshuffle before
+ * the next round; the round in progress can keep drawing past it.
+ * The shuffle only depends on `random`, so a shoe can be rebuilt from
+ * the same random source to check the cards that were dealt.
+ */
+export default class CardShoe {
+	readonly options: ShoeOptions;
+
+	/**
+	 * Every card in the shoe, in the order it is dealt.
+	 */
+	private cards: Card[];
+
+	/**
+	 * Cards taken from the shoe so far, burned cards included.
+	 */
+	private dealt = 0;
+
+	/**
+	 * @param options How to build and deal the shoe.
+	 * @param random Source of randomness in the range [0, 1).
+	 * @throws If the options do not describe a shoe that can be dealt.
+	 */
+	constructor(options: Partial<ShoeOptions> = {}, random = Math.random) {
+		this.options = { ...DEFAULT_OPTIONS, ...options };
+
+		const { decks, penetration, burn } = this.options;
+		if (!Number.isInteger(decks) || decks < 1 || decks > 8) {
+			throw new Error("A shoe holds between 1 and 8 decks");
+		}
+		if (!(penetration > 0 && penetration <= 1)) {
+			throw new Error("Penetration must be above 0 and at most 1");
+		}
+		if (!Number.isInteger(burn) || burn < 0 || burn >= this.getCutCard()) {
+			throw new Error("Burn cards must come before the cut card");
+		}
+
+		this.cards = Array.from({ length: decks }, createDeck).flat();
+
+		// Fisher-Yates shuffle.
+		for (let i = this.cards.length - 1; i > 0; i--) {
+			const j = Math.floor(random() * (i + 1));
+			[this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
+		}
+
+		this.dealt = burn;
+	}
+
+	/**
+	 * Deals the next card.
+	 * @throws If every card has been dealt.
+	 */
+	draw = () => {
+		const card = this.cards[this.dealt];
+		if (!card) throw new Error("The shoe is empty");
+
+		this.dealt++;
+		return card;
+	};
+
+	/**
+	 * @returns Whether the cut card has come out, i.e. it is time to reshuffle.
+	 */
+	needsShuffle() {
+		return this.dealt >= this.getCutCard();
+	}
+
+	/**
+	 * @returns How many cards have been taken, burned cards included.
+	 */
+	getPosition() {
+		return this.dealt;
+	}
+
+	/**
+	 * @returns How many cards are left to deal.
+	 */
+	getRemaining() {
+		return this.cards.length - this.dealt;
+	}
+
+	/**
+	 * @returns Every card in the order it is dealt, burned cards first.
+	 */
+	getOrder() {
+		return [...this.cards];
+	}
+
+	/**
+	 * @returns The position of the cut card in the shoe.
+	 */
+	private getCutCard() {
+		return Math.floor(this.options.decks * 52 * this.options.penetration);
+	}
+}
@@ -0,0 +1,145 @@
+import postgres from "postgres";
+import FairSeedModel from "../models/FairSeedModel";
+import {
+	FairProof,
+	createRandom,
+	generateSeed,
+	hashSeed,
+} from "./ProvablyFair";
+
+/**
+ * A seed pair whose server seed has been revealed.
+ */
+export interface RevealedSeeds extends FairProof {
+	serverSeed: string;
+}
+
+/**
+ * The seed pair in play, with the hash of the server seed it will be
+ * rotated to.
+ */
+export interface CommittedSeeds extends FairProof {
+	nextServerSeedHash: string;
+}
+
+/**
+ * Hands out the randomness for every game. Each user has one seed pair in
+ * play, created on first use. Its server seed stays secret (only its hash
+ * is shown) until the user rotates to a new pair. The server seed of that
+ * next pair is chosen ahead of time and its hash shown too, so the server
+ * cannot pick it once it knows the client seed it is paired with.
+ */
+export default class FairService {
+	private sql: postgres.Sql;
+	private fairSeedModel: typeof FairSeedModel;
+
+	constructor(sql: postgres.Sql, fairSeedModel: typeof FairSeedModel) {
+		this.sql = sql;
+		this.fairSeedModel = fairSeedModel;
+	}
+
+	/**
+	 * @returns The hashed server seed, client seed and next nonce of the
+	 * user's seed pair in play, and the hash of the server seed it will be
+	 * rotated to.
+	 */
+	async getSeeds(userId: number): Promise<CommittedSeeds> {
+		let seeds =
+			(await this.fairSeedModel.findActive(this.sql, userId)) ??
+			(await this.createSeeds(this.sql, userId));
+
+		// Pairs started before next server seeds were chosen ahead of time.
+		if (!seeds.next_server_seed) {
+			const nextServerSeed = generateSeed();
+			seeds =
+				(await this.fairSeedModel.commitNext(
+					this.sql,
+					userId,
+					nextServerSeed,
+					hashSeed(nextServerSeed),
+				)) ?? (await this.fairSeedModel.findActive(this.sql, userId));
+		}
+
+		return toCommitted(seeds);
+	}
+
+	/**
+	 * Takes the next nonce of the user's seed pair. The nonce is used up
+	 * straight away, outside the bet's transaction, so an outcome can
+	 * never be drawn twice: not even when the bet then fails.
+	 * @returns The source of randomness for one outcome and the proof to store with it.
+	 */
+	async next(userId: number) {
+		let seeds = await this.fairSeedModel.useNonce(this.sql, userId);
+
+		if (!seeds) {
+			await this.createSeeds(this.sql, userId);
+			seeds = await this.fairSeedModel.useNonce(this.sql, userId);
+		}
+		if (!seeds) throw new Error("No seeds in play");
+
+		return {
+			random: createRandom(seeds.server_seed, seeds.client_seed, seeds.nonce),
+			proof: toProof(seeds),
+		};
+	}
+
+	/**
+	 * Reveals the user's seed pair in play and replaces it with a new one,
+	 * whose server seed is the one committed to by the revealed pair.
+	 * @param clientSeed The client seed for the new pair. A random one is used if omitted.
+	 * @returns The revealed pair (null if the user had none yet) and the new pair.
+	 */
+	async rotate(userId: number, clientSeed?: string) {
+		return await this.sql.begin(async (sql) => {
+			const revealed = await this.fairSeedModel.reveal(sql, userId);
+			const seeds = await this.createSeeds(
+				sql,
+				userId,
+				clientSeed,
+				revealed?.next_server_seed ?? generateSeed(),
+			);
+
+			return {
+				previous: revealed ? toRevealed(revealed) : null,
+				current: toCommitted(seeds),
+			};
+		});
+	}
+
+	private async createSeeds(
+		sql: postgres.ISql,
+		userId: number,
+		clientSeed = generateSeed(8),
+		serverSeed = generateSeed(),
+	) {
+		const nextServerSeed = generateSeed();
+		const seeds = await this.fairSeedModel.add(sql, {
+			userId,
+			serverSeed,
+			serverSeedHash: hashSeed(serverSeed),
+			clientSeed,
+			nextServerSeed,
+			nextServerSeedHash: hashSeed(nextServerSeed),
+		});
+
+		// Another request created the user's pair first.
+		return seeds ?? (await this.fairSeedModel.findActive(sql, userId));
+	}
+}
+
+const toProof = (seeds: postgres.Row): FairProof => ({
+	serverSeedHash: seeds.server_seed_hash,
+	clientSeed: seeds.client_seed,
+	nonce: seeds.nonce,
+});
+
+const toCommitted = (seeds: postgres.Row): CommittedSeeds => ({
+	...toProof(seeds),
+	nextServerSeedHash: seeds.next_server_seed_hash,
+});
+
+const toRevealed = (seeds: postgres.Row): RevealedSeeds => ({
+	...toProof(seeds),
+	serverSeed: seeds.server_seed,
+});
@@ -1,151 +1,614 @@
+import postgres from "postgres";
+import Money from "../Money";
 import UserModel from "../models/UserModel";
+import GameRoundModel, {
+	GameRoundProps,
+	getRoundResult,
+} from "../models/GameRoundModel";
+import BlackjackStakeModel from "../models/BlackjackStakeModel";
+import ServerInstanceModel from "../models/ServerInstanceModel";
+import LedgerService, { LedgerEntryOptions } from "./LedgerService";
+import FairService from "./FairService";
+import ResponsiblePlayService from "./ResponsiblePlayService";
+import AchievementService from "./AchievementService";
+import BlackjackRound from "./Blackjack";
+import CardShoe, { ShoeOptions } from "./CardShoe";
+import { RouletteBet, settleBets, spinWheel } from "./Roulette";
+import { FairProof, createRandom, hashSeed } from "./ProvablyFair";
+
+/**
+ * Actions a player can take during a round of Blackjack.
+ */
+export type BlackjackAction =
+	| "deal"
+	| "hit"
+	| "stand"
+	| "double"
+	| "split"
+	| "insurance";
+
+export const BLACKJACK_ACTIONS: BlackjackAction[] = [
+	"deal",
+	"hit",
+	"stand",
+	"double",
+	"split",
+	"insurance",
+];
+
+/**
+ * Four decks with the cut card 52 cards from the end, and one card
+ * burned after every shuffle.
+ */
+const BLACKJACK_SHOE: ShoeOptions = { decks: 4, penetration: 0.75, burn: 1 };
+
+/**
+ * A player's shoe and the proof of the shuffle that produced it.
+ */
+interface BlackjackShoe {
+	shoe: CardShoe;
+	fair: FairProof;
+}
+
+/**
+ * How often a running server marks itself as alive.
+ */
+const INSTANCE_HEARTBEAT_MS = 30_000;
+
+/**
+ * A server that has not marked itself as alive for this long has stopped,
+ * and the Blackjack rounds it was dealing are refunded.
+ */
+const INSTANCE_TIMEOUT_MS = 5 * 60_000;
+
+/**
+ * A winning coin flip pays 1.95 times the bet, rounded down to the cent.
+ */
+const COIN_FLIP_PAYOUT = [39, 20] as const;
+
+/**
+ * @returns "heads" or "tails", with equal odds.
+ */
+const flipCoin = (random: () => number) => {
+	return random() < 0.5 ? "heads" : "tails";
+};
+
+/**
+ * @returns A freshly shuffled Blackjack shoe.
+ */
+const shuffleShoe = (random: () => number) => {
+	return new CardShoe(BLACKJACK_SHOE, random);
+};
 
 export default class GameService {
-	private userModel: UserModel;
+	private sql: postgres.Sql;
+	private gameRoundModel: typeof GameRoundModel;
+	private blackjackStakeModel: typeof BlackjackStakeModel;
+	private ledgerService: LedgerService;
+	private fairService: FairService;
+	private responsiblePlayService: ResponsiblePlayService;
+	private achievementService: AchievementService;
+
+	/**
+	 * Rounds of Blackjack that are still in progress, keyed by user ID.
+	 * Their bets are also kept in `blackjack_stakes`, so they can be
+	 * refunded if the server stops before the rounds settle.
+	 */
+	private blackjackRounds = new Map<number, BlackjackRound>();
+
+	/**
+	 * Each player has their own shoe that persists between rounds.
+	 */
+	private blackjackShoes = new Map<number, BlackjackShoe>();
 
-	constructor(userModel: UserModel) {
-		this.userModel = userModel;
+	/**
+	 * Where each round in progress started in its shoe, keyed by user ID,
+	 * so the cards dealt can be checked against the shuffle.
+	 */
+	private blackjackProofs = new Map<
+		number,
+		FairProof & { shoePosition: number }
+	>();
+
+	/**
+	 * The Blackjack action each player is waiting on, keyed by user ID.
+	 */
+	private blackjackLocks = new Map<number, Promise<unknown>>();
+
+	/**
+	 * This server's ID in `server_instances`, once started. Blackjack
+	 * stakes are tagged with it so other servers leave them alone.
+	 */
+	private instanceId?: number;
+	private heartbeat?: NodeJS.Timeout;
+
+	constructor(
+		sql: postgres.Sql,
+		gameRoundModel: typeof GameRoundModel,
+		blackjackStakeModel: typeof BlackjackStakeModel,
+		ledgerService: LedgerService,
+		fairService: FairService,
+		responsiblePlayService: ResponsiblePlayService,
+		achievementService: AchievementService,
+	) {
+		this.sql = sql;
+		this.gameRoundModel = gameRoundModel;
+		this.blackjackStakeModel = blackjackStakeModel;
+		this.ledgerService = ledgerService;
+		this.fairService = fairService;
+		this.responsiblePlayService = responsiblePlayService;
+		this.achievementService = achievementService;
 	}
 
+	/**
+	 * Flips a coin. The bet, the payout and the round are recorded in one
+	 * transaction, and the bet is rejected if it would overdraw the balance
+	 * or break the player's limits. The flip is drawn first, so a bet that
+	 * fails still uses up its nonce.
+	 */
 	async playCoinFlip(
 		userId: number,
 		guess: "heads" | "tails",
-		amount: number,
+		amount: Money,
 	) {
-		if (!guess || typeof amount !== "number" || amount <= 0) {
+		if (!guess || !amount.isPositive()) {
 			throw new Error("Invalid bet input");
 		}
 
-		const user = await this.userModel.getById(userId);
-		if (!user) throw new Error("User not found");
-		if (amount > user.balance) throw new Error("Insufficient funds");
+		const { random, proof } = await this.fairService.next(userId);
+
+		return await this.sql.begin(async (sql) => {
+			const { balance } = await this.placeBet(sql, userId, amount, {
+				game: "coinflip",
+				description: `Coin flip bet on ${guess}`,
+			});
+
+			const outcome = flipCoin(random);
+			const win = guess === outcome;
+			const payout = win ? amount.times(...COIN_FLIP_PAYOUT) : Money.ZERO;
+			const newBalance = await this.settleRound(
+				sql,
+				{
+					userId,
+					game: "coinflip",
+					bet: amount,
+					payout,
+					result: win ? "win" : "loss",
+					outcome: { guess, outcome, fair: proof },
+				},
+				`Coin flip landed ${outcome}`,
+			);
+
+			return {
+				outcome,
+				win,
+				payout,
+				newBalance: newBalance ?? balance,
+				fair: proof,
+			};
+		});
+	}
+
+	/**
+	 * Spins the wheel once for a whole bet slip. The stakes, the winnings
+	 * and the round are recorded in one transaction, so either every bet
+	 * on the slip is settled or none is. The spin is drawn first, so a
+	 * slip that fails still uses up its nonce.
+	 * @returns The winning number, a breakdown of every bet and the new balance.
+	 */
+	async playRoulette(userId: number, bets: RouletteBet[]) {
+		if (bets.length === 0) {
+			throw new Error("Place at least one bet");
+		}
+
+		const totalBet = Money.sum(bets.map((bet) => bet.amount));
+		const description = `${bets.length} bet${bets.length === 1 ? "" : "s"}`;
+
+		const { random, proof } = await this.fairService.next(userId);
+
+		return await this.sql.begin(async (sql) => {
+			const { balance } = await this.placeBet(sql, userId, totalBet, {
+				game: "roulette",
+				description: `Roulette slip of ${description}`,
+			});
+
+			const { number, color } = spinWheel(random);
+			const settled = settleBets(bets, number);
+			const totalPayout = Money.sum(settled.map((bet) => bet.payout));
+
+			const newBalance = await this.settleRound(
+				sql,
+				{
+					userId,
+					game: "roulette",
+					bet: totalBet,
+					payout: totalPayout,
+					result: getRoundResult(totalBet, totalPayout),
+					outcome: { number, color, bets: settled, fair: proof },
+				},
+				`Roulette landed ${number}`,
+			);
+
+			return {
+				result: number,
+				color,
+				bets: settled,
+				totalBet,
+				totalPayout,
+				win: totalPayout.greaterThan(totalBet),
+				newBalance: newBalance ?? balance,
+				fair: proof,
+			};
+		});
+	}
+
+	/**
+	 * @returns The user's round of Blackjack in progress, or null if there is none.
+	 */
+	getBlackjackRound(userId: number) {
+		return this.blackjackRounds.get(userId)?.toJSON() ?? null;
+	}
+
+	/**
+	 * Applies a player action to their round of Blackjack. Bets are
+	 * charged as soon as they are placed (deal, double, split,
+	 * insurance) and the payout is credited when the round settles.
+	 * Actions of the same player are applied one at a time, so two
+	 * requests sent together cannot both deal or both double down.
+	 * @param userId The player taking the action.
+	 * @param action What the player wants to do.
+	 * @param options The bet amount when dealing, or whether insurance is accepted.
+	 * @returns The round as the player is allowed to see it and their new balance.
+	 */
+	async playBlackjack(
+		userId: number,
+		action: BlackjackAction,
+		options: { amount?: Money; accept?: boolean } = {},
+	) {
+		return await this.withBlackjackLock(userId, () =>
+			this.applyBlackjackAction(userId, action, options),
+		);
+	}
+
+	private async applyBlackjackAction(
+		userId: number,
+		action: BlackjackAction,
+		options: { amount?: Money; accept?: boolean },
+	) {
+		let round = this.blackjackRounds.get(userId);
+		let newBalance: Money | undefined;
+
+		if (action === "deal") {
+			const { amount } = options;
+
+			if (round) throw new Error("A round is already in progress");
+			if (!amount?.isPositive()) {
+				throw new Error("Invalid bet input");
+			}
+
+			// Shuffle first, so a failed shuffle does not take the bet.
+			const draw = await this.getBlackjackDraw(userId);
+			newBalance = await this.debit(userId, amount, "Blackjack bet");
+			round = new BlackjackRound(draw, amount);
+			this.blackjackRounds.set(userId, round);
+		} else {
+			if (!round) throw new Error("No round in progress");
+
+			switch (action) {
+				case "hit":
+					round.hit();
+					break;
+				case "stand":
+					round.stand();
+					break;
+				case "double":
+					if (!round.canDouble()) {
+						throw new Error("Can only double on the first two cards");
+					}
+					newBalance = await this.debit(
+						userId,
+						round.getCurrentHand().bet,
+						"Blackjack double down",
+					);
+					round.double();
+					break;
+				case "split":
+					if (!round.canSplit()) {
+						throw new Error("Can only split a pair");
+					}
+					newBalance = await this.debit(
+						userId,
+						round.getCurrentHand().bet,
+						"Blackjack split",
+					);
+					round.split();
+					break;
+				case "insurance":
+					if (round.phase !== "insurance") {
+						throw new Error("Insurance is not available");
+					}
+					if (options.accept) {
+						newBalance = await this.debit(
+							userId,
+							round.getInsuranceCost(),
+							"Blackjack insurance",
+						);
+					}
+					round.insure(Boolean(options.accept));
+					break;
+				default:
+					throw new Error(`Unknown action: ${action}`);
+			}
+		}
 
-		const outcome = Math.random() < 0.5 ? "heads" : "tails";
-		const win = guess === outcome;
-		const payout = win ? amount * 1.95 : 0;
-		const newBalance = user.balance - amount + payout;
+		if (round.phase === "settled") {
+			const bet = round.getTotalBet();
+			const payout = round.getTotalPayout();
 
-		await this.userModel.updateBalance(userId, newBalance);
+			const settledRound = round;
+			const fair = this.blackjackProofs.get(userId);
+
+			// The round is over even if settling it fails, so the player can
+			// deal again. Its bets then stay in `blackjack_stakes` and are
+			// refunded once this server stops.
+			try {
+				const credited = await this.sql.begin(async (sql) => {
+					await this.blackjackStakeModel.remove(sql, userId);
+
+					return await this.settleRound(
+						sql,
+						{
+							userId,
+							game: "blackjack",
+							bet,
+							payout,
+							result: getRoundResult(bet, payout),
+							outcome: {
+								dealer: settledRound.dealer,
+								hands: settledRound.hands,
+								insurance: settledRound.insurance,
+								fair,
+							},
+						},
+						"Blackjack payout",
+					);
+				});
+
+				newBalance = credited ?? newBalance;
+			} finally {
+				this.blackjackRounds.delete(userId);
+				this.blackjackProofs.delete(userId);
+			}
+		}
 
 		return {
-			outcome,
-			win,
-			payout,
-			newBalance,
+			round: round.toJSON(),
+			newBalance: newBalance ?? (await this.getBalance(userId)),
 		};
 	}
-	async playRoulette(userId: number, betType: string, amount: number) {
-		const ROULETTE_NUMBERS = [
-			{ number: 0, color: "green" },
-			{ number: 32, color: "red" },
-			{ number: 15, color: "black" },
-			{ number: 19, color: "red" },
-			{ number: 4, color: "black" },
-			{ number: 21, color: "red" },
-			{ number: 2, color: "black" },
-			{ number: 25, color: "red" },
-			{ number: 17, color: "black" },
-			{ number: 34, color: "red" },
-			{ number: 6, color: "black" },
-			{ number: 27, color: "red" },
-			{ number: 13, color: "black" },
-			{ number: 36, color: "red" },
-			{ number: 11, color: "black" },
-			{ number: 30, color: "red" },
-			{ number: 8, color: "black" },
-			{ number: 23, color: "red" },
-			{ number: 10, color: "black" },
-			{ number: 5, color: "red" },
-			{ number: 24, color: "black" },
-			{ number: 16, color: "red" },
-			{ number: 33, color: "black" },
-			{ number: 1, color: "red" },
-			{ number: 20, color: "black" },
-			{ number: 14, color: "red" },
-			{ number: 31, color: "black" },
-			{ number: 9, color: "red" },
-			{ number: 22, color: "black" },
-			{ number: 18, color: "red" },
-			{ number: 29, color: "black" },
-			{ number: 7, color: "red" },
-			{ number: 28, color: "black" },
-			{ number: 12, color: "red" },
-			{ number: 35, color: "black" },
-			{ number: 3, color: "red" },
-			{ number: 26, color: "black" },
-		];
-
-		const getRandomResult = () => Math.floor(Math.random() * 37);
-		const getResultDetails = (n: number) =>
-			ROULETTE_NUMBERS.find((x) => x.number === n);
-
-		const user = await this.userModel.getById(userId);
-		if (!user) throw new Error("User not found");
-		if (amount > user.balance) throw new Error("Insufficient funds");
 
-		const resultNumber = getRandomResult();
-		const result = getResultDetails(resultNumber);
-		if (!result) {
-			throw new Error(
-				`Invalid spin result: ${resultNumber} not in ROULETTE_NUMBERS`,
+	/**
+	 * Registers this server and keeps marking it as alive, so the Blackjack
+	 * rounds it deals are left alone by other servers. Then refunds the
+	 * rounds of servers that have stopped.
+	 * @returns How many rounds were refunded.
+	 */
+	async start() {
+		this.instanceId = await ServerInstanceModel.register(this.sql);
+		this.heartbeat = setInterval(() => {
+			ServerInstanceModel.touch(this.sql, this.instanceId!).catch((error) =>
+				console.error("Error marking the server as alive:", error),
 			);
+		}, INSTANCE_HEARTBEAT_MS);
+		this.heartbeat.unref();
+
+		return await this.refundOpenRounds();
+	}
+
+	/**
+	 * Unregisters this server, so the next one to start refunds the
+	 * Blackjack rounds still in progress here.
+	 */
+	async stop() {
+		clearInterval(this.heartbeat);
+		if (this.instanceId) {
+			await ServerInstanceModel.remove(this.sql, this.instanceId);
 		}
+	}
 
-		let win = false;
-		let payoutMultiplier = 0;
-
-		if (betType === result.number.toString()) {
-			win = true;
-			payoutMultiplier = 35;
-		} else if (betType === result.color) {
-			win = true;
-			payoutMultiplier = 1;
-		} else if (
-			betType === "even" &&
-			resultNumber !== 0 &&
-			resultNumber % 2 === 0
-		) {
-			win = true;
-			payoutMultiplier = 1;
-		} else if (betType === "odd" && resultNumber % 2 === 1) {
-			win = true;
-			payoutMultiplier = 1;
-		} else if (
-			betType === "1-12" &&
-			resultNumber >= 1 &&
-			resultNumber <= 12
-		) {
-			win = true;
-			payoutMultiplier = 2;
-		} else if (
-			betType === "13-24" &&
-			resultNumber >= 13 &&
-			resultNumber <= 24
-		) {
-			win = true;
-			payoutMultiplier = 2;
-		} else if (
-			betType === "25-36" &&
-			resultNumber >= 25 &&
-			resultNumber <= 36
-		) {
-			win = true;
-			payoutMultiplier = 2;
+	/**
+	 * Refunds the bets of Blackjack rounds dealt by servers that have
+	 * stopped. The rounds themselves were only kept in memory, so they
+	 * cannot be finished. Rounds dealt by running servers are left alone.
+	 * @returns How many rounds were refunded.
+	 */
+	async refundOpenRounds() {
+		return await this.sql.begin(async (sql) => {
+			await ServerInstanceModel.removeStopped(sql, INSTANCE_TIMEOUT_MS);
+			const stakes = await this.blackjackStakeModel.removeAbandoned(sql);
+
+			for (const { userId, amount } of stakes) {
+				await this.ledgerService.record(
+					userId,
+					"refund",
+					amount,
+					{
+						game: "blackjack",
+						description: "Blackjack round cut short by a restart",
+					},
+					sql,
+				);
+			}
+
+			return stakes.length;
+		});
+	}
+
+	/**
+	 * Returns a function that draws from the user's shoe. A fresh shoe
+	 * is shuffled once the cut card has come out, but never in the
+	 * middle of a round. Each shuffle uses up one nonce.
+	 */
+	private async getBlackjackDraw(userId: number) {
+		let blackjackShoe = this.blackjackShoes.get(userId);
+
+		if (!blackjackShoe || blackjackShoe.shoe.needsShuffle()) {
+			const { random, proof } = await this.fairService.next(userId);
+			blackjackShoe = { shoe: shuffleShoe(random), fair: proof };
+			this.blackjackShoes.set(userId, blackjackShoe);
 		}
 
-		const payout = win ? amount * payoutMultiplier : 0;
-		const newBalance = win
-			? user.balance + payout 
-			: user.balance - amount;
+		const { shoe, fair } = blackjackShoe;
+		this.blackjackProofs.set(userId, {
+			...fair,
+			shoePosition: shoe.getPosition(),
+		});
 
-		await this.userModel.updateBalance(userId, newBalance);
+		return shoe.draw;
+	}
 
-		return {
-			result: result.number,
-			color: result.color,
-			win,
-			payout,
-			newBalance,
-		};
+	/**
+	 * Reveals the user's server seed and starts a new seed pair. Not
+	 * allowed during a round of Blackjack, as the revealed seed would
+	 * give away the cards still to come. The shoe shuffled with the
+	 * revealed seed is discarded for the same reason.
+	 * @param clientSeed The client seed for the new pair. A random one is used if omitted.
+	 */
+	async rotateSeeds(userId: number, clientSeed?: string) {
+		if (this.blackjackRounds.has(userId)) {
+			throw new Error("Finish your Blackjack round before rotating seeds");
+		}
+
+		this.blackjackShoes.delete(userId);
+		return await this.fairService.rotate(userId, clientSeed);
+	}
+
+	/**
+	 * Recomputes an outcome from its seeds and nonce, the same way it was
+	 * drawn when the game was played.
+	 * @returns The hash of the server seed, to compare with the one shown
+	 * before play, and the outcome: the coin face, the roulette pocket,
+	 * or the codes of a Blackjack shoe in the order they are drawn.
+	 * @example verifyOutcome("coinflip", serverSeed, "lucky", 3) => { serverSeedHash: "9f86...", outcome: "tails" }
+	 */
+	verifyOutcome(
+		game: string,
+		serverSeed: string,
+		clientSeed: string,
+		nonce: number,
+	) {
+		const random = createRandom(serverSeed, clientSeed, nonce);
+		let outcome;
+
+		switch (game) {
+			case "coinflip":
+				outcome = flipCoin(random);
+				break;
+			case "roulette":
+				outcome = spinWheel(random);
+				break;
+			case "blackjack":
+				outcome = shuffleShoe(random)
+					.getOrder()
+					.map((card) => card.code);
+				break;
+			default:
+				throw new Error(`Unknown game: ${game}`);
+		}
+
+		return { serverSeedHash: hashSeed(serverSeed), outcome };
+	}
+
+	/**
+	 * Runs an action once the player's previous Blackjack action has finished.
+	 */
+	private async withBlackjackLock<T>(userId: number, action: () => Promise<T>) {
+		const previous = this.blackjackLocks.get(userId) ?? Promise.resolve();
+		const current = previous.catch(() => {}).then(action);
+		this.blackjackLocks.set(userId, current);
+
+		try {
+			return await current;
+		} finally {
+			if (this.blackjackLocks.get(userId) === current) {
+				this.blackjackLocks.delete(userId);
+			}
+		}
+	}
+
+	/**
+	 * Takes a bet out of the user's balance, then checks the bet against
+	 * their self-exclusion and limits, so a refused bet is rolled back
+	 * with the rest of the transaction.
+	 * @returns The new balance and the recorded entry.
+	 */
+	private async placeBet(
+		sql: postgres.TransactionSql,
+		userId: number,
+		amount: Money,
+		options: LedgerEntryOptions,
+	) {
+		const entry = await this.ledgerService.record(
+			userId,
+			"bet",
+			amount.negate(),
+			options,
+			sql,
+		);
+		await this.responsiblePlayService.checkBet(userId, sql);
+
+		return entry;
+	}
+
+	/**
+	 * Pays out a round, records it and unlocks the achievements it earns,
+	 * as part of the transaction the bet was taken in (or, for Blackjack,
+	 * the round's settlement).
+	 * @param description Describes the payout in the ledger.
+	 * @returns The new balance, or undefined if nothing was paid out or rewarded.
+	 */
+	private async settleRound(
+		sql: postgres.TransactionSql,
+		round: GameRoundProps,
+		description: string,
+	) {
+		let balance: Money | undefined;
+
+		if (round.payout.isPositive()) {
+			({ balance } = await this.ledgerService.record(
+				round.userId,
+				"win",
+				round.payout,
+				{ game: round.game, description },
+				sql,
+			));
+		}
+
+		await this.gameRoundModel.record(sql, round);
+		const rewarded = await this.achievementService.checkRound(round, sql);
+
+		return rewarded.balance ?? balance;
+	}
+
+	private async getBalance(userId: number) {
+		const user = await UserModel.read(this.sql, userId);
+		if (!user) throw new Error("User not found");
+		return user.getBalance();
+	}
+
+	/**
+	 * Takes a Blackjack bet out of the user's balance and adds it to the
+	 * stake of their round in progress.
+	 * @returns The new balance.
+	 */
+	private async debit(userId: number, amount: Money, description: string) {
+		return await this.sql.begin(async (sql) => {
+			const { balance } = await this.placeBet(sql, userId, amount, {
+				game: "blackjack",
+				description,
+			});
+			await this.blackjackStakeModel.add(sql, userId, amount, this.instanceId);
+			return balance;
+		});
 	}
 }
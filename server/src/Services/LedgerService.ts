@@ -0,0 +1,150 @@
+import postgres from "postgres";
+import Money from "../Money";
+import TransactionModel, {
+	TransactionQuery,
+	TransactionType,
+} from "../models/TransactionModel";
+import { BALANCE_CHANNEL } from "./PushService";
+
+/**
+ * Coins credited to every new account.
+ */
+export const STARTING_BALANCE = 1000;
+
+/**
+ * Optional details attached to a ledger entry.
+ */
+export interface LedgerEntryOptions {
+	game?: string;
+	description?: string;
+}
+
+/**
+ * The single place where user balances change. Every change is written
+ * to the append-only transactions table in the same database transaction
+ * as the balance update, so the stored balance can always be explained
+ * (and recomputed) from the ledger.
+ */
+export default class LedgerService {
+	private sql: postgres.Sql;
+	private transactionModel: typeof TransactionModel;
+
+	constructor(sql: postgres.Sql, transactionModel: typeof TransactionModel) {
+		this.sql = sql;
+		this.transactionModel = transactionModel;
+	}
+
+	/**
+	 * Applies a signed amount to a user's balance and records it.
+	 * A debit that would take the balance below zero is rejected.
+	 * @param userId The user whose balance changes.
+	 * @param type Why the balance changes.
+	 * @param amount Negative to debit, positive to credit.
+	 * @param tx A database transaction to join. When omitted, a new one is started.
+	 * @returns The new balance and the recorded entry.
+	 */
+	async record(
+		userId: number,
+		type: TransactionType,
+		amount: Money,
+		options: LedgerEntryOptions = {},
+		tx?: postgres.TransactionSql,
+	) {
+		if (!(amount instanceof Money)) {
+			throw new Error("Invalid transaction amount");
+		}
+
+		const apply = async (sql: postgres.TransactionSql) => {
+			const users = await sql`
+				UPDATE users SET balance = balance + ${amount.toString()}
+				WHERE id = ${userId} AND balance + ${amount.toString()} >= 0
+				RETURNING balance
+			`;
+
+			if (users.length === 0) {
+				const [user] = await sql`SELECT id FROM users WHERE id = ${userId}`;
+				throw new Error(user ? "Insufficient funds" : "User not found");
+			}
+
+			const balance = Money.parse(users[0].balance);
+			const transaction = await this.transactionModel.create(sql, {
+				userId,
+				type,
+				amount,
+				balanceAfter: balance,
+				...options,
+			});
+			// Delivered to the user's open event streams once the transaction commits.
+			await sql`
+				SELECT pg_notify(${BALANCE_CHANNEL}, ${JSON.stringify({ userId, balance })})
+			`;
+
+			return { balance, transaction };
+		};
+
+		return tx ? await apply(tx) : await this.sql.begin(apply);
+	}
+
+	/**
+	 * Takes coins out of a user's balance.
+	 * @returns The new balance.
+	 */
+	async debit(
+		userId: number,
+		type: TransactionType,
+		amount: Money,
+		options?: LedgerEntryOptions,
+	) {
+		const { balance } = await this.record(
+			userId,
+			type,
+			amount.negate(),
+			options,
+		);
+		return balance;
+	}
+
+	/**
+	 * Adds coins to a user's balance. Crediting nothing records nothing.
+	 * @returns The new balance.
+	 */
+	async credit(
+		userId: number,
+		type: TransactionType,
+		amount: Money,
+		options?: LedgerEntryOptions,
+	) {
+		if (amount.isZero()) {
+			const [user] = await this
+				.sql`SELECT balance FROM users WHERE id = ${userId}`;
+			if (!user) throw new Error("User not found");
+			return Money.parse(user.balance);
+		}
+
+		const { balance } = await this.record(userId, type, amount, options);
+		return balance;
+	}
+
+	/**
+	 * Reads one page of a user's transactions, newest first.
+	 */
+	async getTransactions(userId: number, query: TransactionQuery) {
+		return await this.transactionModel.findByUser(this.sql, userId, query);
+	}
+
+	/**
+	 * Recomputes balances from the ledger and reports every user
+	 * whose stored balance has drifted from it.
+	 * @param userId Only check this user, if given.
+	 */
+	async reconcile(userId?: number) {
+		const rows = await this.transactionModel.findDrift(this.sql, userId);
+
+		return rows.map((row) => ({
+			userId: row.user_id as number,
+			balance: Money.parse(row.balance),
+			ledgerBalance: Money.parse(row.ledger_balance),
+			drift: Money.parse(row.drift),
+		}));
+	}
+}
@@ -0,0 +1,66 @@
+import { createHash, createHmac, randomBytes } from "crypto";
+
+/**
+ * Provably fair randomness. Before playing, the player is shown the hash
+ * of a secret server seed. Every outcome is then derived from that server
+ * seed, a client seed the player chooses, and a nonce that counts the
+ * player's bets. Once the server seed is revealed, the player can hash it
+ * to check it is the one they were shown and recompute every outcome.
+ */
+
+/**
+ * The inputs an outcome was derived from, minus the secret server seed.
+ * Stored with every round so it can be verified once the seed is revealed.
+ */
+export interface FairProof {
+	serverSeedHash: string;
+	clientSeed: string;
+	nonce: number;
+}
+
+/**
+ * @returns A random seed as a hex string.
+ */
+export const generateSeed = (bytes = 32) => {
+	return randomBytes(bytes).toString("hex");
+};
+
+/**
+ * @returns The SHA-256 hash of a server seed, as shown to the player.
+ */
+export const hashSeed = (serverSeed: string) => {
+	return createHash("sha256").update(serverSeed).digest("hex");
+};
+
+/**
+ * Creates a deterministic source of randomness for one outcome.
+ * Each HMAC-SHA256 digest of `clientSeed:nonce:round`, keyed with the
+ * server seed, is split into eight 4-byte numbers. A new digest (with the
+ * next round) is computed whenever they run out, so a shuffle can draw as
+ * many numbers as it needs.
+ * @returns A function returning numbers in the range [0, 1), like Math.random.
+ * @example createRandom(serverSeed, "lucky", 0)() => 0.5823...
+ */
+export const createRandom = (
+	serverSeed: string,
+	clientSeed: string,
+	nonce: number,
+) => {
+	let round = 0;
+	let bytes = Buffer.alloc(0);
+	let offset = 0;
+
+	return () => {
+		if (offset + 4 > bytes.length) {
+			bytes = createHmac("sha256", serverSeed)
+				.update(`${clientSeed}:${nonce}:${round++}`)
+				.digest();
+			offset = 0;
+		}
+
+		const value = bytes.readUInt32BE(offset);
+		offset += 4;
+
+		return value / 2 ** 32;
+	};
+};
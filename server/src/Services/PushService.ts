@@ -0,0 +1,152 @@
+import postgres from "postgres";
+import Response from "../router/Response";
+import SessionManager from "../auth/SessionManager";
+
+/**
+ * Events pushed to clients over the `/events` stream.
+ * - `balance`: the user's balance changed, `{ balance }`
+ * - `leaderboard`: new rounds were played, so rankings may have moved
+ * - `message`: a system message for everyone, `{ text }`
+ * - `achievement`: the user unlocked an achievement, `{ id, name, description, reward }`
+ */
+export type PushEvent = "balance" | "leaderboard" | "message" | "achievement";
+
+/**
+ * Postgres channels the ledger, the game history and achievements notify
+ * on. Notifications sent inside a transaction are only delivered once it
+ * commits, so clients never hear about a balance that was rolled back.
+ */
+export const BALANCE_CHANNEL = "balance_changed";
+export const ROUNDS_CHANNEL = "round_recorded";
+export const ACHIEVEMENT_CHANNEL = "achievement_unlocked";
+
+/**
+ * How often idle streams get a comment line, so proxies keep them open.
+ */
+const HEARTBEAT_MS = 25_000;
+
+/**
+ * Leaderboard events are sent at most this often, however many rounds are played.
+ */
+const LEADERBOARD_THROTTLE_MS = 5_000;
+
+/**
+ * Keeps the open event streams and pushes events to them. Balance,
+ * leaderboard and achievement changes arrive as Postgres notifications,
+ * so every server process connected to the database sees them. Streams
+ * are ended when the session they were opened with is logged out.
+ */
+export default class PushService {
+	private sql: postgres.Sql;
+	private streams = new Map<number, Set<Response>>();
+	private heartbeat?: NodeJS.Timeout;
+	private leaderboardTimer?: NodeJS.Timeout;
+	private stopClosingSessions?: () => void;
+
+	constructor(sql: postgres.Sql) {
+		this.sql = sql;
+	}
+
+	/**
+	 * Starts listening for notifications and sending heartbeats.
+	 */
+	async start() {
+		await this.sql.listen(BALANCE_CHANNEL, (payload) => {
+			const { userId, balance } = JSON.parse(payload);
+			this.publish(userId, "balance", { balance });
+		});
+		await this.sql.listen(ROUNDS_CHANNEL, () => this.scheduleLeaderboard());
+		await this.sql.listen(ACHIEVEMENT_CHANNEL, (payload) => {
+			const { userId, ...achievement } = JSON.parse(payload);
+			this.publish(userId, "achievement", achievement);
+		});
+
+		this.heartbeat = setInterval(() => {
+			this.forEachStream((stream) => stream.sendComment("heartbeat"));
+		}, HEARTBEAT_MS);
+
+		this.stopClosingSessions = SessionManager.getInstance().onDestroy(
+			this.closeSessions,
+		);
+	}
+
+	/**
+	 * Stops the timers and ends every open stream.
+	 */
+	stop() {
+		clearInterval(this.heartbeat);
+		clearTimeout(this.leaderboardTimer);
+		this.leaderboardTimer = undefined;
+		this.stopClosingSessions?.();
+		this.forEachStream((stream) => stream.res.end());
+		this.streams.clear();
+	}
+
+	/**
+	 * Adds an open stream for a user. A user can have several, one per tab.
+	 * @returns A function that removes the stream again.
+	 */
+	subscribe(userId: number, stream: Response) {
+		const streams = this.streams.get(userId) ?? new Set();
+		streams.add(stream);
+		this.streams.set(userId, streams);
+
+		return () => {
+			streams.delete(stream);
+			if (streams.size === 0) this.streams.delete(userId);
+		};
+	}
+
+	/**
+	 * Sends an event to every open stream of one user.
+	 */
+	publish(userId: number, event: PushEvent, data: unknown) {
+		this.streams.get(userId)?.forEach((stream) => {
+			stream.sendEvent(event, data);
+		});
+	}
+
+	/**
+	 * Sends an event to every open stream.
+	 */
+	broadcast(event: PushEvent, data: unknown) {
+		this.forEachStream((stream) => stream.sendEvent(event, data));
+	}
+
+	/**
+	 * Ends the streams that were opened with any of the given sessions.
+	 */
+	closeSessions = (sessionIds: string[]) => {
+		this.streams.forEach((streams, userId) => {
+			streams.forEach((stream) => {
+				if (sessionIds.includes(stream.request.session.id)) {
+					stream.res.end();
+					streams.delete(stream);
+				}
+			});
+			if (streams.size === 0) this.streams.delete(userId);
+		});
+	};
+
+	/**
+	 * @returns The number of open streams.
+	 */
+	countStreams() {
+		let count = 0;
+		this.streams.forEach((streams) => (count += streams.size));
+		return count;
+	}
+
+	private scheduleLeaderboard() {
+		if (this.leaderboardTimer) return;
+
+		this.leaderboardTimer = setTimeout(() => {
+			this.leaderboardTimer = undefined;
+			this.broadcast("leaderboard", {});
+		}, LEADERBOARD_THROTTLE_MS);
+	}
+
+	private forEachStream(fn: (stream: Response) => void) {
+		this.streams.forEach((streams) => streams.forEach(fn));
+	}
+}
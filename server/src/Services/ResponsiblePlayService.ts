@@ -0,0 +1,140 @@
+import postgres from "postgres";
+import Money from "../Money";
+import PlayLimitModel, {
+	PlayLimits,
+	PlayLimitUpdate,
+} from "../models/PlayLimitModel";
+import TransactionModel from "../models/TransactionModel";
+
+/**
+ * Lengths of self-exclusion a player can choose, in days.
+ */
+export const EXCLUSION_DAYS = [1, 7, 30, 90, 180, 365];
+
+/**
+ * What a player has lost and bet over the windows their limits cover.
+ */
+export interface PlayUsage {
+	dailyLoss: Money;
+	weeklyLoss: Money;
+	dailyWager: Money;
+	weeklyWager: Money;
+}
+
+const LIMIT_NAMES = {
+	dailyLoss: "daily loss",
+	weeklyLoss: "weekly loss",
+	dailyWager: "daily wager",
+	weeklyWager: "weekly wager",
+} as const;
+
+/**
+ * Checks a player's usage, including the bet being placed, against their limits.
+ * @returns Why the bet is refused, or null if it is within every limit.
+ * @example findExceededLimit({ ...DEFAULT_LIMITS, dailyLoss: Money.fromCoins(100) }, usage)
+ * => "Bet exceeds your daily loss limit of 100.00"
+ */
+export const findExceededLimit = (limits: PlayLimits, usage: PlayUsage) => {
+	for (const key of Object.keys(LIMIT_NAMES) as (keyof PlayUsage)[]) {
+		const limit = limits[key];
+
+		if (limit && usage[key].greaterThan(limit)) {
+			return `Bet exceeds your ${LIMIT_NAMES[key]} limit of ${limit}`;
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Loss and wager limits, self-exclusion and play reminders. Limits
+ * apply over rolling windows: the last 24 hours and the last 7 days.
+ */
+export default class ResponsiblePlayService {
+	private sql: postgres.Sql;
+	private playLimitModel: typeof PlayLimitModel;
+	private transactionModel: typeof TransactionModel;
+
+	constructor(
+		sql: postgres.Sql,
+		playLimitModel: typeof PlayLimitModel,
+		transactionModel: typeof TransactionModel,
+	) {
+		this.sql = sql;
+		this.playLimitModel = playLimitModel;
+		this.transactionModel = transactionModel;
+	}
+
+	/**
+	 * @returns The player's limits, their usage and any self-exclusion in force.
+	 */
+	async getStatus(userId: number) {
+		const { excludedUntil, ...limits } = await this.playLimitModel.find(
+			this.sql,
+			userId,
+		);
+		const usage = await this.transactionModel.sumPlay(this.sql, userId);
+
+		return {
+			limits,
+			usage,
+			excludedUntil: isExcluded(excludedUntil) ? excludedUntil : null,
+		};
+	}
+
+	async setLimits(userId: number, limits: PlayLimitUpdate) {
+		await this.playLimitModel.saveLimits(this.sql, userId, limits);
+		return await this.getStatus(userId);
+	}
+
+	/**
+	 * Blocks the player from betting for the chosen number of days.
+	 * @throws If the player is already excluded for longer: exclusions can only be extended.
+	 * @returns When the exclusion ends.
+	 */
+	async selfExclude(userId: number, days: number) {
+		if (!EXCLUSION_DAYS.includes(days)) {
+			throw new Error(`Exclusion must last ${EXCLUSION_DAYS.join(", ")} days`);
+		}
+
+		const { excludedUntil, extended } = await this.playLimitModel.exclude(
+			this.sql,
+			userId,
+			days,
+		);
+
+		if (!extended) {
+			throw new Error(
+				`You are already excluded until ${excludedUntil.toISOString()}`,
+			);
+		}
+
+		return excludedUntil;
+	}
+
+	/**
+	 * Refuses a bet the player's own limits do not allow. Must run inside
+	 * the transaction that recorded the bet, after it was recorded: the
+	 * bet then counts towards the totals, and the lock on the player's
+	 * balance keeps two bets from both squeezing under a limit.
+	 * @throws If the player is self-excluded or the bet breaks a limit.
+	 */
+	async checkBet(userId: number, sql: postgres.TransactionSql) {
+		const { excludedUntil, ...limits } = await this.playLimitModel.find(
+			sql,
+			userId,
+		);
+
+		if (isExcluded(excludedUntil)) {
+			throw new Error(`Self-excluded until ${excludedUntil.toISOString()}`);
+		}
+
+		const usage = await this.transactionModel.sumPlay(sql, userId);
+		const exceeded = findExceededLimit(limits, usage);
+		if (exceeded) throw new Error(exceeded);
+	}
+}
+
+const isExcluded = (excludedUntil: Date | null): excludedUntil is Date => {
+	return excludedUntil !== null && excludedUntil > new Date();
+};
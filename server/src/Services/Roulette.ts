@@ -0,0 +1,254 @@
+/**
+ * Rules for European roulette: a single-zero wheel, the bets that can be
+ * placed on the table layout, and how a bet slip is settled.
+ *
+ * The table layout has three columns and twelve rows:
+ *
+ *      1  4  7 ... 34
+ *  0   2  5  8 ... 35
+ *      3  6  9 ... 36
+ */
+
+import Money from "../Money";
+
+export type RouletteColor = "red" | "black" | "green";
+
+/**
+ * Bets on specific numbers of the layout. The player picks the numbers.
+ */
+export type InsideBetType =
+	"straight" | "split" | "street" | "corner" | "sixline";
+
+/**
+ * Bets on a fixed group of numbers. The numbers follow from the type.
+ */
+export type OutsideBetType =
+	| "red"
+	| "black"
+	| "even"
+	| "odd"
+	| "low"
+	| "high"
+	| "dozen-1"
+	| "dozen-2"
+	| "dozen-3"
+	| "column-1"
+	| "column-2"
+	| "column-3";
+
+export type RouletteBetType = InsideBetType | OutsideBetType;
+
+export interface RouletteBet {
+	type: RouletteBetType;
+	/**
+	 * The numbers covered by an inside bet. Ignored for outside bets.
+	 */
+	numbers?: number[];
+	amount: Money;
+}
+
+/**
+ * A bet after the spin: the numbers it covered, whether it won,
+ * and the total paid back for it (stake included), or 0.
+ */
+export interface SettledBet extends RouletteBet {
+	numbers: number[];
+	win: boolean;
+	payout: Money;
+}
+
+const RED_NUMBERS = new Set([
+	1, 3, 5, 7, 9, 12, 14, 16, 18, 19, 21, 23, 25, 27, 30, 32, 34, 36,
+]);
+
+const range = (from: number, to: number) =>
+	Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+/**
+ * @example getColor(0) => "green"
+ * @example getColor(1) => "red"
+ */
+export const getColor = (number: number): RouletteColor => {
+	if (number === 0) return "green";
+	return RED_NUMBERS.has(number) ? "red" : "black";
+};
+
+/**
+ * The pockets of the wheel in the order they appear around it.
+ */
+export const ROULETTE_WHEEL: { number: number; color: RouletteColor }[] = [
+	0, 32, 15, 19, 4, 21, 2, 25, 17, 34, 6, 27, 13, 36, 11, 30, 8, 23, 10, 5, 24,
+	16, 33, 1, 20, 14, 31, 9, 22, 18, 29, 7, 28, 12, 35, 3, 26,
+].map((number) => ({ number, color: getColor(number) }));
+
+/**
+ * Winnings per coin staked, e.g. a straight bet of 10 wins 350
+ * and pays back 360 with the stake.
+ */
+export const ROULETTE_PAYOUTS: Record<RouletteBetType, number> = {
+	straight: 35,
+	split: 17,
+	street: 11,
+	corner: 8,
+	sixline: 5,
+	"dozen-1": 2,
+	"dozen-2": 2,
+	"dozen-3": 2,
+	"column-1": 2,
+	"column-2": 2,
+	"column-3": 2,
+	red: 1,
+	black: 1,
+	even: 1,
+	odd: 1,
+	low: 1,
+	high: 1,
+};
+
+export const ROULETTE_BET_TYPES = Object.keys(
+	ROULETTE_PAYOUTS,
+) as RouletteBetType[];
+
+/**
+ * How many numbers the player picks for each inside bet.
+ */
+const INSIDE_BET_SIZES: Record<InsideBetType, number> = {
+	straight: 1,
+	split: 2,
+	street: 3,
+	corner: 4,
+	sixline: 6,
+};
+
+/**
+ * @returns Whether the bet type is an inside bet.
+ */
+export const isInsideBet = (type: RouletteBetType): type is InsideBetType => {
+	return type in INSIDE_BET_SIZES;
+};
+
+/**
+ * Works out which numbers a bet covers, checking that the numbers picked
+ * for an inside bet form that bet on the layout.
+ * @returns The covered numbers, sorted.
+ * @throws If the numbers do not form the bet, e.g. a split of 1 and 5.
+ * @example getBetNumbers({ type: "corner", numbers: [5, 1, 4, 2], amount: 10 }) => [1, 2, 4, 5]
+ * @example getBetNumbers({ type: "dozen-2", amount: 10 }) => [13, 14, ..., 24]
+ */
+export const getBetNumbers = (bet: RouletteBet): number[] => {
+	const { type } = bet;
+
+	if (!isInsideBet(type)) {
+		switch (type) {
+			case "red":
+			case "black":
+				return range(1, 36).filter((n) => getColor(n) === type);
+			case "even":
+				return range(1, 36).filter((n) => n % 2 === 0);
+			case "odd":
+				return range(1, 36).filter((n) => n % 2 === 1);
+			case "low":
+				return range(1, 18);
+			case "high":
+				return range(19, 36);
+			case "dozen-1":
+			case "dozen-2":
+			case "dozen-3": {
+				const dozen = Number(type.slice(-1));
+				return range(dozen * 12 - 11, dozen * 12);
+			}
+			case "column-1":
+			case "column-2":
+			case "column-3": {
+				const column = Number(type.slice(-1));
+				return range(1, 36).filter((n) => (n - column) % 3 === 0);
+			}
+		}
+	}
+
+	const numbers = [...new Set(bet.numbers ?? [])].sort((a, b) => a - b);
+	const size = INSIDE_BET_SIZES[type];
+
+	if (
+		numbers.length !== size ||
+		numbers.some((n) => !Number.isInteger(n) || n < 0 || n > 36)
+	) {
+		throw new Error(
+			`A ${type} bet needs ${size} different numbers from 0 to 36`,
+		);
+	}
+
+	if (!formsBet(type, numbers)) {
+		throw new Error(
+			`${numbers.join(", ")} do not form a ${type} bet on the layout`,
+		);
+	}
+
+	return numbers;
+};
+
+/**
+ * Checks sorted numbers against the shape of an inside bet.
+ * A number's row is `ceil(n / 3)` and its position in the row is `(n - 1) % 3`.
+ */
+const formsBet = (type: InsideBetType, numbers: number[]) => {
+	const [first] = numbers;
+	const rowStart = first % 3 === 1;
+
+	switch (type) {
+		case "straight":
+			return true;
+		case "split": {
+			const [a, b] = numbers;
+			// Zero sits next to the whole first row.
+			if (a === 0) return b >= 1 && b <= 3;
+			const sameRow = b === a + 1 && a % 3 !== 0;
+			const sameColumn = b === a + 3;
+			return sameRow || sameColumn;
+		}
+		case "street":
+			return rowStart && sameAs(numbers, range(first, first + 2));
+		case "corner":
+			return (
+				first !== 0 &&
+				first % 3 !== 0 &&
+				sameAs(numbers, [first, first + 1, first + 3, first + 4])
+			);
+		case "sixline":
+			return rowStart && sameAs(numbers, range(first, first + 5));
+	}
+};
+
+const sameAs = (a: number[], b: number[]) => {
+	return (
+		a.length === b.length &&
+		b.every((n) => n <= 36) &&
+		a.every((n, i) => n === b[i])
+	);
+};
+
+/**
+ * Settles a bet slip against the winning number.
+ * @throws If any bet does not form a valid bet on the layout.
+ */
+export const settleBets = (
+	bets: RouletteBet[],
+	result: number,
+): SettledBet[] => {
+	return bets.map((bet) => {
+		const numbers = getBetNumbers(bet);
+		const win = numbers.includes(result);
+		const payout = win
+			? bet.amount.times(ROULETTE_PAYOUTS[bet.type] + 1)
+			: Money.ZERO;
+
+		return { ...bet, numbers, win, payout };
+	});
+};
+
+/**
+ * @returns A random pocket of the wheel.
+ */
+export const spinWheel = (random = Math.random) => {
+	return ROULETTE_WHEEL[Math.floor(random() * ROULETTE_WHEEL.length)];
+};
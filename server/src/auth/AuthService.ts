@@ -1,56 +1,87 @@
 // File: server/src/auth/AuthService.ts
+import postgres from "postgres";
 import UserModel from "../models/UserModel";
+import LedgerService, { STARTING_BALANCE } from "../Services/LedgerService";
+import Money from "../Money";
+import LoginAttemptModel, { LoginClient } from "../models/LoginAttemptModel";
+import { hashPassword, needsRehash, verifyPassword } from "./password";
 
 export default class AuthService {
-	private userModel: UserModel;
+	private sql: postgres.Sql;
+	private ledgerService: LedgerService;
+	private loginAttemptModel: typeof LoginAttemptModel;
 
-	constructor(userModel: UserModel) {
-		this.userModel = userModel;
+	constructor(
+		sql: postgres.Sql,
+		ledgerService: LedgerService,
+		loginAttemptModel: typeof LoginAttemptModel,
+	) {
+		this.sql = sql;
+		this.ledgerService = ledgerService;
+		this.loginAttemptModel = loginAttemptModel;
 	}
 
 	async register(username: string, email: string, password: string) {
-		const existingUser = await this.userModel.findByEmail(email);
+		const existingUser = await UserModel.findByEmail(this.sql, email);
 		if (existingUser) {
 			throw new Error("Email already registered");
 		}
-		return await this.userModel.createUser(username, email, password);
+		const user = await UserModel.create(this.sql, {
+			username,
+			email,
+			password: await hashPassword(password),
+		});
+
+		// New accounts start empty and receive their coins through the ledger.
+		const balance = await this.ledgerService.credit(
+			user.props.id!,
+			"bonus",
+			Money.fromCoins(STARTING_BALANCE),
+			{ description: "Welcome bonus" },
+		);
+		user.props.balance = balance.toString();
+
+		return user;
 	}
 
-	async login(email: string, password: string) {
-		const user = await this.userModel.findByEmail(email);
-		if (!user || user.password !== password) {
+	/**
+	 * Checks a user's credentials. Every attempt on a registered email is
+	 * added to the account's login history.
+	 * @param client Where the attempt came from.
+	 */
+	async login(email: string, password: string, client: LoginClient) {
+		const user = await UserModel.findByEmail(this.sql, email);
+		const valid = await verifyPassword(password, user?.props.password ?? null);
+
+		if (!user) {
 			throw new Error("Invalid credentials");
 		}
-		return user;
-	}
-	async getProfile(userId: number) {
-		return await this.userModel.getById(userId);
-	}
-	logout(session: any) {
-		session.set("user", null);
-	}
-	async updateBalance(userId: number, newBalance: number) {
-		if (
-			typeof newBalance !== "number" ||
-			isNaN(newBalance) ||
-			newBalance < 0
-		) {
-			throw new Error("Invalid balance value");
+
+		// Only tell who is blocked once they have proven who they are.
+		const blocked = user.getAccessError();
+		await this.loginAttemptModel.create(this.sql, {
+			userId: user.props.id!,
+			...client,
+			success: valid && !blocked,
+		});
+
+		if (!valid) throw new Error("Invalid credentials");
+		if (blocked) throw new Error(blocked);
+
+		// Upgrade legacy plaintext or weaker hashes now that we know the password.
+		if (needsRehash(user.props.password)) {
+			await user.updatePassword(await hashPassword(password));
 		}
-		await this.userModel.updateBalance(userId, newBalance);
+
+		return user;
 	}
 
 	async updatePassword(
-		userId: number,
+		user: UserModel,
 		currentPassword: string,
 		newPassword: string,
 	) {
-		const user = await this.userModel.getById(userId);
-		if (!user) throw new Error("User not found");
-
-		if (user.password !== currentPassword) {
-            console.log(currentPassword)
-            console.log(user.password)
+		if (!(await verifyPassword(currentPassword, user.props.password))) {
 			throw new Error("Current password is incorrect");
 		}
 
@@ -58,6 +89,6 @@ export default class AuthService {
 			throw new Error("New password must be at least 6 characters");
 		}
 
-		await this.userModel.updatePassword(userId, newPassword);
+		await user.updatePassword(await hashPassword(newPassword));
 	}
 }
@@ -0,0 +1,94 @@
+import RateLimitStore from "./RateLimitStore";
+import { toSeconds } from "./RateLimiter";
+
+/**
+ * Failed logins are remembered for this long. A locked account is
+ * unlocked this long after its last failed login.
+ */
+export const FAILURE_WINDOW = 1000 * 60 * 15;
+
+/**
+ * Failed logins allowed in a row before each further attempt must wait.
+ */
+export const FREE_FAILURES = 3;
+
+/**
+ * Failed logins after which the account is locked for the whole window.
+ */
+export const LOCKOUT_FAILURES = 10;
+
+/**
+ * How long to wait after the last of a number of failed logins before
+ * the next attempt: nothing at first, then 1, 2, 4... seconds, and the
+ * whole failure window once the account is locked.
+ * @example getBackoff(2) => 0, getBackoff(5) => 4000, getBackoff(10) => FAILURE_WINDOW
+ */
+export const getBackoff = (failures: number) => {
+	if (failures < FREE_FAILURES) return 0;
+	if (failures >= LOCKOUT_FAILURES) return FAILURE_WINDOW;
+
+	return 1000 * 2 ** (failures - FREE_FAILURES);
+};
+
+/**
+ * @returns Seconds until the backoff after these failed logins is over, or 0 if it is.
+ */
+const getWait = (failures: number[], now: number) => {
+	const wait = getBackoff(failures.length);
+	const last = failures[failures.length - 1];
+
+	if (!wait || last + wait <= now) return 0;
+
+	return toSeconds(last + wait - now);
+};
+
+/**
+ * Slows down password guessing against one account, whatever IP the
+ * guesses come from. Accounts are keyed by email, so guesses against
+ * emails that are not registered are throttled the same way.
+ */
+export default class LoginThrottle {
+	private store: RateLimitStore;
+	private now: () => number;
+
+	/**
+	 * @param now Clock to read the time from. Tests can pass a fake one.
+	 */
+	constructor(store: RateLimitStore, now: () => number = Date.now) {
+		this.store = store;
+		this.now = now;
+	}
+
+	/**
+	 * @returns Seconds to wait before the account may try to log in again, or 0 if it may now.
+	 */
+	async getRetryAfter(email: string) {
+		const now = this.now();
+		const failures = await this.store.get(getKey(email), now, FAILURE_WINDOW);
+
+		return getWait(failures, now);
+	}
+
+	/**
+	 * Records a login attempt before its password is checked, so attempts
+	 * sent at the same time are counted one after another instead of all
+	 * getting through before any of them has failed. The attempt counts as
+	 * a failed login until `reset` forgets it.
+	 * @returns Seconds to wait if the attempts before this one mean it may not go ahead, or 0 if it may.
+	 */
+	async attempt(email: string) {
+		const now = this.now();
+		const attempts = await this.store.hit(getKey(email), now, FAILURE_WINDOW);
+
+		return getWait(attempts.slice(0, -1), now);
+	}
+
+	/**
+	 * Forgets the account's failed logins after it logs in.
+	 */
+	async reset(email: string) {
+		await this.store.reset(getKey(email));
+	}
+}
+
+const getKey = (email: string) => `login:${email.trim().toLowerCase()}`;
@@ -0,0 +1,39 @@
+import RateLimitStore from "./RateLimitStore";
+
+/**
+ * Keeps hits in memory. Limits start over when the process exits, so
+ * this store is meant for tests and local tinkering.
+ */
+export default class MemoryRateLimitStore implements RateLimitStore {
+	private keys = new Map<string, { hits: number[]; expires: number }>();
+
+	async hit(key: string, now: number, windowMs: number) {
+		// Read and write without awaiting in between, so hits made at the
+		// same time all count.
+		const hits = [...this.findHits(key, now, windowMs), now];
+		this.keys.set(key, { hits, expires: now + windowMs });
+
+		return hits;
+	}
+
+	async get(key: string, now: number, windowMs: number) {
+		return this.findHits(key, now, windowMs);
+	}
+
+	async reset(key: string) {
+		this.keys.delete(key);
+	}
+
+	async destroyExpired(now: number) {
+		for (const [key, { expires }] of this.keys) {
+			if (expires <= now) {
+				this.keys.delete(key);
+			}
+		}
+	}
+
+	private findHits(key: string, now: number, windowMs: number) {
+		const hits = this.keys.get(key)?.hits ?? [];
+		return hits.filter((time) => time > now - windowMs);
+	}
+}
@@ -0,0 +1,48 @@
+import Session from "./Session";
+import SessionStore from "./SessionStore";
+
+/**
+ * Keeps sessions in memory, indexed by ID. Sessions are lost when the
+ * process exits, so this store is meant for tests and local tinkering.
+ */
+export default class MemorySessionStore implements SessionStore {
+	private sessions = new Map<string, Session>();
+
+	async get(sessionId: string) {
+		return this.sessions.get(sessionId);
+	}
+
+	async save(session: Session) {
+		this.sessions.set(session.id, session);
+	}
+
+	async touch(sessionId: string, expires: Date) {
+		const session = this.sessions.get(sessionId);
+		if (session) session.cookie.expires = expires;
+	}
+
+	async destroy(sessionId: string) {
+		this.sessions.delete(sessionId);
+	}
+
+	async destroyExpired() {
+		for (const [id, session] of this.sessions) {
+			if (session.isExpired()) {
+				this.sessions.delete(id);
+			}
+		}
+	}
+
+	async findByUser(userId: number) {
+		return [...this.sessions.values()].filter(
+			(session) => session.get("user")?.id === userId,
+		);
+	}
+
+	async destroyByUser(userId: number) {
+		const sessions = await this.findByUser(userId);
+		sessions.forEach((session) => this.sessions.delete(session.id));
+
+		return sessions.map((session) => session.id);
+	}
+}
@@ -0,0 +1,58 @@
+import postgres from "postgres";
+import RateLimitStore from "./RateLimitStore";
+
+/**
+ * Keeps hits in the `rate_limit_hits` table so limits and lockouts
+ * survive restarts and deploys.
+ */
+export default class PostgresRateLimitStore implements RateLimitStore {
+	private sql: postgres.Sql;
+
+	constructor(sql: postgres.Sql) {
+		this.sql = sql;
+	}
+
+	async hit(key: string, now: number, windowMs: number) {
+		return await this.sql.begin(async (sql) => {
+			// Hits on the same key wait for each other, so each one counts
+			// the hits made just before it.
+			await sql`SELECT pg_advisory_xact_lock(hashtext(${key}))`;
+			await sql`
+				DELETE FROM rate_limit_hits
+				WHERE key = ${key} AND hit_at <= ${new Date(now - windowMs)}
+			`;
+			await sql`
+				INSERT INTO rate_limit_hits (key, hit_at, expires_at)
+				VALUES (${key}, ${new Date(now)}, ${new Date(now + windowMs)})
+			`;
+
+			return await this.get(key, now, windowMs, sql);
+		});
+	}
+
+	async get(
+		key: string,
+		now: number,
+		windowMs: number,
+		sql: postgres.ISql = this.sql,
+	) {
+		const hits = await sql`
+			SELECT hit_at
+			FROM rate_limit_hits
+			WHERE key = ${key} AND hit_at > ${new Date(now - windowMs)}
+			ORDER BY hit_at
+		`;
+
+		return hits.map(({ hit_at }) => (hit_at as Date).getTime());
+	}
+
+	async reset(key: string) {
+		await this.sql`DELETE FROM rate_limit_hits WHERE key = ${key}`;
+	}
+
+	async destroyExpired(now: number) {
+		await this.sql`
+			DELETE FROM rate_limit_hits WHERE expires_at <= ${new Date(now)}
+		`;
+	}
+}
@@ -0,0 +1,73 @@
+import postgres from "postgres";
+import Session from "./Session";
+import SessionStore from "./SessionStore";
+
+/**
+ * Keeps sessions in the `sessions` table so players stay logged in
+ * across restarts and deploys. Lookups go through the primary key.
+ */
+export default class PostgresSessionStore implements SessionStore {
+	private sql: postgres.Sql;
+
+	constructor(sql: postgres.Sql) {
+		this.sql = sql;
+	}
+
+	async get(sessionId: string) {
+		const sessions = await this.sql`
+			SELECT id, data, expires_at
+			FROM sessions
+			WHERE id = ${sessionId}
+		`;
+
+		if (!sessions[0]) return undefined;
+
+		const { id, data, expires_at } = sessions[0];
+		return new Session(id, data, expires_at);
+	}
+
+	async save(session: Session) {
+		await this.sql`
+			INSERT INTO sessions (id, data, expires_at)
+			VALUES (${session.id}, ${this.sql.json(session.data)}, ${session.getExpires()})
+			ON CONFLICT (id) DO UPDATE
+			SET data = EXCLUDED.data, expires_at = EXCLUDED.expires_at
+		`;
+	}
+
+	async touch(sessionId: string, expires: Date) {
+		await this.sql`
+			UPDATE sessions SET expires_at = ${expires} WHERE id = ${sessionId}
+		`;
+	}
+
+	async destroy(sessionId: string) {
+		await this.sql`DELETE FROM sessions WHERE id = ${sessionId}`;
+	}
+
+	async destroyExpired() {
+		await this.sql`DELETE FROM sessions WHERE expires_at <= NOW()`;
+	}
+
+	async findByUser(userId: number) {
+		const sessions = await this.sql`
+			SELECT id, data, expires_at
+			FROM sessions
+			WHERE data->'user'->>'id' = ${userId.toString()}
+			ORDER BY expires_at DESC
+		`;
+
+		return sessions.map(
+			({ id, data, expires_at }) => new Session(id, data, expires_at),
+		);
+	}
+
+	async destroyByUser(userId: number) {
+		const sessions = await this.sql`
+			DELETE FROM sessions WHERE data->'user'->>'id' = ${userId.toString()}
+			RETURNING id
+		`;
+
+		return sessions.map(({ id }) => id as string);
+	}
+}
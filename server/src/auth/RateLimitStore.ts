@@ -0,0 +1,27 @@
+/**
+ * Where rate limiters keep the times of recent hits, per key. Keys are
+ * whatever is being limited, such as an IP address or an account.
+ * Times are milliseconds since the epoch.
+ */
+export default interface RateLimitStore {
+	/**
+	 * Records a hit on the key and forgets its hits older than the window.
+	 * @returns The times of the key's hits within the window, oldest first.
+	 */
+	hit(key: string, now: number, windowMs: number): Promise<number[]>;
+
+	/**
+	 * @returns The times of the key's hits within the window, oldest first.
+	 */
+	get(key: string, now: number, windowMs: number): Promise<number[]>;
+
+	/**
+	 * Forgets every hit on the key.
+	 */
+	reset(key: string): Promise<void>;
+
+	/**
+	 * Forgets every hit that is outside the window it was recorded with.
+	 */
+	destroyExpired(now: number): Promise<void>;
+}
@@ -0,0 +1,61 @@
+import RateLimitStore from "./RateLimitStore";
+
+/**
+ * How many hits a key may make within a sliding window.
+ * @property limit Most hits allowed within the window.
+ * @property windowMs Length of the window in milliseconds.
+ */
+export interface RateLimit {
+	limit: number;
+	windowMs: number;
+}
+
+/**
+ * Counts hits per key over a sliding window: a hit is allowed if no more
+ * than `limit` hits, itself included, fall within the last `windowMs`.
+ * Refused hits count too, so clients that keep hammering stay blocked.
+ */
+export default class RateLimiter {
+	private store: RateLimitStore;
+	private name: string;
+	private rateLimit: RateLimit;
+	private now: () => number;
+
+	/**
+	 * @param name Tells this limiter's keys apart from others kept in the same store.
+	 * @param now Clock to read the time from. Tests can pass a fake one.
+	 */
+	constructor(
+		store: RateLimitStore,
+		name: string,
+		rateLimit: RateLimit,
+		now: () => number = Date.now,
+	) {
+		this.store = store;
+		this.name = name;
+		this.rateLimit = rateLimit;
+		this.now = now;
+	}
+
+	/**
+	 * Records a hit on the key.
+	 * @returns Seconds to wait before the key may hit again, or 0 if this hit is allowed.
+	 * @example With { limit: 2, windowMs: 60000 }: hit("a") => 0, hit("a") => 0, hit("a") => 60
+	 */
+	async hit(key: string) {
+		const { limit, windowMs } = this.rateLimit;
+		const now = this.now();
+		const hits = await this.store.hit(`${this.name}:${key}`, now, windowMs);
+
+		if (hits.length <= limit) return 0;
+
+		// The next hit is allowed once enough of these have left the window
+		// for it to be the limit-th.
+		return toSeconds(hits[hits.length - limit] + windowMs - now);
+	}
+}
+
+/**
+ * Rounds a wait up to whole seconds, as `Retry-After` expects.
+ */
+export const toSeconds = (ms: number) => Math.max(1, Math.ceil(ms / 1000));
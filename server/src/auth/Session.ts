@@ -10,15 +10,31 @@ export default class Session {
 	data: Record<string, any>;
 	cookie: Cookie;
 
+	/**
+	 * Whether the session changed since it was loaded and needs saving.
+	 */
+	modified = false;
+
+	/**
+	 * Whether the session's expiry moved since it was loaded. A session
+	 * that was only refreshed has just its expiry saved.
+	 */
+	refreshed = false;
+
 	/**
 	 * Constructs a new Session.
 	 * @param id Unique session identifier (usually a random string).
 	 * @param data Optional initial data to associate with this session.
+	 * @param expires When a stored session expires. New sessions default to the cookie's lifetime.
 	 */
-	constructor(id: string, data = {}) {
+	constructor(id: string, data = {}, expires?: Date) {
 		this.id = id;
 		this.data = data;
 		this.cookie = new Cookie("session_id", id);
+
+		if (expires) {
+			this.cookie.expires = expires;
+		}
 	}
 
 	/**
@@ -37,6 +53,7 @@ export default class Session {
 	 */
 	set(name: string, value: any) {
 		this.data[name] = value;
+		this.modified = true;
 	}
 
 	/**
@@ -50,11 +67,13 @@ export default class Session {
 
 	/**
 	 * Resets the cookie's expiration time.
-	 * Typically called on activity to keep sessions alive.
+	 * Called on every request so active sessions slide forward
+	 * and only idle sessions expire.
 	 * @param time Milliseconds from now until expiration.
 	 */
 	refresh(time = Cookie.DEFAULT_TIME) {
 		this.cookie.setExpires(time);
+		this.refreshed = true;
 	}
 
 	/**
@@ -64,6 +83,22 @@ export default class Session {
 	destroy() {
 		this.data = {};
 		this.cookie.setExpires();
+		this.modified = true;
+	}
+
+	/**
+	 * @returns The start of the ID, enough to tell a user's sessions
+	 * apart but not to use them.
+	 */
+	getShortId() {
+		return this.id.slice(0, 8);
+	}
+
+	/**
+	 * @returns When the session expires.
+	 */
+	getExpires() {
+		return this.cookie.expires;
 	}
 
 	/**
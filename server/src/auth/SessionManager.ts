@@ -1,24 +1,40 @@
 import crypto from "crypto";
 import Session from "./Session";
+import SessionStore from "./SessionStore";
+import MemorySessionStore from "./MemorySessionStore";
+
+/**
+ * How often expired sessions are purged from the store.
+ */
+const CLEAN_UP_INTERVAL = 1000 * 60;
+
+/**
+ * Called with the IDs of sessions that were just logged out.
+ */
+export type DestroyListener = (sessionIds: string[]) => void;
 
 /**
  * The SessionManager class is a singleton that manages all sessions
- * by creating new sessions and removing expired sessions.
+ * by creating new sessions and removing expired sessions. Sessions
+ * are kept in a pluggable SessionStore: the Server plugs in the
+ * Postgres store, tests can use the in-memory one.
  */
 export default class SessionManager {
 	private static instance: SessionManager;
-	sessions: Session[];
+	private store: SessionStore;
+	private destroyListeners = new Set<DestroyListener>();
 	cleanUp: NodeJS.Timeout;
 
 	/**
 	 * Private constructor to enforce singleton behavior.
-	 * Initializes the session store and starts cleanup timer.
+	 * Starts with an in-memory store and starts the cleanup timer.
 	 */
 	private constructor() {
-		this.sessions = [];
+		this.store = new MemorySessionStore();
 
-		// Run clean up every second.
-		this.cleanUp = setInterval(this.cleanUpSessions, 1000);
+		// Purge expired sessions every minute, without keeping the process alive.
+		this.cleanUp = setInterval(this.cleanUpSessions, CLEAN_UP_INTERVAL);
+		this.cleanUp.unref();
 	}
 
 	/**
@@ -35,38 +51,134 @@ export default class SessionManager {
 	};
 
 	/**
-	 * Creates a new session and adds it to the sessions array.
-	 * The session ID is a random 4-character hex string.
+	 * Replaces the store sessions are kept in.
+	 * @param store The new store. Sessions in the previous store are not copied over.
+	 */
+	setStore(store: SessionStore) {
+		this.store = store;
+	}
+
+	/**
+	 * Creates a new session. The session ID is 32 random bytes
+	 * (256 bits) encoded as hex, so it cannot be guessed.
+	 * The session is only stored once it is saved.
 	 * @returns A new session.
 	 */
 	createSession() {
-		const sessionId = crypto.randomBytes(2).toString("hex");
-		const session = new Session(sessionId);
+		const sessionId = crypto.randomBytes(32).toString("hex");
+		return new Session(sessionId);
+	}
 
-		this.sessions.push(session);
+	/**
+	 * Replaces a session with a new, empty one under a new ID and removes
+	 * the old one. Done when a user logs in, so a session ID planted in
+	 * their browser beforehand (session fixation) is not logged in too.
+	 * @returns The new session. Like any new session, it is only stored once it is saved.
+	 */
+	async regenerate(session: Session) {
+		await this.store.destroy(session.id);
+		this.notifyDestroyed([session.id]);
+		return this.createSession();
+	}
+
+	/**
+	 * Looks up a session by ID.
+	 * @returns The session, or undefined if it does not exist or has expired.
+	 */
+	async get(sessionId: string) {
+		const session = await this.store.get(sessionId);
+
+		if (!session || session.isExpired()) {
+			return undefined;
+		}
 
 		return session;
 	}
 
 	/**
-	 * Searches for a session with the given sessionId.
-	 * Uses linear search to find the session which
-	 * isn't the most efficient way to find something,
-	 * but it's good enough for this assignment.
-	 * @returns The session with the given sessionId.
+	 * Writes a session's changes to the store. Sessions that were
+	 * destroyed or have expired are removed instead. A session that was
+	 * only refreshed just has its expiry moved, so a request that was in
+	 * flight while the session was logged out cannot bring it back.
 	 */
-	get(sessionId: string) {
-		return this.sessions.find((session) => session.id === sessionId);
+	async save(session: Session) {
+		if (session.isExpired()) {
+			await this.store.destroy(session.id);
+			this.notifyDestroyed([session.id]);
+		} else if (session.modified) {
+			await this.store.save(session);
+		} else if (session.refreshed) {
+			await this.store.touch(session.id, session.getExpires());
+		}
+
+		session.modified = false;
+		session.refreshed = false;
 	}
 
 	/**
-	 * Removes all expired sessions from the sessions array.
-	 * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/filter
+	 * Lists the sessions a user is logged in with, newest first.
+	 * @returns The sessions that have not expired.
 	 */
-	cleanUpSessions() {
-		this.sessions = this.sessions?.filter(
-			(session) => !session.isExpired(),
-		);
+	async getUserSessions(userId: number) {
+		const sessions = await this.store.findByUser(userId);
+		return sessions.filter((session) => !session.isExpired());
+	}
+
+	/**
+	 * Logs one of a user's sessions out.
+	 * @param shortId The start of the session's ID, see `Session.getShortId`.
+	 * @returns The removed session, or undefined if the user has no such session.
+	 */
+	async destroyUserSession(userId: number, shortId: string) {
+		const sessions = await this.getUserSessions(userId);
+		const session = sessions.find((s) => s.getShortId() === shortId);
+
+		if (session) {
+			await this.store.destroy(session.id);
+			this.notifyDestroyed([session.id]);
+		}
+
+		return session;
+	}
+
+	/**
+	 * Logs a user out everywhere by removing all their sessions.
+	 * Their next request starts a new, logged-out session.
+	 * @returns How many sessions were removed.
+	 */
+	async destroyUserSessions(userId: number) {
+		const sessionIds = await this.store.destroyByUser(userId);
+		this.notifyDestroyed(sessionIds);
+
+		return sessionIds.length;
+	}
+
+	/**
+	 * Listens for sessions being logged out, e.g. to end what was opened
+	 * with them. Sessions that simply expire are not reported.
+	 * @returns A function that stops listening.
+	 */
+	onDestroy(listener: DestroyListener) {
+		this.destroyListeners.add(listener);
+		return () => {
+			this.destroyListeners.delete(listener);
+		};
+	}
+
+	/**
+	 * Removes all expired sessions from the store.
+	 */
+	cleanUpSessions = async () => {
+		try {
+			await this.store.destroyExpired();
+		} catch (error) {
+			console.error("Error cleaning up sessions:", error);
+		}
+	};
+
+	private notifyDestroyed(sessionIds: string[]) {
+		if (sessionIds.length === 0) return;
+		this.destroyListeners.forEach((listener) => listener(sessionIds));
 	}
 
 	/**
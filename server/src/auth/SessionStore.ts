@@ -0,0 +1,44 @@
+import Session from "./Session";
+
+/**
+ * Where the SessionManager keeps sessions. Implementations only need to
+ * store and look up sessions by ID; expiry rules live in the Session.
+ */
+export default interface SessionStore {
+	/**
+	 * @returns The session with the given ID, or undefined if there is none.
+	 */
+	get(sessionId: string): Promise<Session | undefined>;
+
+	/**
+	 * Inserts or replaces a session.
+	 */
+	save(session: Session): Promise<void>;
+
+	/**
+	 * Moves an existing session's expiry, leaving its data alone. Does
+	 * nothing if the session has been removed.
+	 */
+	touch(sessionId: string, expires: Date): Promise<void>;
+
+	/**
+	 * Removes a session.
+	 */
+	destroy(sessionId: string): Promise<void>;
+
+	/**
+	 * Removes every expired session.
+	 */
+	destroyExpired(): Promise<void>;
+
+	/**
+	 * @returns Every session logged in as the given user, expired or not.
+	 */
+	findByUser(userId: number): Promise<Session[]>;
+
+	/**
+	 * Removes every session logged in as the given user.
+	 * @returns The IDs of the sessions that were removed.
+	 */
+	destroyByUser(userId: number): Promise<string[]>;
+}
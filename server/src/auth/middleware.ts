@@ -0,0 +1,119 @@
+import postgres from "postgres";
+import Request from "../router/Request";
+import { Middleware } from "../router/Router";
+import { StatusCode } from "../router/Response";
+import UserModel, { UserRole } from "../models/UserModel";
+import RateLimiter from "./RateLimiter";
+
+/**
+ * Finds the user the request's session belongs to, clearing the session
+ * if the account has been deleted since the user logged in.
+ */
+const findSessionUser = async (sql: postgres.Sql, req: Request) => {
+	const sessionUser = req.session.get("user");
+	const user = sessionUser?.id
+		? await UserModel.read(sql, sessionUser.id)
+		: null;
+
+	if (!user && sessionUser) req.session.set("user", null);
+
+	return user;
+};
+
+/**
+ * Guards a route behind a login. Loads the session's user once per
+ * request and attaches it to `req.user`, or replies 401 if there is none.
+ * Suspended and banned users are logged out and get a 403.
+ * @example router.get("/profile", requireAuth(sql), handler)
+ */
+export const requireAuth = (sql: postgres.Sql): Middleware => {
+	return async (req, res, next) => {
+		if (!req.user) {
+			const user = await findSessionUser(sql, req);
+
+			if (!user) {
+				return res.send({
+					statusCode: StatusCode.Unauthorized,
+					message: "Not logged in",
+				});
+			}
+
+			const blocked = user.getAccessError();
+			if (blocked) {
+				req.session.set("user", null);
+				return res.send({
+					statusCode: StatusCode.Forbidden,
+					message: blocked,
+				});
+			}
+
+			req.user = user;
+		}
+
+		await next();
+	};
+};
+
+/**
+ * Attaches the session's user to `req.user` when there is one, for
+ * public routes that show more to logged-in users.
+ * @example router.get("/leaderboard", loadUser(sql), handler)
+ */
+export const loadUser = (sql: postgres.Sql): Middleware => {
+	return async (req, res, next) => {
+		if (!req.user) {
+			req.user = (await findSessionUser(sql, req)) ?? undefined;
+		}
+
+		await next();
+	};
+};
+
+/**
+ * Guards a route behind a role. Must come after `requireAuth`.
+ * @example router.post("/admin/users", requireAuth(sql), requireRole("admin"), handler)
+ */
+export const requireRole = (role: UserRole): Middleware => {
+	return async (req, res, next) => {
+		if (!req.user) {
+			return res.send({
+				statusCode: StatusCode.Unauthorized,
+				message: "Not logged in",
+			});
+		}
+
+		if (req.user.props.role !== role) {
+			return res.send({
+				statusCode: StatusCode.Forbidden,
+				message: "Forbidden",
+			});
+		}
+
+		await next();
+	};
+};
+
+/**
+ * Limits how often a client may hit a route, replying 429 with a
+ * `Retry-After` header once it goes over. Clients are told apart by
+ * IP address unless `getKey` says otherwise.
+ * @example router.post("/login", rateLimit(new RateLimiter(store, "login", { limit: 20, windowMs: 60000 })), handler)
+ */
+export const rateLimit = (
+	limiter: RateLimiter,
+	getKey: (req: Request) => string = (req) => req.getIp(),
+): Middleware => {
+	return async (req, res, next) => {
+		const retryAfter = await limiter.hit(getKey(req));
+
+		if (retryAfter) {
+			return res.send({
+				statusCode: StatusCode.TooManyRequests,
+				message: `Too many requests. Try again in ${retryAfter} seconds`,
+				headers: { "Retry-After": retryAfter.toString() },
+			});
+		}
+
+		await next();
+	};
+};
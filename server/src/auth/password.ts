@@ -0,0 +1,64 @@
+import bcrypt from "bcrypt";
+import crypto from "crypto";
+
+/**
+ * bcrypt cost factor. Each increment doubles the time it takes to hash,
+ * so brute-forcing a leaked hash stays expensive as hardware gets faster.
+ */
+export const SALT_ROUNDS = 12;
+
+/**
+ * Hash compared against when the user does not exist, so a login for an
+ * unknown email takes as long as one for a known email.
+ */
+const DUMMY_HASH = bcrypt.hashSync("luckybet-dummy-password", SALT_ROUNDS);
+
+/**
+ * @returns Whether the stored value is a bcrypt hash rather than a legacy plaintext password.
+ * @example isHashed("$2b$12$...") => true
+ */
+export const isHashed = (stored: string) => {
+	return /^\$2[aby]\$\d{2}\$/.test(stored);
+};
+
+/**
+ * Hashes a password with a random salt.
+ * @returns The bcrypt hash, safe to store in the database.
+ */
+export const hashPassword = async (password: string) => {
+	return await bcrypt.hash(password, SALT_ROUNDS);
+};
+
+/**
+ * Checks a password against a stored credential. Accounts created before
+ * passwords were hashed still hold plaintext, which is compared in
+ * constant time so the comparison leaks nothing through timing.
+ * @param password The password the user typed.
+ * @param stored The stored hash or legacy plaintext password, or null if the user does not exist.
+ */
+export const verifyPassword = async (
+	password: string,
+	stored: string | null,
+) => {
+	if (!stored) {
+		await bcrypt.compare(password, DUMMY_HASH);
+		return false;
+	}
+
+	if (isHashed(stored)) {
+		return await bcrypt.compare(password, stored);
+	}
+
+	// Hashing both sides first gives equal-length buffers for timingSafeEqual.
+	const digest = (value: string) =>
+		crypto.createHash("sha256").update(value).digest();
+	return crypto.timingSafeEqual(digest(password), digest(stored));
+};
+
+/**
+ * @returns Whether a stored credential should be replaced with a fresh hash:
+ * it is legacy plaintext, or was hashed with a lower cost factor than today's.
+ */
+export const needsRehash = (stored: string) => {
+	return !isHashed(stored) || bcrypt.getRounds(stored) < SALT_ROUNDS;
+};
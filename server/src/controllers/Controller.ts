@@ -3,8 +3,78 @@ import Router from "../router/Router";
 import Request from "../router/Request";
 import Response, { StatusCode } from "../router/Response";
 import UserModel from "../models/UserModel";
+import GameRoundModel from "../models/GameRoundModel";
 import AuthService from "../auth/AuthService";
+import {
+	loadUser,
+	rateLimit,
+	requireAuth,
+	requireRole,
+} from "../auth/middleware";
+import RateLimitStore from "../auth/RateLimitStore";
+import RateLimiter, { RateLimit } from "../auth/RateLimiter";
+import LoginThrottle from "../auth/LoginThrottle";
+import UserTokenModel from "../models/UserTokenModel";
+import LoginAttemptModel from "../models/LoginAttemptModel";
+import AccountEmailService from "../Services/AccountEmailService";
+import AccountService from "../Services/AccountService";
+import Mailer from "../mail/Mailer";
+import TransactionModel from "../models/TransactionModel";
+import LedgerService from "../Services/LedgerService";
+import DailyBonusModel from "../models/DailyBonusModel";
+import BonusService from "../Services/BonusService";
 import GameService from "../Services/GameService";
+import BlackjackStakeModel from "../models/BlackjackStakeModel";
+import FairSeedModel from "../models/FairSeedModel";
+import FairService from "../Services/FairService";
+import PushService from "../Services/PushService";
+import AdminService from "../Services/AdminService";
+import PlayLimitModel from "../models/PlayLimitModel";
+import ResponsiblePlayService from "../Services/ResponsiblePlayService";
+import AchievementModel from "../models/AchievementModel";
+import AchievementService from "../Services/AchievementService";
+import {
+	validateBody,
+	validateParams,
+	validateQuery,
+} from "../router/validation";
+import {
+	adjustmentSchema,
+	adminUsersSchema,
+	blackjackSchema,
+	coinFlipSchema,
+	deleteAccountSchema,
+	exclusionSchema,
+	fairRotateSchema,
+	fairVerifySchema,
+	historySchema,
+	leaderboardSchema,
+	limitsSchema,
+	loginSchema,
+	messageSchema,
+	passwordSchema,
+	profileSchema,
+	registerSchema,
+	resetPasswordSchema,
+	resetRequestSchema,
+	rouletteSchema,
+	sessionIdSchema,
+	statusSchema,
+	tokenSchema,
+	transactionsSchema,
+	userIdSchema,
+} from "./schemas";
+
+/**
+ * Login attempts allowed from one IP address, whichever accounts they are for.
+ */
+const LOGIN_RATE_LIMIT: RateLimit = { limit: 20, windowMs: 1000 * 60 * 15 };
+
+/**
+ * Password reset requests allowed from one IP address, so the route
+ * cannot be used to flood inboxes.
+ */
+const RESET_RATE_LIMIT: RateLimit = { limit: 5, windowMs: 1000 * 60 * 60 };
 
 /**
  * Controller class handles the business logic for each route in the application.
@@ -13,19 +83,110 @@ import GameService from "../Services/GameService";
  */
 export default class Controller {
 	private sql: postgres.Sql;
-	private userModel: UserModel;
+	private ledgerService: LedgerService;
+	private bonusService: BonusService;
 	private authService: AuthService;
 	private gameService: GameService;
+	private fairService: FairService;
+	private pushService: PushService;
+	private adminService: AdminService;
+	private responsiblePlayService: ResponsiblePlayService;
+	private loginLimiter: RateLimiter;
+	private loginThrottle: LoginThrottle;
+	private resetLimiter: RateLimiter;
+	private accountEmailService: AccountEmailService;
+	private accountService: AccountService;
+	private achievementService: AchievementService;
 
 	/**
 	 * Initializes the Controller with a PostgreSQL client.
 	 * @param sql - The postgres SQL instance.
+	 * @param pushService - Holds the open event streams.
+	 * @param rateLimitStore - Where login attempts are counted.
+	 * @param mailer - Delivers verification and password reset links.
 	 */
-	constructor(sql: postgres.Sql) {
+	constructor(
+		sql: postgres.Sql,
+		pushService: PushService,
+		rateLimitStore: RateLimitStore,
+		mailer: Mailer,
+	) {
 		this.sql = sql;
-		this.userModel = new UserModel(sql);
-		this.authService = new AuthService(this.userModel);
-		this.gameService = new GameService(this.userModel);
+		this.pushService = pushService;
+		this.ledgerService = new LedgerService(sql, TransactionModel);
+		this.achievementService = new AchievementService(
+			sql,
+			AchievementModel,
+			GameRoundModel,
+			this.ledgerService,
+		);
+		this.bonusService = new BonusService(
+			sql,
+			DailyBonusModel,
+			this.ledgerService,
+			this.achievementService,
+		);
+		this.authService = new AuthService(
+			sql,
+			this.ledgerService,
+			LoginAttemptModel,
+		);
+		this.fairService = new FairService(sql, FairSeedModel);
+		this.responsiblePlayService = new ResponsiblePlayService(
+			sql,
+			PlayLimitModel,
+			TransactionModel,
+		);
+		this.gameService = new GameService(
+			sql,
+			GameRoundModel,
+			BlackjackStakeModel,
+			this.ledgerService,
+			this.fairService,
+			this.responsiblePlayService,
+			this.achievementService,
+		);
+		this.adminService = new AdminService(sql, this.ledgerService);
+		this.loginLimiter = new RateLimiter(
+			rateLimitStore,
+			"login",
+			LOGIN_RATE_LIMIT,
+		);
+		this.loginThrottle = new LoginThrottle(rateLimitStore);
+		this.resetLimiter = new RateLimiter(
+			rateLimitStore,
+			"password-reset",
+			RESET_RATE_LIMIT,
+		);
+		this.accountEmailService = new AccountEmailService(
+			sql,
+			UserTokenModel,
+			mailer,
+		);
+		this.accountService = new AccountService(
+			sql,
+			GameRoundModel,
+			TransactionModel,
+			this.responsiblePlayService,
+			LoginAttemptModel,
+		);
+	}
+
+	/**
+	 * Cleans up after servers that stopped, before requests are handled.
+	 */
+	async start() {
+		const refunded = await this.gameService.start();
+		if (refunded > 0) {
+			console.log(`Refunded ${refunded} unfinished Blackjack round(s).`);
+		}
+	}
+
+	/**
+	 * Lets other servers know this one is shutting down.
+	 */
+	async stop() {
+		await this.gameService.stop();
 	}
 
 	/**
@@ -33,22 +194,183 @@ export default class Controller {
 	 * @param router - Instance of Router to register paths on.
 	 */
 	registerRoutes(router: Router) {
-		router.post("/register", this.register);
-		router.post("/login", this.login);
+		const auth = requireAuth(this.sql);
+
+		router.post("/register", validateBody(registerSchema), this.register);
+		router.post(
+			"/login",
+			rateLimit(this.loginLimiter),
+			validateBody(loginSchema),
+			this.login,
+		);
 		router.get("/games", this.getGames);
-		router.get("/profile", this.profile);
+		router.get(
+			"/games/history",
+			auth,
+			validateQuery(historySchema),
+			this.getGameHistory,
+		);
+		router.get("/profile", auth, this.profile);
+		router.get("/events", auth, this.streamEvents);
 
-		router.post("/play/roulette", this.playRoulette);
-		router.post("/play/blackjack", this.playBlackjack);
-		router.post("/play/coinflip", this.playCoinFlip);
+		router.post(
+			"/play/roulette",
+			auth,
+			validateBody(rouletteSchema),
+			this.playRoulette,
+		);
+		router.get("/play/blackjack", auth, this.getBlackjackRound);
+		router.post(
+			"/play/blackjack",
+			auth,
+			validateBody(blackjackSchema),
+			this.playBlackjack,
+		);
+		router.post(
+			"/play/coinflip",
+			auth,
+			validateBody(coinFlipSchema),
+			this.playCoinFlip,
+		);
 
-		router.post("/user/balance", this.setBalance);
-		router.post("/api/users/updateBalance", this.updateBalance);
+		router.get("/fair", auth, this.getFairSeeds);
+		router.post(
+			"/fair/rotate",
+			auth,
+			validateBody(fairRotateSchema),
+			this.rotateFairSeeds,
+		);
+		router.get(
+			"/fair/verify",
+			validateQuery(fairVerifySchema),
+			this.verifyFairOutcome,
+		);
 
-		router.get("/leaderboard", this.getLeaderboard);
-		router.put("/user/profile", this.updateProfile);
-		router.put("/user/password", this.updatePassword);
+		router.get(
+			"/coins/transactions",
+			auth,
+			validateQuery(transactionsSchema),
+			this.getTransactions,
+		);
+		router.post("/bonus", auth, this.claimBonus);
+		router.get("/achievements", auth, this.getAchievements);
+		router.get("/bonus/status", auth, this.getBonusStatus);
+
+		router.get("/responsible-play", auth, this.getResponsiblePlay);
+		router.put(
+			"/responsible-play/limits",
+			auth,
+			validateBody(limitsSchema),
+			this.setPlayLimits,
+		);
+		router.post(
+			"/responsible-play/exclusion",
+			auth,
+			validateBody(exclusionSchema),
+			this.selfExclude,
+		);
+
+		router.get(
+			"/leaderboard",
+			loadUser(this.sql),
+			validateQuery(leaderboardSchema),
+			this.getLeaderboard,
+		);
+		router.put(
+			"/user/profile",
+			auth,
+			validateBody(profileSchema),
+			this.updateProfile,
+		);
+		router.put(
+			"/user/password",
+			auth,
+			validateBody(passwordSchema),
+			this.updatePassword,
+		);
+		router.get("/user/logins", auth, this.getLogins);
+		router.get("/user/sessions", auth, this.getSessions);
+		router.del(
+			"/user/sessions/:id",
+			auth,
+			validateParams(sessionIdSchema),
+			this.revokeSession,
+		);
+		router.del("/user/sessions", auth, this.logoutEverywhere);
+		router.get("/user/export", auth, this.exportData);
+		router.del(
+			"/user",
+			auth,
+			validateBody(deleteAccountSchema),
+			this.deleteAccount,
+		);
 		router.post("/auth/logout", this.logout);
+		router.post(
+			"/auth/verify-email",
+			validateBody(tokenSchema),
+			this.verifyEmail,
+		);
+		router.post("/auth/verify-email/resend", auth, this.resendVerification);
+		router.post(
+			"/auth/password-reset/request",
+			rateLimit(this.resetLimiter),
+			validateBody(resetRequestSchema),
+			this.requestPasswordReset,
+		);
+		router.post(
+			"/auth/password-reset",
+			validateBody(resetPasswordSchema),
+			this.resetPassword,
+		);
+		router.post(
+			"/auth/email-change/confirm",
+			validateBody(tokenSchema),
+			this.confirmEmailChange,
+		);
+
+		router.post(
+			"/admin/messages",
+			auth,
+			requireRole("admin"),
+			validateBody(messageSchema),
+			this.sendSystemMessage,
+		);
+
+		const admin = [auth, requireRole("admin")] as const;
+		const adminUser = [...admin, validateParams(userIdSchema)] as const;
+
+		router.get(
+			"/admin/users",
+			...admin,
+			validateQuery(adminUsersSchema),
+			this.searchUsers,
+		);
+		router.get("/admin/users/:id", ...adminUser, this.getUserDetails);
+		router.get(
+			"/admin/users/:id/history",
+			...adminUser,
+			validateQuery(historySchema),
+			this.getUserHistory,
+		);
+		router.get(
+			"/admin/users/:id/transactions",
+			...adminUser,
+			validateQuery(transactionsSchema),
+			this.getUserTransactions,
+		);
+		router.post(
+			"/admin/users/:id/adjustments",
+			...adminUser,
+			validateBody(adjustmentSchema),
+			this.adjustUserBalance,
+		);
+		router.put(
+			"/admin/users/:id/status",
+			...adminUser,
+			validateBody(statusSchema),
+			this.setUserStatus,
+		);
+		router.del("/admin/users/:id/sessions", ...adminUser, this.logoutUser);
 	}
 
 	/**
@@ -57,13 +379,6 @@ export default class Controller {
 	private register = async (req: Request, res: Response) => {
 		const { username, email, password } = req.body;
 
-		if (!username || !email || !password) {
-			return res.send({
-				statusCode: StatusCode.BadRequest,
-				message: "Username, email, and password required",
-			});
-		}
-
 		try {
 			const newUser = await this.authService.register(
 				username,
@@ -71,18 +386,30 @@ export default class Controller {
 				password,
 			);
 
-			// Save session
-			req.session.set("user", { id: newUser.id });
+			// Registration goes through even if the verification mail does not.
+			await this.accountEmailService
+				.sendVerification(newUser)
+				.catch((error) =>
+					console.error("Error sending verification email:", error),
+				);
+
+			// Save the user in a new session
+			await req.regenerateSession();
+			req.session.set("user", { id: newUser.props.id });
+			req.session.set("startedAt", Date.now());
+			req.session.set("client", req.getClient());
 			res.setCookie(req.session.cookie);
 
 			return res.send({
 				statusCode: StatusCode.Created,
 				message: "Registered",
 				payload: {
-					id: newUser.id,
-					username: newUser.username,
-					email: newUser.email,
-					balance: newUser.balance,
+					id: newUser.props.id,
+					username: newUser.props.username,
+					email: newUser.props.email,
+					balance: newUser.getBalance(),
+					role: newUser.props.role,
+					emailVerifiedAt: null,
 				},
 			});
 		} catch (err: any) {
@@ -99,30 +426,46 @@ export default class Controller {
 	private login = async (req: Request, res: Response) => {
 		const { email, password } = req.body;
 
-		if (!email || !password) {
+		// Waiting out a backoff is checked first so that it does not count
+		// as another failed login. The attempt is then recorded before the
+		// password is checked, so guesses sent at once are throttled too.
+		let retryAfter = await this.loginThrottle.getRetryAfter(email);
+		if (!retryAfter) retryAfter = await this.loginThrottle.attempt(email);
+		if (retryAfter) {
 			return res.send({
-				statusCode: StatusCode.BadRequest,
-				message: "Email and password required",
+				statusCode: StatusCode.TooManyRequests,
+				message: `Too many failed logins. Try again in ${retryAfter} seconds`,
+				headers: { "Retry-After": retryAfter.toString() },
 			});
 		}
 
 		try {
-			const user = await this.authService.login(email, password);
+			const user = await this.authService.login(
+				email,
+				password,
+				req.getClient(),
+			);
+			await this.loginThrottle.reset(email);
 
-			req.session.set("user", { id: user.id });
+			await req.regenerateSession();
+			req.session.set("user", { id: user.props.id });
+			req.session.set("startedAt", Date.now());
+			req.session.set("client", req.getClient());
 			res.setCookie(req.session.cookie);
 
 			return res.send({
 				statusCode: StatusCode.OK,
 				message: "Logged in",
 				payload: {
-					id: user.id,
-					username: user.username,
-					email: user.email,
-					balance: user.balance,
+					id: user.props.id,
+					username: user.props.username,
+					email: user.props.email,
+					balance: user.getBalance(),
+					role: user.props.role,
 				},
 			});
 		} catch (err: any) {
+			// The attempt recorded above stays as a failed login.
 			return res.send({
 				statusCode: StatusCode.Unauthorized,
 				message: err.message || "Login failed",
@@ -143,28 +486,44 @@ export default class Controller {
 	};
 
 	/**
-	 * Stub: roulette logic (no db update).
-	 */
-	/**
-	 * Play Roulette: deduct bet, credit payout, update user balance.
+	 * Returns one page of the player's game history, newest first.
+	 * Supports filtering by game, result and date range through the query string.
+	 * @example GET /games/history?game=roulette&result=win&from=2025-01-01&page=2&limit=20
 	 */
-	private playRoulette = async (req: Request, res: Response) => {
-		const { betType, amount } = req.body;
-		const user = req.session.get("user");
+	private getGameHistory = async (req: Request, res: Response) => {
+		const userId = req.getUserId();
+		const { game, result, from, to, page, limit } = req.query;
+
+		try {
+			const { rounds, total } = await GameRoundModel.findByUser(
+				this.sql,
+				userId,
+				{ game, result, from, to, page, limit },
+			);
 
-		if (!user?.id) {
 			return res.send({
-				statusCode: StatusCode.Unauthorized,
-				message: "Not logged in",
+				statusCode: StatusCode.OK,
+				message: "Game history",
+				payload: { rounds, page, limit, total },
+			});
+		} catch (err: any) {
+			return res.send({
+				statusCode: StatusCode.InternalServerError,
+				message: err.message || "Failed to fetch game history",
 			});
 		}
+	};
+
+	/**
+	 * Play Roulette: settle a whole bet slip on one spin and
+	 * reply with the winning number and a per-bet breakdown.
+	 */
+	private playRoulette = async (req: Request, res: Response) => {
+		const { bets } = req.body;
+		const userId = req.getUserId();
 
 		try {
-			const result = await this.gameService.playRoulette(
-				user.id,
-				betType,
-				amount,
-			);
+			const result = await this.gameService.playRoulette(userId, bets);
 			return res.send({
 				statusCode: StatusCode.OK,
 				message: "Roulette result",
@@ -179,37 +538,58 @@ export default class Controller {
 	};
 
 	/**
-	 * Stub: blackjack logic (no db update yet).
+	 * Returns the player's Blackjack round in progress, if any,
+	 * so the client can resume it after a reload.
 	 */
-	private playBlackjack = async (_req: Request, res: Response) => {
+	private getBlackjackRound = async (req: Request, res: Response) => {
+		const userId = req.getUserId();
+
 		return res.send({
 			statusCode: StatusCode.OK,
-			message: "Blackjack result",
-			payload: { win: false, payout: 0 },
+			message: "Blackjack round",
+			payload: { round: this.gameService.getBlackjackRound(userId) },
 		});
 	};
 
 	/**
-	 * Stub: coin flip logic (no db update).
+	 * Play Blackjack: apply one action (deal, hit, stand, double, split,
+	 * insurance) to the player's round. The server holds the shoe and
+	 * settles the round, the client only renders the returned state.
 	 */
+	private playBlackjack = async (req: Request, res: Response) => {
+		const { action, amount, accept } = req.body;
+		const userId = req.getUserId();
+
+		try {
+			const result = await this.gameService.playBlackjack(
+				userId,
+				action,
+				{ amount, accept },
+			);
+			return res.send({
+				statusCode: StatusCode.OK,
+				message: "Blackjack result",
+				payload: result,
+			});
+		} catch (err: any) {
+			return res.send({
+				statusCode: StatusCode.BadRequest,
+				message: err.message || "Blackjack action failed",
+			});
+		}
+	};
+
 	/**
 	 * Play Coin Flip: deduct bet, credit payout, update user balance.
 	 */
 	private playCoinFlip = async (req: Request, res: Response) => {
 		const { guess, amount } = req.body;
-		const user = req.session.get("user");
-
-		if (!user?.id) {
-			return res.send({
-				statusCode: StatusCode.Unauthorized,
-				message: "Not logged in",
-			});
-		}
+		const userId = req.getUserId();
 
 		try {
 			const result = await this.gameService.playCoinFlip(
-				user.id,
-				guess.toLowerCase(),
+				userId,
+				guess,
 				amount,
 			);
 			return res.send({
@@ -226,240 +606,906 @@ export default class Controller {
 	};
 
 	/**
-	 * Returns user profile details from session.
+	 * Returns the player's seed pair in play: the hash of the secret
+	 * server seed, the client seed, the nonce of the next bet and the
+	 * hash of the server seed the pair will be rotated to.
 	 */
-	private profile = async (req: Request, res: Response) => {
-		const sessionUser = req.session.get("user");
-		if (!sessionUser?.id) {
+	private getFairSeeds = async (req: Request, res: Response) => {
+		const userId = req.getUserId();
+
+		try {
+			const seeds = await this.fairService.getSeeds(userId);
+
 			return res.send({
-				statusCode: StatusCode.Unauthorized,
-				message: "Not logged in",
+				statusCode: StatusCode.OK,
+				message: "Fair seeds",
+				payload: seeds,
+			});
+		} catch (err: any) {
+			return res.send({
+				statusCode: StatusCode.InternalServerError,
+				message: err.message || "Failed to fetch seeds",
 			});
 		}
+	};
+
+	/**
+	 * Reveals the player's server seed so past outcomes can be verified,
+	 * and starts a new seed pair with the client seed they chose and the
+	 * server seed whose hash they were shown.
+	 */
+	private rotateFairSeeds = async (req: Request, res: Response) => {
+		const userId = req.getUserId();
+		const { clientSeed } = req.body;
 
 		try {
-			const user = await this.authService.getProfile(sessionUser.id);
-			if (!user) {
-				return res.send({
-					statusCode: StatusCode.NotFound,
-					message: "User not found",
-				});
-			}
+			const seeds = await this.gameService.rotateSeeds(userId, clientSeed);
 
 			return res.send({
 				statusCode: StatusCode.OK,
-				message: "Profile fetched",
-				payload: user,
+				message: "Seeds rotated",
+				payload: seeds,
 			});
 		} catch (err: any) {
 			return res.send({
-				statusCode: StatusCode.InternalServerError,
-				message: err.message || "Failed to fetch profile",
+				statusCode: StatusCode.BadRequest,
+				message: err.message || "Seed rotation failed",
 			});
 		}
 	};
 
 	/**
-	 * Sets a new balance value for the authenticated user.
+	 * Recomputes an outcome from a revealed server seed, client seed and nonce.
+	 * @example GET /fair/verify?game=roulette&serverSeed=...&clientSeed=lucky&nonce=3
 	 */
-	// POST /user/balance
-	private setBalance = async (req: Request, res: Response) => {
-		const userSession = req.session.get("user");
-		const { balance } = req.body;
-		if (!userSession?.id) {
+	private verifyFairOutcome = async (req: Request, res: Response) => {
+		const { game, serverSeed, clientSeed, nonce } = req.query;
+
+		try {
+			const result = this.gameService.verifyOutcome(
+				game,
+				serverSeed,
+				clientSeed,
+				nonce,
+			);
+
 			return res.send({
-				statusCode: StatusCode.Unauthorized,
-				message: "Not logged in",
+				statusCode: StatusCode.OK,
+				message: "Outcome verified",
+				payload: { game, clientSeed, nonce, ...result },
 			});
-		}
-		if (typeof balance !== "number" || balance < 0) {
+		} catch (err: any) {
 			return res.send({
 				statusCode: StatusCode.BadRequest,
-				message: "Invalid balance",
+				message: err.message || "Verification failed",
 			});
 		}
+	};
+
+	/**
+	 * Returns the profile of the user loaded by `requireAuth`.
+	 */
+	private profile = async (req: Request, res: Response) => {
+		return res.send({
+			statusCode: StatusCode.OK,
+			message: "Profile fetched",
+			payload: req.user,
+		});
+	};
+
+	/**
+	 * Opens a Server-Sent Events stream of the user's balance changes,
+	 * leaderboard movement and system messages. Starts with the current
+	 * balance so a reconnecting client catches up.
+	 */
+	private streamEvents = async (req: Request, res: Response) => {
+		res.stream();
+		res.sendEvent("balance", { balance: req.user!.getBalance() });
+
+		const unsubscribe = this.pushService.subscribe(req.getUserId(), res);
+		req.req.on("close", unsubscribe);
+	};
 
-		await this.sql`
-    UPDATE users
-    SET balance = ${balance}
-    WHERE id = ${userSession.id}
-  `;
+	/**
+	 * Sends a system message to every connected player.
+	 */
+	private sendSystemMessage = async (req: Request, res: Response) => {
+		const { text } = req.body;
+
+		this.pushService.broadcast("message", { text });
 
 		return res.send({
 			statusCode: StatusCode.OK,
-			message: "Balance updated",
-			payload: { balance },
+			message: "Message sent",
+			payload: { text, recipients: this.pushService.countStreams() },
 		});
 	};
 
 	/**
-	 * Updates user balance in the database.
+	 * Finds players by username or email, one page at a time.
+	 * @example GET /admin/users?search=alice&page=1&limit=20
 	 */
-	private updateBalance = async (req: Request, res: Response) => {
-		const sessionUser = req.session.get("user");
-		if (!sessionUser) {
+	private searchUsers = async (req: Request, res: Response) => {
+		const { search, page, limit } = req.query;
+
+		try {
+			const { users, total } = await this.adminService.searchUsers({
+				search,
+				page,
+				limit,
+			});
+
 			return res.send({
-				statusCode: StatusCode.Unauthorized,
-				message: "Not logged in",
+				statusCode: StatusCode.OK,
+				message: "Users",
+				payload: { users, page, limit, total },
+			});
+		} catch (err: any) {
+			return res.send({
+				statusCode: StatusCode.InternalServerError,
+				message: err.message || "Failed to search users",
+			});
+		}
+	};
+
+	/**
+	 * Returns a player's account, balance and active sessions.
+	 */
+	private getUserDetails = async (req: Request, res: Response) => {
+		const userId = req.getId();
+
+		try {
+			const user = await this.adminService.getUser(userId);
+			const sessions = await this.adminService.getSessions(userId);
+
+			return res.send({
+				statusCode: StatusCode.OK,
+				message: "User details",
+				payload: { user, sessions },
+			});
+		} catch (err: any) {
+			return res.send({
+				statusCode: StatusCode.NotFound,
+				message: err.message || "User not found",
 			});
 		}
+	};
 
-		const { newBalance } = req.body;
+	/**
+	 * Returns one page of a player's game history, filtered like `/games/history`.
+	 */
+	private getUserHistory = async (req: Request, res: Response) => {
+		const { game, result, from, to, page, limit } = req.query;
 
 		try {
-			await this.authService.updateBalance(sessionUser.id, newBalance);
+			const { rounds, total } = await GameRoundModel.findByUser(
+				this.sql,
+				req.getId(),
+				{ game, result, from, to, page, limit },
+			);
+
 			return res.send({
 				statusCode: StatusCode.OK,
-				message: "Balance updated",
+				message: "Game history",
+				payload: { rounds, page, limit, total },
 			});
 		} catch (err: any) {
-			console.error("Update balance failed:", err);
 			return res.send({
-				statusCode: StatusCode.BadRequest,
-				message: err.message || "Balance update failed",
+				statusCode: StatusCode.InternalServerError,
+				message: err.message || "Failed to fetch game history",
 			});
 		}
 	};
 
 	/**
-	 * Retrieves the top 10 users sorted by balance.
+	 * Returns one page of a player's coin transactions, newest first.
 	 */
-	getLeaderboard = async (req: Request, res: Response) => {
+	private getUserTransactions = async (req: Request, res: Response) => {
+		const { type, page, limit } = req.query;
+
 		try {
-			const leaderboard = await this.sql`
-				SELECT id, username, email, balance 
-				FROM users 
-				ORDER BY balance DESC 
-				LIMIT 10
-			`;
+			const { transactions, total } =
+				await this.ledgerService.getTransactions(req.getId(), {
+					type,
+					page,
+					limit,
+				});
 
-			res.send({
+			return res.send({
 				statusCode: StatusCode.OK,
-				message: "Leaderboard retrieved successfully",
-				payload: leaderboard,
+				message: "Coin transactions",
+				payload: { transactions, page, limit, total },
 			});
-		} catch (error) {
-			console.error("Error fetching leaderboard:", error);
-			res.send({
+		} catch (err: any) {
+			return res.send({
 				statusCode: StatusCode.InternalServerError,
-				message: "Failed to fetch leaderboard",
+				message: err.message || "Failed to fetch transactions",
 			});
 		}
 	};
 
 	/**
-	 * Updates user's email and username. Checks for email uniqueness.
+	 * Credits or debits a player's balance with a reason, recorded in the ledger.
+	 * @example POST /admin/users/7/adjustments { amount: -50, reason: "Duplicate bonus" }
 	 */
-	// Update user profile (name and email)
-	updateProfile = async (req: Request, res: Response) => {
-		const { name, email } = req.body;
-		const sessionUser = req.session.get("user");
-		const userId = sessionUser?.id;
+	private adjustUserBalance = async (req: Request, res: Response) => {
+		const { amount, reason } = req.body;
 
-		if (!userId) {
-			res.send({
-				statusCode: StatusCode.Unauthorized,
-				message: "Not authenticated",
+		try {
+			const balance = await this.adminService.adjustBalance(
+				req.getId(),
+				amount,
+				reason,
+				req.getUserId(),
+			);
+
+			return res.send({
+				statusCode: StatusCode.OK,
+				message: "Balance adjusted",
+				payload: { balance },
+			});
+		} catch (err: any) {
+			return res.send({
+				statusCode: StatusCode.BadRequest,
+				message: err.message || "Balance adjustment failed",
 			});
-			return;
 		}
+	};
 
-		if (!email) {
-			res.send({
+	/**
+	 * Activates, suspends or bans a player. Suspended and banned
+	 * players are logged out and cannot log in again.
+	 */
+	private setUserStatus = async (req: Request, res: Response) => {
+		const { status, reason, until } = req.body;
+
+		try {
+			const user = await this.adminService.setStatus(
+				req.getId(),
+				{ status, reason, until },
+				req.getUserId(),
+			);
+
+			return res.send({
+				statusCode: StatusCode.OK,
+				message: "Status updated",
+				payload: user,
+			});
+		} catch (err: any) {
+			return res.send({
 				statusCode: StatusCode.BadRequest,
-				message: "Email is required",
+				message: err.message || "Status update failed",
 			});
-			return;
 		}
+	};
 
+	/**
+	 * Logs a player out of every session.
+	 */
+	private logoutUser = async (req: Request, res: Response) => {
 		try {
-			// Check if email is already taken by another user
-			const existingUser = await this.sql`
-				SELECT id FROM users 
-				WHERE email = ${email} AND id != ${userId}
-			`;
-
-			if (existingUser.length > 0) {
-				res.send({
-					statusCode: StatusCode.BadRequest,
-					message: "Email is already taken",
-				});
-				return;
-			}
+			const count = await this.adminService.forceLogout(req.getId());
 
-			// Update the user
-			const updatedUser = await this.sql`
-				UPDATE users 
-				SET username = ${name || null}, email = ${email}
-				WHERE id = ${userId}
-				RETURNING id, username, email, balance
-			`;
-
-			if (updatedUser.length === 0) {
-				res.send({
-					statusCode: StatusCode.NotFound,
-					message: "User not found",
-				});
-				return;
-			}
+			return res.send({
+				statusCode: StatusCode.OK,
+				message: "Sessions ended",
+				payload: { count },
+			});
+		} catch (err: any) {
+			return res.send({
+				statusCode: StatusCode.BadRequest,
+				message: err.message || "Logout failed",
+			});
+		}
+	};
 
-			// Update session data
-			req.session.data.userName = updatedUser[0].name;
-			req.session.data.userEmail = updatedUser[0].email;
+	/**
+	 * Returns one page of the player's coin transactions, newest first.
+	 * @example GET /coins/transactions?type=bonus&page=1&limit=20
+	 */
+	private getTransactions = async (req: Request, res: Response) => {
+		const userId = req.getUserId();
+		const { type, page, limit } = req.query;
 
-			res.send({
+		try {
+			const { transactions, total } =
+				await this.ledgerService.getTransactions(userId, {
+					type,
+					page,
+					limit,
+				});
+
+			return res.send({
 				statusCode: StatusCode.OK,
-				message: "Profile updated successfully",
-				payload: updatedUser[0],
+				message: "Coin transactions",
+				payload: { transactions, page, limit, total },
 			});
-		} catch (error) {
-			console.error("Error updating profile:", error);
-			res.send({
+		} catch (err: any) {
+			return res.send({
 				statusCode: StatusCode.InternalServerError,
-				message: "Failed to update profile",
+				message: err.message || "Failed to fetch transactions",
 			});
 		}
 	};
 
 	/**
-	 * Updates user's password after verifying current password.
+	 * Claims the daily bonus. Replies 403 with the current status
+	 * if the user already claimed within the last 24 hours.
 	 */
-	private updatePassword = async (req: Request, res: Response) => {
-		const sessionUser = req.session.get("user");
-		if (!sessionUser?.id) {
+	private claimBonus = async (req: Request, res: Response) => {
+		const userId = req.getUserId();
+
+		try {
+			const result = await this.bonusService.claim(userId);
+
+			if (!result.claimed) {
+				return res.send({
+					statusCode: StatusCode.Forbidden,
+					message: "Bonus already claimed",
+					payload: result.status,
+				});
+			}
+
 			return res.send({
-				statusCode: StatusCode.Unauthorized,
-				message: "Not authenticated",
+				statusCode: StatusCode.OK,
+				message: "Daily bonus claimed",
+				payload: {
+					amount: result.amount,
+					newBalance: result.newBalance,
+					...result.status,
+				},
+			});
+		} catch (err: any) {
+			return res.send({
+				statusCode: StatusCode.BadRequest,
+				message: err.message || "Bonus claim failed",
 			});
 		}
+	};
 
-		const { currentPassword, newPassword } = req.body;
+	/**
+	 * Returns whether the daily bonus can be claimed, the current
+	 * streak, the next reward and the time left until the next claim.
+	 */
+	private getBonusStatus = async (req: Request, res: Response) => {
+		const userId = req.getUserId();
 
 		try {
-			await this.authService.updatePassword(
-				sessionUser.id,
-				currentPassword,
-				newPassword,
-			);
+			const status = await this.bonusService.getStatus(userId);
+
 			return res.send({
 				statusCode: StatusCode.OK,
-				message: "Password updated successfully",
+				message: "Daily bonus status",
+				payload: status,
 			});
 		} catch (err: any) {
 			return res.send({
-				statusCode: StatusCode.BadRequest,
-				message: err.message || "Password update failed",
+				statusCode: StatusCode.InternalServerError,
+				message: err.message || "Failed to fetch bonus status",
+			});
+		}
+	};
+
+	/**
+	 * Lists every achievement, with when the player unlocked it.
+	 */
+	private getAchievements = async (req: Request, res: Response) => {
+		try {
+			const achievements = await this.achievementService.getAchievements(
+				req.getUserId(),
+			);
+
+			return res.send({
+				statusCode: StatusCode.OK,
+				message: "Achievements",
+				payload: { achievements },
+			});
+		} catch (err: any) {
+			return res.send({
+				statusCode: StatusCode.InternalServerError,
+				message: err.message || "Failed to fetch achievements",
+			});
+		}
+	};
+
+	/**
+	 * Returns the player's limits, what they have lost and bet against
+	 * them, any self-exclusion, and when their session started so the
+	 * game pages can remind them how long they have played.
+	 */
+	private getResponsiblePlay = async (req: Request, res: Response) => {
+		// Sessions from before reminders existed start counting now.
+		if (!req.session.exists("startedAt")) {
+			req.session.set("startedAt", Date.now());
+		}
+
+		try {
+			const status = await this.responsiblePlayService.getStatus(
+				req.getUserId(),
+			);
+
+			return res.send({
+				statusCode: StatusCode.OK,
+				message: "Responsible play",
+				payload: {
+					...status,
+					sessionStartedAt: new Date(req.session.get("startedAt")),
+				},
+			});
+		} catch (err: any) {
+			return res.send({
+				statusCode: StatusCode.InternalServerError,
+				message: err.message || "Failed to fetch limits",
+			});
+		}
+	};
+
+	/**
+	 * Replaces the player's loss and wager limits, and the reminder
+	 * interval unless it was left out.
+	 * @example PUT /responsible-play/limits { dailyLoss: 100, weeklyWager: 1000, reminderMinutes: 60 }
+	 */
+	private setPlayLimits = async (req: Request, res: Response) => {
+		const {
+			dailyLoss,
+			weeklyLoss,
+			dailyWager,
+			weeklyWager,
+			reminderMinutes,
+		} = req.body;
+
+		try {
+			const status = await this.responsiblePlayService.setLimits(
+				req.getUserId(),
+				{
+					dailyLoss: dailyLoss ?? null,
+					weeklyLoss: weeklyLoss ?? null,
+					dailyWager: dailyWager ?? null,
+					weeklyWager: weeklyWager ?? null,
+					reminderMinutes,
+				},
+			);
+
+			return res.send({
+				statusCode: StatusCode.OK,
+				message: "Limits updated",
+				payload: status,
+			});
+		} catch (err: any) {
+			return res.send({
+				statusCode: StatusCode.BadRequest,
+				message: err.message || "Limit update failed",
+			});
+		}
+	};
+
+	/**
+	 * Blocks the player from betting for the chosen number of days.
+	 * The exclusion cannot be lifted or shortened before it ends.
+	 */
+	private selfExclude = async (req: Request, res: Response) => {
+		try {
+			const excludedUntil = await this.responsiblePlayService.selfExclude(
+				req.getUserId(),
+				req.body.days,
+			);
+
+			return res.send({
+				statusCode: StatusCode.OK,
+				message: "Self-exclusion started",
+				payload: { excludedUntil },
+			});
+		} catch (err: any) {
+			return res.send({
+				statusCode: StatusCode.BadRequest,
+				message: err.message || "Self-exclusion failed",
+			});
+		}
+	};
+
+	/**
+	 * Retrieves one page of a leaderboard, plus the viewer's own entry
+	 * when they are logged in. Only usernames are shown, never emails.
+	 */
+	getLeaderboard = async (req: Request, res: Response) => {
+		const { type, period, page, limit } = req.query;
+		const query = { type, period, page, limit };
+
+		try {
+			const { entries, total } = await GameRoundModel.getLeaderboard(
+				this.sql,
+				query,
+			);
+			const viewer = req.user
+				? await GameRoundModel.getLeaderboardEntry(
+						this.sql,
+						req.getUserId(),
+						query,
+					)
+				: null;
+
+			res.send({
+				statusCode: StatusCode.OK,
+				message: "Leaderboard retrieved successfully",
+				payload: { type, period, entries, page, limit, total, viewer },
+			});
+		} catch (error) {
+			console.error("Error fetching leaderboard:", error);
+			res.send({
+				statusCode: StatusCode.InternalServerError,
+				message: "Failed to fetch leaderboard",
+			});
+		}
+	};
+
+	/**
+	 * Updates user's username. A new email is only requested here: it
+	 * replaces the current one once the link mailed to it is followed.
+	 * Checks for username and email uniqueness.
+	 */
+	// Update user profile (name and email)
+	updateProfile = async (req: Request, res: Response) => {
+		const { name, email } = req.body;
+		const user = req.user!;
+
+		try {
+			// Check if username is already taken by another user
+			if (name !== undefined) {
+				const [existingUser] = await UserModel.findBy(this.sql, {
+					username: name,
+				});
+
+				if (existingUser && existingUser.props.id !== user.props.id) {
+					res.send({
+						statusCode: StatusCode.BadRequest,
+						message: "Username is already taken",
+					});
+					return;
+				}
+			}
+
+			// Check if email is already taken by another user
+			if (email !== undefined) {
+				const existingUser = await UserModel.findByEmail(
+					this.sql,
+					email,
+				);
+
+				if (existingUser && existingUser.props.id !== user.props.id) {
+					res.send({
+						statusCode: StatusCode.BadRequest,
+						message: "Email is already taken",
+					});
+					return;
+				}
+			}
+
+			// Update the username, keeping the current one if none was given
+			if (name !== undefined) {
+				await user.update({ username: name });
+			}
+
+			const emailChanged =
+				email !== undefined && email !== user.props.email;
+			if (emailChanged) {
+				await this.accountEmailService.requestEmailChange(user, email);
+			}
+
+			// Update session data
+			req.session.data.userName = user.props.username;
+			req.session.data.userEmail = user.props.email;
+
+			res.send({
+				statusCode: StatusCode.OK,
+				message: emailChanged
+					? `Profile updated. Follow the link sent to ${email} to change your email`
+					: "Profile updated successfully",
+				payload: user,
+			});
+		} catch (error) {
+			console.error("Error updating profile:", error);
+			res.send({
+				statusCode: StatusCode.InternalServerError,
+				message: "Failed to update profile",
+			});
+		}
+	};
+
+	/**
+	 * Updates user's password after verifying current password.
+	 */
+	private updatePassword = async (req: Request, res: Response) => {
+		const { currentPassword, newPassword } = req.body;
+
+		try {
+			await this.authService.updatePassword(
+				req.user!,
+				currentPassword,
+				newPassword,
+			);
+			return res.send({
+				statusCode: StatusCode.OK,
+				message: "Password updated successfully",
+			});
+		} catch (err: any) {
+			return res.send({
+				statusCode: StatusCode.BadRequest,
+				message: err.message || "Password update failed",
+			});
+		}
+	};
+
+	/**
+	 * Sends the user everything kept about them as a JSON file.
+	 */
+	private exportData = async (req: Request, res: Response) => {
+		try {
+			const data = await this.accountService.exportData(req.user!);
+
+			return res.send({
+				statusCode: StatusCode.OK,
+				message: "Account data exported",
+				payload: data,
+				headers: {
+					"Content-Disposition": `attachment; filename="luckybet-export-${req.getUserId()}.json"`,
+				},
+			});
+		} catch (error: any) {
+			console.error("Error exporting account data:", error);
+			return res.send({
+				statusCode: StatusCode.InternalServerError,
+				message: "Failed to export account data",
+			});
+		}
+	};
+
+	/**
+	 * Lists the user's latest login attempts, successful or not.
+	 */
+	private getLogins = async (req: Request, res: Response) => {
+		try {
+			const logins = await this.accountService.getLogins(req.getUserId());
+
+			return res.send({
+				statusCode: StatusCode.OK,
+				message: "Login history",
+				payload: { logins },
+			});
+		} catch (error: any) {
+			console.error("Error fetching login history:", error);
+			return res.send({
+				statusCode: StatusCode.InternalServerError,
+				message: "Failed to fetch login history",
+			});
+		}
+	};
+
+	/**
+	 * Lists the sessions the user is logged in with, marking the one
+	 * the request came from.
+	 */
+	private getSessions = async (req: Request, res: Response) => {
+		try {
+			const sessions = await this.accountService.getSessions(
+				req.getUserId(),
+				req.session.id,
+			);
+
+			return res.send({
+				statusCode: StatusCode.OK,
+				message: "Active sessions",
+				payload: { sessions },
+			});
+		} catch (error: any) {
+			console.error("Error fetching sessions:", error);
+			return res.send({
+				statusCode: StatusCode.InternalServerError,
+				message: "Failed to fetch sessions",
+			});
+		}
+	};
+
+	/**
+	 * Logs one of the user's sessions out. Revoking the current session
+	 * logs the user out here too.
+	 */
+	private revokeSession = async (req: Request, res: Response) => {
+		try {
+			const session = await this.accountService.revokeSession(
+				req.getUserId(),
+				req.params.id,
+			);
+			if (session.id === req.session.id) {
+				req.session.set("user", null);
+			}
+
+			return res.send({
+				statusCode: StatusCode.OK,
+				message: "Session logged out",
+			});
+		} catch (err: any) {
+			return res.send({
+				statusCode: StatusCode.NotFound,
+				message: err.message || "Failed to log session out",
+			});
+		}
+	};
+
+	/**
+	 * Logs the user out of every session, this one included.
+	 */
+	private logoutEverywhere = async (req: Request, res: Response) => {
+		try {
+			const sessions = await this.accountService.logoutEverywhere(
+				req.getUserId(),
+			);
+			req.session.set("user", null);
+
+			return res.send({
+				statusCode: StatusCode.OK,
+				message: "Logged out everywhere",
+				payload: { sessions },
+			});
+		} catch (error: any) {
+			console.error("Error logging out everywhere:", error);
+			return res.send({
+				statusCode: StatusCode.InternalServerError,
+				message: "Failed to log out everywhere",
+			});
+		}
+	};
+
+	/**
+	 * Deletes the user's account after they re-enter their password,
+	 * and logs them out.
+	 */
+	private deleteAccount = async (req: Request, res: Response) => {
+		const user = req.user!;
+
+		try {
+			await this.accountService.deleteAccount(user, req.body.password);
+			await this.loginThrottle.reset(user.props.email);
+			req.session.set("user", null);
+
+			return res.send({
+				statusCode: StatusCode.OK,
+				message: "Account deleted",
+			});
+		} catch (err: any) {
+			return res.send({
+				statusCode: StatusCode.BadRequest,
+				message: err.message || "Failed to delete account",
+			});
+		}
+	};
+
+	/**
+	 * Verifies the user's email address with the token from the link
+	 * mailed to it.
+	 */
+	private verifyEmail = async (req: Request, res: Response) => {
+		try {
+			const user = await this.accountEmailService.verifyEmail(
+				req.body.token,
+			);
+
+			return res.send({
+				statusCode: StatusCode.OK,
+				message: "Email verified",
+				payload: {
+					email: user.props.email,
+					emailVerifiedAt: user.props.emailVerifiedAt,
+				},
+			});
+		} catch (err: any) {
+			return res.send({
+				statusCode: StatusCode.BadRequest,
+				message: err.message || "Email verification failed",
+			});
+		}
+	};
+
+	/**
+	 * Mails the logged-in user a new verification link.
+	 */
+	private resendVerification = async (req: Request, res: Response) => {
+		try {
+			await this.accountEmailService.sendVerification(req.user!);
+
+			return res.send({
+				statusCode: StatusCode.OK,
+				message: `Verification link sent to ${req.user!.props.email}`,
+			});
+		} catch (err: any) {
+			return res.send({
+				statusCode: StatusCode.BadRequest,
+				message: err.message || "Failed to send verification link",
+			});
+		}
+	};
+
+	/**
+	 * Mails a password reset link. Replies the same whether or not the
+	 * email is registered.
+	 */
+	private requestPasswordReset = async (req: Request, res: Response) => {
+		const { email } = req.body;
+
+		try {
+			await this.accountEmailService.requestPasswordReset(email);
+
+			return res.send({
+				statusCode: StatusCode.OK,
+				message: `If ${email} is registered, a password reset link is on its way`,
+			});
+		} catch (error: any) {
+			console.error("Error requesting password reset:", error);
+			return res.send({
+				statusCode: StatusCode.InternalServerError,
+				message: "Failed to send password reset link",
+			});
+		}
+	};
+
+	/**
+	 * Sets a new password with the token from a password reset link.
+	 * The user is logged out everywhere and has to log in again.
+	 */
+	private resetPassword = async (req: Request, res: Response) => {
+		const { token, password } = req.body;
+
+		try {
+			const user = await this.accountEmailService.resetPassword(
+				token,
+				password,
+			);
+			await this.loginThrottle.reset(user.props.email);
+
+			return res.send({
+				statusCode: StatusCode.OK,
+				message: "Password reset. Log in with your new password",
+			});
+		} catch (err: any) {
+			return res.send({
+				statusCode: StatusCode.BadRequest,
+				message: err.message || "Password reset failed",
+			});
+		}
+	};
+
+	/**
+	 * Changes the user's email to the address the confirmation link
+	 * was mailed to.
+	 */
+	private confirmEmailChange = async (req: Request, res: Response) => {
+		try {
+			const user = await this.accountEmailService.confirmEmailChange(
+				req.body.token,
+			);
+
+			return res.send({
+				statusCode: StatusCode.OK,
+				message: "Email changed",
+				payload: {
+					email: user.props.email,
+					emailVerifiedAt: user.props.emailVerifiedAt,
+				},
+			});
+		} catch (err: any) {
+			return res.send({
+				statusCode: StatusCode.BadRequest,
+				message: err.message || "Email change failed",
 			});
 		}
 	};
 
 	/**
-	 * Logs the user out by clearing session info.
+	 * Logs the user out by destroying their session, which also closes
+	 * the event streams opened with it.
 	 */
-	// Logout user
 	private logout = async (req: Request, res: Response) => {
 		try {
-			this.authService.logout(req.session);
+			await req.regenerateSession();
 
 			return res.send({
 				statusCode: StatusCode.OK,
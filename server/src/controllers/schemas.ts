@@ -0,0 +1,204 @@
+import { Schema } from "../router/validation";
+import {
+	GAME_TYPES,
+	LEADERBOARD_PERIODS,
+	LEADERBOARD_TYPES,
+	ROUND_RESULTS,
+} from "../models/GameRoundModel";
+import { TRANSACTION_TYPES } from "../models/TransactionModel";
+import { USER_STATUSES } from "../models/UserModel";
+import { BLACKJACK_ACTIONS } from "../Services/GameService";
+import { ROULETTE_BET_TYPES } from "../Services/Roulette";
+
+/**
+ * Request schemas for the Controller's routes, checked by the
+ * `validateBody` and `validateQuery` middleware before each handler runs.
+ */
+
+const pagination: Schema = {
+	page: { type: "number", integer: true, min: 1, default: 1 },
+	limit: { type: "number", integer: true, min: 1, max: 100, default: 20 },
+};
+
+export const registerSchema: Schema = {
+	username: { type: "string", format: "username" },
+	email: { type: "string", format: "email", maxLength: 254, lowercase: true },
+	password: { type: "string", minLength: 6, maxLength: 72, trim: false },
+};
+
+export const loginSchema: Schema = {
+	email: { type: "string", lowercase: true },
+	password: { type: "string", trim: false },
+};
+
+export const historySchema: Schema = {
+	game: { type: "string", enum: GAME_TYPES, required: false },
+	result: { type: "string", enum: ROUND_RESULTS, required: false },
+	from: { type: "date", required: false },
+	to: { type: "date", required: false },
+	...pagination,
+};
+
+export const leaderboardSchema: Schema = {
+	type: { type: "string", enum: LEADERBOARD_TYPES, default: "net" },
+	period: { type: "string", enum: LEADERBOARD_PERIODS, default: "all" },
+	...pagination,
+	limit: { type: "number", integer: true, min: 1, max: 100, default: 10 },
+};
+
+/**
+ * A bet slip: every bet on it is settled by the same spin.
+ * @example { bets: [{ type: "split", numbers: [1, 2], amount: 10 }, { type: "red", amount: 5 }] }
+ */
+export const rouletteSchema: Schema = {
+	bets: {
+		type: "array",
+		minLength: 1,
+		maxLength: 50,
+		items: {
+			type: "object",
+			schema: {
+				type: { type: "string", enum: ROULETTE_BET_TYPES },
+				numbers: {
+					type: "array",
+					maxLength: 6,
+					required: false,
+					items: { type: "number", integer: true, min: 0, max: 36 },
+				},
+				amount: { type: "money", positive: true },
+			},
+		},
+	},
+};
+
+export const blackjackSchema: Schema = {
+	action: { type: "string", enum: BLACKJACK_ACTIONS },
+	amount: { type: "money", positive: true, required: false },
+	accept: { type: "boolean", required: false },
+};
+
+export const coinFlipSchema: Schema = {
+	guess: { type: "string", enum: ["heads", "tails"], lowercase: true },
+	amount: { type: "money", positive: true },
+};
+
+export const transactionsSchema: Schema = {
+	type: { type: "string", enum: TRANSACTION_TYPES, required: false },
+	...pagination,
+};
+
+/**
+ * The new username and email. Either may be left out to keep the current one.
+ */
+export const profileSchema: Schema = {
+	name: { type: "string", format: "username", required: false },
+	email: {
+		type: "string",
+		format: "email",
+		maxLength: 254,
+		lowercase: true,
+		required: false,
+	},
+};
+
+export const passwordSchema: Schema = {
+	currentPassword: { type: "string", trim: false },
+	newPassword: { type: "string", minLength: 6, maxLength: 72, trim: false },
+};
+
+/**
+ * A token from a link mailed to the player.
+ */
+export const tokenSchema: Schema = {
+	token: { type: "string", minLength: 64, maxLength: 64 },
+};
+
+/**
+ * The password the player re-enters to delete their account.
+ */
+export const deleteAccountSchema: Schema = {
+	password: { type: "string", trim: false },
+};
+
+/**
+ * A session as listed to its user, by the start of its ID.
+ */
+export const sessionIdSchema: Schema = {
+	id: { type: "string", minLength: 8, maxLength: 8 },
+};
+
+export const resetRequestSchema: Schema = {
+	email: { type: "string", format: "email", maxLength: 254, lowercase: true },
+};
+
+export const resetPasswordSchema: Schema = {
+	...tokenSchema,
+	password: { type: "string", minLength: 6, maxLength: 72, trim: false },
+};
+
+export const messageSchema: Schema = {
+	text: { type: "string", minLength: 1, maxLength: 500 },
+};
+
+/**
+ * The `:id` of a route like `/admin/users/:id`.
+ */
+export const userIdSchema: Schema = {
+	id: { type: "number", integer: true, min: 1 },
+};
+
+export const adminUsersSchema: Schema = {
+	search: { type: "string", maxLength: 254, required: false },
+	...pagination,
+};
+
+/**
+ * A balance correction: negative amounts debit the player.
+ */
+export const adjustmentSchema: Schema = {
+	amount: { type: "money" },
+	reason: { type: "string", minLength: 3, maxLength: 200 },
+};
+
+/**
+ * @example { status: "suspended", reason: "Chargeback", until: "2025-06-01T00:00:00Z" }
+ */
+export const statusSchema: Schema = {
+	status: { type: "string", enum: USER_STATUSES },
+	reason: { type: "string", minLength: 3, maxLength: 200 },
+	until: { type: "date", required: false },
+};
+
+/**
+ * A player's own limits. Leaving a limit out removes it. Leaving the
+ * reminder out keeps it as it is, while null turns it off.
+ */
+export const limitsSchema: Schema = {
+	dailyLoss: { type: "money", positive: true, required: false },
+	weeklyLoss: { type: "money", positive: true, required: false },
+	dailyWager: { type: "money", positive: true, required: false },
+	weeklyWager: { type: "money", positive: true, required: false },
+	reminderMinutes: {
+		type: "number",
+		integer: true,
+		min: 15,
+		max: 600,
+		required: false,
+		nullable: true,
+	},
+};
+
+export const exclusionSchema: Schema = {
+	days: { type: "number", integer: true, min: 1, max: 365 },
+};
+
+export const fairRotateSchema: Schema = {
+	clientSeed: { type: "string", minLength: 1, maxLength: 64, required: false },
+};
+
+export const fairVerifySchema: Schema = {
+	game: { type: "string", enum: GAME_TYPES },
+	serverSeed: { type: "string", maxLength: 128 },
+	clientSeed: { type: "string", maxLength: 64 },
+	nonce: { type: "number", integer: true, min: 0 },
+};
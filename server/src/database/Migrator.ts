@@ -0,0 +1,193 @@
+import fs from "fs/promises";
+import path from "path";
+import postgres from "postgres";
+
+/**
+ * Migration files are named `<version>_<name>.<up|down>.sql`,
+ * e.g. `0001_create_users.up.sql`.
+ */
+const MIGRATION_FILE = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+/**
+ * A pair of SQL files that apply and revert one schema change.
+ */
+export interface Migration {
+	version: number;
+	name: string;
+	upFile: string;
+	downFile: string;
+}
+
+/**
+ * A migration along with when it was applied, or null if it is pending.
+ */
+export interface MigrationStatus {
+	version: number;
+	name: string;
+	appliedAt: Date | null;
+}
+
+/**
+ * Pairs up the up and down files in a migrations directory.
+ * Files that do not look like migrations are ignored.
+ * @returns The migrations, ordered by version.
+ * @throws If a migration is missing its up or down file, or two migrations share a version.
+ */
+export const groupMigrations = (filenames: string[]) => {
+	const migrations = new Map<number, Partial<Migration>>();
+
+	for (const filename of filenames) {
+		const match = filename.match(MIGRATION_FILE);
+		if (!match) continue;
+
+		const version = Number(match[1]);
+		const name = match[2];
+		const migration = migrations.get(version) ?? { version, name };
+
+		if (migration.name !== name) {
+			throw new Error(
+				`Migrations ${migration.name} and ${name} share version ${version}`,
+			);
+		}
+
+		if (match[3] === "up") {
+			migration.upFile = filename;
+		} else {
+			migration.downFile = filename;
+		}
+
+		migrations.set(version, migration);
+	}
+
+	return [...migrations.values()]
+		.map((migration) => {
+			if (!migration.upFile || !migration.downFile) {
+				const missing = migration.upFile ? "down" : "up";
+				throw new Error(
+					`Migration ${migration.version}_${migration.name} has no ${missing} file`,
+				);
+			}
+
+			return migration as Migration;
+		})
+		.sort((a, b) => a.version - b.version);
+};
+
+/**
+ * Applies and reverts the numbered SQL files in a migrations directory.
+ * Applied versions are recorded in the `schema_migrations` table, and
+ * every migration runs in its own transaction together with its record,
+ * so a failing migration leaves the schema as it was.
+ */
+export default class Migrator {
+	private sql: postgres.Sql;
+	private directory: string;
+
+	constructor(sql: postgres.Sql, directory: string) {
+		this.sql = sql;
+		this.directory = directory;
+	}
+
+	/**
+	 * @returns Every migration on disk and when it was applied.
+	 */
+	async status(): Promise<MigrationStatus[]> {
+		const migrations = await this.load();
+		const applied = await this.getApplied();
+
+		return migrations.map(({ version, name }) => ({
+			version,
+			name,
+			appliedAt: applied.get(version) ?? null,
+		}));
+	}
+
+	/**
+	 * Applies pending migrations, oldest first.
+	 * @param steps How many migrations to apply. Defaults to all of them.
+	 * @returns The migrations that were applied.
+	 */
+	async up(steps = Infinity) {
+		const migrations = await this.load();
+		const applied = await this.getApplied();
+		const pending = migrations
+			.filter((migration) => !applied.has(migration.version))
+			.slice(0, steps);
+
+		for (const migration of pending) {
+			const script = await this.read(migration.upFile);
+
+			await this.sql.begin(async (sql) => {
+				await sql.unsafe(script);
+				await sql`
+					INSERT INTO schema_migrations (version, name)
+					VALUES (${migration.version}, ${migration.name})
+				`;
+			});
+		}
+
+		return pending;
+	}
+
+	/**
+	 * Reverts applied migrations, newest first.
+	 * @param steps How many migrations to revert. Defaults to the latest one.
+	 * @returns The migrations that were reverted.
+	 */
+	async down(steps = 1) {
+		const migrations = await this.load();
+		const applied = await this.getApplied();
+		const versions = [...applied.keys()]
+			.sort((a, b) => b - a)
+			.slice(0, steps);
+
+		const reverted: Migration[] = [];
+
+		for (const version of versions) {
+			const migration = migrations.find((m) => m.version === version);
+			if (!migration) {
+				throw new Error(`Migration ${version} is applied but has no files`);
+			}
+
+			const script = await this.read(migration.downFile);
+
+			await this.sql.begin(async (sql) => {
+				await sql.unsafe(script);
+				await sql`DELETE FROM schema_migrations WHERE version = ${version}`;
+			});
+
+			reverted.push(migration);
+		}
+
+		return reverted;
+	}
+
+	private async load() {
+		return groupMigrations(await fs.readdir(this.directory));
+	}
+
+	private async read(filename: string) {
+		return await fs.readFile(path.join(this.directory, filename), "utf8");
+	}
+
+	/**
+	 * @returns When each applied version was applied, keyed by version.
+	 */
+	private async getApplied() {
+		await this.sql`
+			CREATE TABLE IF NOT EXISTS schema_migrations (
+				version    INTEGER   PRIMARY KEY,
+				name       TEXT      NOT NULL,
+				applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+			)
+		`;
+
+		const rows = await this.sql`
+			SELECT version, applied_at FROM schema_migrations
+		`;
+
+		return new Map<number, Date>(
+			rows.map((row) => [row.version, row.applied_at]),
+		);
+	}
+}
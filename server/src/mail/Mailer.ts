@@ -0,0 +1,19 @@
+/**
+ * A plain-text email to one recipient.
+ */
+export interface MailMessage {
+	to: string;
+	subject: string;
+	body: string;
+}
+
+/**
+ * Delivers mail to players. The Server plugs in the outbox mailer by
+ * default; a transport that really sends mail only needs `send`.
+ */
+export default interface Mailer {
+	/**
+	 * Delivers the message, or rejects if it could not be handed over.
+	 */
+	send(message: MailMessage): Promise<void>;
+}
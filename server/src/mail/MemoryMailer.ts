@@ -0,0 +1,12 @@
+import Mailer, { MailMessage } from "./Mailer";
+
+/**
+ * Keeps mail in memory, newest last. Meant for tests.
+ */
+export default class MemoryMailer implements Mailer {
+	sent: MailMessage[] = [];
+
+	async send(message: MailMessage) {
+		this.sent.push(message);
+	}
+}
@@ -0,0 +1,21 @@
+import postgres from "postgres";
+import Mailer, { MailMessage } from "./Mailer";
+
+/**
+ * Writes mail to the `mail_outbox` table instead of sending it, so
+ * developers and tests can read the links players would be sent.
+ */
+export default class OutboxMailer implements Mailer {
+	private sql: postgres.Sql;
+
+	constructor(sql: postgres.Sql) {
+		this.sql = sql;
+	}
+
+	async send({ to, subject, body }: MailMessage) {
+		await this.sql`
+			INSERT INTO mail_outbox (to_address, subject, body)
+			VALUES (${to}, ${subject}, ${body})
+		`;
+	}
+}
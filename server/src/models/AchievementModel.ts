@@ -0,0 +1,54 @@
+// File: server/models/AchievementModel.ts
+import postgres from "postgres";
+import Model, { ModelProps } from "./model";
+
+/**
+ * An achievement a user has unlocked, by the ID it has in the server code.
+ */
+export interface AchievementProps extends ModelProps {
+	userId: number;
+	achievement: string;
+	unlockedAt?: Date;
+}
+
+/**
+ * Rows are keyed by user and achievement together, so they are read and
+ * written with the queries below rather than by ID.
+ */
+export default class AchievementModel extends Model<AchievementProps> {
+	static table = "user_achievements";
+	static timestamps = false;
+
+	/**
+	 * Reads the achievements a user has unlocked, oldest first.
+	 * @param sql Connection to read with. Pass a transaction to include its uncommitted unlocks.
+	 */
+	static async findByUser(sql: postgres.ISql, userId: number) {
+		return await sql`
+			SELECT achievement, unlocked_at
+			FROM user_achievements
+			WHERE user_id = ${userId}
+			ORDER BY unlocked_at, achievement
+		`;
+	}
+
+	/**
+	 * Unlocks achievements for a user. Achievements the user already has
+	 * are left alone, so two rounds settled together cannot both unlock one.
+	 * @returns The IDs of the achievements that were newly unlocked.
+	 */
+	static async unlock(
+		sql: postgres.ISql,
+		userId: number,
+		achievements: string[],
+	): Promise<string[]> {
+		const unlocked = await sql`
+			INSERT INTO user_achievements (user_id, achievement)
+			SELECT ${userId}, achievement FROM UNNEST(${achievements}::text[]) AS achievement
+			ON CONFLICT (user_id, achievement) DO NOTHING
+			RETURNING achievement
+		`;
+
+		return unlocked.map((row) => row.achievement);
+	}
+}
@@ -0,0 +1,68 @@
+// File: server/models/BlackjackStakeModel.ts
+import postgres from "postgres";
+import Model, { ModelProps } from "./model";
+import Money from "../Money";
+
+/**
+ * The total bet on a player's Blackjack round in progress.
+ * @property instanceId The server dealing the round, see `ServerInstanceModel`.
+ */
+export interface BlackjackStakeProps extends ModelProps {
+	userId: number;
+	amount: Money;
+	instanceId?: number | null;
+}
+
+/**
+ * Stakes are keyed by player, as each player has at most one round in progress.
+ */
+export default class BlackjackStakeModel extends Model<BlackjackStakeProps> {
+	static table = "blackjack_stakes";
+	static timestamps = false;
+	static money = ["amount"];
+
+	/**
+	 * Adds a bet to the player's round in progress.
+	 * @param sql The transaction the bet is taken in.
+	 * @param instanceId The server dealing the round.
+	 */
+	static async add(
+		sql: postgres.ISql,
+		userId: number,
+		amount: Money,
+		instanceId?: number,
+	) {
+		await sql`
+			INSERT INTO blackjack_stakes (user_id, amount, instance_id)
+			VALUES (${userId}, ${amount.toString()}, ${instanceId ?? null})
+			ON CONFLICT (user_id) DO UPDATE
+			SET amount = blackjack_stakes.amount + EXCLUDED.amount,
+				instance_id = EXCLUDED.instance_id
+		`;
+	}
+
+	/**
+	 * Forgets the player's bets once their round has settled.
+	 * @param sql The transaction the round is settled in.
+	 */
+	static async remove(sql: postgres.ISql, userId: number) {
+		await sql`DELETE FROM blackjack_stakes WHERE user_id = ${userId}`;
+	}
+
+	/**
+	 * Forgets the bets of the rounds no running server is dealing.
+	 * @returns The player and total bet of each of those rounds.
+	 */
+	static async removeAbandoned(sql: postgres.ISql) {
+		const stakes = await sql`
+			DELETE FROM blackjack_stakes
+			WHERE instance_id IS NULL
+			RETURNING user_id, amount
+		`;
+
+		return stakes.map((stake) => ({
+			userId: stake.user_id as number,
+			amount: Money.parse(stake.amount),
+		}));
+	}
+}
@@ -0,0 +1,35 @@
+// File: server/models/DailyBonusModel.ts
+import postgres from "postgres";
+import Model, { ModelProps } from "./model";
+import Money from "../Money";
+
+/**
+ * A claimed daily bonus.
+ * @property streak How many consecutive days the user had claimed, including this claim.
+ */
+export interface DailyBonusProps extends ModelProps {
+	userId: number;
+	amount: Money;
+	streak: number;
+	claimedAt?: Date;
+}
+
+export default class DailyBonusModel extends Model<DailyBonusProps> {
+	static table = "daily_bonuses";
+	static timestamps = false;
+	static money = ["amount"];
+
+	/**
+	 * @returns The user's most recent claim, or null if they never claimed.
+	 */
+	static async findLatest(sql: postgres.ISql, userId: number) {
+		const bonuses = await sql`
+			SELECT amount, streak, claimed_at
+			FROM daily_bonuses
+			WHERE user_id = ${userId}
+			ORDER BY claimed_at DESC
+			LIMIT 1
+		`;
+		return bonuses[0] || null;
+	}
+}
@@ -0,0 +1,104 @@
+// File: server/models/FairSeedModel.ts
+import postgres from "postgres";
+import Model, { ModelProps } from "./model";
+
+/**
+ * A server seed and client seed pair. The server seed stays secret
+ * until the pair is revealed, after which it is never used again.
+ * Each pair also counts the outcomes drawn from it in its `nonce` column.
+ * @property nextServerSeed The server seed of the pair that replaces this one. Only its hash is shown.
+ */
+export interface FairSeedProps extends ModelProps {
+	userId: number;
+	serverSeed: string;
+	serverSeedHash: string;
+	clientSeed: string;
+	nextServerSeed: string;
+	nextServerSeedHash: string;
+}
+
+export default class FairSeedModel extends Model<FairSeedProps> {
+	static table = "fair_seeds";
+	static timestamps = false;
+
+	/**
+	 * Adds a seed pair for the user, unless they already have one in play.
+	 * @returns The new pair, or undefined if the user already had one.
+	 */
+	static async add(sql: postgres.ISql, props: FairSeedProps) {
+		const {
+			userId,
+			serverSeed,
+			serverSeedHash,
+			clientSeed,
+			nextServerSeed,
+			nextServerSeedHash,
+		} = props;
+		const seeds = await sql`
+			INSERT INTO fair_seeds (user_id, server_seed, server_seed_hash, client_seed, next_server_seed, next_server_seed_hash)
+			VALUES (${userId}, ${serverSeed}, ${serverSeedHash}, ${clientSeed}, ${nextServerSeed}, ${nextServerSeedHash})
+			ON CONFLICT (user_id) WHERE revealed_at IS NULL DO NOTHING
+			RETURNING *
+		`;
+		return seeds[0];
+	}
+
+	/**
+	 * @returns The user's seed pair in play, or undefined if they have none.
+	 */
+	static async findActive(sql: postgres.ISql, userId: number) {
+		const seeds = await sql`
+			SELECT * FROM fair_seeds
+			WHERE user_id = ${userId} AND revealed_at IS NULL
+		`;
+		return seeds[0];
+	}
+
+	/**
+	 * Chooses the next server seed of the user's pair in play, if it has
+	 * none yet.
+	 * @returns The pair, or undefined if the user has no pair in play or its next server seed was already chosen.
+	 */
+	static async commitNext(
+		sql: postgres.ISql,
+		userId: number,
+		nextServerSeed: string,
+		nextServerSeedHash: string,
+	) {
+		const seeds = await sql`
+			UPDATE fair_seeds
+			SET next_server_seed = ${nextServerSeed},
+				next_server_seed_hash = ${nextServerSeedHash}
+			WHERE user_id = ${userId} AND revealed_at IS NULL
+				AND next_server_seed IS NULL
+			RETURNING *
+		`;
+		return seeds[0];
+	}
+
+	/**
+	 * Takes the next nonce of the user's seed pair in play.
+	 * @returns The pair with the nonce to use, or undefined if the user has no pair in play.
+	 */
+	static async useNonce(sql: postgres.ISql, userId: number) {
+		const seeds = await sql`
+			UPDATE fair_seeds SET nonce = nonce + 1
+			WHERE user_id = ${userId} AND revealed_at IS NULL
+			RETURNING server_seed, server_seed_hash, client_seed, nonce - 1 AS nonce
+		`;
+		return seeds[0];
+	}
+
+	/**
+	 * Takes the user's seed pair out of play so its server seed can be shown.
+	 * @returns The revealed pair, or undefined if the user had no pair in play.
+	 */
+	static async reveal(sql: postgres.ISql, userId: number) {
+		const seeds = await sql`
+			UPDATE fair_seeds SET revealed_at = NOW()
+			WHERE user_id = ${userId} AND revealed_at IS NULL
+			RETURNING *
+		`;
+		return seeds[0];
+	}
+}
@@ -0,0 +1,306 @@
+// File: server/models/GameRoundModel.ts
+import postgres from "postgres";
+import Model, { ModelProps } from "./model";
+import Money from "../Money";
+import { ROUNDS_CHANNEL } from "../Services/PushService";
+
+/**
+ * Games that record their rounds in the history.
+ */
+export type GameType = "coinflip" | "roulette" | "blackjack";
+
+export const GAME_TYPES: GameType[] = ["coinflip", "roulette", "blackjack"];
+
+/**
+ * How a round ended from the player's point of view.
+ */
+export type RoundResult = "win" | "loss" | "push";
+
+export const ROUND_RESULTS: RoundResult[] = ["win", "loss", "push"];
+
+/**
+ * A settled game round as it is written to the history.
+ * @property bet Total amount wagered in the round.
+ * @property payout Total amount returned to the player, stake included.
+ * @property outcome Game-specific details, e.g. the roulette number or the cards dealt.
+ */
+export interface GameRoundProps extends ModelProps {
+	userId: number;
+	game: GameType;
+	bet: Money;
+	payout: Money;
+	result: RoundResult;
+	outcome: Record<string, any>;
+}
+
+/**
+ * Filters and pagination for reading a user's history.
+ */
+export interface GameHistoryQuery {
+	game?: GameType;
+	result?: RoundResult;
+	from?: Date;
+	to?: Date;
+	page: number;
+	limit: number;
+}
+
+/**
+ * What a leaderboard ranks players by.
+ * - `net`: payouts minus bets
+ * - `biggest-win`: the largest profit on a single round
+ * - `win-rate`: share of rounds won, once a player has played enough of them
+ * - `wagered`: total amount bet
+ */
+export type LeaderboardType = "net" | "biggest-win" | "win-rate" | "wagered";
+
+export const LEADERBOARD_TYPES: LeaderboardType[] = [
+	"net",
+	"biggest-win",
+	"win-rate",
+	"wagered",
+];
+
+/**
+ * How far back a leaderboard looks: the last 24 hours, the last 7 days or forever.
+ */
+export type LeaderboardPeriod = "day" | "week" | "all";
+
+export const LEADERBOARD_PERIODS: LeaderboardPeriod[] = ["day", "week", "all"];
+
+/**
+ * Rounds a player needs in the period to appear on the win rate board,
+ * so that a single lucky round does not top it.
+ */
+export const WIN_RATE_MIN_ROUNDS = 10;
+
+export interface LeaderboardQuery {
+	type: LeaderboardType;
+	period: LeaderboardPeriod;
+	page: number;
+	limit: number;
+}
+
+/**
+ * A player's position and statistics on a leaderboard.
+ * Players with equal values share a rank.
+ */
+export interface LeaderboardEntry {
+	rank: number;
+	userId: number;
+	username: string;
+	rounds: number;
+	wins: number;
+	winRate: number;
+	netWinnings: Money;
+	biggestWin: Money;
+	wagered: Money;
+}
+
+/**
+ * Works out the result of a round from what was wagered and what was returned.
+ */
+export const getRoundResult = (bet: Money, payout: Money): RoundResult => {
+	if (payout.greaterThan(bet)) return "win";
+	if (payout.equals(bet)) return "push";
+	return "loss";
+};
+
+export default class GameRoundModel extends Model<GameRoundProps> {
+	static table = "game_rounds";
+	static timestamps = false;
+	static money = ["bet", "payout"];
+
+	/**
+	 * Writes a settled round to the history.
+	 * @param sql Connection to write with. Pass a transaction to write atomically with other statements.
+	 */
+	static async record(sql: postgres.ISql, props: GameRoundProps) {
+		const round = await GameRoundModel.create(sql, props);
+		// Lets open leaderboards refresh once the round's transaction commits.
+		await sql`SELECT pg_notify(${ROUNDS_CHANNEL}, ${props.userId.toString()})`;
+		return round;
+	}
+
+	/**
+	 * Reads one page of a user's rounds, newest first.
+	 * @returns The rounds on the page and the number of rounds matching the filters.
+	 */
+	static async findByUser(
+		sql: postgres.ISql,
+		userId: number,
+		query: GameHistoryQuery,
+	) {
+		const { game, result, from, to, page, limit } = query;
+		const filters = sql`
+			WHERE user_id = ${userId}
+			${game ? sql`AND game = ${game}` : sql``}
+			${result ? sql`AND result = ${result}` : sql``}
+			${from ? sql`AND created_at >= ${from}` : sql``}
+			${to ? sql`AND created_at <= ${to}` : sql``}
+		`;
+
+		const rounds = await sql`
+			SELECT id, game, bet, payout, result, outcome, created_at
+			FROM game_rounds
+			${filters}
+			ORDER BY created_at DESC, id DESC
+			LIMIT ${limit} OFFSET ${(page - 1) * limit}
+		`;
+		const [{ count }] = await sql`
+			SELECT COUNT(*)::int AS count FROM game_rounds ${filters}
+		`;
+
+		return {
+			rounds: rounds.map((round) => ({
+				...round,
+				bet: Money.parse(round.bet),
+				payout: Money.parse(round.payout),
+			})),
+			total: count as number,
+		};
+	}
+
+	/**
+	 * Reads every round of a user, oldest first, for their data export.
+	 */
+	static async findAllByUser(sql: postgres.ISql, userId: number) {
+		const rounds = await sql`
+			SELECT id, game, bet, payout, result, outcome, created_at
+			FROM game_rounds
+			WHERE user_id = ${userId}
+			ORDER BY created_at, id
+		`;
+
+		return rounds.map((round) => ({
+			...round,
+			bet: Money.parse(round.bet),
+			payout: Money.parse(round.payout),
+		}));
+	}
+
+	/**
+	 * Reads the results of a user's latest rounds of one game, newest first.
+	 * @param sql Connection to read with. Pass a transaction to include its uncommitted rounds.
+	 */
+	static async findRecentResults(
+		sql: postgres.ISql,
+		userId: number,
+		game: GameType,
+		limit: number,
+	): Promise<RoundResult[]> {
+		const rounds = await sql`
+			SELECT result FROM game_rounds
+			WHERE user_id = ${userId} AND game = ${game}
+			ORDER BY created_at DESC, id DESC
+			LIMIT ${limit}
+		`;
+
+		return rounds.map((round) => round.result);
+	}
+
+	/**
+	 * Counts the rounds a user has played of any game.
+	 * @param sql Connection to read with. Pass a transaction to include its uncommitted rounds.
+	 */
+	static async countByUser(sql: postgres.ISql, userId: number) {
+		const [{ count }] = await sql`
+			SELECT COUNT(*)::int AS count FROM game_rounds WHERE user_id = ${userId}
+		`;
+
+		return count as number;
+	}
+
+	/**
+	 * Reads one page of a leaderboard, best first.
+	 * @returns The entries on the page and the number of ranked players.
+	 */
+	static async getLeaderboard(sql: postgres.ISql, query: LeaderboardQuery) {
+		const { page, limit } = query;
+		const ranked = GameRoundModel.rankPlayers(sql, query);
+
+		const entries = await sql`
+			WITH ranked AS (${ranked})
+			SELECT * FROM ranked
+			ORDER BY rank, user_id
+			LIMIT ${limit} OFFSET ${(page - 1) * limit}
+		`;
+		const [{ count }] = await sql`
+			WITH ranked AS (${ranked})
+			SELECT COUNT(*)::int AS count FROM ranked
+		`;
+
+		return {
+			entries: entries.map(toLeaderboardEntry),
+			total: count as number,
+		};
+	}
+
+	/**
+	 * Finds a player's own position on a leaderboard.
+	 * @returns The player's entry, or null if they are not ranked in the period.
+	 */
+	static async getLeaderboardEntry(
+		sql: postgres.ISql,
+		userId: number,
+		query: LeaderboardQuery,
+	) {
+		const [entry] = await sql`
+			WITH ranked AS (${GameRoundModel.rankPlayers(sql, query)})
+			SELECT * FROM ranked WHERE user_id = ${userId}
+		`;
+
+		return entry ? toLeaderboardEntry(entry) : null;
+	}
+
+	/**
+	 * Builds the query ranking every eligible player in the period.
+	 */
+	private static rankPlayers(
+		sql: postgres.ISql,
+		{ type, period }: LeaderboardQuery,
+	) {
+		const since = {
+			day: sql`WHERE created_at >= NOW() - INTERVAL '1 day'`,
+			week: sql`WHERE created_at >= NOW() - INTERVAL '7 days'`,
+			all: sql``,
+		}[period];
+		const [value, eligible] = {
+			net: [sql`net_winnings`, sql`TRUE`],
+			"biggest-win": [sql`biggest_win`, sql`biggest_win > 0`],
+			"win-rate": [sql`win_rate`, sql`rounds >= ${WIN_RATE_MIN_ROUNDS}`],
+			wagered: [sql`wagered`, sql`TRUE`],
+		}[type];
+
+		return sql`
+			SELECT stats.*, users.username, RANK() OVER (ORDER BY ${value} DESC)::int AS rank
+			FROM (
+				SELECT
+					user_id,
+					COUNT(*)::int AS rounds,
+					COUNT(*) FILTER (WHERE result = 'win')::int AS wins,
+					ROUND(COUNT(*) FILTER (WHERE result = 'win')::decimal / COUNT(*), 4) AS win_rate,
+					SUM(payout - bet) AS net_winnings,
+					GREATEST(MAX(payout - bet), 0) AS biggest_win,
+					SUM(bet) AS wagered
+				FROM game_rounds
+				${since}
+				GROUP BY user_id
+			) stats
+			JOIN users ON users.id = stats.user_id
+			WHERE ${eligible}
+		`;
+	}
+}
+
+const toLeaderboardEntry = (row: postgres.Row): LeaderboardEntry => ({
+	rank: row.rank,
+	userId: row.user_id,
+	username: row.username,
+	rounds: row.rounds,
+	wins: row.wins,
+	winRate: Number(row.win_rate),
+	netWinnings: Money.parse(row.net_winnings),
+	biggestWin: Money.parse(row.biggest_win),
+	wagered: Money.parse(row.wagered),
+});
@@ -0,0 +1,43 @@
+// File: server/models/LoginAttemptModel.ts
+import postgres from "postgres";
+import Model, { ModelProps } from "./model";
+
+/**
+ * Where a request came from, as far as the server can tell.
+ */
+export interface LoginClient {
+	ip: string;
+	userAgent: string;
+}
+
+export interface LoginAttemptProps extends ModelProps, LoginClient {
+	userId: number;
+	success: boolean;
+}
+
+/**
+ * How many of a user's latest login attempts are shown to them.
+ */
+export const LOGIN_HISTORY_LIMIT = 50;
+
+export default class LoginAttemptModel extends Model<LoginAttemptProps> {
+	static table = "login_attempts";
+	static timestamps = false;
+
+	/**
+	 * Reads a user's latest login attempts, newest first.
+	 */
+	static async findByUser(
+		sql: postgres.ISql,
+		userId: number,
+		limit = LOGIN_HISTORY_LIMIT,
+	) {
+		return await sql`
+			SELECT id, ip, user_agent, success, created_at
+			FROM login_attempts
+			WHERE user_id = ${userId}
+			ORDER BY created_at DESC, id DESC
+			LIMIT ${limit}
+		`;
+	}
+}
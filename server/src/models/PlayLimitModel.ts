@@ -0,0 +1,149 @@
+// File: server/models/PlayLimitModel.ts
+import postgres from "postgres";
+import Model, { ModelProps } from "./model";
+import Money from "../Money";
+
+/**
+ * A player's own limits. Null means no limit.
+ * @property dailyLoss Most the player may lose over the last 24 hours.
+ * @property weeklyLoss Most the player may lose over the last 7 days.
+ * @property dailyWager Most the player may bet over the last 24 hours.
+ * @property weeklyWager Most the player may bet over the last 7 days.
+ * @property reminderMinutes How often the game pages remind the player how long they have played.
+ */
+export interface PlayLimits {
+	dailyLoss: Money | null;
+	weeklyLoss: Money | null;
+	dailyWager: Money | null;
+	weeklyWager: Money | null;
+	reminderMinutes: number | null;
+}
+
+/**
+ * New limits for a player. Leaving the reminder undefined keeps the
+ * current one.
+ */
+export interface PlayLimitUpdate extends Omit<PlayLimits, "reminderMinutes"> {
+	reminderMinutes?: number | null;
+}
+
+/**
+ * Limits of players who never set any.
+ */
+export const DEFAULT_LIMITS: PlayLimits = {
+	dailyLoss: null,
+	weeklyLoss: null,
+	dailyWager: null,
+	weeklyWager: null,
+	reminderMinutes: 60,
+};
+
+/**
+ * A player's limits and self-exclusion.
+ * @property excludedUntil Play is blocked until then, or null if the player is not excluded.
+ */
+export interface PlayLimitProps extends ModelProps, PlayLimits {
+	excludedUntil: Date | null;
+}
+
+const toMoney = (value: string | null) => (value ? Money.parse(value) : null);
+
+/**
+ * Limits are keyed by player: each player has at most one row, written
+ * the first time they change a setting.
+ */
+export default class PlayLimitModel extends Model<PlayLimitProps> {
+	static table = "play_limits";
+	static timestamps = false;
+	static money = ["dailyLoss", "weeklyLoss", "dailyWager", "weeklyWager"];
+
+	/**
+	 * @param sql Connection to read with. Pass a transaction to read within it.
+	 * @returns The player's limits, or the defaults if they never set any.
+	 */
+	static async find(
+		sql: postgres.ISql,
+		userId: number,
+	): Promise<PlayLimitProps> {
+		const [row] = await sql`
+			SELECT * FROM play_limits WHERE user_id = ${userId}
+		`;
+
+		if (!row) return { ...DEFAULT_LIMITS, excludedUntil: null };
+
+		return {
+			dailyLoss: toMoney(row.daily_loss),
+			weeklyLoss: toMoney(row.weekly_loss),
+			dailyWager: toMoney(row.daily_wager),
+			weeklyWager: toMoney(row.weekly_wager),
+			reminderMinutes: row.reminder_minutes,
+			excludedUntil: row.excluded_until,
+		};
+	}
+
+	/**
+	 * Replaces the player's limits, keeping any self-exclusion.
+	 */
+	static async saveLimits(
+		sql: postgres.ISql,
+		userId: number,
+		limits: PlayLimitUpdate,
+	) {
+		const amount = (money: Money | null) => money?.toString() ?? null;
+		// Without a new reminder, a new row starts with the default one
+		// and an existing row keeps its own.
+		const keepReminder = limits.reminderMinutes === undefined;
+		const reminderMinutes =
+			limits.reminderMinutes === undefined
+				? DEFAULT_LIMITS.reminderMinutes
+				: limits.reminderMinutes;
+
+		await sql`
+			INSERT INTO play_limits (
+				user_id, daily_loss, weekly_loss, daily_wager, weekly_wager, reminder_minutes
+			)
+			VALUES (
+				${userId},
+				${amount(limits.dailyLoss)},
+				${amount(limits.weeklyLoss)},
+				${amount(limits.dailyWager)},
+				${amount(limits.weeklyWager)},
+				${reminderMinutes}
+			)
+			ON CONFLICT (user_id) DO UPDATE SET
+				daily_loss = EXCLUDED.daily_loss,
+				weekly_loss = EXCLUDED.weekly_loss,
+				daily_wager = EXCLUDED.daily_wager,
+				weekly_wager = EXCLUDED.weekly_wager,
+				reminder_minutes = ${
+					keepReminder
+						? sql`play_limits.reminder_minutes`
+						: sql`EXCLUDED.reminder_minutes`
+				},
+				updated_at = NOW()
+		`;
+	}
+
+	/**
+	 * Excludes the player from play for a number of days from now. An
+	 * exclusion that already runs longer is kept as it is.
+	 * @returns The end of the exclusion, and whether it was extended.
+	 */
+	static async exclude(sql: postgres.ISql, userId: number, days: number) {
+		const until = sql`NOW() + ${days}::int * INTERVAL '1 day'`;
+
+		const [row] = await sql`
+			INSERT INTO play_limits (user_id, excluded_until)
+			VALUES (${userId}, ${until})
+			ON CONFLICT (user_id) DO UPDATE SET
+				excluded_until = GREATEST(play_limits.excluded_until, EXCLUDED.excluded_until),
+				updated_at = NOW()
+			RETURNING excluded_until, excluded_until = ${until} AS extended
+		`;
+
+		return {
+			excludedUntil: row.excluded_until as Date,
+			extended: row.extended as boolean,
+		};
+	}
+}
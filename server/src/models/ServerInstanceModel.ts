@@ -0,0 +1,60 @@
+// File: server/models/ServerInstanceModel.ts
+import postgres from "postgres";
+import Model, { ModelProps } from "./model";
+
+/**
+ * A running server.
+ * @property lastSeenAt When the server last marked itself as alive.
+ */
+export interface ServerInstanceProps extends ModelProps {
+	startedAt?: Date;
+	lastSeenAt?: Date;
+}
+
+/**
+ * Times are taken from the database clock, so servers whose own clocks
+ * disagree still agree on which of them have stopped.
+ */
+export default class ServerInstanceModel extends Model<ServerInstanceProps> {
+	static table = "server_instances";
+	static timestamps = false;
+
+	/**
+	 * Adds a server that has just started.
+	 * @returns The server's ID.
+	 */
+	static async register(sql: postgres.ISql) {
+		const [instance] = await sql`
+			INSERT INTO server_instances DEFAULT VALUES RETURNING id
+		`;
+		return instance.id as number;
+	}
+
+	/**
+	 * Marks a server as alive.
+	 */
+	static async touch(sql: postgres.ISql, id: number) {
+		await sql`
+			UPDATE server_instances SET last_seen_at = NOW() WHERE id = ${id}
+		`;
+	}
+
+	/**
+	 * Removes a server that is shutting down.
+	 */
+	static async remove(sql: postgres.ISql, id: number) {
+		await sql`DELETE FROM server_instances WHERE id = ${id}`;
+	}
+
+	/**
+	 * Removes the servers that have not marked themselves as alive lately,
+	 * as they have stopped without shutting down.
+	 * @param timeoutMs How long a server may go unseen before it counts as stopped.
+	 */
+	static async removeStopped(sql: postgres.ISql, timeoutMs: number) {
+		await sql`
+			DELETE FROM server_instances
+			WHERE last_seen_at < NOW() - ${timeoutMs} * INTERVAL '1 millisecond'
+		`;
+	}
+}
@@ -0,0 +1,158 @@
+// File: server/models/TransactionModel.ts
+import postgres from "postgres";
+import Model, { ModelProps } from "./model";
+import Money from "../Money";
+
+/**
+ * Why a user's balance changed:
+ * - bet: coins taken when a bet is placed (negative amount).
+ * - win: coins returned when a bet pays out (positive amount).
+ * - bonus: free coins, e.g. the welcome or daily bonus.
+ * - refund: a bet returned without being played.
+ * - adjustment: a manual correction.
+ */
+export type TransactionType = "bet" | "win" | "bonus" | "refund" | "adjustment";
+
+export const TRANSACTION_TYPES: TransactionType[] = [
+	"bet",
+	"win",
+	"bonus",
+	"refund",
+	"adjustment",
+];
+
+/**
+ * A ledger entry as it is written to the database.
+ * @property amount Signed change to the balance: negative for debits, positive for credits.
+ * @property balanceAfter The user's balance once this entry was applied.
+ * @property game The game the entry belongs to, if any.
+ */
+export interface TransactionProps extends ModelProps {
+	userId: number;
+	type: TransactionType;
+	amount: Money;
+	balanceAfter: Money;
+	game?: string;
+	description?: string;
+}
+
+/**
+ * Filters and pagination for reading a user's transactions.
+ */
+export interface TransactionQuery {
+	type?: TransactionType;
+	page: number;
+	limit: number;
+}
+
+/**
+ * The transactions table is append-only: entries are never updated or
+ * deleted, except along with the account they belong to.
+ */
+export default class TransactionModel extends Model<TransactionProps> {
+	static table = "transactions";
+	static timestamps = false;
+	static money = ["amount", "balanceAfter"];
+
+	/**
+	 * Reads one page of a user's transactions, newest first.
+	 * @returns The transactions on the page and the number of transactions matching the filters.
+	 */
+	static async findByUser(
+		sql: postgres.ISql,
+		userId: number,
+		query: TransactionQuery,
+	) {
+		const { type, page, limit } = query;
+		const filters = sql`
+			WHERE user_id = ${userId}
+			${type ? sql`AND type = ${type}` : sql``}
+		`;
+
+		const transactions = await sql`
+			SELECT id, type, amount, balance_after, game, description, created_at
+			FROM transactions
+			${filters}
+			ORDER BY created_at DESC, id DESC
+			LIMIT ${limit} OFFSET ${(page - 1) * limit}
+		`;
+		const [{ count }] = await sql`
+			SELECT COUNT(*)::int AS count FROM transactions ${filters}
+		`;
+
+		return {
+			transactions: transactions.map((transaction) => ({
+				...transaction,
+				amount: Money.parse(transaction.amount),
+				balance_after: Money.parse(transaction.balance_after),
+			})),
+			total: count as number,
+		};
+	}
+
+	/**
+	 * Reads every transaction of a user, oldest first, for their data export.
+	 */
+	static async findAllByUser(sql: postgres.ISql, userId: number) {
+		const transactions = await sql`
+			SELECT id, type, amount, balance_after, game, description, created_at
+			FROM transactions
+			WHERE user_id = ${userId}
+			ORDER BY created_at, id
+		`;
+
+		return transactions.map((transaction) => ({
+			...transaction,
+			amount: Money.parse(transaction.amount),
+			balance_after: Money.parse(transaction.balance_after),
+		}));
+	}
+
+	/**
+	 * Adds up a user's play over the last day and the last week. Losses
+	 * are bets minus winnings and refunds, so a bet that has not paid out
+	 * yet counts as lost, but one that was refunded does not. Refunded
+	 * bets are not counted as wagered either.
+	 * @param sql Connection to read with. Pass a transaction to include its uncommitted entries.
+	 */
+	static async sumPlay(sql: postgres.ISql, userId: number) {
+		const [totals] = await sql`
+			SELECT
+				COALESCE(-SUM(amount) FILTER (WHERE created_at >= NOW() - INTERVAL '1 day'), 0) AS daily_loss,
+				COALESCE(-SUM(amount), 0) AS weekly_loss,
+				COALESCE(-SUM(amount) FILTER (WHERE type IN ('bet', 'refund') AND created_at >= NOW() - INTERVAL '1 day'), 0) AS daily_wager,
+				COALESCE(-SUM(amount) FILTER (WHERE type IN ('bet', 'refund')), 0) AS weekly_wager
+			FROM transactions
+			WHERE user_id = ${userId}
+				AND type IN ('bet', 'win', 'refund')
+				AND created_at >= NOW() - INTERVAL '7 days'
+		`;
+
+		return {
+			dailyLoss: Money.parse(totals.daily_loss),
+			weeklyLoss: Money.parse(totals.weekly_loss),
+			dailyWager: Money.parse(totals.daily_wager),
+			weeklyWager: Money.parse(totals.weekly_wager),
+		};
+	}
+
+	/**
+	 * Compares every user's stored balance with the sum of their ledger entries.
+	 * @param userId Only check this user, if given.
+	 * @returns Users whose stored balance does not match their ledger.
+	 */
+	static async findDrift(sql: postgres.ISql, userId?: number) {
+		return await sql`
+			SELECT u.id AS user_id,
+				u.balance,
+				COALESCE(SUM(t.amount), 0) AS ledger_balance,
+				u.balance - COALESCE(SUM(t.amount), 0) AS drift
+			FROM users u
+			LEFT JOIN transactions t ON t.user_id = u.id
+			${userId ? sql`WHERE u.id = ${userId}` : sql``}
+			GROUP BY u.id, u.balance
+			HAVING u.balance <> COALESCE(SUM(t.amount), 0)
+			ORDER BY u.id
+		`;
+	}
+}
@@ -1,49 +1,125 @@
 // File: server/models/UserModel.ts
 import postgres from "postgres";
+import Model, { ModelProps } from "./model";
+import Money from "../Money";
+import { convertToCase, snakeToCamel } from "../utils";
 
-export default class UserModel {
-	private sql: postgres.Sql;
+export type UserRole = "player" | "admin";
 
-	constructor(sql: postgres.Sql) {
-		this.sql = sql;
+export const USER_ROLES: UserRole[] = ["player", "admin"];
+
+/**
+ * Whether an account may be used. Suspended accounts may log in again
+ * once `suspendedUntil` has passed; banned ones never.
+ */
+export type UserStatus = "active" | "suspended" | "banned";
+
+export const USER_STATUSES: UserStatus[] = ["active", "suspended", "banned"];
+
+/**
+ * Filters and pagination for the admin user search.
+ * @property search Matched against usernames and emails, case-insensitively.
+ */
+export interface UserSearchQuery {
+	search?: string;
+	page: number;
+	limit: number;
+}
+
+export interface UserProps extends ModelProps {
+	username: string;
+	email: string;
+	password: string;
+	/**
+	 * DECIMAL columns come back from postgres as strings.
+	 */
+	balance?: string;
+	role?: UserRole;
+	status?: UserStatus;
+	/**
+	 * Why the account was suspended or banned, shown to the operators.
+	 */
+	statusReason?: string | null;
+	suspendedUntil?: Date | null;
+	/**
+	 * When the player followed the verification link mailed to their
+	 * current address, or null if they have not.
+	 */
+	emailVerifiedAt?: Date | null;
+}
+
+export default class UserModel extends Model<UserProps> {
+	static table = "users";
+
+	static async findByEmail(
+		sql: postgres.Sql<any>,
+		email: string,
+	): Promise<UserModel | null> {
+		const [user] = await UserModel.findBy(sql, { email });
+		return user ?? null;
 	}
 
-	async findByEmail(email: string) {
-		const users = await this.sql`
-			SELECT * FROM users WHERE email = ${email}
+	/**
+	 * Reads one page of users whose username or email contains the
+	 * search text, in sign-up order.
+	 * @returns The users on the page and the number of users matching.
+	 */
+	static async search(sql: postgres.Sql<any>, query: UserSearchQuery) {
+		const { search, page, limit } = query;
+		const pattern = `%${(search ?? "").replace(/[\\%_]/g, "\\$&")}%`;
+		const filter = sql`
+			WHERE username ILIKE ${pattern} OR email ILIKE ${pattern}
 		`;
-		return users[0] || null;
-	}
 
-	async createUser(username: string, email: string, password: string) {
-		const result = await this.sql`
-			INSERT INTO users (username, email, password, balance)
-			VALUES (${username}, ${email}, ${password}, DEFAULT)
-			RETURNING id, username, email, balance
+		const rows = await sql`
+			SELECT * FROM users ${filter}
+			ORDER BY id
+			LIMIT ${limit} OFFSET ${(page - 1) * limit}
+		`;
+		const [{ count }] = await sql`
+			SELECT COUNT(*)::int AS count FROM users ${filter}
 		`;
-		return result[0];
+
+		return {
+			users: rows.map(
+				(row) =>
+					new UserModel(sql, convertToCase(snakeToCamel, row) as UserProps),
+			),
+			total: count as number,
+		};
+	}
+
+	/**
+	 * @returns Why the user may not use their account right now, or null if they may.
+	 */
+	getAccessError() {
+		const { status, suspendedUntil } = this.props;
+
+		if (status === "banned") return "Account banned";
+		if (status === "suspended") {
+			if (!suspendedUntil) return "Account suspended";
+			if (suspendedUntil > new Date()) {
+				return `Account suspended until ${suspendedUntil.toISOString()}`;
+			}
+		}
+
+		return null;
 	}
 
-	async getById(id: number) {
-		const users = await this.sql`
-		SELECT id, username, email, balance, password
-		FROM users
-		WHERE id = ${id}
-	`;
-		return users[0] || null;
+	getBalance() {
+		return Money.parse(this.props.balance ?? "0");
 	}
 
-	async updateBalance(id: number, newBalance: number) {
-		await this.sql`
-		UPDATE users SET balance = ${newBalance}
-		WHERE id = ${id}
-	`;
+	async updatePassword(password: string) {
+		await this.update({ password });
 	}
 
-	async updatePassword(id: number, newPassword: string) {
-		await this.sql`
-		UPDATE users SET password = ${newPassword}
-		WHERE id = ${id}
-	`;
+	/**
+	 * The password hash is never sent to the client, and the
+	 * balance is sent as a number like every other amount.
+	 */
+	toJSON() {
+		const { password, ...profile } = this.props;
+		return { ...profile, balance: this.getBalance() };
 	}
 }
@@ -0,0 +1,66 @@
+// File: server/models/UserTokenModel.ts
+import postgres from "postgres";
+import Model, { ModelProps } from "./model";
+
+/**
+ * What a mailed token lets its holder do.
+ */
+export type TokenPurpose = "verify_email" | "reset_password" | "change_email";
+
+/**
+ * A token to store. Only the hash of the token is kept.
+ * @property email The address the token was mailed to. For an email change, the new address.
+ */
+export interface UserTokenProps extends ModelProps {
+	userId: number;
+	purpose: TokenPurpose;
+	tokenHash: string;
+	email: string;
+	expiresAt: Date;
+}
+
+export default class UserTokenModel extends Model<UserTokenProps> {
+	static table = "user_tokens";
+	static timestamps = false;
+
+	/**
+	 * Stores a token, revoking the user's unused tokens for the same
+	 * purpose so only the latest link works.
+	 */
+	static async issue(sql: postgres.ISql, props: UserTokenProps) {
+		const { userId, purpose, tokenHash, email, expiresAt } = props;
+
+		await sql`
+			WITH revoked AS (
+				UPDATE user_tokens SET used_at = NOW()
+				WHERE user_id = ${userId} AND purpose = ${purpose} AND used_at IS NULL
+			)
+			INSERT INTO user_tokens (user_id, purpose, token_hash, email, expires_at)
+			VALUES (${userId}, ${purpose}, ${tokenHash}, ${email}, ${expiresAt})
+		`;
+	}
+
+	/**
+	 * Marks a token used, if it is unused and has not expired. Two
+	 * requests with the same token cannot both succeed.
+	 * @returns Who the token was for and the address it was mailed to, or undefined if it cannot be used.
+	 */
+	static async consume(
+		sql: postgres.ISql,
+		purpose: TokenPurpose,
+		tokenHash: string,
+	) {
+		const [token] = await sql`
+			UPDATE user_tokens SET used_at = NOW()
+			WHERE token_hash = ${tokenHash}
+				AND purpose = ${purpose}
+				AND used_at IS NULL
+				AND expires_at > NOW()
+			RETURNING user_id, email
+		`;
+
+		if (!token) return undefined;
+
+		return { userId: token.user_id as number, email: token.email as string };
+	}
+}
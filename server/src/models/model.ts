@@ -1,4 +1,5 @@
 import postgres from "postgres";
+import Money from "../Money";
 import {
 	camelToSnake,
 	convertToCase,
@@ -11,62 +12,218 @@ import {
  */
 export interface ModelProps {
 	id?: number;
+	createdAt?: Date;
+	updatedAt?: Date;
+}
+
+/**
+ * The static side of a model class, used to type `this` in the static methods
+ * so that `UserModel.read` returns a `UserModel` rather than a `Model`.
+ */
+export interface ModelClass<M extends Model> {
+	new (sql: postgres.ISql, props: M["props"]): M;
+	table: string;
+	timestamps: boolean;
+	money: string[];
 }
 
 /**
  * A base Model class that defines structure for database models.
- * This abstract class is intended to be extended with specific tables/entities.
- * Provides placeholder methods for create, read, update, and delete (CRUD).
+ * This abstract class is intended to be extended with specific tables/entities:
+ * subclasses set `table` and their props type, and get CRUD for free.
+ * Props are camelCase in JS and converted to snake_case columns on the way in.
+ * Every method takes the connection to use, so a transaction can be passed
+ * to run it atomically with other statements.
  */
-export default class Model {
+export default abstract class Model<P extends ModelProps = ModelProps> {
+	/**
+	 * Name of the table the model is stored in.
+	 */
+	static table: string;
+
+	/**
+	 * Whether the table has `created_at` and `updated_at` columns to stamp.
+	 */
+	static timestamps = true;
+
+	/**
+	 * Props that hold amounts of coins. They are written as decimal strings
+	 * and read back as `Money`, as DECIMAL columns come back as strings.
+	 */
+	static money: string[] = [];
+
 	constructor(
-		private sql: postgres.Sql<any>,
-		public props: ModelProps,
+		protected sql: postgres.ISql,
+		public props: P,
 	) {}
 
 	/**
 	 * Creates a new model entry in the database.
-	 * Should be overridden in child classes to include specific fields.
 	 * @param sql PostgreSQL connection instance.
 	 * @param props Data to insert.
 	 * @returns A new Model instance.
 	 */
-	static async create(
-		sql: postgres.Sql<any>,
-		props: ModelProps,
-	): Promise<Model> {
-		return new Model(sql, {});
+	static async create<M extends Model>(
+		this: ModelClass<M>,
+		sql: postgres.ISql,
+		props: M["props"],
+	): Promise<M> {
+		const values: ModelProps = { ...props };
+
+		if (this.timestamps) {
+			values.createdAt = props.createdAt ?? createUTCDate();
+		}
+
+		const [row] = await sql`
+			INSERT INTO ${sql(this.table)} ${sql(toColumns(values))}
+			RETURNING *
+		`;
+
+		return new this(sql, toProps(this, row));
 	}
 
 	/**
 	 * Reads a single record from the database by ID.
 	 * @param sql PostgreSQL connection instance.
 	 * @param id ID of the record to fetch.
-	 * @returns A populated Model instance.
+	 * @returns A populated Model instance, or null if there is no such record.
 	 */
-	static async read(sql: postgres.Sql<any>, id: number): Promise<Model> {
-		return new Model(sql, {});
+	static async read<M extends Model>(
+		this: ModelClass<M>,
+		sql: postgres.ISql,
+		id: number,
+	): Promise<M | null> {
+		const [row] = await sql`
+			SELECT * FROM ${sql(this.table)} WHERE id = ${id}
+		`;
+
+		return row ? new this(sql, toProps(this, row)) : null;
 	}
 
 	/**
-	 * Reads all records from the database.
+	 * Reads all records from the database, oldest first.
 	 * @param sql PostgreSQL connection instance.
 	 * @returns Array of all Model instances.
 	 */
-	static async readAll(sql: postgres.Sql<any>): Promise<Model[]> {
-		return [new Model(sql, {})];
+	static async readAll<M extends Model>(
+		this: ModelClass<M>,
+		sql: postgres.ISql,
+	): Promise<M[]> {
+		const rows = await sql`
+			SELECT * FROM ${sql(this.table)} ORDER BY id
+		`;
+
+		return rows.map((row) => new this(sql, toProps(this, row)));
+	}
+
+	/**
+	 * Reads the records whose columns equal all the given values.
+	 * @param sql PostgreSQL connection instance.
+	 * @param where camelCase props to match, e.g. `{ email: "a@b.c" }`.
+	 * @returns Array of matching Model instances, oldest first.
+	 */
+	static async findBy<M extends Model>(
+		this: ModelClass<M>,
+		sql: postgres.ISql,
+		where: Partial<M["props"]>,
+	): Promise<M[]> {
+		const conditions = Object.entries(toColumns(where)).map(
+			([column, value]) => sql`${sql(column)} = ${value}`,
+		);
+
+		if (conditions.length === 0) {
+			throw new Error("findBy needs at least one condition");
+		}
+
+		const clause = conditions.reduce((acc, condition) => sql`${acc} AND ${condition}`);
+		const rows = await sql`
+			SELECT * FROM ${sql(this.table)} WHERE ${clause} ORDER BY id
+		`;
+
+		return rows.map((row) => new this(sql, toProps(this, row)));
 	}
 
 	/**
 	 * Updates the current record with new data.
-	 * Should be overridden in child classes to specify allowed fields.
 	 * @param updateProps Key-value pairs of fields to update.
 	 */
-	async update(updateProps: Partial<ModelProps>) {}
+	async update(updateProps: Partial<P>) {
+		const model = this.constructor as ModelClass<this>;
+		const values: ModelProps = { ...updateProps };
+		delete values.id;
+
+		if (model.timestamps) {
+			values.updatedAt = createUTCDate();
+		}
+
+		const [row] = await this.sql`
+			UPDATE ${this.sql(model.table)}
+			SET ${this.sql(toColumns(values))}
+			WHERE id = ${this.props.id!}
+			RETURNING *
+		`;
+
+		if (!row) throw new Error(`${model.table} ${this.props.id} not found`);
+
+		this.props = { ...this.props, ...toProps(model, row) };
+	}
 
 	/**
 	 * Deletes the current record from the database.
-	 * Should be overridden in child classes.
+	 * @returns Whether a record was deleted.
 	 */
-	async delete() {}
+	async delete() {
+		const model = this.constructor as ModelClass<this>;
+		const result = await this.sql`
+			DELETE FROM ${this.sql(model.table)} WHERE id = ${this.props.id!}
+		`;
+
+		return result.count === 1;
+	}
+
+	/**
+	 * Called by JSON.stringify, so models can be sent as response payloads.
+	 * Override to hide props that should never leave the server.
+	 */
+	toJSON(): Record<string, any> {
+		return { ...this.props };
+	}
 }
+
+/**
+ * Converts camelCase props to snake_case columns, dropping undefined values
+ * so that columns which were not given fall back to their defaults.
+ * Amounts of coins are written as decimal strings and plain objects as JSON.
+ */
+const toColumns = (props: Record<string, any>) => {
+	const defined = Object.entries(props)
+		.filter(([, value]) => value !== undefined)
+		.map(([prop, value]) => [prop, toColumnValue(value)]);
+
+	return convertToCase(camelToSnake, Object.fromEntries(defined));
+};
+
+const toColumnValue = (value: any) => {
+	if (value instanceof Money) return value.toString();
+	if (value !== null && Object.getPrototypeOf(value) === Object.prototype) {
+		return JSON.stringify(value);
+	}
+
+	return value;
+};
+
+/**
+ * Converts a snake_case row to the camelCase props of a model, reading
+ * its amounts of coins as `Money`.
+ */
+const toProps = <M extends Model>(model: ModelClass<M>, row: postgres.Row) => {
+	const props = convertToCase(snakeToCamel, row);
+
+	for (const prop of model.money) {
+		if (props[prop] !== null && props[prop] !== undefined) {
+			props[prop] = Money.parse(props[prop]);
+		}
+	}
+
+	return props as M["props"];
+};
@@ -2,6 +2,7 @@ import { IncomingMessage } from "http";
 import Session from "../auth/Session";
 import SessionManager from "../auth/SessionManager";
 import Cookie from "../auth/Cookie";
+import UserModel from "../models/UserModel";
 
 /**
  * A class to represent an HTTP request and provide utility methods for parsing
@@ -13,17 +14,32 @@ export default class Request {
 	req: IncomingMessage;
 	body: Record<string, any> = {};
 	cookies: Cookie[] = [];
-	session: Session;
+	session!: Session;
+
+	/**
+	 * Values of the matched route's `:param` segments, set by the Router.
+	 * @example GET /todos/1 on "/todos/:id" => { id: "1" }
+	 */
+	params: Record<string, string> = {};
+
+	/**
+	 * Query string values checked and converted by `validateQuery`.
+	 */
+	query: Record<string, any> = {};
+
+	/**
+	 * The logged-in user, attached by the `requireAuth` middleware.
+	 */
+	user?: UserModel;
 
 	/**
 	 * Constructs a new Request wrapper.
-	 * Parses cookies and attempts to attach a session.
+	 * Parses cookies. The session is attached by `loadSession`.
 	 * @param req Raw HTTP request from Node.
 	 */
 	constructor(req: IncomingMessage) {
 		this.req = req;
 		this.cookies = this.getCookies();
-		this.session = this.getSession();
 	}
 
 	/**
@@ -104,19 +120,45 @@ export default class Request {
 	};
 
 	/**
-	 * @returns The ID from the request URL.
-	 * @example http://localhost:3000/todos/1 => 1
+	 * @returns The `:id` param of the matched route.
+	 * @example GET /todos/1 on "/todos/:id" => 1
 	 */
 	getId = () => {
-		return Number(this.req.url?.split("/")[2]);
+		return Number(this.params.id);
 	};
 
 	/**
-	 * @returns The ID of the sub-todo from the request URL.
-	 * @example http://localhost:3000/todos/1/sub-todos/2 => 2
+	 * @returns The ID of the user attached by `requireAuth`.
+	 * @throws If the route is not guarded by `requireAuth`.
 	 */
-	getSubTodoId = () => {
-		return Number(this.req.url?.split("/")[4]);
+	getUserId = () => {
+		if (!this.user) {
+			throw new Error("Route is not guarded by requireAuth");
+		}
+
+		return this.user.props.id!;
+	};
+
+	/**
+	 * @returns The address of the client the request came from.
+	 * @example "127.0.0.1", or "::1" over IPv6
+	 */
+	getIp = () => {
+		return this.req.socket.remoteAddress ?? "unknown";
+	};
+
+	/**
+	 * @returns The User-Agent header, or an empty string if the client sent none.
+	 */
+	getUserAgent = () => {
+		return this.req.headers["user-agent"] ?? "";
+	};
+
+	/**
+	 * @returns Where the request came from, for login history and session lists.
+	 */
+	getClient = () => {
+		return { ip: this.getIp(), userAgent: this.getUserAgent() };
 	};
 
 	accepts = (type: string) => {
@@ -154,22 +196,36 @@ export default class Request {
 	};
 
 	/**
-	 * Retrieves or creates the user's session.
-	 * Ties into SessionManager and sets cookie if new.
+	 * Retrieves or creates the user's session and attaches it to the request.
+	 * An existing session is refreshed so it only expires after a period
+	 * of inactivity. A new session is only stored once data is set on it.
 	 */
-	getSession = () => {
+	loadSession = async () => {
 		const sessionId = this.findCookie("session_id")?.value;
 		let session: Session | undefined;
 
 		if (sessionId) {
-			session = SessionManager.getInstance().get(sessionId);
+			session = await SessionManager.getInstance().get(sessionId);
 		}
 
-		if (!session) {
+		if (session) {
+			session.refresh();
+		} else {
 			session = SessionManager.getInstance().createSession();
 			this.cookies.push(session.cookie);
 		}
 
+		this.session = session;
 		return session;
 	};
+
+	/**
+	 * Starts a new session in place of the current one, see `SessionManager.regenerate`.
+	 */
+	regenerateSession = async () => {
+		this.session = await SessionManager.getInstance().regenerate(
+			this.session,
+		);
+		return this.session;
+	};
 }
@@ -1,6 +1,7 @@
 import { ServerResponse } from "http";
 import Request from "./Request";
 import Cookie from "../auth/Cookie";
+import SessionManager from "../auth/SessionManager";
 
 /**
  * HTTP status codes used for response classification.
@@ -13,6 +14,8 @@ export enum StatusCode {
 	Unauthorized = 401,
 	Forbidden = 403,
 	NotFound = 404,
+	MethodNotAllowed = 405,
+	TooManyRequests = 429,
 	InternalServerError = 500,
 }
 
@@ -22,6 +25,7 @@ export enum StatusCode {
 export enum ContentType {
 	JSON = "application/json",
 	HTML = "text/html",
+	EventStream = "text/event-stream",
 }
 
 /**
@@ -33,6 +37,7 @@ export interface ResponseProps {
 	payload?: any;
 	template?: string;
 	redirect?: string;
+	headers?: Record<string, string>;
 }
 /**
  * A class that wraps the `ServerResponse` object and provides
@@ -58,32 +63,80 @@ export default class Response {
 	 * @param payload
 	 */
 	send = async (props: ResponseProps) => {
-		const { statusCode, message, payload, redirect, template } = props;
+		const { statusCode, message, payload, redirect, template, headers } =
+			props;
 
 		console.log(
 			`<<< ${statusCode} ${message} ${payload ? JSON.stringify(payload, null, 2) : ""}`,
 		);
-		this.request;
+
+		// Persist session changes before replying so the next request sees them.
+		const session = this.request.session;
+		if (session?.modified || session?.refreshed) {
+			try {
+				await SessionManager.getInstance().save(session);
+				this.setCookie(session.cookie);
+			} catch (error) {
+				console.error("Error saving session:", error);
+			}
+		}
+
 		this.res.writeHead(statusCode, {
 			"Content-Type": ContentType.JSON,
-			// echo back the request’s Origin so credentials can be sent
-			"Access-Control-Allow-Origin":
-				this.request.req.headers.origin || "*",
-			"Access-Control-Allow-Credentials": "true",
-			"Access-Control-Allow-Methods": "OPTIONS, GET, POST, PUT, DELETE",
-			"Access-Control-Allow-Headers": "Content-Type, Authorization",
+			...this.getCorsHeaders(),
+			...headers,
 		});
 
+		// HEAD responses carry the same headers as GET, but no body.
+		if (this.request.req.method === "HEAD") {
+			this.res.end();
+			return;
+		}
+
 		this.res.end(JSON.stringify({ message, payload }, null, 2));
 	};
+
+	/**
+	 * Starts a Server-Sent Events stream instead of a JSON reply. The
+	 * connection stays open and events are written with `sendEvent`
+	 * until the client goes away or the stream is ended.
+	 */
+	stream = () => {
+		console.log(`<<< ${StatusCode.OK} Event stream opened`);
+
+		this.res.writeHead(StatusCode.OK, {
+			"Content-Type": ContentType.EventStream,
+			"Cache-Control": "no-cache",
+			Connection: "keep-alive",
+			...this.getCorsHeaders(),
+		});
+		this.sendComment("connected");
+	};
+
+	/**
+	 * Writes one event to a stream started with `stream`.
+	 * @example res.sendEvent("balance", { balance: 990 }) => "event: balance\ndata: {"balance":990}\n\n"
+	 */
+	sendEvent = (event: string, data: unknown) => {
+		this.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+	};
+
+	/**
+	 * Writes a comment line, which clients ignore, to a stream started with `stream`.
+	 */
+	sendComment = (comment: string) => {
+		this.res.write(`: ${comment}\n\n`);
+	};
+
 	/**
 	 * Sets a cookie in the response.
 	 * Every time this method is called, the `Set-Cookie` header
 	 * is updated with the new cookie (and all cookies that were
 	 * added before it, if any), and the new cookie is added to the
-	 * `cookies` array.
+	 * `cookies` array. A cookie with the same name replaces the old one.
 	 */
 	public setCookie(cookie: Cookie) {
+		this.cookies = this.cookies.filter((c) => c.name !== cookie.name);
 		this.cookies.push(cookie);
 		this.res.setHeader("Set-Cookie", this.stringifyCookies());
 	}
@@ -96,4 +149,17 @@ export default class Response {
 	private stringifyCookies() {
 		return this.cookies.map((cookie) => cookie.toString());
 	}
+
+	/**
+	 * Echoes back the request's Origin so credentials can be sent.
+	 */
+	private getCorsHeaders() {
+		return {
+			"Access-Control-Allow-Origin": this.request.req.headers.origin || "*",
+			"Access-Control-Allow-Credentials": "true",
+			"Access-Control-Allow-Methods":
+				"OPTIONS, GET, HEAD, POST, PUT, PATCH, DELETE",
+			"Access-Control-Allow-Headers": "Content-Type, Authorization",
+		};
+	}
 }
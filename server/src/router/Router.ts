@@ -1,23 +1,48 @@
 import Request from "./Request";
-import Response from "./Response";
+import Response, { StatusCode } from "./Response";
 
 /**
  * Type for route handler functions.
  * Each handler receives a custom Request and Response object.
  */
-interface RouteHandler {
-	(req: Request, res: Response): void;
+export interface RouteHandler {
+	(req: Request, res: Response): void | Promise<void>;
 }
 
 /**
- * Structure for storing route handlers grouped by HTTP method.
+ * Type for middleware functions. A middleware either sends a response
+ * itself or awaits `next()` to pass the request on down the chain.
+ * Code after `await next()` runs once the rest of the chain is done.
+ */
+export interface Middleware {
+	(req: Request, res: Response, next: () => Promise<void>): void | Promise<void>;
+}
+
+/**
+ * A registered route: its handler and the middleware that runs before it.
+ */
+export interface Route {
+	handler: RouteHandler;
+	middleware: Middleware[];
+}
+
+/**
+ * Structure for storing routes grouped by HTTP method.
  */
 interface Routes {
 	[method: string]: {
-		[path: string]: RouteHandler;
+		[path: string]: Route;
 	};
 }
 
+/**
+ * A route that matched a request, with the values of its `:param` segments.
+ */
+export interface RouteMatch {
+	route: Route;
+	params: Record<string, string>;
+}
+
 /**
  * A class that represents a simple router. It is used to register
  * routes and find the appropriate handler for a given request.
@@ -25,73 +50,163 @@ interface Routes {
  */
 export default class Router {
 	routes: Routes;
+	private middleware: Middleware[] = [];
 
 	constructor(routes?: Routes) {
 		this.routes = routes || {
 			GET: {},
+			HEAD: {},
 			POST: {},
 			PUT: {},
+			PATCH: {},
 			DELETE: {},
 		};
 	}
 
+	/**
+	 * Registers middleware that runs before every route, in the order added.
+	 * Global middleware also runs for requests that end in a 404 or 405.
+	 */
+	use(middleware: Middleware) {
+		this.middleware.push(middleware);
+	}
+
+	/**
+	 * Runs the request through the global middleware, then the matching
+	 * route's middleware and handler. Sends a 405 with an `Allow` header
+	 * when the path only exists under other methods, or a 404 otherwise.
+	 */
+	handle = async (req: Request, res: Response) => {
+		const path = req.req.url ?? "/";
+		const method = req.getMethod();
+
+		await this.runChain(req, res, this.middleware, async () => {
+			const match = this.findMatchingRoute(method, path);
+
+			if (match) {
+				req.params = match.params;
+				await this.runChain(req, res, match.route.middleware, () =>
+					match.route.handler(req, res),
+				);
+				return;
+			}
+
+			const allowed = this.getAllowedMethods(path);
+
+			if (allowed.length > 0) {
+				res.res.setHeader("Allow", allowed.join(", "));
+				await res.send({
+					statusCode: StatusCode.MethodNotAllowed,
+					message: `Method ${method} not allowed for ${this.removeQueryString(path)}`,
+				});
+				return;
+			}
+
+			await res.send({
+				statusCode: StatusCode.NotFound,
+				message: `Invalid route: ${method} ${path}`,
+			});
+		});
+	};
+
 	/**
 	 * Given an HTTP method and a path, this method returns the
-	 * handler that matches the method and path. If no matching
-	 * handler is found, it returns `undefined`.
+	 * route that matches the method and path, along with the path's
+	 * params. HEAD requests fall back to the GET route. If no matching
+	 * route is found, it returns `undefined`.
 	 * @param method The HTTP method of the request.
 	 * @param path The path of the request.
-	 * @returns The matching handler or `undefined` if no match is found.
+	 * @returns The matching route or `undefined` if no match is found.
 	 */
-	findMatchingHandler = (
+	findMatchingRoute = (
 		method: string,
 		path: string,
-	): RouteHandler | undefined => {
+	): RouteMatch | undefined => {
 		const methodRoutes = this.routes[method]; // Get routes for the HTTP method.
 
 		if (!methodRoutes) return undefined; // Not a supported method.
 
 		// Iterate through defined routes of the current method.
 		for (const routePattern in methodRoutes) {
-			if (this.doesPathMatchPattern(path, routePattern)) {
-				return methodRoutes[routePattern]; // Found a match!
+			const params = this.matchPath(path, routePattern);
+
+			if (params) {
+				return { route: methodRoutes[routePattern], params }; // Found a match!
+			}
+		}
+
+		if (method === "HEAD") {
+			return this.findMatchingRoute("GET", path);
+		}
+
+		return undefined; // No matching route was found.
+	};
+
+	/**
+	 * @returns Every method the path is registered under. HEAD is
+	 * included whenever GET is, since GET routes also answer HEAD.
+	 * @example getAllowedMethods("/play/blackjack") => ["GET", "HEAD", "POST"]
+	 */
+	getAllowedMethods = (path: string) => {
+		const allowed = new Set<string>();
+
+		for (const method in this.routes) {
+			for (const routePattern in this.routes[method]) {
+				if (this.matchPath(path, routePattern)) {
+					allowed.add(method);
+					if (method === "GET") allowed.add("HEAD");
+				}
 			}
 		}
 
-		return undefined; // No matching handler was found.
+		return Object.keys(this.routes).filter((method) => allowed.has(method));
 	};
 
 	/**
 	 * Checks if a given path matches a given route pattern.
 	 * @param path The path to check from the request.
 	 * @param routePattern The route pattern to match against.
-	 * @returns Whether the path matches the pattern.
-	 * @example doesPathMatchPattern("/todos/1", "/todos/:id") => true
-	 * @example doesPathMatchPattern("/todos/1", "/todos") => false
+	 * @returns The values of the pattern's `:param` segments, or null if the path does not match.
+	 * @example matchPath("/todos/1", "/todos/:id") => { id: "1" }
+	 * @example matchPath("/todos/1", "/todos") => null
 	 */
-	private doesPathMatchPattern = (
+	private matchPath = (
 		path: string,
 		routePattern: string,
-	): boolean => {
+	): Record<string, string> | null => {
 		const pathSegments = this.removeQueryString(path).split("/");
 		const patternSegments = routePattern.split("/");
+		const params: Record<string, string> = {};
 
 		// Basic check: Do they even have the same number of segments?
-		if (pathSegments.length !== patternSegments.length) return false;
+		if (pathSegments.length !== patternSegments.length) return null;
 
 		// Segment-by-segment comparison. We'll check each segment of the path
 		// against the corresponding segment of the pattern. If we find a mismatch,
-		// we'll return false. If we make it through the entire path and pattern
-		// without finding a mismatch, we'll return true.
+		// we'll return null. If we make it through the entire path and pattern
+		// without finding a mismatch, we'll return the params we collected.
 		for (let i = 0; i < pathSegments.length; i++) {
 			// Dynamic segment (starts with ':' in your pattern).
-			if (patternSegments[i].startsWith(":")) continue; // These always match.
+			if (patternSegments[i].startsWith(":")) {
+				// These always match, as long as there is something there.
+				if (!pathSegments[i]) return null;
+
+				try {
+					params[patternSegments[i].slice(1)] = decodeURIComponent(
+						pathSegments[i],
+					);
+				} catch {
+					return null; // Malformed escape sequence.
+				}
+
+				continue;
+			}
 
 			// If not an exact match, it's no good.
-			if (patternSegments[i] !== pathSegments[i]) return false;
+			if (patternSegments[i] !== pathSegments[i]) return null;
 		}
 
-		return true; // We've successfully matched all segments!
+		return params; // We've successfully matched all segments!
 	};
 
 	/**
@@ -106,30 +221,84 @@ export default class Router {
 	};
 
 	/**
-	 * Registers a GET route.
+	 * Calls each middleware in turn, then `last` once they have all called `next`.
+	 */
+	private runChain = async (
+		req: Request,
+		res: Response,
+		middleware: Middleware[],
+		last: () => void | Promise<void>,
+	) => {
+		const run = async (index: number): Promise<void> => {
+			if (index === middleware.length) {
+				await last();
+				return;
+			}
+
+			let called = false;
+			await middleware[index](req, res, async () => {
+				if (called) throw new Error("next() called more than once");
+				called = true;
+				await run(index + 1);
+			});
+		};
+
+		await run(0);
+	};
+
+	/**
+	 * Stores a route. Every function but the last is middleware.
+	 */
+	private add(
+		method: string,
+		path: string,
+		stack: [...Middleware[], RouteHandler],
+	) {
+		const handler = stack[stack.length - 1] as RouteHandler;
+		const middleware = stack.slice(0, -1) as Middleware[];
+
+		this.routes[method][path] = { handler, middleware };
+	}
+
+	/**
+	 * Registers a GET route. GET routes also answer HEAD requests.
 	 */
-	get(path: string, handler: RouteHandler) {
-		this.routes.GET[path] = handler;
+	get(path: string, ...stack: [...Middleware[], RouteHandler]) {
+		this.add("GET", path, stack);
+	}
+
+	/**
+	 * Registers a HEAD route, for when it should differ from the GET route.
+	 */
+	head(path: string, ...stack: [...Middleware[], RouteHandler]) {
+		this.add("HEAD", path, stack);
 	}
 
 	/**
 	 * Registers a POST route.
 	 */
-	post(path: string, handler: RouteHandler) {
-		this.routes.POST[path] = handler;
+	post(path: string, ...stack: [...Middleware[], RouteHandler]) {
+		this.add("POST", path, stack);
 	}
 
 	/**
 	 * Registers a PUT route.
 	 */
-	put(path: string, handler: RouteHandler) {
-		this.routes.PUT[path] = handler;
+	put(path: string, ...stack: [...Middleware[], RouteHandler]) {
+		this.add("PUT", path, stack);
+	}
+
+	/**
+	 * Registers a PATCH route.
+	 */
+	patch(path: string, ...stack: [...Middleware[], RouteHandler]) {
+		this.add("PATCH", path, stack);
 	}
 
 	/**
 	 * Registers a DELETE route.
 	 */
-	del(path: string, handler: RouteHandler) {
-		this.routes.DELETE[path] = handler;
+	del(path: string, ...stack: [...Middleware[], RouteHandler]) {
+		this.add("DELETE", path, stack);
 	}
 }
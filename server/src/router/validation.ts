@@ -0,0 +1,395 @@
+import { Middleware } from "./Router";
+import { StatusCode } from "./Response";
+import Money from "../Money";
+
+/**
+ * Formats a string field can be required to match.
+ */
+export const FORMATS = {
+	email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+	username: /^[A-Za-z0-9_]{3,20}$/,
+};
+
+/**
+ * The most coins a money field can hold, which is the largest amount the
+ * DECIMAL(10,2) limit columns store. Larger amounts are refused with a 400.
+ * Balances and round totals are NUMERIC(18,2), so paying out on the
+ * largest bets still fits.
+ */
+export const MAX_COINS = 99_999_999.99;
+
+interface BaseRule {
+	/**
+	 * Whether the field must be present. Defaults to true.
+	 */
+	required?: boolean;
+	/**
+	 * Whether an explicit null is kept as the value, so the handler can
+	 * tell it from a missing field. Otherwise null counts as missing.
+	 */
+	nullable?: boolean;
+}
+
+export interface StringRule extends BaseRule {
+	type: "string";
+	minLength?: number;
+	maxLength?: number;
+	format?: keyof typeof FORMATS;
+	enum?: readonly string[];
+	/**
+	 * Lowercases the value before checking it, e.g. for case-insensitive
+	 * enums and emails.
+	 */
+	lowercase?: boolean;
+	/**
+	 * Whether to strip whitespace from both ends before checking the value.
+	 * Defaults to true. Passwords turn it off, as their spaces count.
+	 */
+	trim?: boolean;
+	default?: string;
+}
+
+export interface NumberRule extends BaseRule {
+	type: "number";
+	min?: number;
+	max?: number;
+	integer?: boolean;
+	/**
+	 * Whether the value must be greater than zero.
+	 */
+	positive?: boolean;
+	default?: number;
+}
+
+/**
+ * An amount of coins with at most two decimal places. The value is
+ * converted to `Money`. Limits are given in coins, and never go past
+ * `MAX_COINS` either way.
+ */
+export interface MoneyRule extends BaseRule {
+	type: "money";
+	min?: number;
+	max?: number;
+	/**
+	 * Whether the amount must be greater than zero.
+	 */
+	positive?: boolean;
+}
+
+export interface BooleanRule extends BaseRule {
+	type: "boolean";
+	default?: boolean;
+}
+
+export interface DateRule extends BaseRule {
+	type: "date";
+}
+
+export interface ArrayRule extends BaseRule {
+	type: "array";
+	/**
+	 * The rule every item must follow. Items are always required.
+	 */
+	items: FieldRule;
+	minLength?: number;
+	maxLength?: number;
+}
+
+export interface ObjectRule extends BaseRule {
+	type: "object";
+	schema: Schema;
+}
+
+export type FieldRule =
+	| StringRule
+	| NumberRule
+	| MoneyRule
+	| BooleanRule
+	| DateRule
+	| ArrayRule
+	| ObjectRule;
+
+/**
+ * Maps each field of a request body or query string to its rule.
+ * Fields that are not in the schema are dropped.
+ */
+export type Schema = Record<string, FieldRule>;
+
+/**
+ * A field that failed its rule. Nested fields are named by their path.
+ * @example { field: "bets[0].amount", message: "bets[0].amount is required" }
+ */
+export interface FieldError {
+	field: string;
+	message: string;
+}
+
+/**
+ * Checks every field of the source against the schema.
+ * @param schema The rules to check against.
+ * @param source The request body or query string.
+ * @param coerce Whether to convert strings to numbers, booleans and dates, as query strings only hold strings.
+ * @param path Prefix for the names of nested fields in error messages.
+ * @returns The validated values, with defaults applied, and an error for every invalid field.
+ * @example validate({ amount: { type: "number", positive: true } }, { amount: -5 })
+ * => { value: {}, errors: [{ field: "amount", message: "amount must be greater than 0" }] }
+ */
+export const validate = (
+	schema: Schema,
+	source: Record<string, any>,
+	coerce = false,
+	path = "",
+) => {
+	const value: Record<string, any> = {};
+	const errors: FieldError[] = [];
+
+	for (const [field, rule] of Object.entries(schema)) {
+		const result = checkValue(`${path}${field}`, rule, source[field], coerce);
+
+		errors.push(...result.errors);
+		if ("value" in result) value[field] = result.value;
+	}
+
+	return { value, errors };
+};
+
+/**
+ * Validates the request body before the handler runs. The body is
+ * replaced with the validated values, or a 400 listing every field
+ * error is sent.
+ * @example router.post("/play/coinflip", validateBody(coinFlipSchema), handler)
+ */
+export const validateBody = (schema: Schema): Middleware => {
+	return async (req, res, next) => {
+		const { value, errors } = validate(schema, req.body);
+
+		if (errors.length > 0) {
+			return res.send({
+				statusCode: StatusCode.BadRequest,
+				message: `Invalid request body: ${summarize(errors)}`,
+				payload: { errors },
+			});
+		}
+
+		req.body = value;
+		await next();
+	};
+};
+
+/**
+ * Validates the query string before the handler runs and stores the
+ * validated values in `req.query`, or sends a 400 listing every field error.
+ * @example router.get("/games/history", validateQuery(historySchema), handler)
+ */
+export const validateQuery = (schema: Schema): Middleware => {
+	return async (req, res, next) => {
+		const source = Object.fromEntries(req.getSearchParams().entries());
+		const { value, errors } = validate(schema, source, true);
+
+		if (errors.length > 0) {
+			return res.send({
+				statusCode: StatusCode.BadRequest,
+				message: `Invalid query string: ${summarize(errors)}`,
+				payload: { errors },
+			});
+		}
+
+		req.query = value;
+		await next();
+	};
+};
+
+/**
+ * Validates the matched route's params before the handler runs, or
+ * sends a 404, as a malformed param cannot name anything that exists.
+ * The params stay strings; the schema only checks them.
+ * @example router.get("/admin/users/:id", validateParams(userIdSchema), handler)
+ */
+export const validateParams = (schema: Schema): Middleware => {
+	return async (req, res, next) => {
+		const { errors } = validate(schema, req.params, true);
+
+		if (errors.length > 0) {
+			return res.send({
+				statusCode: StatusCode.NotFound,
+				message: `Not found: ${summarize(errors)}`,
+				payload: { errors },
+			});
+		}
+
+		await next();
+	};
+};
+
+/**
+ * @example summarize([{ field: "amount", message: "amount is required" }]) => "amount is required"
+ */
+const summarize = (errors: FieldError[]) => {
+	return errors.map((error) => error.message).join("; ");
+};
+
+/**
+ * @returns The valid (and possibly transformed) value, an error message,
+ * or the errors of the items or fields nested in an array or object.
+ */
+const checkField = (
+	field: string,
+	rule: FieldRule,
+	raw: any,
+): { value: any } | string | FieldError[] => {
+	switch (rule.type) {
+		case "string": {
+			if (typeof raw !== "string") return `${field} must be a string`;
+
+			const trimmed = rule.trim === false ? raw : raw.trim();
+			const value = rule.lowercase ? trimmed.toLowerCase() : trimmed;
+
+			if (rule.minLength !== undefined && value.length < rule.minLength) {
+				return `${field} must be at least ${rule.minLength} characters`;
+			}
+			if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+				return `${field} must be at most ${rule.maxLength} characters`;
+			}
+			if (rule.format && !FORMATS[rule.format].test(value)) {
+				return `${field} must be a valid ${rule.format}`;
+			}
+			if (rule.enum && !rule.enum.includes(value)) {
+				return `${field} must be one of: ${rule.enum.join(", ")}`;
+			}
+
+			return { value };
+		}
+		case "number": {
+			if (typeof raw !== "number" || !Number.isFinite(raw)) {
+				return `${field} must be a number`;
+			}
+			if (rule.integer && !Number.isInteger(raw)) {
+				return `${field} must be an integer`;
+			}
+			if (rule.positive && raw <= 0) {
+				return `${field} must be greater than 0`;
+			}
+			if (rule.min !== undefined && raw < rule.min) {
+				return `${field} must be at least ${rule.min}`;
+			}
+			if (rule.max !== undefined && raw > rule.max) {
+				return `${field} must be at most ${rule.max}`;
+			}
+
+			return { value: raw };
+		}
+		case "money": {
+			if (typeof raw !== "number" || !Number.isFinite(raw)) {
+				return `${field} must be a number`;
+			}
+			if (Math.abs(raw * 100 - Math.round(raw * 100)) > 1e-6) {
+				return `${field} must have at most 2 decimal places`;
+			}
+			if (rule.positive && raw <= 0) {
+				return `${field} must be greater than 0`;
+			}
+
+			const min = Math.max(rule.min ?? -MAX_COINS, -MAX_COINS);
+			const max = Math.min(rule.max ?? MAX_COINS, MAX_COINS);
+
+			if (raw < min) {
+				return `${field} must be at least ${min}`;
+			}
+			if (raw > max) {
+				return `${field} must be at most ${max}`;
+			}
+
+			return { value: Money.fromCoins(raw) };
+		}
+		case "boolean": {
+			if (typeof raw !== "boolean") return `${field} must be true or false`;
+			return { value: raw };
+		}
+		case "date": {
+			const value = raw instanceof Date ? raw : new Date(raw);
+			if (typeof raw === "boolean" || isNaN(value.getTime())) {
+				return `${field} must be a valid date`;
+			}
+			return { value };
+		}
+		case "array": {
+			if (!Array.isArray(raw)) return `${field} must be a list`;
+
+			if (rule.minLength !== undefined && raw.length < rule.minLength) {
+				return `${field} must have at least ${rule.minLength} items`;
+			}
+			if (rule.maxLength !== undefined && raw.length > rule.maxLength) {
+				return `${field} must have at most ${rule.maxLength} items`;
+			}
+
+			const items = raw.map((item, i) =>
+				checkValue(`${field}[${i}]`, { ...rule.items, required: true }, item),
+			);
+			const errors = items.flatMap((item) => item.errors);
+
+			return errors.length > 0
+				? errors
+				: { value: items.map((item) => item.value) };
+		}
+		case "object": {
+			if (typeof raw !== "object" || Array.isArray(raw)) {
+				return `${field} must be an object`;
+			}
+
+			const { value, errors } = validate(rule.schema, raw, false, `${field}.`);
+			return errors.length > 0 ? errors : { value };
+		}
+	}
+};
+
+/**
+ * Checks a single value, applying the rule's default when it is missing.
+ * @returns The value, unless it is missing and has no default, and any errors.
+ */
+const checkValue = (
+	field: string,
+	rule: FieldRule,
+	raw: any,
+	coerce = false,
+): { value?: any; errors: FieldError[] } => {
+	if (raw === null && rule.nullable) {
+		return { value: null, errors: [] };
+	}
+
+	if (raw === undefined || raw === null || raw === "") {
+		if ("default" in rule && rule.default !== undefined) {
+			return { value: rule.default, errors: [] };
+		}
+
+		return rule.required === false
+			? { errors: [] }
+			: { errors: [{ field, message: `${field} is required` }] };
+	}
+
+	const result = checkField(field, rule, coerce ? coerceValue(rule, raw) : raw);
+
+	if (typeof result === "string") {
+		return { errors: [{ field, message: result }] };
+	}
+
+	return Array.isArray(result)
+		? { errors: result }
+		: { value: result.value, errors: [] };
+};
+
+/**
+ * Converts a query string value to the rule's type. Values that cannot
+ * be converted are left as they are, so `checkField` reports them.
+ */
+const coerceValue = (rule: FieldRule, raw: string) => {
+	const numeric = rule.type === "number" || rule.type === "money";
+
+	if (numeric && raw.trim() !== "" && !isNaN(Number(raw))) {
+		return Number(raw);
+	}
+	if (rule.type === "boolean" && (raw === "true" || raw === "false")) {
+		return raw === "true";
+	}
+
+	return raw;
+};
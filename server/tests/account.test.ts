@@ -0,0 +1,444 @@
+import postgres from "postgres";
+import UserModel from "../src/models/UserModel";
+import UserTokenModel from "../src/models/UserTokenModel";
+import SessionManager from "../src/auth/SessionManager";
+import MemoryMailer from "../src/mail/MemoryMailer";
+import AccountEmailService, {
+	hashToken,
+} from "../src/Services/AccountEmailService";
+import AccountService from "../src/Services/AccountService";
+import GameRoundModel from "../src/models/GameRoundModel";
+import TransactionModel from "../src/models/TransactionModel";
+import LoginAttemptModel from "../src/models/LoginAttemptModel";
+import ResponsiblePlayService from "../src/Services/ResponsiblePlayService";
+import { hashPassword, verifyPassword } from "../src/auth/password";
+import { StatusCode } from "../src/router/Response";
+import { getSessionCookie, makeHttpRequest } from "./client";
+
+/**
+ * @returns The token in the link of a mail body.
+ */
+const findToken = (body: string) => body.match(/token=([0-9a-f]{64})/)?.[1];
+
+describe("Account emails", () => {
+	const makeUser = (email = "player@example.com") => {
+		const user = new UserModel({} as postgres.Sql, {
+			id: 1,
+			username: "player",
+			email,
+			password: "hash",
+			emailVerifiedAt: null,
+		});
+		jest.spyOn(user, "update").mockImplementation(async (props) => {
+			user.props = { ...user.props, ...props };
+		});
+		return user;
+	};
+
+	const makeService = (consumed?: { userId: number; email: string }) => {
+		const mailer = new MemoryMailer();
+		const userTokenModel = {
+			issue: jest.fn(),
+			consume: jest.fn(async () => consumed),
+		};
+		const sessionManager = { destroyUserSessions: jest.fn() };
+		const service = new AccountEmailService(
+			{} as postgres.Sql,
+			userTokenModel as unknown as typeof UserTokenModel,
+			mailer,
+			sessionManager as unknown as SessionManager,
+		);
+
+		return { service, mailer, userTokenModel, sessionManager };
+	};
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	test("Only a hash of the mailed token was stored.", async () => {
+		jest.spyOn(UserModel, "findByEmail").mockResolvedValue(makeUser());
+		const { service, mailer, userTokenModel } = makeService();
+
+		await service.requestPasswordReset("player@example.com");
+
+		const token = findToken(mailer.sent[0].body)!;
+		const stored = userTokenModel.issue.mock.calls[0][1];
+		expect(mailer.sent[0].to).toBe("player@example.com");
+		expect(stored.tokenHash).toBe(hashToken(token));
+		expect(stored.tokenHash).not.toBe(token);
+		expect(stored.expiresAt.getTime()).toBeGreaterThan(Date.now());
+	});
+
+	test("Nothing was mailed to addresses that are not registered.", async () => {
+		jest.spyOn(UserModel, "findByEmail").mockResolvedValue(null);
+		const { service, mailer } = makeService();
+
+		await service.requestPasswordReset("nobody@example.com");
+
+		expect(mailer.sent).toHaveLength(0);
+	});
+
+	test("Resetting a password logged the player out everywhere.", async () => {
+		const user = makeUser();
+		jest.spyOn(UserModel, "read").mockResolvedValue(user);
+		const { service, sessionManager } = makeService({
+			userId: 1,
+			email: "player@example.com",
+		});
+
+		await service.resetPassword("a".repeat(64), "newpass");
+
+		expect(await verifyPassword("newpass", user.props.password)).toBe(true);
+		expect(user.props.emailVerifiedAt).toBeInstanceOf(Date);
+		expect(sessionManager.destroyUserSessions).toHaveBeenCalledWith(1);
+	});
+
+	test("Used, expired and unknown tokens were refused.", async () => {
+		const { service } = makeService(undefined);
+
+		await expect(service.verifyEmail("a".repeat(64))).rejects.toThrow(
+			"This link is invalid or has expired",
+		);
+	});
+
+	test("Links mailed to a previous address no longer worked.", async () => {
+		jest
+			.spyOn(UserModel, "read")
+			.mockResolvedValue(makeUser("new@example.com"));
+		const { service } = makeService({
+			userId: 1,
+			email: "player@example.com",
+		});
+
+		await expect(
+			service.resetPassword("a".repeat(64), "newpass"),
+		).rejects.toThrow("This link is invalid or has expired");
+	});
+
+	test("Email changes were confirmed by the new address.", async () => {
+		jest.spyOn(UserModel, "findByEmail").mockResolvedValue(null);
+		const { service, mailer, userTokenModel } = makeService();
+
+		await service.requestEmailChange(makeUser(), "new@example.com");
+
+		expect(mailer.sent.map((mail) => mail.to)).toEqual([
+			"new@example.com",
+			"player@example.com",
+		]);
+		expect(findToken(mailer.sent[1].body)).toBeUndefined();
+		expect(userTokenModel.issue.mock.calls[0][1].email).toBe("new@example.com");
+	});
+});
+
+describe("Account deletion", () => {
+	const makeService = (excludedUntil: Date | null = null) => {
+		const deleted: unknown[] = [];
+		const sql = {
+			begin: async (fn: any) =>
+				fn(async (_: TemplateStringsArray, ...values: any[]) => {
+					deleted.push(values[0]);
+				}),
+		};
+		const sessionManager = { destroyUserSessions: jest.fn() };
+		const service = new AccountService(
+			sql as unknown as postgres.Sql,
+			{} as typeof GameRoundModel,
+			{} as typeof TransactionModel,
+			{
+				getStatus: async () => ({ excludedUntil }),
+			} as unknown as ResponsiblePlayService,
+			{} as typeof LoginAttemptModel,
+			sessionManager as unknown as SessionManager,
+		);
+
+		return { service, deleted, sessionManager };
+	};
+
+	const makeUser = async () =>
+		new UserModel({} as postgres.Sql, {
+			id: 7,
+			username: "player",
+			email: "player@example.com",
+			password: await hashPassword("123456"),
+		});
+
+	test("Accounts were only deleted with the right password.", async () => {
+		const { service, deleted } = makeService();
+
+		await expect(
+			service.deleteAccount(await makeUser(), "wrong"),
+		).rejects.toThrow("Password is incorrect");
+		expect(deleted).toHaveLength(0);
+	});
+
+	test("Self-excluded players could not delete their account.", async () => {
+		const { service, deleted } = makeService(new Date(Date.now() + 60000));
+
+		await expect(
+			service.deleteAccount(await makeUser(), "123456"),
+		).rejects.toThrow(/^Accounts cannot be deleted while self-excluded/);
+		expect(deleted).toHaveLength(0);
+	});
+
+	test("Deleted accounts were logged out everywhere.", async () => {
+		const { service, deleted, sessionManager } = makeService();
+
+		await service.deleteAccount(await makeUser(), "123456");
+
+		expect(deleted).toEqual(["player@example.com", 7]);
+		expect(sessionManager.destroyUserSessions).toHaveBeenCalledWith(7);
+	});
+});
+
+describe("Account email routes", () => {
+	const sql = postgres({
+		database: "luckybet",
+	});
+
+	let cookie: string;
+
+	/**
+	 * @returns The token in the latest mail written to the outbox for the address.
+	 */
+	const readToken = async (to: string) => {
+		const [mail] = await sql`
+			SELECT body FROM mail_outbox WHERE to_address = ${to}
+			ORDER BY id DESC LIMIT 1
+		`;
+		return findToken(mail?.body ?? "");
+	};
+
+	beforeEach(async () => {
+		const res = await makeHttpRequest("POST", "/register", {
+			username: "player",
+			email: "player@example.com",
+			password: "123456",
+		});
+
+		cookie = getSessionCookie(res);
+	});
+
+	afterEach(async () => {
+		try {
+			await sql`DELETE FROM mail_outbox`;
+			await sql`DELETE FROM rate_limit_hits`;
+			await sql`DELETE FROM user_tokens`;
+			await sql`DELETE FROM transactions`;
+			await sql`DELETE FROM users`;
+		} catch (error) {
+			console.error(error);
+		}
+	});
+
+	afterAll(async () => {
+		await sql.end();
+	});
+
+	test("Should verify the email with the link mailed on registration", async () => {
+		const token = await readToken("player@example.com");
+
+		const res = await makeHttpRequest("POST", "/auth/verify-email", {
+			token,
+		});
+		expect(res.statusCode).toBe(StatusCode.OK);
+		expect(res.body.payload.emailVerifiedAt).not.toBeNull();
+
+		const again = await makeHttpRequest("POST", "/auth/verify-email", {
+			token,
+		});
+		expect(again.statusCode).toBe(StatusCode.BadRequest);
+	});
+
+	test("Should reset the password with a single-use link", async () => {
+		const request = await makeHttpRequest(
+			"POST",
+			"/auth/password-reset/request",
+			{ email: "player@example.com" },
+		);
+		expect(request.statusCode).toBe(StatusCode.OK);
+
+		const token = await readToken("player@example.com");
+		const reset = await makeHttpRequest("POST", "/auth/password-reset", {
+			token,
+			password: "newpass",
+		});
+		expect(reset.statusCode).toBe(StatusCode.OK);
+
+		const profile = await makeHttpRequest(
+			"GET",
+			"/profile",
+			{},
+			{ Cookie: cookie },
+		);
+		expect(profile.statusCode).toBe(StatusCode.Unauthorized);
+
+		const login = await makeHttpRequest("POST", "/login", {
+			email: "player@example.com",
+			password: "newpass",
+		});
+		expect(login.statusCode).toBe(StatusCode.OK);
+
+		const reused = await makeHttpRequest("POST", "/auth/password-reset", {
+			token,
+			password: "another",
+		});
+		expect(reused.statusCode).toBe(StatusCode.BadRequest);
+	});
+
+	test("Should not tell whether an email is registered", async () => {
+		const res = await makeHttpRequest("POST", "/auth/password-reset/request", {
+			email: "nobody@example.com",
+		});
+
+		expect(res.statusCode).toBe(StatusCode.OK);
+		expect(await readToken("nobody@example.com")).toBeUndefined();
+	});
+
+	test("Should only change the email once the new address confirms it", async () => {
+		const update = await makeHttpRequest(
+			"PUT",
+			"/user/profile",
+			{ email: "new@example.com" },
+			{ Cookie: cookie },
+		);
+		expect(update.statusCode).toBe(StatusCode.OK);
+		expect(update.body.payload.email).toBe("player@example.com");
+
+		const token = await readToken("new@example.com");
+		const confirm = await makeHttpRequest(
+			"POST",
+			"/auth/email-change/confirm",
+			{ token },
+		);
+		expect(confirm.statusCode).toBe(StatusCode.OK);
+		expect(confirm.body.payload.email).toBe("new@example.com");
+	});
+
+	test("Should change only the username when no email is given", async () => {
+		const update = await makeHttpRequest(
+			"PUT",
+			"/user/profile",
+			{ name: "renamed" },
+			{ Cookie: cookie },
+		);
+		expect(update.statusCode).toBe(StatusCode.OK);
+		expect(update.body.payload.username).toBe("renamed");
+		expect(update.body.payload.email).toBe("player@example.com");
+	});
+
+	test("Should not rename players to an invalid or taken username", async () => {
+		await makeHttpRequest("POST", "/register", {
+			username: "other",
+			email: "other@example.com",
+			password: "123456",
+		});
+
+		const invalid = await makeHttpRequest(
+			"PUT",
+			"/user/profile",
+			{ name: "not valid!" },
+			{ Cookie: cookie },
+		);
+		expect(invalid.statusCode).toBe(StatusCode.BadRequest);
+
+		const taken = await makeHttpRequest(
+			"PUT",
+			"/user/profile",
+			{ name: "other" },
+			{ Cookie: cookie },
+		);
+		expect(taken.statusCode).toBe(StatusCode.BadRequest);
+		expect(taken.body.message).toBe("Username is already taken");
+	});
+});
+
+describe("Account data routes", () => {
+	const sql = postgres({
+		database: "luckybet",
+	});
+
+	let cookie: string;
+
+	beforeEach(async () => {
+		const res = await makeHttpRequest("POST", "/register", {
+			username: "player",
+			email: "player@example.com",
+			password: "123456",
+		});
+
+		cookie = getSessionCookie(res);
+	});
+
+	afterEach(async () => {
+		try {
+			await sql`DELETE FROM mail_outbox`;
+			await sql`DELETE FROM rate_limit_hits`;
+			await sql`DELETE FROM game_rounds`;
+			await sql`DELETE FROM transactions`;
+			await sql`DELETE FROM users`;
+		} catch (error) {
+			console.error(error);
+		}
+	});
+
+	afterAll(async () => {
+		await sql.end();
+	});
+
+	test("Should export the profile, rounds and transactions", async () => {
+		await makeHttpRequest(
+			"POST",
+			"/play/coinflip",
+			{ guess: "heads", amount: 10 },
+			{ Cookie: cookie },
+		);
+
+		const res = await makeHttpRequest(
+			"GET",
+			"/user/export",
+			{},
+			{ Cookie: cookie },
+		);
+
+		expect(res.statusCode).toBe(StatusCode.OK);
+		expect(res.headers["content-disposition"]).toMatch(/^attachment;/);
+		expect(res.body.payload.profile.email).toBe("player@example.com");
+		expect(res.body.payload.profile.password).toBeUndefined();
+		expect(res.body.payload.gameRounds).toHaveLength(1);
+		// Oldest first: the welcome bonus, then the bet (and its win, if any).
+		const types = res.body.payload.transactions.map((t: any) => t.type);
+		expect(types.slice(0, 2)).toEqual(["bonus", "bet"]);
+	});
+
+	test("Should delete the account and its data after the password is re-entered", async () => {
+		const wrong = await makeHttpRequest(
+			"DELETE",
+			"/user",
+			{ password: "wrong" },
+			{ Cookie: cookie },
+		);
+		expect(wrong.statusCode).toBe(StatusCode.BadRequest);
+
+		const res = await makeHttpRequest(
+			"DELETE",
+			"/user",
+			{ password: "123456" },
+			{ Cookie: cookie },
+		);
+		expect(res.statusCode).toBe(StatusCode.OK);
+
+		const profile = await makeHttpRequest(
+			"GET",
+			"/profile",
+			{},
+			{ Cookie: cookie },
+		);
+		expect(profile.statusCode).toBe(StatusCode.Unauthorized);
+
+		const [{ count }] = await sql`
+			SELECT COUNT(*)::int AS count FROM transactions
+		`;
+		expect(count).toBe(0);
+	});
+});
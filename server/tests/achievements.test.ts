@@ -0,0 +1,235 @@
+import postgres from "postgres";
+import Money from "../src/Money";
+import AchievementModel from "../src/models/AchievementModel";
+import GameRoundModel, { GameRoundProps } from "../src/models/GameRoundModel";
+import LedgerService from "../src/Services/LedgerService";
+import AchievementService from "../src/Services/AchievementService";
+import {
+	AchievementEvent,
+	BONUS_STREAK,
+	findUnlocks,
+} from "../src/Services/Achievements";
+import { StatusCode } from "../src/router/Response";
+import { getSessionCookie, makeHttpRequest } from "./client";
+
+const makeRound = (props: Partial<GameRoundProps> = {}): GameRoundProps => ({
+	userId: 1,
+	game: "coinflip",
+	bet: Money.fromCoins(10),
+	payout: Money.ZERO,
+	result: "loss",
+	outcome: {},
+	...props,
+});
+
+const roundEvent = (
+	round: GameRoundProps,
+	recentResults = [round.result],
+): AchievementEvent => ({
+	type: "round",
+	round,
+	recentResults,
+	roundsPlayed: 1,
+});
+
+/**
+ * @returns The IDs of the achievements the event unlocks.
+ */
+const unlocks = (event: AchievementEvent, unlocked: string[] = []) =>
+	findUnlocks(event, new Set(unlocked)).map(({ id }) => id);
+
+describe("Achievement criteria", () => {
+	test("A first win unlocked Beginner's Luck, once.", () => {
+		const event = roundEvent(makeRound({ result: "win" }));
+
+		expect(unlocks(event)).toContain("first-win");
+		expect(unlocks(event, ["first-win"])).not.toContain("first-win");
+	});
+
+	test("Only winning straight-up bets unlocked Bullseye.", () => {
+		const spin = (type: string, win: boolean) =>
+			roundEvent(
+				makeRound({
+					game: "roulette",
+					outcome: { bets: [{ type, win }] },
+				}),
+			);
+
+		expect(unlocks(spin("straight", true))).toContain("straight-up");
+		expect(unlocks(spin("straight", false))).not.toContain("straight-up");
+		expect(unlocks(spin("red", true))).not.toContain("straight-up");
+	});
+
+	test("Hot Streak took five roulette wins in a row.", () => {
+		const round = makeRound({ game: "roulette", outcome: { bets: [] } });
+
+		expect(
+			unlocks(roundEvent(round, ["win", "win", "win", "win", "win"])),
+		).toContain("roulette-streak");
+		expect(
+			unlocks(roundEvent(round, ["win", "win", "win", "loss", "win"])),
+		).not.toContain("roulette-streak");
+		expect(
+			unlocks(roundEvent(round, ["win", "win", "win", "win"])),
+		).not.toContain("roulette-streak");
+	});
+
+	test("A dealt blackjack unlocked Natural.", () => {
+		const round = makeRound({
+			game: "blackjack",
+			outcome: { hands: [{ result: "blackjack" }] },
+		});
+
+		expect(unlocks(roundEvent(round))).toEqual(
+			expect.arrayContaining(["first-blackjack", "natural"]),
+		);
+	});
+
+	test("Only a full daily bonus streak unlocked Creature of Habit.", () => {
+		expect(unlocks({ type: "bonus", streak: BONUS_STREAK })).toEqual([
+			"bonus-streak",
+		]);
+		expect(unlocks({ type: "bonus", streak: BONUS_STREAK - 1 })).toEqual([]);
+	});
+});
+
+describe("Achievement unlocks", () => {
+	const makeService = (alreadyUnlocked: string[], inserted: string[]) => {
+		const notified: unknown[] = [];
+		const sql = async (_: TemplateStringsArray, ...values: any[]) => {
+			notified.push(JSON.parse(values[1]));
+		};
+		const achievementModel = {
+			findByUser: async () =>
+				alreadyUnlocked.map((achievement) => ({ achievement })),
+			unlock: jest.fn(async () => inserted),
+		};
+		const gameRoundModel = {
+			findRecentResults: async () => ["win"],
+			countByUser: async () => 1,
+		};
+		const record = jest.fn(async () => ({
+			balance: Money.fromCoins(1100),
+		}));
+		const service = new AchievementService(
+			{} as postgres.Sql,
+			achievementModel as unknown as typeof AchievementModel,
+			gameRoundModel as unknown as typeof GameRoundModel,
+			{ record } as unknown as LedgerService,
+		);
+
+		return {
+			service,
+			sql: sql as unknown as postgres.TransactionSql,
+			notified,
+			record,
+		};
+	};
+
+	test("Rewards were credited and players told of new unlocks.", async () => {
+		const { service, sql, notified, record } = makeService(
+			[],
+			["first-blackjack"],
+		);
+
+		const { unlocked, balance } = await service.checkRound(
+			makeRound({ game: "blackjack", outcome: { hands: [] } }),
+			sql,
+		);
+
+		expect(unlocked.map(({ id }) => id)).toEqual(["first-blackjack"]);
+		expect(record).toHaveBeenCalledWith(
+			1,
+			"bonus",
+			Money.fromCoins(100),
+			{ description: "Achievement unlocked: Take a Seat" },
+			sql,
+		);
+		expect(balance).toEqual(Money.fromCoins(1100));
+		expect(notified).toEqual([
+			expect.objectContaining({ userId: 1, id: "first-blackjack" }),
+		]);
+	});
+
+	test("Achievements unlocked by another round were not rewarded twice.", async () => {
+		const { service, sql, notified, record } = makeService([], []);
+
+		const { unlocked, balance } = await service.checkRound(
+			makeRound({ game: "blackjack", outcome: { hands: [] } }),
+			sql,
+		);
+
+		expect(unlocked).toEqual([]);
+		expect(balance).toBeUndefined();
+		expect(record).not.toHaveBeenCalled();
+		expect(notified).toEqual([]);
+	});
+});
+
+describe("Achievement routes", () => {
+	const sql = postgres({
+		database: "luckybet",
+	});
+
+	let cookie: string;
+
+	beforeEach(async () => {
+		const res = await makeHttpRequest("POST", "/register", {
+			username: "player",
+			email: "player@example.com",
+			password: "123456",
+		});
+
+		cookie = getSessionCookie(res);
+	});
+
+	afterEach(async () => {
+		try {
+			await sql`DELETE FROM mail_outbox`;
+			await sql`DELETE FROM rate_limit_hits`;
+			await sql`DELETE FROM game_rounds`;
+			await sql`DELETE FROM transactions`;
+			await sql`DELETE FROM users`;
+		} catch (error) {
+			console.error(error);
+		}
+	});
+
+	afterAll(async () => {
+		await sql.end();
+	});
+
+	const getAchievements = async () => {
+		const res = await makeHttpRequest(
+			"GET",
+			"/achievements",
+			{},
+			{ Cookie: cookie },
+		);
+		expect(res.statusCode).toBe(StatusCode.OK);
+
+		return res.body.payload.achievements;
+	};
+
+	test("Should list every achievement as locked for new players", async () => {
+		const achievements = await getAchievements();
+
+		expect(achievements.length).toBeGreaterThan(0);
+		expect(achievements.every((a: any) => a.unlockedAt === null)).toBe(true);
+	});
+
+	test("Should unlock achievements when a round settles", async () => {
+		const res = await makeHttpRequest(
+			"POST",
+			"/play/coinflip",
+			{ guess: "heads", amount: 1000 },
+			{ Cookie: cookie },
+		);
+		expect(res.statusCode).toBe(StatusCode.OK);
+
+		const highRoller = (await getAchievements()).find(
+			(a: any) => a.id === "high-roller",
+		);
+		expect(highRoller.unlockedAt).not.toBeNull();
+	});
+});
@@ -0,0 +1,229 @@
+import postgres from "postgres";
+import UserModel, { UserProps } from "../src/models/UserModel";
+import { StatusCode } from "../src/router/Response";
+import { getSessionCookie, makeHttpRequest } from "./client";
+
+describe("Account status", () => {
+	const makeUser = (props: Partial<UserProps>) =>
+		new UserModel({} as postgres.Sql, {
+			id: 1,
+			username: "user",
+			email: "user@email.com",
+			password: "password",
+			...props,
+		});
+
+	test("Active accounts could be used.", () => {
+		expect(makeUser({ status: "active" }).getAccessError()).toBeNull();
+	});
+
+	test("Banned accounts were blocked.", () => {
+		expect(makeUser({ status: "banned" }).getAccessError()).toBe(
+			"Account banned",
+		);
+	});
+
+	test("Suspensions were lifted once they ended.", () => {
+		const future = new Date(Date.now() + 60_000);
+		const past = new Date(Date.now() - 60_000);
+
+		expect(
+			makeUser({
+				status: "suspended",
+				suspendedUntil: future,
+			}).getAccessError(),
+		).toBe(`Account suspended until ${future.toISOString()}`);
+		expect(
+			makeUser({ status: "suspended", suspendedUntil: past }).getAccessError(),
+		).toBeNull();
+		expect(makeUser({ status: "suspended" }).getAccessError()).toBe(
+			"Account suspended",
+		);
+	});
+});
+
+describe("Admin console", () => {
+	const sql = postgres({
+		database: "luckybet",
+	});
+
+	let adminCookie: string;
+	let playerCookie: string;
+	let playerId: number;
+
+	const register = (username: string) =>
+		makeHttpRequest("POST", "/register", {
+			username,
+			email: `${username}@example.com`,
+			password: "123456",
+		});
+
+	beforeEach(async () => {
+		const admin = await register("admin");
+		await sql`UPDATE users SET role = 'admin' WHERE id = ${admin.body.payload.id}`;
+		const player = await register("player");
+
+		adminCookie = getSessionCookie(admin);
+		playerCookie = getSessionCookie(player);
+		playerId = player.body.payload.id;
+	});
+
+	afterEach(async () => {
+		const tables = ["transactions", "users"];
+
+		try {
+			await sql`DELETE FROM sessions`;
+			for (const table of tables) {
+				await sql.unsafe(`DELETE FROM ${table}`);
+				await sql.unsafe(`ALTER SEQUENCE ${table}_id_seq RESTART WITH 1;`);
+			}
+		} catch (error) {
+			console.error(error);
+		}
+	});
+
+	afterAll(async () => {
+		await sql.end();
+	});
+
+	test("Should keep players out of the admin routes", async () => {
+		const res = await makeHttpRequest(
+			"GET",
+			"/admin/users",
+			{},
+			{
+				Cookie: playerCookie,
+			},
+		);
+
+		expect(res.statusCode).toBe(StatusCode.Forbidden);
+	});
+
+	test("Should find players by username or email", async () => {
+		const res = await makeHttpRequest(
+			"GET",
+			"/admin/users?search=PLAY",
+			{},
+			{ Cookie: adminCookie },
+		);
+
+		expect(res.statusCode).toBe(StatusCode.OK);
+		expect(res.body.payload.total).toBe(1);
+		expect(res.body.payload.users[0].username).toBe("player");
+		expect(res.body.payload.users[0].password).toBeUndefined();
+	});
+
+	test("Should show a player's balance and sessions", async () => {
+		const res = await makeHttpRequest(
+			"GET",
+			`/admin/users/${playerId}`,
+			{},
+			{ Cookie: adminCookie },
+		);
+
+		expect(res.statusCode).toBe(StatusCode.OK);
+		expect(res.body.payload.user.balance).toBe(1000);
+		expect(res.body.payload.sessions).toHaveLength(1);
+		expect(res.body.payload.sessions[0].id).toHaveLength(8);
+	});
+
+	test("Should reply 404 for malformed user IDs", async () => {
+		const res = await makeHttpRequest(
+			"GET",
+			"/admin/users/abc",
+			{},
+			{
+				Cookie: adminCookie,
+			},
+		);
+
+		expect(res.statusCode).toBe(StatusCode.NotFound);
+	});
+
+	test("Should record adjustments with their reason", async () => {
+		const missingReason = await makeHttpRequest(
+			"POST",
+			`/admin/users/${playerId}/adjustments`,
+			{ amount: -50 },
+			{ Cookie: adminCookie },
+		);
+		expect(missingReason.statusCode).toBe(StatusCode.BadRequest);
+
+		const res = await makeHttpRequest(
+			"POST",
+			`/admin/users/${playerId}/adjustments`,
+			{ amount: -50, reason: "Duplicate bonus" },
+			{ Cookie: adminCookie },
+		);
+		expect(res.statusCode).toBe(StatusCode.OK);
+		expect(res.body.payload.balance).toBe(950);
+
+		const [transaction] = await sql`
+			SELECT type, description FROM transactions
+			WHERE user_id = ${playerId} ORDER BY id DESC LIMIT 1
+		`;
+		expect(transaction.type).toBe("adjustment");
+		expect(transaction.description).toContain("Duplicate bonus");
+	});
+
+	test("Should log suspended players out and block their login", async () => {
+		const res = await makeHttpRequest(
+			"PUT",
+			`/admin/users/${playerId}/status`,
+			{ status: "suspended", reason: "Chargeback" },
+			{ Cookie: adminCookie },
+		);
+		expect(res.statusCode).toBe(StatusCode.OK);
+		expect(res.body.payload.status).toBe("suspended");
+
+		const profile = await makeHttpRequest(
+			"GET",
+			"/profile",
+			{},
+			{
+				Cookie: playerCookie,
+			},
+		);
+		expect(profile.statusCode).toBe(StatusCode.Unauthorized);
+
+		const login = await makeHttpRequest("POST", "/login", {
+			email: "player@example.com",
+			password: "123456",
+		});
+		expect(login.statusCode).toBe(StatusCode.Unauthorized);
+		expect(login.body.message).toBe("Account suspended");
+	});
+
+	test("Should not let admins change their own status", async () => {
+		const [admin] = await sql`SELECT id FROM users WHERE role = 'admin'`;
+		const res = await makeHttpRequest(
+			"PUT",
+			`/admin/users/${admin.id}/status`,
+			{ status: "banned", reason: "Oops" },
+			{ Cookie: adminCookie },
+		);
+
+		expect(res.statusCode).toBe(StatusCode.BadRequest);
+	});
+
+	test("Should end every session of a player", async () => {
+		const res = await makeHttpRequest(
+			"DELETE",
+			`/admin/users/${playerId}/sessions`,
+			{},
+			{ Cookie: adminCookie },
+		);
+		expect(res.statusCode).toBe(StatusCode.OK);
+		expect(res.body.payload.count).toBe(1);
+
+		const profile = await makeHttpRequest(
+			"GET",
+			"/profile",
+			{},
+			{
+				Cookie: playerCookie,
+			},
+		);
+		expect(profile.statusCode).toBe(StatusCode.Unauthorized);
+	});
+});
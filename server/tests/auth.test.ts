@@ -1,4 +1,4 @@
-import { makeHttpRequest } from "./client";
+import { getSessionCookie, makeHttpRequest } from "./client";
 import { StatusCode } from "../src/router/Response";
 
 describe("Auth", () => {
@@ -19,19 +19,41 @@ describe("Auth", () => {
 		await makeHttpRequest("POST", "/register", {
 			username: "user1",
 			email: "dupe@example.com",
-			password: "123",
+			password: "123456",
 		});
 
 		const res = await makeHttpRequest("POST", "/register", {
 			username: "user2",
 			email: "dupe@example.com",
-			password: "456",
+			password: "456789",
 		});
 
 		expect(res.statusCode).toBe(StatusCode.BadRequest);
 		expect(res.body.message).toMatch(/already/i);
 	});
 
+	test("Should match emails whatever their case", async () => {
+		await makeHttpRequest("POST", "/register", {
+			username: "caseuser",
+			email: "Case@Example.com",
+			password: "pass123",
+		});
+
+		const dupe = await makeHttpRequest("POST", "/register", {
+			username: "caseuser2",
+			email: "CASE@example.com",
+			password: "pass123",
+		});
+		expect(dupe.statusCode).toBe(StatusCode.BadRequest);
+
+		const res = await makeHttpRequest("POST", "/login", {
+			email: "case@example.COM",
+			password: "pass123",
+		});
+		expect(res.statusCode).toBe(StatusCode.OK);
+		expect(res.body.payload.email).toBe("case@example.com");
+	});
+
 	test("Should log in with valid credentials", async () => {
 		await makeHttpRequest("POST", "/register", {
 			username: "loginuser",
@@ -48,6 +70,34 @@ describe("Auth", () => {
 		expect(res.body.payload.username).toBe("loginuser");
 	});
 
+	test("Should start a new session on login", async () => {
+		const email = `fixed-${Date.now()}@example.com`;
+		const registered = await makeHttpRequest("POST", "/register", {
+			username: "fixeduser",
+			email,
+			password: "123456",
+		});
+		const planted = getSessionCookie(registered);
+
+		const res = await makeHttpRequest(
+			"POST",
+			"/login",
+			{ email, password: "123456" },
+			{ Cookie: planted },
+		);
+
+		expect(res.statusCode).toBe(StatusCode.OK);
+		expect(getSessionCookie(res)).not.toBe(planted);
+
+		const old = await makeHttpRequest(
+			"GET",
+			"/profile",
+			{},
+			{ Cookie: planted },
+		);
+		expect(old.statusCode).toBe(StatusCode.Unauthorized);
+	});
+
 	test("Should reject login with wrong password", async () => {
 		const res = await makeHttpRequest("POST", "/login", {
 			email: "log@example.com",
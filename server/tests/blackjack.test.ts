@@ -0,0 +1,278 @@
+import postgres from "postgres";
+import BlackjackRound, { Card, getHandValue } from "../src/Services/Blackjack";
+import Money from "../src/Money";
+import GameService from "../src/Services/GameService";
+import GameRoundModel from "../src/models/GameRoundModel";
+import BlackjackStakeModel from "../src/models/BlackjackStakeModel";
+import ServerInstanceModel from "../src/models/ServerInstanceModel";
+import LedgerService from "../src/Services/LedgerService";
+import FairService from "../src/Services/FairService";
+import ResponsiblePlayService from "../src/Services/ResponsiblePlayService";
+import AchievementService from "../src/Services/AchievementService";
+import { createRandom } from "../src/Services/ProvablyFair";
+
+/**
+ * Builds a draw function that deals the given card values in order.
+ */
+const stackedDraw = (...values: string[]) => {
+	const cards: Card[] = values.map((value) => ({
+		code: "",
+		value,
+		suit: "SPADES",
+	}));
+
+	return () => {
+		const card = cards.shift();
+		if (!card) throw new Error("Stacked shoe is empty");
+		return card;
+	};
+};
+
+describe("Blackjack", () => {
+	test("Aces count as 1 when 11 would bust", () => {
+		const hand = ["ACE", "ACE", "9"].map(
+			(value): Card => ({ code: "", value, suit: "HEARTS" }),
+		);
+
+		expect(getHandValue(hand)).toBe(21);
+	});
+
+	test("Natural blackjack settles immediately and pays 3:2", () => {
+		// Player: ACE, KING. Dealer: 9, 7.
+		const round = new BlackjackRound(
+			stackedDraw("ACE", "9", "KING", "7"),
+			Money.fromCoins(10),
+		);
+
+		expect(round.phase).toBe("settled");
+		expect(round.hands[0].result).toBe("blackjack");
+		expect(round.getTotalPayout().toNumber()).toBe(25);
+	});
+
+	test("Dealer draws to 17 and a higher hand wins 1:1", () => {
+		// Player: 10, 9. Dealer: 6, 5, then draws 6 => 17.
+		const round = new BlackjackRound(
+			stackedDraw("10", "6", "9", "5", "6"),
+			Money.fromCoins(10),
+		);
+
+		round.stand();
+
+		expect(round.phase).toBe("settled");
+		expect(getHandValue(round.dealer)).toBe(17);
+		expect(round.hands[0].result).toBe("win");
+		expect(round.getTotalPayout().toNumber()).toBe(20);
+	});
+
+	test("Hitting past 21 busts the hand", () => {
+		// Player: 10, 6, then draws KING. Dealer: 10, 7.
+		const round = new BlackjackRound(
+			stackedDraw("10", "10", "6", "7", "KING"),
+			Money.fromCoins(10),
+		);
+
+		round.hit();
+
+		expect(round.phase).toBe("settled");
+		expect(round.hands[0].result).toBe("bust");
+		expect(round.getTotalPayout().toNumber()).toBe(0);
+	});
+
+	test("Doubling draws one card and doubles the bet", () => {
+		// Player: 5, 6, doubles into 10 => 21. Dealer: 10, 8.
+		const round = new BlackjackRound(
+			stackedDraw("5", "10", "6", "8", "10"),
+			Money.fromCoins(10),
+		);
+
+		round.double();
+
+		expect(round.hands[0].bet.toNumber()).toBe(20);
+		expect(round.hands[0].cards).toHaveLength(3);
+		expect(round.hands[0].result).toBe("win");
+		expect(round.getTotalPayout().toNumber()).toBe(40);
+	});
+
+	test("Splitting a pair plays two hands with equal bets", () => {
+		// Player: 8, 8. Dealer: 10, 7. Split hands receive 3 and 10.
+		const round = new BlackjackRound(
+			stackedDraw("8", "10", "8", "7", "3", "10"),
+			Money.fromCoins(10),
+		);
+
+		round.split();
+
+		expect(round.hands).toHaveLength(2);
+		expect(round.getTotalBet().toNumber()).toBe(20);
+
+		round.stand(); // 8 + 3 = 11 loses to 17
+		round.stand(); // 8 + 10 = 18 beats 17
+
+		expect(round.phase).toBe("settled");
+		expect(round.hands.map((hand) => hand.result)).toEqual(["lose", "win"]);
+		expect(round.getTotalPayout().toNumber()).toBe(20);
+	});
+
+	test("Insurance pays 2:1 when the dealer has blackjack", () => {
+		// Player: 10, 9. Dealer: ACE, KING.
+		const round = new BlackjackRound(
+			stackedDraw("10", "ACE", "9", "KING"),
+			Money.fromCoins(10),
+		);
+
+		expect(round.phase).toBe("insurance");
+		expect(() => round.hit()).toThrow();
+
+		round.insure(true);
+
+		expect(round.phase).toBe("settled");
+		expect(round.hands[0].result).toBe("lose");
+		expect(round.getTotalBet().toNumber()).toBe(15);
+		expect(round.getTotalPayout().toNumber()).toBe(15);
+	});
+
+	test("Dealer hole card stays hidden until the round is settled", () => {
+		const round = new BlackjackRound(
+			stackedDraw("10", "6", "9", "5", "6"),
+			Money.fromCoins(10),
+		);
+
+		expect(round.toJSON().dealer[1]).toEqual({ hidden: true });
+
+		round.stand();
+
+		expect(round.toJSON().dealer[1]).toMatchObject({ value: "5" });
+	});
+});
+
+describe("Blackjack stakes", () => {
+	const makeGameService = (
+		next = async () => ({
+			random: createRandom("seed", "client", 0),
+			proof: { serverSeedHash: "hash", clientSeed: "client", nonce: 0 },
+		}),
+	) => {
+		const record = jest.fn(async () => ({ balance: Money.fromCoins(990) }));
+		const stakes = {
+			add: jest.fn(),
+			remove: jest.fn(),
+			removeAbandoned: jest.fn(async () => [
+				{ userId: 1, amount: Money.fromCoins(10) },
+			]),
+		};
+		const gameService = new GameService(
+			{ begin: (fn: any) => fn({}) } as unknown as postgres.Sql,
+			{ record: jest.fn() } as unknown as typeof GameRoundModel,
+			stakes as unknown as typeof BlackjackStakeModel,
+			{ record } as unknown as LedgerService,
+			{ next } as unknown as FairService,
+			{ checkBet: async () => {} } as unknown as ResponsiblePlayService,
+			{ checkRound: async () => ({}) } as unknown as AchievementService,
+		);
+
+		return { gameService, record, stakes };
+	};
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	test("Bets were kept until their round settled", async () => {
+		const { gameService, stakes } = makeGameService();
+
+		let { round } = await gameService.playBlackjack(1, "deal", {
+			amount: Money.fromCoins(10),
+		});
+		expect(stakes.add).toHaveBeenCalledWith(
+			{},
+			1,
+			Money.fromCoins(10),
+			undefined,
+		);
+
+		while (round.phase !== "settled") {
+			expect(stakes.remove).not.toHaveBeenCalled();
+			({ round } =
+				round.phase === "insurance"
+					? await gameService.playBlackjack(1, "insurance", {
+							accept: false,
+						})
+					: await gameService.playBlackjack(1, "stand"));
+		}
+
+		expect(stakes.remove).toHaveBeenCalledWith({}, 1);
+	});
+
+	test("A round that failed to settle was closed", async () => {
+		const { gameService, stakes } = makeGameService();
+		stakes.remove.mockRejectedValueOnce(new Error("Database is down"));
+
+		const playRound = async () => {
+			let { round } = await gameService.playBlackjack(1, "deal", {
+				amount: Money.fromCoins(10),
+			});
+
+			while (round.phase !== "settled") {
+				({ round } =
+					round.phase === "insurance"
+						? await gameService.playBlackjack(1, "insurance", {
+								accept: false,
+							})
+						: await gameService.playBlackjack(1, "stand"));
+			}
+		};
+
+		await expect(playRound()).rejects.toThrow("Database is down");
+		expect(gameService.getBlackjackRound(1)).toBeNull();
+		await expect(playRound()).resolves.toBeUndefined();
+	});
+
+	test("A failed shuffle did not take the bet", async () => {
+		const { gameService, record } = makeGameService(async () => {
+			throw new Error("Database is down");
+		});
+
+		await expect(
+			gameService.playBlackjack(1, "deal", { amount: Money.fromCoins(10) }),
+		).rejects.toThrow("Database is down");
+		expect(record).not.toHaveBeenCalled();
+	});
+
+	test("Bets were tagged with the server dealing the round", async () => {
+		jest.spyOn(ServerInstanceModel, "register").mockResolvedValue(7);
+		jest.spyOn(ServerInstanceModel, "removeStopped").mockResolvedValue();
+		jest.spyOn(ServerInstanceModel, "remove").mockResolvedValue();
+		const { gameService, stakes } = makeGameService();
+
+		await gameService.start();
+		await gameService.playBlackjack(1, "deal", {
+			amount: Money.fromCoins(10),
+		});
+		await gameService.stop();
+
+		expect(stakes.add).toHaveBeenCalledWith({}, 1, Money.fromCoins(10), 7);
+		expect(ServerInstanceModel.remove).toHaveBeenCalledWith(
+			expect.anything(),
+			7,
+		);
+	});
+
+	test("Rounds of servers that stopped were refunded", async () => {
+		const removeStopped = jest
+			.spyOn(ServerInstanceModel, "removeStopped")
+			.mockResolvedValue();
+		const { gameService, record, stakes } = makeGameService();
+
+		expect(await gameService.refundOpenRounds()).toBe(1);
+		expect(removeStopped.mock.invocationCallOrder[0]).toBeLessThan(
+			stakes.removeAbandoned.mock.invocationCallOrder[0],
+		);
+		expect(record).toHaveBeenCalledWith(
+			1,
+			"refund",
+			Money.fromCoins(10),
+			expect.objectContaining({ game: "blackjack" }),
+			{},
+		);
+	});
+});
@@ -0,0 +1,124 @@
+import postgres from "postgres";
+import { StatusCode } from "../src/router/Response";
+import {
+	BASE_REWARD,
+	STREAK_STEP,
+	getBonusStatus,
+	getReward,
+} from "../src/Services/BonusService";
+import { getSessionCookie, makeHttpRequest } from "./client";
+
+const HOUR = 1000 * 60 * 60;
+
+describe("Daily bonus rules", () => {
+	const now = new Date("2025-06-10T12:00:00Z");
+	const hoursAgo = (hours: number) => new Date(now.getTime() - hours * HOUR);
+
+	test("First claim is always available", () => {
+		const status = getBonusStatus(null, now);
+
+		expect(status.canClaim).toBe(true);
+		expect(status.nextReward).toBe(BASE_REWARD);
+	});
+
+	test("Cannot claim twice within 24 hours", () => {
+		const status = getBonusStatus(
+			{ claimedAt: hoursAgo(20), streak: 1 },
+			now,
+		);
+
+		expect(status.canClaim).toBe(false);
+		expect(status.msUntilNextClaim).toBe(4 * HOUR);
+	});
+
+	test("Claiming the next day continues the streak", () => {
+		const status = getBonusStatus(
+			{ claimedAt: hoursAgo(30), streak: 2 },
+			now,
+		);
+
+		expect(status.canClaim).toBe(true);
+		expect(status.nextStreak).toBe(3);
+		expect(status.nextReward).toBe(BASE_REWARD + 2 * STREAK_STEP);
+	});
+
+	test("Missing a day resets the streak", () => {
+		const status = getBonusStatus(
+			{ claimedAt: hoursAgo(50), streak: 5 },
+			now,
+		);
+
+		expect(status.streak).toBe(0);
+		expect(status.nextReward).toBe(BASE_REWARD);
+	});
+
+	test("Rewards stop growing after a week", () => {
+		expect(getReward(30)).toBe(getReward(7));
+	});
+});
+
+describe("Daily bonus routes", () => {
+	const sql = postgres({
+		database: "luckybet",
+	});
+
+	let cookie: string;
+
+	beforeEach(async () => {
+		const res = await makeHttpRequest("POST", "/register", {
+			username: "bonususer",
+			email: `bonus-${Date.now()}@example.com`,
+			password: "123456",
+		});
+
+		cookie = getSessionCookie(res);
+	});
+
+	afterEach(async () => {
+		const tables = ["daily_bonuses", "transactions", "users"];
+
+		try {
+			for (const table of tables) {
+				await sql.unsafe(`DELETE FROM ${table}`);
+				await sql.unsafe(
+					`ALTER SEQUENCE ${table}_id_seq RESTART WITH 1;`,
+				);
+			}
+		} catch (error) {
+			console.error(error);
+		}
+	});
+
+	afterAll(async () => {
+		await sql.end();
+	});
+
+	test("Should claim the bonus once per day", async () => {
+		const first = await makeHttpRequest("POST", "/bonus", {}, {
+			Cookie: cookie,
+		});
+
+		expect(first.statusCode).toBe(StatusCode.OK);
+		expect(first.body.payload.amount).toBe(BASE_REWARD);
+		expect(first.body.payload.streak).toBe(1);
+
+		const second = await makeHttpRequest("POST", "/bonus", {}, {
+			Cookie: cookie,
+		});
+
+		expect(second.statusCode).toBe(StatusCode.Forbidden);
+		expect(second.body.payload.canClaim).toBe(false);
+	});
+
+	test("Should report the time until the next claim", async () => {
+		await makeHttpRequest("POST", "/bonus", {}, { Cookie: cookie });
+
+		const res = await makeHttpRequest("GET", "/bonus/status", {}, {
+			Cookie: cookie,
+		});
+
+		expect(res.statusCode).toBe(StatusCode.OK);
+		expect(res.body.payload.canClaim).toBe(false);
+		expect(res.body.payload.msUntilNextClaim).toBeGreaterThan(0);
+	});
+});
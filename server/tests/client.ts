@@ -1,14 +1,16 @@
-import http, { IncomingMessage } from "http";
+import http, { IncomingHttpHeaders, IncomingMessage } from "http";
 
 export interface HttpResponse {
 	statusCode: number | undefined;
 	body: any;
+	headers: IncomingHttpHeaders;
 }
 
 export const makeHttpRequest = async (
 	method: string,
 	path: string,
 	data = {},
+	headers: Record<string, string> = {},
 ): Promise<HttpResponse> => {
 	const options = {
 		host: "localhost",
@@ -18,6 +20,7 @@ export const makeHttpRequest = async (
 		headers: {
 			"Content-Type": "application/json",
 			"Content-Length": Buffer.byteLength(JSON.stringify(data)),
+			...headers,
 		},
 	};
 
@@ -32,7 +35,9 @@ export const makeHttpRequest = async (
 			response.on("end", () =>
 				resolve({
 					statusCode: response.statusCode,
-					body: JSON.parse(body),
+					// HEAD responses have no body.
+					body: body ? JSON.parse(body) : {},
+					headers: response.headers,
 				}),
 			);
 		});
@@ -42,3 +47,15 @@ export const makeHttpRequest = async (
 		request.end();
 	});
 };
+
+/**
+ * Extracts the session cookie set by a response so it can be sent
+ * back with later requests as the same logged-in user.
+ * @example makeHttpRequest("GET", "/profile", {}, { Cookie: getSessionCookie(res) })
+ */
+export const getSessionCookie = (res: HttpResponse) => {
+	const cookie = res.headers["set-cookie"]?.find((c) =>
+		c.startsWith("session_id="),
+	);
+	return cookie?.split(";")[0] ?? "";
+};
@@ -0,0 +1,168 @@
+import postgres from "postgres";
+import { StatusCode } from "../src/router/Response";
+import Money from "../src/Money";
+import GameService from "../src/Services/GameService";
+import GameRoundModel from "../src/models/GameRoundModel";
+import BlackjackStakeModel from "../src/models/BlackjackStakeModel";
+import TransactionModel from "../src/models/TransactionModel";
+import LedgerService, { STARTING_BALANCE } from "../src/Services/LedgerService";
+import FairService from "../src/Services/FairService";
+import ResponsiblePlayService from "../src/Services/ResponsiblePlayService";
+import AchievementService from "../src/Services/AchievementService";
+import { createRandom } from "../src/Services/ProvablyFair";
+import { getSessionCookie, makeHttpRequest } from "./client";
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("Blackjack actions sent together", () => {
+	const makeGameService = () => {
+		const bets: number[] = [];
+		const record = jest.fn(async (userId: number, type: string) => {
+			if (type === "bet") {
+				bets.push(userId);
+				await sleep(10);
+			}
+			return { balance: Money.fromCoins(990) };
+		});
+		const fairService = {
+			next: async () => ({
+				random: createRandom("seed", "client", 0),
+				proof: { serverSeedHash: "hash", clientSeed: "client", nonce: 0 },
+			}),
+		};
+		const gameService = new GameService(
+			{ begin: (fn: any) => fn({}) } as unknown as postgres.Sql,
+			{ record: jest.fn() } as unknown as typeof GameRoundModel,
+			{
+				add: jest.fn(),
+				remove: jest.fn(),
+			} as unknown as typeof BlackjackStakeModel,
+			{ record } as unknown as LedgerService,
+			fairService as unknown as FairService,
+			{ checkBet: async () => {} } as unknown as ResponsiblePlayService,
+			{ checkRound: async () => ({}) } as unknown as AchievementService,
+		);
+
+		return { gameService, bets };
+	};
+
+	test("Only one of two deals was charged.", async () => {
+		const { gameService, bets } = makeGameService();
+
+		const results = await Promise.allSettled([
+			gameService.playBlackjack(1, "deal", { amount: Money.fromCoins(10) }),
+			gameService.playBlackjack(1, "deal", { amount: Money.fromCoins(10) }),
+		]);
+
+		// The first deal may settle straight away on a blackjack,
+		// in which case the second one starts a new round.
+		const rejected = results.filter((r) => r.status === "rejected");
+		expect(bets).toHaveLength(2 - rejected.length);
+		if (rejected.length > 0) {
+			expect((rejected[0] as PromiseRejectedResult).reason.message).toBe(
+				"A round is already in progress",
+			);
+		}
+	});
+
+	test("Players did not wait on each other.", async () => {
+		const { gameService, bets } = makeGameService();
+
+		await Promise.all([
+			gameService.playBlackjack(1, "deal", { amount: Money.fromCoins(10) }),
+			gameService.playBlackjack(2, "deal", { amount: Money.fromCoins(10) }),
+		]);
+
+		expect(bets).toHaveLength(2);
+	});
+});
+
+describe("Parallel bets", () => {
+	const sql = postgres({
+		database: "luckybet",
+	});
+	const ledgerService = new LedgerService(sql, TransactionModel);
+
+	let cookie: string;
+	let userId: number;
+
+	beforeEach(async () => {
+		const res = await makeHttpRequest("POST", "/register", {
+			username: "raceuser",
+			email: `race-${Date.now()}@example.com`,
+			password: "123456",
+		});
+
+		cookie = getSessionCookie(res);
+		userId = res.body.payload.id;
+	});
+
+	afterEach(async () => {
+		const tables = ["fair_seeds", "game_rounds", "transactions", "users"];
+
+		try {
+			for (const table of tables) {
+				await sql.unsafe(`DELETE FROM ${table}`);
+				await sql.unsafe(`ALTER SEQUENCE ${table}_id_seq RESTART WITH 1;`);
+			}
+		} catch (error) {
+			console.error(error);
+		}
+	});
+
+	afterAll(async () => {
+		await sql.end();
+	});
+
+	const getBalance = async () => {
+		const [user] = await sql`SELECT balance FROM users WHERE id = ${userId}`;
+		return Number(user.balance);
+	};
+
+	test("Should never overdraw with parallel debits", async () => {
+		const amount = 300;
+		const results = await Promise.allSettled(
+			Array.from({ length: 10 }, () =>
+				ledgerService.debit(userId, "bet", Money.fromCoins(amount)),
+			),
+		);
+
+		const accepted = results.filter((r) => r.status === "fulfilled");
+		expect(accepted).toHaveLength(Math.floor(STARTING_BALANCE / amount));
+		expect(await getBalance()).toBe(STARTING_BALANCE % amount);
+	});
+
+	test("Should settle every parallel bet exactly once", async () => {
+		const responses = await Promise.all(
+			Array.from({ length: 20 }, (_, i) =>
+				makeHttpRequest(
+					"POST",
+					i % 2 === 0 ? "/play/coinflip" : "/play/roulette",
+					i % 2 === 0
+						? { guess: "heads", amount: 100 }
+						: { bets: [{ type: "red", amount: 100 }] },
+					{ Cookie: cookie },
+				),
+			),
+		);
+
+		const accepted = responses.filter(
+			(res) => res.statusCode === StatusCode.OK,
+		);
+		const rejected = responses.filter(
+			(res) => res.statusCode !== StatusCode.OK,
+		);
+		const [{ count: rounds }] = await sql`
+			SELECT COUNT(*)::int AS count FROM game_rounds WHERE user_id = ${userId}
+		`;
+
+		expect(rounds).toBe(accepted.length);
+		rejected.forEach((res) =>
+			expect(res.body.message).toBe("Insufficient funds"),
+		);
+
+		const balance = await getBalance();
+		expect(balance).toBeGreaterThanOrEqual(0);
+		expect(await ledgerService.reconcile(userId)).toEqual([]);
+	});
+});
@@ -0,0 +1,369 @@
+import postgres from "postgres";
+import { StatusCode } from "../src/router/Response";
+import {
+	createRandom,
+	generateSeed,
+	hashSeed,
+} from "../src/Services/ProvablyFair";
+import GameService from "../src/Services/GameService";
+import GameRoundModel from "../src/models/GameRoundModel";
+import BlackjackStakeModel from "../src/models/BlackjackStakeModel";
+import FairSeedModel from "../src/models/FairSeedModel";
+import LedgerService from "../src/Services/LedgerService";
+import FairService from "../src/Services/FairService";
+import ResponsiblePlayService from "../src/Services/ResponsiblePlayService";
+import AchievementService from "../src/Services/AchievementService";
+import { spinWheel } from "../src/Services/Roulette";
+import Money from "../src/Money";
+import { MAX_COINS } from "../src/router/validation";
+import { getSessionCookie, makeHttpRequest } from "./client";
+
+describe("Provably fair randomness", () => {
+	const serverSeed = "a".repeat(64);
+
+	test("The same inputs gave the same numbers.", () => {
+		const first = createRandom(serverSeed, "lucky", 3);
+		const second = createRandom(serverSeed, "lucky", 3);
+
+		for (let i = 0; i < 20; i++) {
+			expect(first()).toBe(second());
+		}
+	});
+
+	test("Changing any input changed the numbers.", () => {
+		const value = createRandom(serverSeed, "lucky", 3)();
+
+		expect(createRandom(serverSeed, "lucky", 4)()).not.toBe(value);
+		expect(createRandom(serverSeed, "other", 3)()).not.toBe(value);
+		expect(createRandom("b".repeat(64), "lucky", 3)()).not.toBe(value);
+	});
+
+	test("Numbers stayed in the range [0, 1) past the first digest.", () => {
+		const random = createRandom(generateSeed(), generateSeed(8), 0);
+		const values = Array.from({ length: 100 }, random);
+
+		expect(values.every((n) => n >= 0 && n < 1)).toBe(true);
+		expect(new Set(values).size).toBe(100);
+	});
+
+	test("Seeds were hashed with SHA-256.", () => {
+		expect(hashSeed("abc")).toBe(
+			"ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad",
+		);
+	});
+
+	test("Outcomes were recomputed for every game.", () => {
+		const gameService = new GameService(
+			{} as postgres.Sql,
+			{} as typeof GameRoundModel,
+			{} as typeof BlackjackStakeModel,
+			{} as LedgerService,
+			{} as FairService,
+			{} as ResponsiblePlayService,
+			{} as AchievementService,
+		);
+		const verify = (game: string) =>
+			gameService.verifyOutcome(game, serverSeed, "lucky", 0);
+
+		expect(verify("coinflip").serverSeedHash).toBe(hashSeed(serverSeed));
+		expect(["heads", "tails"]).toContain(verify("coinflip").outcome);
+		expect(verify("roulette").outcome).toEqual(verify("roulette").outcome);
+		expect(verify("blackjack").outcome).toHaveLength(4 * 52);
+		expect(() => verify("poker")).toThrow("Unknown game: poker");
+	});
+
+	test("Pairs in play without a next server seed were given one.", async () => {
+		const committed = {
+			server_seed_hash: "hash",
+			client_seed: "client",
+			nonce: 3,
+			next_server_seed: "next",
+			next_server_seed_hash: "next-hash",
+		};
+		const fairSeedModel = {
+			findActive: async () => ({ ...committed, next_server_seed: null }),
+			commitNext: jest.fn(async (..._args: any[]) => committed),
+		};
+		const fairService = new FairService(
+			{} as postgres.Sql,
+			fairSeedModel as unknown as typeof FairSeedModel,
+		);
+
+		const seeds = await fairService.getSeeds(1);
+
+		const [, , nextServerSeed, nextServerSeedHash] =
+			fairSeedModel.commitNext.mock.calls[0];
+		expect(nextServerSeedHash).toBe(hashSeed(nextServerSeed));
+		expect(seeds).toEqual({
+			serverSeedHash: "hash",
+			clientSeed: "client",
+			nonce: 3,
+			nextServerSeedHash: "next-hash",
+		});
+	});
+
+	test("Outcomes were drawn outside the bet's transaction.", async () => {
+		let inTransaction = false;
+		const drawnInTransaction: boolean[] = [];
+		const gameService = new GameService(
+			{
+				begin: async (fn: any) => {
+					inTransaction = true;
+					try {
+						return await fn({});
+					} finally {
+						inTransaction = false;
+					}
+				},
+			} as unknown as postgres.Sql,
+			{
+				record: async () => {
+					throw new Error("numeric field overflow");
+				},
+			} as unknown as typeof GameRoundModel,
+			{} as typeof BlackjackStakeModel,
+			{
+				record: async () => ({ balance: Money.fromCoins(990) }),
+			} as unknown as LedgerService,
+			{
+				next: async () => {
+					drawnInTransaction.push(inTransaction);
+					return {
+						random: createRandom(serverSeed, "lucky", 0),
+						proof: { serverSeedHash: "hash", clientSeed: "lucky", nonce: 0 },
+					};
+				},
+			} as unknown as FairService,
+			{ checkBet: async () => {} } as unknown as ResponsiblePlayService,
+			{} as AchievementService,
+		);
+
+		// The settlement fails, but the nonce was already used up.
+		await expect(
+			gameService.playCoinFlip(1, "heads", Money.fromCoins(10)),
+		).rejects.toThrow("numeric field overflow");
+		await expect(
+			gameService.playRoulette(1, [
+				{ type: "red", amount: Money.fromCoins(10) },
+			]),
+		).rejects.toThrow("numeric field overflow");
+		expect(drawnInTransaction).toEqual([false, false]);
+	});
+});
+
+describe("Fair routes", () => {
+	const sql = postgres({
+		database: "luckybet",
+	});
+
+	let cookie: string;
+
+	beforeEach(async () => {
+		const res = await makeHttpRequest("POST", "/register", {
+			username: "fairuser",
+			email: `fair-${Date.now()}@example.com`,
+			password: "123456",
+		});
+
+		cookie = getSessionCookie(res);
+	});
+
+	afterEach(async () => {
+		const tables = ["fair_seeds", "game_rounds", "transactions", "users"];
+
+		try {
+			for (const table of tables) {
+				await sql.unsafe(`DELETE FROM ${table}`);
+				await sql.unsafe(`ALTER SEQUENCE ${table}_id_seq RESTART WITH 1;`);
+			}
+		} catch (error) {
+			console.error(error);
+		}
+	});
+
+	afterAll(async () => {
+		await sql.end();
+	});
+
+	test("Should commit to a server seed before play", async () => {
+		const res = await makeHttpRequest(
+			"GET",
+			"/fair",
+			{},
+			{ Cookie: cookie },
+		);
+
+		expect(res.statusCode).toBe(StatusCode.OK);
+		expect(res.body.payload.serverSeedHash).toMatch(/^[0-9a-f]{64}$/);
+		expect(res.body.payload.nextServerSeedHash).toMatch(/^[0-9a-f]{64}$/);
+		expect(res.body.payload.nextServerSeedHash).not.toBe(
+			res.body.payload.serverSeedHash,
+		);
+		expect(res.body.payload.nonce).toBe(0);
+	});
+
+	test("Should rotate to the server seed committed to beforehand", async () => {
+		const { body: seeds } = await makeHttpRequest(
+			"GET",
+			"/fair",
+			{},
+			{ Cookie: cookie },
+		);
+
+		const rotated = await makeHttpRequest(
+			"POST",
+			"/fair/rotate",
+			{ clientSeed: "chosen-after" },
+			{ Cookie: cookie },
+		);
+		const { current } = rotated.body.payload;
+
+		expect(current.serverSeedHash).toBe(seeds.payload.nextServerSeedHash);
+		expect(current.clientSeed).toBe("chosen-after");
+		expect(current.nextServerSeedHash).toMatch(/^[0-9a-f]{64}$/);
+		expect(current.nextServerSeedHash).not.toBe(current.serverSeedHash);
+	});
+
+	test("Should use a new nonce for every bet", async () => {
+		const flip = () =>
+			makeHttpRequest(
+				"POST",
+				"/play/coinflip",
+				{ guess: "heads", amount: 10 },
+				{ Cookie: cookie },
+			);
+
+		const first = await flip();
+		const second = await flip();
+
+		expect(first.body.payload.fair.nonce).toBe(0);
+		expect(second.body.payload.fair.nonce).toBe(1);
+	});
+
+	test("Should use up the nonce of a bet that fails", async () => {
+		const res = await makeHttpRequest(
+			"POST",
+			"/play/coinflip",
+			{ guess: "heads", amount: 1_000_000 },
+			{ Cookie: cookie },
+		);
+		expect(res.statusCode).toBe(StatusCode.BadRequest);
+
+		const seeds = await makeHttpRequest(
+			"GET",
+			"/fair",
+			{},
+			{ Cookie: cookie },
+		);
+		expect(seeds.body.payload.nonce).toBe(1);
+	});
+
+	test("Should pay out wins past the largest bet", async () => {
+		await makeHttpRequest("GET", "/fair", {}, { Cookie: cookie });
+		const [seeds] = await sql`
+			SELECT server_seed, client_seed, nonce FROM fair_seeds
+			WHERE revealed_at IS NULL
+		`;
+		const { number } = spinWheel(
+			createRandom(seeds.server_seed, seeds.client_seed, seeds.nonce),
+		);
+		await sql`UPDATE users SET balance = 3000000`;
+
+		const res = await makeHttpRequest(
+			"POST",
+			"/play/roulette",
+			{ bets: [{ type: "straight", numbers: [number], amount: 2_900_000 }] },
+			{ Cookie: cookie },
+		);
+
+		expect(res.statusCode).toBe(StatusCode.OK);
+		expect(res.body.payload.result).toBe(number);
+		expect(res.body.payload.totalPayout).toBe(104_400_000);
+		expect(res.body.payload.newBalance).toBeGreaterThan(MAX_COINS);
+	});
+
+	test("Should reveal the server seed and verify past outcomes", async () => {
+		const { body: seeds } = await makeHttpRequest(
+			"GET",
+			"/fair",
+			{},
+			{ Cookie: cookie },
+		);
+		const { body: flip } = await makeHttpRequest(
+			"POST",
+			"/play/coinflip",
+			{ guess: "heads", amount: 10 },
+			{ Cookie: cookie },
+		);
+
+		const rotated = await makeHttpRequest(
+			"POST",
+			"/fair/rotate",
+			{ clientSeed: "my-new-seed" },
+			{ Cookie: cookie },
+		);
+		const { previous, current } = rotated.body.payload;
+
+		expect(rotated.statusCode).toBe(StatusCode.OK);
+		expect(hashSeed(previous.serverSeed)).toBe(seeds.payload.serverSeedHash);
+		expect(current.clientSeed).toBe("my-new-seed");
+		expect(current.serverSeedHash).not.toBe(previous.serverSeedHash);
+
+		const params = new URLSearchParams({
+			game: "coinflip",
+			serverSeed: previous.serverSeed,
+			clientSeed: flip.payload.fair.clientSeed,
+			nonce: flip.payload.fair.nonce.toString(),
+		});
+		const verified = await makeHttpRequest("GET", `/fair/verify?${params}`);
+
+		expect(verified.statusCode).toBe(StatusCode.OK);
+		expect(verified.body.payload.outcome).toBe(flip.payload.outcome);
+	});
+
+	test("Should verify outcomes whose client seed has a dot", async () => {
+		const serverSeed = "a".repeat(64);
+		const params = new URLSearchParams({
+			game: "coinflip",
+			serverSeed,
+			clientSeed: "alice.example",
+			nonce: "0",
+		});
+
+		const res = await makeHttpRequest("GET", `/fair/verify?${params}`);
+
+		expect(res.statusCode).toBe(StatusCode.OK);
+		expect(res.body.payload.clientSeed).toBe("alice.example");
+		expect(res.body.payload.serverSeedHash).toBe(hashSeed(serverSeed));
+		expect(["heads", "tails"]).toContain(res.body.payload.outcome);
+	});
+
+	test("Should not rotate seeds during a Blackjack round", async () => {
+		await makeHttpRequest(
+			"POST",
+			"/play/blackjack",
+			{ action: "deal", amount: 10 },
+			{ Cookie: cookie },
+		);
+
+		const res = await makeHttpRequest(
+			"POST",
+			"/fair/rotate",
+			{},
+			{ Cookie: cookie },
+		);
+
+		// The deal may have settled straight away on a blackjack.
+		const round = await makeHttpRequest(
+			"GET",
+			"/play/blackjack",
+			{},
+			{ Cookie: cookie },
+		);
+		if (round.body.payload.round) {
+			expect(res.statusCode).toBe(StatusCode.BadRequest);
+		} else {
+			expect(res.statusCode).toBe(StatusCode.OK);
+		}
+	});
+});
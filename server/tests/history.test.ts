@@ -0,0 +1,99 @@
+import postgres from "postgres";
+import { StatusCode } from "../src/router/Response";
+import { getSessionCookie, makeHttpRequest } from "./client";
+
+describe("Game history", () => {
+	const sql = postgres({
+		database: "luckybet",
+	});
+
+	let cookie: string;
+
+	beforeEach(async () => {
+		const res = await makeHttpRequest("POST", "/register", {
+			username: "historyuser",
+			email: `history-${Date.now()}@example.com`,
+			password: "123456",
+		});
+
+		cookie = getSessionCookie(res);
+	});
+
+	afterEach(async () => {
+		const tables = ["game_rounds", "transactions", "users"];
+
+		try {
+			for (const table of tables) {
+				await sql.unsafe(`DELETE FROM ${table}`);
+				await sql.unsafe(
+					`ALTER SEQUENCE ${table}_id_seq RESTART WITH 1;`,
+				);
+			}
+		} catch (error) {
+			console.error(error);
+		}
+	});
+
+	afterAll(async () => {
+		await sql.end();
+	});
+
+	test("Should reject unauthenticated history access", async () => {
+		const res = await makeHttpRequest("GET", "/games/history");
+		expect(res.statusCode).toBe(StatusCode.Unauthorized);
+	});
+
+	test("Should record every settled round", async () => {
+		await makeHttpRequest(
+			"POST",
+			"/play/coinflip",
+			{ guess: "heads", amount: 10 },
+			{ Cookie: cookie },
+		);
+		await makeHttpRequest(
+			"POST",
+			"/play/roulette",
+			{ bets: [{ type: "red", amount: 10 }] },
+			{ Cookie: cookie },
+		);
+
+		const res = await makeHttpRequest("GET", "/games/history", {}, {
+			Cookie: cookie,
+		});
+
+		expect(res.statusCode).toBe(StatusCode.OK);
+		expect(res.body.payload.total).toBe(2);
+		expect(res.body.payload.rounds[0].game).toBe("roulette");
+		expect(res.body.payload.rounds[1].game).toBe("coinflip");
+	});
+
+	test("Should filter history by game", async () => {
+		await makeHttpRequest(
+			"POST",
+			"/play/coinflip",
+			{ guess: "tails", amount: 5 },
+			{ Cookie: cookie },
+		);
+
+		const res = await makeHttpRequest(
+			"GET",
+			"/games/history?game=roulette",
+			{},
+			{ Cookie: cookie },
+		);
+
+		expect(res.statusCode).toBe(StatusCode.OK);
+		expect(res.body.payload.rounds).toHaveLength(0);
+	});
+
+	test("Should reject an unknown game filter", async () => {
+		const res = await makeHttpRequest(
+			"GET",
+			"/games/history?game=poker",
+			{},
+			{ Cookie: cookie },
+		);
+
+		expect(res.statusCode).toBe(StatusCode.BadRequest);
+	});
+});
@@ -57,4 +57,44 @@ describe("HTTP operations", () => {
 		expect(Object.keys(body).includes("payload")).toBe(false);
 		expect(body.message).toBe("Invalid route: GET /foo");
 	});
+
+	test("Missing static file returned 404.", async () => {
+		const { statusCode, body }: HttpResponse = await makeHttpRequest(
+			"GET",
+			"/missing.css",
+		);
+
+		expect(statusCode).toBe(StatusCode.NotFound);
+		expect(body.message).toBe("File not found: /missing.css");
+	});
+
+	test("Dot in the query string was routed, not served as a file.", async () => {
+		const { statusCode, body }: HttpResponse = await makeHttpRequest(
+			"GET",
+			"/foo?search=alice.example",
+		);
+
+		expect(statusCode).toBe(StatusCode.NotFound);
+		expect(body.message).toBe("Invalid route: GET /foo?search=alice.example");
+	});
+
+	test("Wrong method on an existing path returned 405.", async () => {
+		const { statusCode, body, headers }: HttpResponse =
+			await makeHttpRequest("DELETE", "/play/blackjack");
+
+		expect(statusCode).toBe(StatusCode.MethodNotAllowed);
+		expect(headers.allow).toBe("GET, HEAD, POST");
+		expect(body.message).toBe(
+			"Method DELETE not allowed for /play/blackjack",
+		);
+	});
+
+	test("HEAD request returned headers without a body.", async () => {
+		const { statusCode, body, headers }: HttpResponse =
+			await makeHttpRequest("HEAD", "/");
+
+		expect(statusCode).toBe(StatusCode.OK);
+		expect(headers["content-type"]).toBe("application/json");
+		expect(body).toEqual({});
+	});
 });
@@ -0,0 +1,140 @@
+import postgres from "postgres";
+import { StatusCode } from "../src/router/Response";
+import { getSessionCookie, makeHttpRequest } from "./client";
+
+describe("Leaderboard", () => {
+	const sql = postgres({
+		database: "luckybet",
+	});
+
+	let cookie: string;
+	let aliceId: number;
+	let bobId: number;
+
+	const register = (username: string) =>
+		makeHttpRequest("POST", "/register", {
+			username,
+			email: `${username}-${Date.now()}@example.com`,
+			password: "123456",
+		});
+
+	const addRound = (
+		userId: number,
+		bet: number,
+		payout: number,
+		daysAgo = 0,
+	) => sql`
+		INSERT INTO game_rounds (user_id, game, bet, payout, result, created_at)
+		VALUES (
+			${userId}, 'coinflip', ${bet}, ${payout},
+			${payout > bet ? "win" : payout === bet ? "push" : "loss"},
+			NOW() - ${daysAgo}::int * INTERVAL '1 day'
+		)
+	`;
+
+	beforeEach(async () => {
+		const alice = await register("alice");
+		const bob = await register("bob");
+
+		cookie = getSessionCookie(bob);
+		aliceId = alice.body.payload.id;
+		bobId = bob.body.payload.id;
+	});
+
+	afterEach(async () => {
+		const tables = ["game_rounds", "transactions", "users"];
+
+		try {
+			for (const table of tables) {
+				await sql.unsafe(`DELETE FROM ${table}`);
+				await sql.unsafe(`ALTER SEQUENCE ${table}_id_seq RESTART WITH 1;`);
+			}
+		} catch (error) {
+			console.error(error);
+		}
+	});
+
+	afterAll(async () => {
+		await sql.end();
+	});
+
+	test("Should rank players by net winnings without their emails", async () => {
+		await addRound(aliceId, 10, 50);
+		await addRound(bobId, 10, 20);
+		await addRound(bobId, 10, 0);
+
+		const res = await makeHttpRequest("GET", "/leaderboard");
+		const { entries, total, viewer } = res.body.payload;
+
+		expect(res.statusCode).toBe(StatusCode.OK);
+		expect(total).toBe(2);
+		expect(
+			entries.map((e: any) => [e.rank, e.username, e.netWinnings]),
+		).toEqual([
+			[1, "alice", 40],
+			[2, "bob", 0],
+		]);
+		expect(JSON.stringify(res.body)).not.toContain("@example.com");
+		expect(viewer).toBeNull();
+	});
+
+	test("Should show the viewer's own position", async () => {
+		await addRound(aliceId, 100, 0);
+		await addRound(bobId, 10, 10);
+		await addRound(bobId, 20, 20);
+
+		const res = await makeHttpRequest(
+			"GET",
+			"/leaderboard?type=wagered&limit=1",
+			{},
+			{ Cookie: cookie },
+		);
+		const { entries, total, viewer } = res.body.payload;
+
+		expect(entries).toHaveLength(1);
+		expect(total).toBe(2);
+		expect(viewer).toMatchObject({ rank: 2, username: "bob", wagered: 30 });
+	});
+
+	test("Should only count rounds inside the period", async () => {
+		await addRound(aliceId, 10, 500, 3);
+		await addRound(bobId, 10, 30, 3);
+		await addRound(bobId, 10, 20);
+
+		const day = await makeHttpRequest(
+			"GET",
+			"/leaderboard?type=biggest-win&period=day",
+		);
+		const week = await makeHttpRequest(
+			"GET",
+			"/leaderboard?type=biggest-win&period=week",
+		);
+
+		expect(day.body.payload.entries).toHaveLength(1);
+		expect(day.body.payload.entries[0].biggestWin).toBe(10);
+		expect(week.body.payload.entries[0]).toMatchObject({
+			username: "alice",
+			biggestWin: 490,
+		});
+	});
+
+	test("Should only rank win rates over enough rounds", async () => {
+		await addRound(aliceId, 10, 20);
+		for (let i = 0; i < 10; i++) {
+			await addRound(bobId, 10, i < 4 ? 20 : 0);
+		}
+
+		const res = await makeHttpRequest("GET", "/leaderboard?type=win-rate");
+
+		expect(res.body.payload.entries).toHaveLength(1);
+		expect(res.body.payload.entries[0]).toMatchObject({
+			username: "bob",
+			winRate: 0.4,
+		});
+	});
+
+	test("Should reject an unknown leaderboard", async () => {
+		const res = await makeHttpRequest("GET", "/leaderboard?type=balance");
+		expect(res.statusCode).toBe(StatusCode.BadRequest);
+	});
+});
@@ -0,0 +1,104 @@
+import postgres from "postgres";
+import { StatusCode } from "../src/router/Response";
+import Money from "../src/Money";
+import TransactionModel from "../src/models/TransactionModel";
+import LedgerService, { STARTING_BALANCE } from "../src/Services/LedgerService";
+import { getSessionCookie, makeHttpRequest } from "./client";
+
+describe("Coin ledger", () => {
+	const sql = postgres({
+		database: "luckybet",
+	});
+	const ledgerService = new LedgerService(sql, TransactionModel);
+
+	let cookie: string;
+	let userId: number;
+
+	beforeEach(async () => {
+		const res = await makeHttpRequest("POST", "/register", {
+			username: "ledgeruser",
+			email: `ledger-${Date.now()}@example.com`,
+			password: "123456",
+		});
+
+		cookie = getSessionCookie(res);
+		userId = res.body.payload.id;
+	});
+
+	afterEach(async () => {
+		const tables = ["game_rounds", "transactions", "users"];
+
+		try {
+			for (const table of tables) {
+				await sql.unsafe(`DELETE FROM ${table}`);
+				await sql.unsafe(
+					`ALTER SEQUENCE ${table}_id_seq RESTART WITH 1;`,
+				);
+			}
+		} catch (error) {
+			console.error(error);
+		}
+	});
+
+	afterAll(async () => {
+		await sql.end();
+	});
+
+	test("Should credit new accounts through the ledger", async () => {
+		const res = await makeHttpRequest("GET", "/coins/transactions", {}, {
+			Cookie: cookie,
+		});
+
+		expect(res.statusCode).toBe(StatusCode.OK);
+		expect(res.body.payload.total).toBe(1);
+		expect(res.body.payload.transactions[0].type).toBe("bonus");
+		expect(Number(res.body.payload.transactions[0].amount)).toBe(
+			STARTING_BALANCE,
+		);
+	});
+
+	test("Should record a bet for every game played", async () => {
+		await makeHttpRequest(
+			"POST",
+			"/play/coinflip",
+			{ guess: "heads", amount: 10 },
+			{ Cookie: cookie },
+		);
+
+		const res = await makeHttpRequest(
+			"GET",
+			"/coins/transactions?type=bet",
+			{},
+			{ Cookie: cookie },
+		);
+
+		expect(res.statusCode).toBe(StatusCode.OK);
+		expect(res.body.payload.transactions).toHaveLength(1);
+		expect(Number(res.body.payload.transactions[0].amount)).toBe(-10);
+	});
+
+	test("Should reject a debit larger than the balance", async () => {
+		await expect(
+			ledgerService.debit(
+				userId,
+				"bet",
+				Money.fromCoins(STARTING_BALANCE + 1),
+			),
+		).rejects.toThrow("Insufficient funds");
+	});
+
+	test("Should report balances that drift from the ledger", async () => {
+		expect(await ledgerService.reconcile(userId)).toHaveLength(0);
+
+		await sql`UPDATE users SET balance = balance + 5 WHERE id = ${userId}`;
+
+		const drifts = await ledgerService.reconcile(userId);
+		expect(drifts).toHaveLength(1);
+		expect(drifts[0].drift.toNumber()).toBe(5);
+	});
+
+	test("Should reject unauthenticated transaction access", async () => {
+		const res = await makeHttpRequest("GET", "/coins/transactions");
+		expect(res.statusCode).toBe(StatusCode.Unauthorized);
+	});
+});
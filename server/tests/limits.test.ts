@@ -0,0 +1,208 @@
+import postgres from "postgres";
+import Money from "../src/Money";
+import { DEFAULT_LIMITS } from "../src/models/PlayLimitModel";
+import TransactionModel from "../src/models/TransactionModel";
+import LedgerService from "../src/Services/LedgerService";
+import { findExceededLimit } from "../src/Services/ResponsiblePlayService";
+import { StatusCode } from "../src/router/Response";
+import { getSessionCookie, makeHttpRequest } from "./client";
+
+describe("Play limits", () => {
+	const usage = {
+		dailyLoss: Money.fromCoins(80),
+		weeklyLoss: Money.fromCoins(300),
+		dailyWager: Money.fromCoins(200),
+		weeklyWager: Money.fromCoins(900),
+	};
+
+	test("Players without limits could always bet.", () => {
+		expect(findExceededLimit(DEFAULT_LIMITS, usage)).toBeNull();
+	});
+
+	test("Usage up to a limit was allowed.", () => {
+		const limits = { ...DEFAULT_LIMITS, dailyLoss: Money.fromCoins(80) };
+		expect(findExceededLimit(limits, usage)).toBeNull();
+	});
+
+	test("Usage past a limit was refused.", () => {
+		expect(
+			findExceededLimit(
+				{ ...DEFAULT_LIMITS, weeklyWager: Money.fromCoins(500) },
+				usage,
+			),
+		).toBe("Bet exceeds your weekly wager limit of 500.00");
+		expect(
+			findExceededLimit(
+				{ ...DEFAULT_LIMITS, dailyLoss: Money.fromCoins(50) },
+				usage,
+			),
+		).toBe("Bet exceeds your daily loss limit of 50.00");
+	});
+
+	test("Winnings were not counted as losses.", () => {
+		const limits = { ...DEFAULT_LIMITS, dailyLoss: Money.fromCoins(10) };
+		const winning = { ...usage, dailyLoss: Money.fromCoins(-50) };
+
+		expect(findExceededLimit(limits, winning)).toBeNull();
+	});
+});
+
+describe("Responsible play routes", () => {
+	const sql = postgres({
+		database: "luckybet",
+	});
+
+	let cookie: string;
+
+	const flip = (amount: number) =>
+		makeHttpRequest(
+			"POST",
+			"/play/coinflip",
+			{ guess: "heads", amount },
+			{ Cookie: cookie },
+		);
+
+	beforeEach(async () => {
+		const res = await makeHttpRequest("POST", "/register", {
+			username: "player",
+			email: `player-${Date.now()}@example.com`,
+			password: "123456",
+		});
+
+		cookie = getSessionCookie(res);
+	});
+
+	afterEach(async () => {
+		const tables = ["fair_seeds", "game_rounds", "transactions", "users"];
+
+		try {
+			await sql`DELETE FROM play_limits`;
+			for (const table of tables) {
+				await sql.unsafe(`DELETE FROM ${table}`);
+				await sql.unsafe(`ALTER SEQUENCE ${table}_id_seq RESTART WITH 1;`);
+			}
+		} catch (error) {
+			console.error(error);
+		}
+	});
+
+	afterAll(async () => {
+		await sql.end();
+	});
+
+	test("Should start with a one-hour reminder and no limits", async () => {
+		const res = await makeHttpRequest(
+			"GET",
+			"/responsible-play",
+			{},
+			{
+				Cookie: cookie,
+			},
+		);
+
+		expect(res.statusCode).toBe(StatusCode.OK);
+		expect(res.body.payload.limits).toEqual({
+			dailyLoss: null,
+			weeklyLoss: null,
+			dailyWager: null,
+			weeklyWager: null,
+			reminderMinutes: 60,
+		});
+		expect(res.body.payload.excludedUntil).toBeNull();
+		expect(res.body.payload.sessionStartedAt).toBeDefined();
+	});
+
+	test("Should keep the reminder unless it is changed or cleared", async () => {
+		const setLimits = async (limits: object) => {
+			const res = await makeHttpRequest(
+				"PUT",
+				"/responsible-play/limits",
+				limits,
+				{ Cookie: cookie },
+			);
+			expect(res.statusCode).toBe(StatusCode.OK);
+
+			return res.body.payload.limits.reminderMinutes;
+		};
+
+		expect(await setLimits({ dailyWager: 25 })).toBe(60);
+		expect(await setLimits({ reminderMinutes: 30 })).toBe(30);
+		expect(await setLimits({ dailyWager: 50 })).toBe(30);
+		expect(await setLimits({ reminderMinutes: null })).toBeNull();
+	});
+
+	test("Should refuse bets past the daily wager limit", async () => {
+		await makeHttpRequest(
+			"PUT",
+			"/responsible-play/limits",
+			{ dailyWager: 25, reminderMinutes: 30 },
+			{ Cookie: cookie },
+		);
+
+		expect((await flip(20)).statusCode).toBe(StatusCode.OK);
+
+		const refused = await flip(10);
+		expect(refused.statusCode).toBe(StatusCode.BadRequest);
+		expect(refused.body.message).toBe(
+			"Bet exceeds your daily wager limit of 25.00",
+		);
+
+		// The refused bet was rolled back.
+		const [{ count }] = await sql`
+			SELECT COUNT(*)::int AS count FROM transactions WHERE type = 'bet'
+		`;
+		expect(count).toBe(1);
+	});
+
+	test("Should not count refunded bets as losses", async () => {
+		const [user] = await sql`SELECT id FROM users`;
+		const ledgerService = new LedgerService(sql, TransactionModel);
+		const options = { game: "blackjack" };
+		await ledgerService.debit(user.id, "bet", Money.fromCoins(50), options);
+		await ledgerService.credit(user.id, "refund", Money.fromCoins(50), options);
+
+		const res = await makeHttpRequest(
+			"GET",
+			"/responsible-play",
+			{},
+			{ Cookie: cookie },
+		);
+
+		expect(res.body.payload.usage).toEqual({
+			dailyLoss: 0,
+			weeklyLoss: 0,
+			dailyWager: 0,
+			weeklyWager: 0,
+		});
+	});
+
+	test("Should block play during self-exclusion and never shorten it", async () => {
+		const res = await makeHttpRequest(
+			"POST",
+			"/responsible-play/exclusion",
+			{ days: 7 },
+			{ Cookie: cookie },
+		);
+		expect(res.statusCode).toBe(StatusCode.OK);
+
+		const refused = await flip(10);
+		expect(refused.statusCode).toBe(StatusCode.BadRequest);
+		expect(refused.body.message).toMatch(/^Self-excluded until /);
+
+		const shorter = await makeHttpRequest(
+			"POST",
+			"/responsible-play/exclusion",
+			{ days: 1 },
+			{ Cookie: cookie },
+		);
+		expect(shorter.statusCode).toBe(StatusCode.BadRequest);
+
+		const longer = await makeHttpRequest(
+			"POST",
+			"/responsible-play/exclusion",
+			{ days: 30 },
+			{ Cookie: cookie },
+		);
+		expect(longer.statusCode).toBe(StatusCode.OK);
+	});
+});
@@ -0,0 +1,160 @@
+import { IncomingMessage } from "http";
+import postgres from "postgres";
+import { requireAuth, requireRole } from "../src/auth/middleware";
+import UserModel from "../src/models/UserModel";
+import Request from "../src/router/Request";
+import Response, { ResponseProps, StatusCode } from "../src/router/Response";
+import SessionManager from "../src/auth/SessionManager";
+
+/**
+ * Builds a Request with a fresh session and a Response that records what was sent.
+ */
+const makeExchange = () => {
+	const sent: ResponseProps[] = [];
+	const req = new Request({ headers: {} } as IncomingMessage);
+	req.session = SessionManager.getInstance().createSession();
+
+	const res = {
+		send: async (props: ResponseProps) => {
+			sent.push(props);
+		},
+	} as unknown as Response;
+
+	return { req, res, sent };
+};
+
+afterAll(() => {
+	SessionManager.getInstance().stopCleanUp();
+});
+
+describe("requireRole", () => {
+	const makeUser = (role: "player" | "admin") =>
+		new UserModel({} as postgres.Sql, {
+			id: 1,
+			username: "user",
+			email: "user@email.com",
+			password: "password",
+			role,
+		});
+
+	test("Users with the role were let through.", async () => {
+		const { req, res, sent } = makeExchange();
+		const next = jest.fn();
+		req.user = makeUser("admin");
+
+		await requireRole("admin")(req, res, next);
+
+		expect(next).toHaveBeenCalled();
+		expect(sent).toHaveLength(0);
+	});
+
+	test("Users without the role were forbidden.", async () => {
+		const { req, res, sent } = makeExchange();
+		const next = jest.fn();
+		req.user = makeUser("player");
+
+		await requireRole("admin")(req, res, next);
+
+		expect(next).not.toHaveBeenCalled();
+		expect(sent[0].statusCode).toBe(StatusCode.Forbidden);
+	});
+
+	test("Anonymous requests were unauthorized.", async () => {
+		const { req, res, sent } = makeExchange();
+		const next = jest.fn();
+
+		await requireRole("admin")(req, res, next);
+
+		expect(next).not.toHaveBeenCalled();
+		expect(sent[0].statusCode).toBe(StatusCode.Unauthorized);
+	});
+});
+
+describe("requireAuth", () => {
+	const sql = postgres({
+		database: "luckybet",
+	});
+
+	afterEach(async () => {
+		const tables = ["users"];
+
+		try {
+			for (const table of tables) {
+				await sql.unsafe(`DELETE FROM ${table}`);
+				await sql.unsafe(
+					`ALTER SEQUENCE ${table}_id_seq RESTART WITH 1;`,
+				);
+			}
+		} catch (error) {
+			console.error(error);
+		}
+	});
+
+	afterAll(async () => {
+		await sql.end();
+	});
+
+	test("The session's user was attached to the request.", async () => {
+		const user = await UserModel.create(sql, {
+			username: "user",
+			email: "user@email.com",
+			password: "password",
+		});
+		const { req, res } = makeExchange();
+		const next = jest.fn();
+		req.session.set("user", { id: user.props.id });
+
+		await requireAuth(sql)(req, res, next);
+
+		expect(next).toHaveBeenCalled();
+		expect(req.user?.props.email).toBe("user@email.com");
+		expect(req.user?.props.role).toBe("player");
+		expect(req.getUserId()).toBe(user.props.id);
+	});
+
+	test("Requests without a logged-in user were unauthorized.", async () => {
+		const { req, res, sent } = makeExchange();
+		const next = jest.fn();
+
+		await requireAuth(sql)(req, res, next);
+
+		expect(next).not.toHaveBeenCalled();
+		expect(sent[0]).toEqual({
+			statusCode: StatusCode.Unauthorized,
+			message: "Not logged in",
+		});
+	});
+
+	test("Sessions of deleted users were cleared.", async () => {
+		const { req, res, sent } = makeExchange();
+		const next = jest.fn();
+		req.session.set("user", { id: 999 });
+
+		await requireAuth(sql)(req, res, next);
+
+		expect(next).not.toHaveBeenCalled();
+		expect(sent[0].statusCode).toBe(StatusCode.Unauthorized);
+		expect(req.session.get("user")).toBeNull();
+	});
+
+	test("Suspended users were logged out.", async () => {
+		const user = await UserModel.create(sql, {
+			username: "user",
+			email: "user@email.com",
+			password: "password",
+			status: "suspended",
+		});
+		const { req, res, sent } = makeExchange();
+		const next = jest.fn();
+		req.session.set("user", { id: user.props.id });
+
+		await requireAuth(sql)(req, res, next);
+
+		expect(next).not.toHaveBeenCalled();
+		expect(sent[0]).toEqual({
+			statusCode: StatusCode.Forbidden,
+			message: "Account suspended",
+		});
+		expect(req.session.get("user")).toBeNull();
+	});
+});
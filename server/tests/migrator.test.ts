@@ -0,0 +1,146 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import postgres from "postgres";
+import Migrator, { groupMigrations } from "../src/database/Migrator";
+
+describe("Migration files", () => {
+	test("Up and down files are paired and ordered by version.", () => {
+		const migrations = groupMigrations([
+			"0002_create_game_rounds.down.sql",
+			"0001_create_users.up.sql",
+			"README.md",
+			"0002_create_game_rounds.up.sql",
+			"0001_create_users.down.sql",
+		]);
+
+		expect(migrations).toEqual([
+			{
+				version: 1,
+				name: "create_users",
+				upFile: "0001_create_users.up.sql",
+				downFile: "0001_create_users.down.sql",
+			},
+			{
+				version: 2,
+				name: "create_game_rounds",
+				upFile: "0002_create_game_rounds.up.sql",
+				downFile: "0002_create_game_rounds.down.sql",
+			},
+		]);
+	});
+
+	test("A migration without a down file is rejected.", () => {
+		expect(() => groupMigrations(["0001_create_users.up.sql"])).toThrow(
+			"Migration 1_create_users has no down file",
+		);
+	});
+
+	test("Two migrations cannot share a version.", () => {
+		expect(() =>
+			groupMigrations([
+				"0001_create_users.up.sql",
+				"0001_create_games.up.sql",
+			]),
+		).toThrow("share version 1");
+	});
+
+	test("The repository's migrations are complete.", async () => {
+		const filenames = await fs.readdir(
+			path.join(__dirname, "..", "migrations"),
+		);
+
+		expect(groupMigrations(filenames).length).toBeGreaterThan(0);
+	});
+});
+
+describe("Migrator", () => {
+	// Set up the connection to the DB.
+	const sql = postgres({
+		database: "luckybet",
+		onnotice: () => {},
+	});
+
+	let directory: string;
+	let migrator: Migrator;
+
+	// Versions far above the real migrations so they are applied and reverted last.
+	beforeAll(async () => {
+		directory = await fs.mkdtemp(path.join(os.tmpdir(), "migrations-"));
+
+		await fs.writeFile(
+			path.join(directory, "9001_create_widgets.up.sql"),
+			"CREATE TABLE widgets (id SERIAL PRIMARY KEY);",
+		);
+		await fs.writeFile(
+			path.join(directory, "9001_create_widgets.down.sql"),
+			"DROP TABLE widgets;",
+		);
+		await fs.writeFile(
+			path.join(directory, "9002_add_widget_name.up.sql"),
+			"ALTER TABLE widgets ADD COLUMN name TEXT;",
+		);
+		await fs.writeFile(
+			path.join(directory, "9002_add_widget_name.down.sql"),
+			"ALTER TABLE widgets DROP COLUMN name;",
+		);
+
+		migrator = new Migrator(sql, directory);
+	});
+
+	afterAll(async () => {
+		await sql`DROP TABLE IF EXISTS widgets`;
+		await sql`DELETE FROM schema_migrations WHERE version > 9000`;
+		await fs.rm(directory, { recursive: true });
+		await sql.end();
+	});
+
+	test("Pending migrations are applied in order and recorded.", async () => {
+		const applied = await migrator.up();
+
+		expect(applied.map((m) => m.version)).toEqual([9001, 9002]);
+
+		const status = await migrator.status();
+		expect(status.every((m) => m.appliedAt instanceof Date)).toBe(true);
+
+		await sql`INSERT INTO widgets (name) VALUES ('spinner')`;
+		const [widget] = await sql`SELECT name FROM widgets`;
+		expect(widget.name).toBe("spinner");
+
+		// Nothing is left to apply.
+		expect(await migrator.up()).toEqual([]);
+	});
+
+	test("Migrations are reverted newest first.", async () => {
+		const [reverted] = await migrator.down();
+
+		expect(reverted.version).toBe(9002);
+
+		const status = await migrator.status();
+		expect(status.map((m) => m.appliedAt === null)).toEqual([false, true]);
+
+		await migrator.down();
+		const [table] = await sql`SELECT to_regclass('widgets') AS name`;
+		expect(table.name).toBeNull();
+	});
+
+	test("A failing migration is rolled back and not recorded.", async () => {
+		await fs.writeFile(
+			path.join(directory, "9003_broken.up.sql"),
+			"CREATE TABLE gadgets (id SERIAL PRIMARY KEY); SELECT nope;",
+		);
+		await fs.writeFile(
+			path.join(directory, "9003_broken.down.sql"),
+			"DROP TABLE gadgets;",
+		);
+
+		await migrator.up(2);
+		await expect(migrator.up()).rejects.toThrow();
+
+		const [table] = await sql`SELECT to_regclass('gadgets') AS name`;
+		expect(table.name).toBeNull();
+
+		const status = await migrator.status();
+		expect(status.find((m) => m.version === 9003)?.appliedAt).toBeNull();
+	});
+});
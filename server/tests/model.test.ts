@@ -1,4 +1,5 @@
 import postgres from "postgres";
+import UserModel from "../src/models/UserModel";
 
 describe("CRUD operations", () => {
 	// Set up the connection to the DB.
@@ -36,7 +37,93 @@ describe("CRUD operations", () => {
 		await sql.end();
 	});
 
-	test("Model test passes!", async () => {
-		expect(true).toBe(true);
+	const createUser = async (props: Partial<UserModel["props"]> = {}) => {
+		return await UserModel.create(sql, {
+			username: "user",
+			email: "user@email.com",
+			password: "password",
+			...props,
+		});
+	};
+
+	test("A model was created with camelCase props.", async () => {
+		const user = await createUser();
+
+		expect(user).toBeInstanceOf(UserModel);
+		const [row] = await sql`
+			SELECT id FROM users WHERE email = ${user.props.email}
+		`;
+		expect(user.props.id).toBe(row.id);
+		expect(user.props.username).toBe("user");
+		expect(user.props.createdAt).toBeInstanceOf(Date);
+		expect(user.props.updatedAt).toBeNull();
+		// Columns that were not given fall back to their defaults.
+		expect(Number(user.props.balance)).toBe(0);
+	});
+
+	test("A model was read by ID.", async () => {
+		const { props } = await createUser();
+
+		const user = await UserModel.read(sql, props.id!);
+
+		expect(user?.props).toEqual(props);
+		expect(await UserModel.read(sql, 999)).toBeNull();
+	});
+
+	test("All models were read in ID order.", async () => {
+		await createUser({ email: "first@email.com" });
+		await createUser({ email: "second@email.com" });
+
+		const users = await UserModel.readAll(sql);
+
+		expect(users.map((user) => user.props.email)).toEqual([
+			"first@email.com",
+			"second@email.com",
+		]);
+	});
+
+	test("Models were found by matching props.", async () => {
+		const first = await createUser({ email: "first@email.com" });
+		await createUser({ email: "second@email.com", username: "second" });
+
+		const users = await UserModel.findBy(sql, {
+			email: "second@email.com",
+			username: "second",
+		});
+
+		expect(users).toHaveLength(1);
+		expect(
+			(await UserModel.findByEmail(sql, "first@email.com"))?.props.id,
+		).toBe(first.props.id);
+		expect(await UserModel.findByEmail(sql, "nobody@email.com")).toBeNull();
+	});
+
+	test("A model was updated and stamped.", async () => {
+		const user = await createUser();
+
+		await user.update({ username: "renamed" });
+
+		expect(user.props.username).toBe("renamed");
+		expect(user.props.updatedAt).toBeInstanceOf(Date);
+		expect((await UserModel.read(sql, user.props.id!))?.props.username).toBe(
+			"renamed",
+		);
+	});
+
+	test("A model was deleted.", async () => {
+		const user = await createUser();
+
+		expect(await user.delete()).toBe(true);
+		expect(await UserModel.read(sql, user.props.id!)).toBeNull();
+		expect(await user.delete()).toBe(false);
+	});
+
+	test("The password is left out when a user is serialized.", async () => {
+		const user = await createUser();
+
+		const json = JSON.parse(JSON.stringify(user));
+
+		expect(json.password).toBeUndefined();
+		expect(json.email).toBe("user@email.com");
 	});
 });
@@ -0,0 +1,51 @@
+import Money from "../src/Money";
+import { validate } from "../src/router/validation";
+import { coinFlipSchema } from "../src/controllers/schemas";
+
+describe("Money", () => {
+	test("Amounts added up without floating point drift.", () => {
+		const total = Money.fromCoins(0.1).plus(Money.fromCoins(0.2));
+
+		expect(total.equals(Money.fromCoins(0.3))).toBe(true);
+		expect(total.toString()).toBe("0.30");
+		expect(Money.sum([0.1, 0.1, 0.1].map(Money.fromCoins)).cents).toBe(30);
+	});
+
+	test("Decimal strings were parsed exactly.", () => {
+		expect(Money.parse("1000.00").cents).toBe(100000);
+		expect(Money.parse("-12.5").cents).toBe(-1250);
+		expect(Money.parse("7").toString()).toBe("7.00");
+		expect(() => Money.parse("1.005")).toThrow("Invalid amount: 1.005");
+		expect(() => Money.parse("ten")).toThrow();
+	});
+
+	test("Fractions of a cent were rejected on the way in.", () => {
+		expect(Money.fromCoins(10.25).cents).toBe(1025);
+		expect(() => Money.fromCoins(10.005)).toThrow("Invalid amount: 10.005");
+		expect(() => Money.fromCoins(Infinity)).toThrow();
+	});
+
+	test("Payouts were rounded down to a whole cent.", () => {
+		expect(Money.fromCoins(10).times(39, 20).toString()).toBe("19.50");
+		expect(Money.fromCoins(0.05).times(5, 2).toString()).toBe("0.12");
+		expect(Money.fromCoins(0.01).times(1, 2).isZero()).toBe(true);
+	});
+
+	test("Amounts were sent to the client as numbers of coins.", () => {
+		const body = JSON.stringify({ balance: Money.parse("-10.50") });
+
+		expect(body).toBe('{"balance":-10.5}');
+	});
+
+	test("Request amounts were validated to the cent.", () => {
+		const { value, errors } = validate(coinFlipSchema, {
+			guess: "heads",
+			amount: 10.005,
+		});
+
+		expect(value.amount).toBeUndefined();
+		expect(errors).toEqual([
+			{ field: "amount", message: "amount must have at most 2 decimal places" },
+		]);
+	});
+});
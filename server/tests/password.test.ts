@@ -0,0 +1,108 @@
+import postgres from "postgres";
+import bcrypt from "bcrypt";
+import { StatusCode } from "../src/router/Response";
+import {
+	SALT_ROUNDS,
+	hashPassword,
+	isHashed,
+	needsRehash,
+	verifyPassword,
+} from "../src/auth/password";
+import { getSessionCookie, makeHttpRequest } from "./client";
+
+describe("Password hashing", () => {
+	test("Hashes are salted and verify against the original password", async () => {
+		const first = await hashPassword("pass123");
+		const second = await hashPassword("pass123");
+
+		expect(isHashed(first)).toBe(true);
+		expect(first).not.toBe(second);
+		expect(await verifyPassword("pass123", first)).toBe(true);
+		expect(await verifyPassword("wrongpass", first)).toBe(false);
+	});
+
+	test("Legacy plaintext passwords still verify", async () => {
+		expect(await verifyPassword("pass123", "pass123")).toBe(true);
+		expect(await verifyPassword("pass12", "pass123")).toBe(false);
+	});
+
+	test("Unknown users never verify", async () => {
+		expect(await verifyPassword("pass123", null)).toBe(false);
+	});
+
+	test("Plaintext and weaker hashes need rehashing", async () => {
+		expect(needsRehash("pass123")).toBe(true);
+		expect(needsRehash(await bcrypt.hash("pass123", 4))).toBe(true);
+		expect(needsRehash(await hashPassword("pass123"))).toBe(false);
+		expect(bcrypt.getRounds(await hashPassword("pass123"))).toBe(
+			SALT_ROUNDS,
+		);
+	});
+});
+
+describe("Credential upgrade", () => {
+	const sql = postgres({
+		database: "luckybet",
+	});
+
+	afterEach(async () => {
+		const tables = ["transactions", "users"];
+
+		try {
+			for (const table of tables) {
+				await sql.unsafe(`DELETE FROM ${table}`);
+				await sql.unsafe(
+					`ALTER SEQUENCE ${table}_id_seq RESTART WITH 1;`,
+				);
+			}
+		} catch (error) {
+			console.error(error);
+		}
+	});
+
+	afterAll(async () => {
+		await sql.end();
+	});
+
+	test("Should store a hash on register", async () => {
+		await makeHttpRequest("POST", "/register", {
+			username: "hashuser",
+			email: "hash@example.com",
+			password: "pass123",
+		});
+
+		const [user] = await sql`SELECT password FROM users WHERE email = 'hash@example.com'`;
+		expect(isHashed(user.password)).toBe(true);
+	});
+
+	test("Should rehash a legacy plaintext password on login", async () => {
+		await sql`
+			INSERT INTO users (username, email, password, balance)
+			VALUES ('legacyuser', 'legacy@example.com', 'pass123', 0)
+		`;
+
+		const res = await makeHttpRequest("POST", "/login", {
+			email: "legacy@example.com",
+			password: "pass123",
+		});
+		expect(res.statusCode).toBe(StatusCode.OK);
+
+		const [user] = await sql`SELECT password FROM users WHERE email = 'legacy@example.com'`;
+		expect(isHashed(user.password)).toBe(true);
+		expect(await verifyPassword("pass123", user.password)).toBe(true);
+	});
+
+	test("Should not expose the password in the profile", async () => {
+		const res = await makeHttpRequest("POST", "/register", {
+			username: "hashuser",
+			email: "profile-hash@example.com",
+			password: "pass123",
+		});
+
+		const profile = await makeHttpRequest("GET", "/profile", {}, {
+			Cookie: getSessionCookie(res),
+		});
+
+		expect(profile.body.payload.password).toBeUndefined();
+	});
+});
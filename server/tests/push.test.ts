@@ -0,0 +1,250 @@
+import http from "http";
+import postgres from "postgres";
+import { StatusCode } from "../src/router/Response";
+import Response from "../src/router/Response";
+import SessionManager from "../src/auth/SessionManager";
+import MemorySessionStore from "../src/auth/MemorySessionStore";
+import PushService, {
+	BALANCE_CHANNEL,
+	ROUNDS_CHANNEL,
+} from "../src/Services/PushService";
+import { getSessionCookie, makeHttpRequest } from "./client";
+
+describe("Push service", () => {
+	const makePushService = async () => {
+		const listeners: Record<string, (payload: string) => void> = {};
+		const sql = {
+			listen: async (channel: string, fn: (payload: string) => void) => {
+				listeners[channel] = fn;
+			},
+		};
+		const pushService = new PushService(sql as unknown as postgres.Sql);
+		await pushService.start();
+
+		return { pushService, listeners };
+	};
+
+	const makeStream = (sessionId = "session") =>
+		({
+			sendEvent: jest.fn(),
+			sendComment: jest.fn(),
+			res: { end: jest.fn() },
+			request: { session: { id: sessionId } },
+		}) as unknown as Response & { sendEvent: jest.Mock };
+
+	beforeEach(() => {
+		jest.useFakeTimers();
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+	});
+
+	afterAll(() => {
+		SessionManager.getInstance().stopCleanUp();
+	});
+
+	test("Balance changes reached every tab of that user only.", async () => {
+		const { pushService, listeners } = await makePushService();
+		const [tab1, tab2, other] = [makeStream(), makeStream(), makeStream()];
+
+		pushService.subscribe(1, tab1);
+		pushService.subscribe(1, tab2);
+		pushService.subscribe(2, other);
+		listeners[BALANCE_CHANNEL](JSON.stringify({ userId: 1, balance: 990 }));
+
+		expect(tab1.sendEvent).toHaveBeenCalledWith("balance", { balance: 990 });
+		expect(tab2.sendEvent).toHaveBeenCalledWith("balance", { balance: 990 });
+		expect(other.sendEvent).not.toHaveBeenCalled();
+		pushService.stop();
+	});
+
+	test("Closed streams stopped receiving events.", async () => {
+		const { pushService } = await makePushService();
+		const stream = makeStream();
+
+		const unsubscribe = pushService.subscribe(1, stream);
+		unsubscribe();
+		pushService.broadcast("message", { text: "Hello" });
+
+		expect(stream.sendEvent).not.toHaveBeenCalled();
+		expect(pushService.countStreams()).toBe(0);
+		pushService.stop();
+	});
+
+	test("Many rounds sent one leaderboard event.", async () => {
+		const { pushService, listeners } = await makePushService();
+		const stream = makeStream();
+
+		pushService.subscribe(1, stream);
+		for (let i = 0; i < 5; i++) listeners[ROUNDS_CHANNEL]("1");
+		jest.runOnlyPendingTimers();
+
+		const events = stream.sendEvent.mock.calls.map(([event]) => event);
+		expect(events).toEqual(["leaderboard"]);
+		pushService.stop();
+	});
+
+	test("Stopping ended every stream.", async () => {
+		const { pushService } = await makePushService();
+		const stream = makeStream();
+
+		pushService.subscribe(1, stream);
+		pushService.stop();
+
+		expect(stream.res.end).toHaveBeenCalled();
+		expect(pushService.countStreams()).toBe(0);
+	});
+
+	test("Streams ended when their session was logged out.", async () => {
+		const { pushService } = await makePushService();
+		const sessionManager = SessionManager.getInstance();
+		sessionManager.setStore(new MemorySessionStore());
+
+		const [phone, laptop] = [1, 1].map((id) => {
+			const session = sessionManager.createSession();
+			session.set("user", { id });
+			return session;
+		});
+		await sessionManager.save(phone);
+		await sessionManager.save(laptop);
+		const [phoneStream, laptopStream] = [
+			makeStream(phone.id),
+			makeStream(laptop.id),
+		];
+		pushService.subscribe(1, phoneStream);
+		pushService.subscribe(1, laptopStream);
+
+		await sessionManager.destroyUserSession(1, phone.getShortId());
+
+		expect(phoneStream.res.end).toHaveBeenCalled();
+		expect(laptopStream.res.end).not.toHaveBeenCalled();
+		expect(pushService.countStreams()).toBe(1);
+
+		await sessionManager.destroyUserSessions(1);
+
+		expect(laptopStream.res.end).toHaveBeenCalled();
+		expect(pushService.countStreams()).toBe(0);
+		pushService.stop();
+	});
+});
+
+describe("Event stream", () => {
+	const sql = postgres({
+		database: "luckybet",
+	});
+
+	let cookie: string;
+
+	/**
+	 * Opens /events and collects the events received until `count` have arrived.
+	 */
+	const readEvents = (count: number, onOpen = async () => {}) =>
+		new Promise<{ event: string; data: any }[]>((resolve, reject) => {
+			const events: { event: string; data: any }[] = [];
+			const request = http.get(
+				{
+					host: "localhost",
+					port: 3000,
+					path: "/events",
+					headers: { Cookie: cookie },
+				},
+				(response) => {
+					let buffer = "";
+					response.on("data", (chunk) => {
+						buffer += chunk;
+						const frames = buffer.split("\n\n");
+						buffer = frames.pop()!;
+
+						for (const frame of frames) {
+							const event = /^event: (.*)$/m.exec(frame);
+							const data = /^data: (.*)$/m.exec(frame);
+							if (!event || !data) continue;
+
+							events.push({ event: event[1], data: JSON.parse(data[1]) });
+							if (events.length === 1) onOpen().catch(reject);
+						}
+
+						if (events.length >= count) {
+							request.destroy();
+							resolve(events);
+						}
+					});
+				},
+			);
+			request.on("error", reject);
+		});
+
+	beforeEach(async () => {
+		const res = await makeHttpRequest("POST", "/register", {
+			username: "streamuser",
+			email: `stream-${Date.now()}@example.com`,
+			password: "123456",
+		});
+
+		cookie = getSessionCookie(res);
+	});
+
+	afterEach(async () => {
+		const tables = ["fair_seeds", "game_rounds", "transactions", "users"];
+
+		try {
+			for (const table of tables) {
+				await sql.unsafe(`DELETE FROM ${table}`);
+				await sql.unsafe(`ALTER SEQUENCE ${table}_id_seq RESTART WITH 1;`);
+			}
+		} catch (error) {
+			console.error(error);
+		}
+	});
+
+	afterAll(async () => {
+		await sql.end();
+	});
+
+	test("Should reject streams without a session", async () => {
+		const res = await makeHttpRequest("GET", "/events");
+		expect(res.statusCode).toBe(StatusCode.Unauthorized);
+	});
+
+	test("Should push the balance after every bet", async () => {
+		const events = await readEvents(2, async () => {
+			await makeHttpRequest(
+				"POST",
+				"/play/coinflip",
+				{ guess: "heads", amount: 10 },
+				{ Cookie: cookie },
+			);
+		});
+
+		expect(events[0]).toEqual({ event: "balance", data: { balance: 1000 } });
+		expect(events[1]).toEqual({ event: "balance", data: { balance: 990 } });
+	});
+
+	test("Should end the stream on logout", async () => {
+		const ended = new Promise<void>((resolve, reject) => {
+			const request = http.get(
+				{
+					host: "localhost",
+					port: 3000,
+					path: "/events",
+					headers: { Cookie: cookie },
+				},
+				(response) => {
+					response.once("data", () => {
+						makeHttpRequest("POST", "/auth/logout", {}, { Cookie: cookie })
+							.then((res) => expect(res.statusCode).toBe(StatusCode.OK))
+							.catch(reject);
+					});
+					response.on("end", resolve);
+				},
+			);
+			request.on("error", reject);
+		});
+
+		await ended;
+
+		const res = await makeHttpRequest("GET", "/events", {}, { Cookie: cookie });
+		expect(res.statusCode).toBe(StatusCode.Unauthorized);
+	});
+});
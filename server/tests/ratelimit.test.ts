@@ -0,0 +1,219 @@
+import postgres from "postgres";
+import MemoryRateLimitStore from "../src/auth/MemoryRateLimitStore";
+import RateLimiter from "../src/auth/RateLimiter";
+import LoginThrottle, {
+	FAILURE_WINDOW,
+	FREE_FAILURES,
+	getBackoff,
+} from "../src/auth/LoginThrottle";
+import { StatusCode } from "../src/router/Response";
+import { makeHttpRequest } from "./client";
+
+describe("Rate limiting", () => {
+	let now: number;
+	const clock = () => now;
+
+	beforeEach(() => {
+		now = 1_000_000;
+	});
+
+	test("Hits within the limit were allowed.", async () => {
+		const limiter = new RateLimiter(new MemoryRateLimitStore(), "test", {
+			limit: 2,
+			windowMs: 60_000,
+		});
+
+		expect(await limiter.hit("1.2.3.4")).toBe(0);
+		expect(await limiter.hit("1.2.3.4")).toBe(0);
+		expect(await limiter.hit("5.6.7.8")).toBe(0);
+	});
+
+	test("Hits over the limit waited until enough left the window.", async () => {
+		const limiter = new RateLimiter(
+			new MemoryRateLimitStore(),
+			"test",
+			{ limit: 2, windowMs: 60_000 },
+			clock,
+		);
+
+		await limiter.hit("1.2.3.4");
+		now += 20_000;
+		await limiter.hit("1.2.3.4");
+
+		expect(await limiter.hit("1.2.3.4")).toBe(60);
+
+		now += 40_000;
+		expect(await limiter.hit("1.2.3.4")).toBe(20);
+	});
+
+	test("The window slid instead of resetting.", async () => {
+		const limiter = new RateLimiter(
+			new MemoryRateLimitStore(),
+			"test",
+			{ limit: 2, windowMs: 60_000 },
+			clock,
+		);
+
+		await limiter.hit("1.2.3.4");
+		now += 50_000;
+		await limiter.hit("1.2.3.4");
+		now += 20_000;
+
+		expect(await limiter.hit("1.2.3.4")).toBe(0);
+		expect(await limiter.hit("1.2.3.4")).toBe(60);
+	});
+
+	test("Limiters sharing a store kept separate counts.", async () => {
+		const store = new MemoryRateLimitStore();
+		const login = new RateLimiter(store, "login", {
+			limit: 1,
+			windowMs: 60_000,
+		});
+		const signup = new RateLimiter(store, "signup", {
+			limit: 1,
+			windowMs: 60_000,
+		});
+
+		expect(await login.hit("1.2.3.4")).toBe(0);
+		expect(await signup.hit("1.2.3.4")).toBe(0);
+	});
+
+	test("Expired hits were purged.", async () => {
+		const store = new MemoryRateLimitStore();
+		await store.hit("a", now, 1000);
+		await store.hit("b", now, 60_000);
+
+		await store.destroyExpired(now + 1000);
+
+		expect(await store.get("a", now, 1000)).toEqual([]);
+		expect(await store.get("b", now, 60_000)).toEqual([now]);
+	});
+});
+
+describe("Login throttle", () => {
+	let now: number;
+	let throttle: LoginThrottle;
+
+	const fail = async (times: number) => {
+		for (let i = 0; i < times; i++) {
+			await throttle.attempt("player@example.com");
+		}
+	};
+
+	beforeEach(() => {
+		now = 1_000_000;
+		throttle = new LoginThrottle(new MemoryRateLimitStore(), () => now);
+	});
+
+	test("Backoff doubled with every failure, then locked the account.", () => {
+		expect([0, 1, 2, 3, 4, 5, 9].map(getBackoff)).toEqual([
+			0, 0, 0, 1000, 2000, 4000, 64000,
+		]);
+		expect(getBackoff(10)).toBe(FAILURE_WINDOW);
+	});
+
+	test("The first few failures did not slow down logins.", async () => {
+		await fail(2);
+		expect(await throttle.getRetryAfter("player@example.com")).toBe(0);
+	});
+
+	test("Further attempts waited after the last failure.", async () => {
+		await fail(5);
+		expect(await throttle.getRetryAfter("player@example.com")).toBe(4);
+
+		now += 4000;
+		expect(await throttle.getRetryAfter("player@example.com")).toBe(0);
+	});
+
+	test("Accounts were locked after repeated failures.", async () => {
+		await fail(10);
+		expect(await throttle.getRetryAfter("PLAYER@example.com")).toBe(
+			FAILURE_WINDOW / 1000,
+		);
+		expect(await throttle.getRetryAfter("other@example.com")).toBe(0);
+
+		now += FAILURE_WINDOW;
+		expect(await throttle.getRetryAfter("player@example.com")).toBe(0);
+	});
+
+	test("Attempts made at the same time were throttled in turn.", async () => {
+		const waits = await Promise.all(
+			Array.from({ length: 5 }, () => throttle.attempt("player@example.com")),
+		);
+
+		expect(waits).toEqual([0, 0, 0, 1, 2]);
+	});
+
+	test("Logging in forgot the failures.", async () => {
+		await fail(5);
+		await throttle.reset("player@example.com");
+
+		expect(await throttle.getRetryAfter("player@example.com")).toBe(0);
+	});
+});
+
+describe("Login rate limit", () => {
+	const sql = postgres({
+		database: "luckybet",
+	});
+
+	const login = (password: string) =>
+		makeHttpRequest("POST", "/login", {
+			email: "throttled@example.com",
+			password,
+		});
+
+	beforeEach(async () => {
+		await makeHttpRequest("POST", "/register", {
+			username: "throttled",
+			email: "throttled@example.com",
+			password: "123456",
+		});
+	});
+
+	afterEach(async () => {
+		try {
+			await sql`DELETE FROM rate_limit_hits`;
+			await sql`DELETE FROM transactions`;
+			await sql`DELETE FROM users`;
+		} catch (error) {
+			console.error(error);
+		}
+	});
+
+	afterAll(async () => {
+		await sql.end();
+	});
+
+	test("Should make repeated wrong passwords wait", async () => {
+		for (let i = 0; i < 3; i++) {
+			expect((await login("wrong")).statusCode).toBe(StatusCode.Unauthorized);
+		}
+
+		const res = await login("123456");
+
+		expect(res.statusCode).toBe(StatusCode.TooManyRequests);
+		expect(res.headers["retry-after"]).toBe("1");
+		expect(res.body.message).toMatch(/^Too many failed logins/);
+	});
+
+	test("Should throttle wrong passwords sent all at once", async () => {
+		const responses = await Promise.all(
+			Array.from({ length: 10 }, () => login("wrong")),
+		);
+		const count = (statusCode: StatusCode) =>
+			responses.filter((res) => res.statusCode === statusCode).length;
+
+		expect(count(StatusCode.Unauthorized)).toBe(FREE_FAILURES);
+		expect(count(StatusCode.TooManyRequests)).toBe(10 - FREE_FAILURES);
+	});
+
+	test("Should keep failures after a successful login from counting", async () => {
+		await login("wrong");
+		await login("wrong");
+		expect((await login("123456")).statusCode).toBe(StatusCode.OK);
+
+		expect((await login("wrong")).statusCode).toBe(StatusCode.Unauthorized);
+		expect((await login("wrong")).statusCode).toBe(StatusCode.Unauthorized);
+	});
+});
@@ -0,0 +1,130 @@
+import {
+	ROULETTE_WHEEL,
+	getBetNumbers,
+	getColor,
+	settleBets,
+	spinWheel,
+} from "../src/Services/Roulette";
+import Money from "../src/Money";
+import { validate } from "../src/router/validation";
+import { rouletteSchema } from "../src/controllers/schemas";
+
+describe("Roulette bets", () => {
+	test("The wheel had every number once.", () => {
+		const numbers = ROULETTE_WHEEL.map((pocket) => pocket.number);
+
+		expect(numbers).toHaveLength(37);
+		expect(new Set(numbers).size).toBe(37);
+		expect(ROULETTE_WHEEL.filter((p) => p.color === "red")).toHaveLength(18);
+		expect(getColor(0)).toBe("green");
+	});
+
+	test("Outside bets covered their numbers.", () => {
+		expect(
+			getBetNumbers({ type: "dozen-2", amount: Money.fromCoins(1) }),
+		).toEqual([13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24]);
+		expect(
+			getBetNumbers({ type: "column-1", amount: Money.fromCoins(1) }),
+		).toEqual([1, 4, 7, 10, 13, 16, 19, 22, 25, 28, 31, 34]);
+		expect(
+			getBetNumbers({ type: "even", amount: Money.fromCoins(1) }),
+		).not.toContain(0);
+		expect(
+			getBetNumbers({ type: "high", amount: Money.fromCoins(1) }),
+		).toHaveLength(18);
+	});
+
+	test("Inside bets on the layout were accepted.", () => {
+		const valid = [
+			{ type: "straight", numbers: [0] },
+			{ type: "split", numbers: [0, 2] },
+			{ type: "split", numbers: [2, 3] },
+			{ type: "split", numbers: [14, 17] },
+			{ type: "street", numbers: [34, 35, 36] },
+			{ type: "corner", numbers: [5, 1, 4, 2] },
+			{ type: "sixline", numbers: [31, 32, 33, 34, 35, 36] },
+		] as const;
+
+		for (const bet of valid) {
+			expect(() =>
+				getBetNumbers({
+					...bet,
+					numbers: [...bet.numbers],
+					amount: Money.fromCoins(1),
+				}),
+			).not.toThrow();
+		}
+	});
+
+	test("Inside bets off the layout were rejected.", () => {
+		const invalid = [
+			{ type: "straight", numbers: [37] },
+			{ type: "split", numbers: [3, 4] },
+			{ type: "split", numbers: [1, 5] },
+			{ type: "street", numbers: [2, 3, 4] },
+			{ type: "corner", numbers: [3, 4, 6, 7] },
+			{ type: "sixline", numbers: [34, 35, 36, 37, 38, 39] },
+			{ type: "corner", numbers: [1, 2, 4] },
+		] as const;
+
+		for (const bet of invalid) {
+			expect(() =>
+				getBetNumbers({
+					...bet,
+					numbers: [...bet.numbers],
+					amount: Money.fromCoins(1),
+				}),
+			).toThrow();
+		}
+	});
+
+	test("A slip was settled bet by bet.", () => {
+		const settled = settleBets(
+			[
+				{ type: "straight", numbers: [17], amount: Money.fromCoins(10) },
+				{ type: "split", numbers: [17, 20], amount: Money.fromCoins(10) },
+				{ type: "black", amount: Money.fromCoins(10) },
+				{ type: "red", amount: Money.fromCoins(10) },
+			],
+			17,
+		);
+
+		expect(settled.map((bet) => bet.payout.toNumber())).toEqual([
+			360, 180, 20, 0,
+		]);
+		expect(settled.map((bet) => bet.win)).toEqual([true, true, true, false]);
+	});
+
+	test("Zero only paid bets that covered it.", () => {
+		const settled = settleBets(
+			[
+				{ type: "split", numbers: [0, 1], amount: Money.fromCoins(10) },
+				{ type: "even", amount: Money.fromCoins(10) },
+				{ type: "low", amount: Money.fromCoins(10) },
+			],
+			0,
+		);
+
+		expect(settled.map((bet) => bet.payout.toNumber())).toEqual([180, 0, 0]);
+	});
+
+	test("The spin picked the pocket for the random value.", () => {
+		expect(spinWheel(() => 0)).toEqual({ number: 0, color: "green" });
+		expect(spinWheel(() => 0.999999).number).toBe(26);
+	});
+
+	test("Bet slips were validated item by item.", () => {
+		const { errors } = validate(rouletteSchema, {
+			bets: [
+				{ type: "red", amount: 10 },
+				{ type: "trio", numbers: [0, 1, 40], amount: 0 },
+			],
+		});
+
+		expect(errors.map((e) => e.field)).toEqual([
+			"bets[1].type",
+			"bets[1].numbers[2]",
+			"bets[1].amount",
+		]);
+	});
+});
@@ -0,0 +1,152 @@
+import { IncomingMessage } from "http";
+import Router, { Middleware } from "../src/router/Router";
+import Request from "../src/router/Request";
+import Response, { ResponseProps, StatusCode } from "../src/router/Response";
+
+/**
+ * Builds just enough of a Request and Response to run them through the router.
+ * Sent responses and headers are collected so the tests can inspect them.
+ */
+const makeExchange = (method: string, url: string) => {
+	const sent: ResponseProps[] = [];
+	const headers: Record<string, string> = {};
+
+	const req = new Request({ method, url, headers: {} } as IncomingMessage);
+
+	const res = {
+		res: {
+			setHeader: (name: string, value: string) => {
+				headers[name] = value;
+			},
+		},
+		send: async (props: ResponseProps) => {
+			sent.push(props);
+		},
+	} as unknown as Response;
+
+	return { req, res, sent, headers };
+};
+
+describe("Router", () => {
+	let router: Router;
+
+	beforeEach(() => {
+		router = new Router();
+	});
+
+	test("Path params were exposed on the request.", async () => {
+		let params = {};
+		router.get("/users/:userId/rounds/:roundId", (req) => {
+			params = req.params;
+		});
+
+		const { req, res } = makeExchange("GET", "/users/7/rounds/a%20b?x=1");
+		await router.handle(req, res);
+
+		expect(params).toEqual({ userId: "7", roundId: "a b" });
+	});
+
+	test("getId read the :id param.", async () => {
+		router.del("/todos/:id", () => {});
+
+		const { req, res } = makeExchange("DELETE", "/todos/42");
+		await router.handle(req, res);
+
+		expect(req.getId()).toBe(42);
+	});
+
+	test("Empty segments did not match a param.", () => {
+		router.get("/todos/:id", () => {});
+
+		expect(router.findMatchingRoute("GET", "/todos/")).toBeUndefined();
+	});
+
+	test("Middleware ran in order around the handler.", async () => {
+		const calls: string[] = [];
+		const record =
+			(name: string): Middleware =>
+			async (_req, _res, next) => {
+				calls.push(`${name} before`);
+				await next();
+				calls.push(`${name} after`);
+			};
+
+		router.use(record("global"));
+		router.post("/bets", record("route"), () => {
+			calls.push("handler");
+		});
+
+		const { req, res } = makeExchange("POST", "/bets");
+		await router.handle(req, res);
+
+		expect(calls).toEqual([
+			"global before",
+			"route before",
+			"handler",
+			"route after",
+			"global after",
+		]);
+	});
+
+	test("Middleware that did not call next stopped the chain.", async () => {
+		const handler = jest.fn();
+		const guard: Middleware = async (_req, res) => {
+			await res.send({
+				statusCode: StatusCode.Unauthorized,
+				message: "Not logged in",
+			});
+		};
+
+		router.get("/profile", guard, handler);
+
+		const { req, res, sent } = makeExchange("GET", "/profile");
+		await router.handle(req, res);
+
+		expect(handler).not.toHaveBeenCalled();
+		expect(sent[0].statusCode).toBe(StatusCode.Unauthorized);
+	});
+
+	test("Wrong method on an existing path returned 405 with Allow.", async () => {
+		router.get("/play/blackjack", () => {});
+		router.post("/play/blackjack", () => {});
+
+		const { req, res, sent, headers } = makeExchange(
+			"DELETE",
+			"/play/blackjack",
+		);
+		await router.handle(req, res);
+
+		expect(sent[0].statusCode).toBe(StatusCode.MethodNotAllowed);
+		expect(headers.Allow).toBe("GET, HEAD, POST");
+	});
+
+	test("Unknown path returned 404.", async () => {
+		router.get("/games", () => {});
+
+		const { req, res, sent } = makeExchange("GET", "/foo");
+		await router.handle(req, res);
+
+		expect(sent[0].statusCode).toBe(StatusCode.NotFound);
+		expect(sent[0].message).toBe("Invalid route: GET /foo");
+	});
+
+	test("HEAD fell back to the GET route.", async () => {
+		const handler = jest.fn();
+		router.get("/games", handler);
+
+		const { req, res } = makeExchange("HEAD", "/games");
+		await router.handle(req, res);
+
+		expect(handler).toHaveBeenCalled();
+	});
+
+	test("PATCH routes were registered.", async () => {
+		const handler = jest.fn();
+		router.patch("/user/profile", handler);
+
+		const { req, res } = makeExchange("PATCH", "/user/profile");
+		await router.handle(req, res);
+
+		expect(handler).toHaveBeenCalled();
+	});
+});
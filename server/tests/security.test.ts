@@ -0,0 +1,271 @@
+import { IncomingMessage, ServerResponse } from "http";
+import postgres from "postgres";
+import AuthService from "../src/auth/AuthService";
+import SessionManager from "../src/auth/SessionManager";
+import MemorySessionStore from "../src/auth/MemorySessionStore";
+import UserModel, { UserStatus } from "../src/models/UserModel";
+import LedgerService from "../src/Services/LedgerService";
+import LoginAttemptModel from "../src/models/LoginAttemptModel";
+import { hashPassword } from "../src/auth/password";
+import Request from "../src/router/Request";
+import Response, { StatusCode } from "../src/router/Response";
+import { getSessionCookie, makeHttpRequest } from "./client";
+
+describe("Login history", () => {
+	const client = { ip: "1.2.3.4", userAgent: "Firefox" };
+
+	const makeService = () => {
+		const loginAttemptModel = { create: jest.fn() };
+		const service = new AuthService(
+			{} as postgres.Sql,
+			{} as LedgerService,
+			loginAttemptModel as unknown as typeof LoginAttemptModel,
+		);
+
+		return { service, loginAttemptModel };
+	};
+
+	const mockUser = async (status: UserStatus = "active") => {
+		const user = new UserModel({} as postgres.Sql, {
+			id: 3,
+			username: "player",
+			email: "player@example.com",
+			password: await hashPassword("123456"),
+			status,
+		});
+		jest.spyOn(UserModel, "findByEmail").mockResolvedValue(user);
+	};
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	test("Successful logins were recorded with where they came from.", async () => {
+		await mockUser();
+		const { service, loginAttemptModel } = makeService();
+
+		await service.login("player@example.com", "123456", client);
+
+		expect(loginAttemptModel.create).toHaveBeenCalledWith(
+			{},
+			{
+				userId: 3,
+				ip: "1.2.3.4",
+				userAgent: "Firefox",
+				success: true,
+			},
+		);
+	});
+
+	test("Wrong passwords and blocked accounts were recorded as failures.", async () => {
+		await mockUser();
+		const { service, loginAttemptModel } = makeService();
+
+		await expect(
+			service.login("player@example.com", "wrong", client),
+		).rejects.toThrow("Invalid credentials");
+
+		await mockUser("suspended");
+		await expect(
+			service.login("player@example.com", "123456", client),
+		).rejects.toThrow("Account suspended");
+
+		const attempts = loginAttemptModel.create.mock.calls.map(
+			([, attempt]) => attempt.success,
+		);
+		expect(attempts).toEqual([false, false]);
+	});
+
+	test("Attempts on unregistered emails were not recorded.", async () => {
+		jest.spyOn(UserModel, "findByEmail").mockResolvedValue(null);
+		const { service, loginAttemptModel } = makeService();
+
+		await expect(
+			service.login("nobody@example.com", "123456", client),
+		).rejects.toThrow("Invalid credentials");
+		expect(loginAttemptModel.create).not.toHaveBeenCalled();
+	});
+});
+
+describe("Sessions logged out during a request", () => {
+	const sessionManager = SessionManager.getInstance();
+
+	/**
+	 * Loads the session the way the Server does when a request comes in.
+	 * @returns The Response the request will be answered with.
+	 */
+	const startRequest = async (sessionId: string) => {
+		const req = new Request({
+			headers: { cookie: `session_id=${sessionId}` },
+		} as IncomingMessage);
+		await req.loadSession();
+
+		return new Response(req, {
+			setHeader: jest.fn(),
+			writeHead: jest.fn(),
+			end: jest.fn(),
+		} as unknown as ServerResponse);
+	};
+
+	const logIn = async (userId: number) => {
+		const session = sessionManager.createSession();
+		session.set("user", { id: userId });
+		await sessionManager.save(session);
+		return session;
+	};
+
+	beforeEach(() => {
+		sessionManager.setStore(new MemorySessionStore());
+	});
+
+	afterAll(() => {
+		sessionManager.stopCleanUp();
+	});
+
+	test("A revoked session stayed logged out after the request answered.", async () => {
+		const phone = await logIn(1);
+		const res = await startRequest(phone.id);
+
+		await sessionManager.destroyUserSession(1, phone.getShortId());
+		await res.send({ statusCode: StatusCode.OK, message: "Profile" });
+
+		expect(await sessionManager.get(phone.id)).toBeUndefined();
+	});
+
+	test("Logging out everywhere held for requests in flight.", async () => {
+		const sessions = [await logIn(1), await logIn(1)];
+		const responses = await Promise.all(
+			sessions.map((session) => startRequest(session.id)),
+		);
+
+		expect(await sessionManager.destroyUserSessions(1)).toBe(2);
+		for (const res of responses) {
+			await res.send({ statusCode: StatusCode.OK, message: "Profile" });
+		}
+
+		expect(await sessionManager.getUserSessions(1)).toEqual([]);
+	});
+});
+
+describe("Session management routes", () => {
+	const sql = postgres({
+		database: "luckybet",
+	});
+
+	let cookie: string;
+
+	const login = (password = "123456") =>
+		makeHttpRequest(
+			"POST",
+			"/login",
+			{ email: "player@example.com", password },
+			{ "User-Agent": "Phone" },
+		);
+
+	beforeEach(async () => {
+		const res = await makeHttpRequest("POST", "/register", {
+			username: "player",
+			email: "player@example.com",
+			password: "123456",
+		});
+
+		cookie = getSessionCookie(res);
+	});
+
+	afterEach(async () => {
+		try {
+			await sql`DELETE FROM mail_outbox`;
+			await sql`DELETE FROM rate_limit_hits`;
+			await sql`DELETE FROM login_attempts`;
+			await sql`DELETE FROM sessions`;
+			await sql`DELETE FROM transactions`;
+			await sql`DELETE FROM users`;
+		} catch (error) {
+			console.error(error);
+		}
+	});
+
+	afterAll(async () => {
+		await sql.end();
+	});
+
+	test("Should list failed and successful logins, newest first", async () => {
+		await login("wrong");
+		await login();
+
+		const res = await makeHttpRequest(
+			"GET",
+			"/user/logins",
+			{},
+			{ Cookie: cookie },
+		);
+
+		expect(res.statusCode).toBe(StatusCode.OK);
+		const { logins } = res.body.payload;
+		expect(logins.map((l: any) => l.success)).toEqual([true, false]);
+		expect(logins[0].user_agent).toBe("Phone");
+	});
+
+	test("Should list sessions and log another one out", async () => {
+		const phone = getSessionCookie(await login());
+
+		const list = await makeHttpRequest(
+			"GET",
+			"/user/sessions",
+			{},
+			{ Cookie: cookie },
+		);
+		expect(list.statusCode).toBe(StatusCode.OK);
+		const { sessions } = list.body.payload;
+		expect(sessions).toHaveLength(2);
+
+		const other = sessions.find((s: any) => !s.current);
+		expect(other.userAgent).toBe("Phone");
+
+		const revoke = await makeHttpRequest(
+			"DELETE",
+			`/user/sessions/${other.id}`,
+			{},
+			{ Cookie: cookie },
+		);
+		expect(revoke.statusCode).toBe(StatusCode.OK);
+
+		const loggedOut = await makeHttpRequest(
+			"GET",
+			"/profile",
+			{},
+			{ Cookie: phone },
+		);
+		expect(loggedOut.statusCode).toBe(StatusCode.Unauthorized);
+
+		const stillIn = await makeHttpRequest(
+			"GET",
+			"/profile",
+			{},
+			{ Cookie: cookie },
+		);
+		expect(stillIn.statusCode).toBe(StatusCode.OK);
+	});
+
+	test("Should log out everywhere", async () => {
+		const phone = getSessionCookie(await login());
+
+		const res = await makeHttpRequest(
+			"DELETE",
+			"/user/sessions",
+			{},
+			{ Cookie: cookie },
+		);
+		expect(res.statusCode).toBe(StatusCode.OK);
+
+		for (const session of [cookie, phone]) {
+			const profile = await makeHttpRequest(
+				"GET",
+				"/profile",
+				{},
+				{ Cookie: session },
+			);
+			expect(profile.statusCode).toBe(StatusCode.Unauthorized);
+		}
+	});
+});
@@ -0,0 +1,150 @@
+import SessionManager from "../src/auth/SessionManager";
+import MemorySessionStore from "../src/auth/MemorySessionStore";
+
+describe("Session store", () => {
+	const sessionManager = SessionManager.getInstance();
+
+	beforeEach(() => {
+		sessionManager.setStore(new MemorySessionStore());
+	});
+
+	afterAll(() => {
+		sessionManager.stopCleanUp();
+	});
+
+	test("Session IDs are 256 random bits encoded as hex.", () => {
+		const a = sessionManager.createSession();
+		const b = sessionManager.createSession();
+
+		expect(a.id).toMatch(/^[0-9a-f]{64}$/);
+		expect(a.id).not.toBe(b.id);
+	});
+
+	test("New sessions are not stored until they are saved.", async () => {
+		const session = sessionManager.createSession();
+
+		expect(await sessionManager.get(session.id)).toBeUndefined();
+
+		session.set("user", { id: 1 });
+		expect(session.modified).toBe(true);
+
+		await sessionManager.save(session);
+
+		expect(session.modified).toBe(false);
+		expect((await sessionManager.get(session.id))?.get("user")).toEqual({
+			id: 1,
+		});
+	});
+
+	test("Expired sessions are not returned.", async () => {
+		const session = sessionManager.createSession();
+		session.set("user", { id: 1 });
+		await sessionManager.save(session);
+
+		session.refresh(-1000);
+
+		expect(await sessionManager.get(session.id)).toBeUndefined();
+	});
+
+	test("Refreshing a session pushes its expiry forward.", async () => {
+		const session = sessionManager.createSession();
+		session.refresh(1000);
+		const before = session.getExpires().getTime();
+
+		session.refresh();
+
+		expect(session.getExpires().getTime()).toBeGreaterThan(before);
+		expect(session.refreshed).toBe(true);
+		expect(session.modified).toBe(false);
+	});
+
+	test("Saving a refreshed session does not bring it back once removed.", async () => {
+		const session = sessionManager.createSession();
+		session.set("user", { id: 1 });
+		await sessionManager.save(session);
+		const loaded = await sessionManager.get(session.id);
+
+		await sessionManager.destroyUserSessions(1);
+		loaded!.refresh();
+		await sessionManager.save(loaded!);
+
+		expect(await sessionManager.get(session.id)).toBeUndefined();
+	});
+
+	test("Regenerating a session removes the old one.", async () => {
+		const session = sessionManager.createSession();
+		session.set("user", { id: 1 });
+		await sessionManager.save(session);
+
+		const regenerated = await sessionManager.regenerate(session);
+
+		expect(regenerated.id).not.toBe(session.id);
+		expect(regenerated.get("user")).toBeNull();
+		expect(await sessionManager.get(session.id)).toBeUndefined();
+	});
+
+	test("Destroyed sessions are removed from the store.", async () => {
+		const session = sessionManager.createSession();
+		session.set("user", { id: 1 });
+		await sessionManager.save(session);
+
+		session.destroy();
+		await sessionManager.save(session);
+
+		expect(await sessionManager.get(session.id)).toBeUndefined();
+	});
+
+	test("Cleaning up removes only expired sessions.", async () => {
+		const store = new MemorySessionStore();
+		sessionManager.setStore(store);
+
+		const active = sessionManager.createSession();
+		const expired = sessionManager.createSession();
+		await store.save(active);
+		await store.save(expired);
+		expired.refresh(-1000);
+
+		await sessionManager.cleanUpSessions();
+
+		expect(await store.get(active.id)).toBe(active);
+		expect(await store.get(expired.id)).toBeUndefined();
+	});
+
+	test("A user's sessions can be listed and ended together.", async () => {
+		const [laptop, phone, other] = [1, 1, 2].map((id) => {
+			const session = sessionManager.createSession();
+			session.set("user", { id });
+			return session;
+		});
+		for (const session of [laptop, phone, other]) {
+			await sessionManager.save(session);
+		}
+
+		expect(await sessionManager.getUserSessions(1)).toHaveLength(2);
+		expect(await sessionManager.destroyUserSessions(1)).toBe(2);
+
+		expect(await sessionManager.get(laptop.id)).toBeUndefined();
+		expect(await sessionManager.get(phone.id)).toBeUndefined();
+		expect(await sessionManager.get(other.id)).toBe(other);
+	});
+
+	test("A single session is ended by the start of its ID.", async () => {
+		const [laptop, phone] = [1, 1].map((id) => {
+			const session = sessionManager.createSession();
+			session.set("user", { id });
+			return session;
+		});
+		await sessionManager.save(laptop);
+		await sessionManager.save(phone);
+
+		expect(
+			await sessionManager.destroyUserSession(2, phone.getShortId()),
+		).toBeUndefined();
+		expect(await sessionManager.destroyUserSession(1, phone.getShortId())).toBe(
+			phone,
+		);
+
+		expect(await sessionManager.get(phone.id)).toBeUndefined();
+		expect(await sessionManager.get(laptop.id)).toBe(laptop);
+	});
+});
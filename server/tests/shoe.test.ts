@@ -0,0 +1,65 @@
+import CardShoe, { createDeck } from "../src/Services/CardShoe";
+import { createRandom } from "../src/Services/ProvablyFair";
+
+describe("Card shoe", () => {
+	test("A deck had every card once.", () => {
+		const codes = createDeck().map((card) => card.code);
+
+		expect(codes).toHaveLength(52);
+		expect(new Set(codes).size).toBe(52);
+		expect(codes).toContain("0H");
+	});
+
+	test("The shoe contained every card of every deck.", () => {
+		const cards = new CardShoe({ decks: 2 }).getOrder();
+
+		expect(cards).toHaveLength(104);
+		expect(cards.filter((card) => card.code === "AS")).toHaveLength(2);
+		expect(cards.filter((card) => card.code === "0H")).toHaveLength(2);
+	});
+
+	test("Burned cards were skipped before the first draw.", () => {
+		const shoe = new CardShoe({ burn: 3 });
+		const order = shoe.getOrder();
+
+		expect(shoe.getPosition()).toBe(3);
+		expect(shoe.draw()).toBe(order[3]);
+		expect(shoe.getRemaining()).toBe(48);
+	});
+
+	test("The cut card called for a reshuffle.", () => {
+		const shoe = new CardShoe({ decks: 1, penetration: 0.5 });
+
+		for (let i = 0; i < 25; i++) shoe.draw();
+		expect(shoe.needsShuffle()).toBe(false);
+
+		shoe.draw();
+		expect(shoe.needsShuffle()).toBe(true);
+		expect(() => shoe.draw()).not.toThrow();
+	});
+
+	test("An empty shoe could not be drawn from.", () => {
+		const shoe = new CardShoe();
+
+		for (let i = 0; i < 52; i++) shoe.draw();
+		expect(() => shoe.draw()).toThrow("The shoe is empty");
+	});
+
+	test("The same random source gave the same shoe.", () => {
+		const shuffle = () =>
+			new CardShoe({ decks: 4 }, createRandom("seed", "client", 0))
+				.getOrder()
+				.map((card) => card.code);
+
+		expect(shuffle()).toEqual(shuffle());
+	});
+
+	test("Impossible shoes were rejected.", () => {
+		expect(() => new CardShoe({ decks: 0 })).toThrow();
+		expect(() => new CardShoe({ decks: 9 })).toThrow();
+		expect(() => new CardShoe({ penetration: 0 })).toThrow();
+		expect(() => new CardShoe({ penetration: 0.5, burn: 26 })).toThrow(
+			"Burn cards must come before the cut card",
+		);
+	});
+});
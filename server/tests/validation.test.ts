@@ -0,0 +1,191 @@
+import { StatusCode } from "../src/router/Response";
+import Money from "../src/Money";
+import { MAX_COINS, Schema, validate } from "../src/router/validation";
+import {
+	coinFlipSchema,
+	historySchema,
+	limitsSchema,
+	loginSchema,
+	profileSchema,
+} from "../src/controllers/schemas";
+import { HttpResponse, makeHttpRequest } from "./client";
+
+describe("Validation rules", () => {
+	test("Valid input passed and was normalised.", () => {
+		const { value, errors } = validate(coinFlipSchema, {
+			guess: " Heads ",
+			amount: 10,
+			extra: "dropped",
+		});
+
+		expect(errors).toEqual([]);
+		expect(value).toEqual({ guess: "heads", amount: Money.fromCoins(10) });
+	});
+
+	test("Every invalid field was reported.", () => {
+		const { errors } = validate(coinFlipSchema, { amount: -5 });
+
+		expect(errors).toEqual([
+			{ field: "guess", message: "guess is required" },
+			{ field: "amount", message: "amount must be greater than 0" },
+		]);
+	});
+
+	test("Emails were lowercased.", () => {
+		const { value, errors } = validate(profileSchema, {
+			email: " Player@Example.COM ",
+		});
+
+		expect(errors).toEqual([]);
+		expect(value).toEqual({ email: "player@example.com" });
+	});
+
+	test("Passwords were not trimmed.", () => {
+		const { value, errors } = validate(loginSchema, {
+			email: " player@example.com ",
+			password: " secret ",
+		});
+
+		expect(errors).toEqual([]);
+		expect(value).toEqual({
+			email: "player@example.com",
+			password: " secret ",
+		});
+	});
+
+	test("Profiles changed either field alone, under the username rule.", () => {
+		const rename = validate(profileSchema, { name: "renamed" });
+		expect(rename.errors).toEqual([]);
+		expect(rename.value).toEqual({ name: "renamed" });
+
+		const invalid = validate(profileSchema, { name: "not valid!" });
+		expect(invalid.errors.map((e) => e.field)).toEqual(["name"]);
+	});
+
+	test("Explicit nulls were kept apart from missing fields where allowed.", () => {
+		const cleared = validate(limitsSchema, {
+			dailyLoss: null,
+			reminderMinutes: null,
+		});
+		expect(cleared.errors).toEqual([]);
+		expect(cleared.value).toEqual({ reminderMinutes: null });
+		expect("dailyLoss" in cleared.value).toBe(false);
+
+		const omitted = validate(limitsSchema, {});
+		expect("reminderMinutes" in omitted.value).toBe(false);
+	});
+
+	test("Wrong types were rejected.", () => {
+		const schema: Schema = {
+			name: { type: "string" },
+			count: { type: "number", integer: true },
+			flag: { type: "boolean" },
+		};
+
+		const { errors } = validate(schema, {
+			name: 5,
+			count: 1.5,
+			flag: "yes",
+		});
+
+		expect(errors.map((e) => e.message)).toEqual([
+			"name must be a string",
+			"count must be an integer",
+			"flag must be true or false",
+		]);
+	});
+
+	test("Formats, ranges and enums were checked.", () => {
+		const schema: Schema = {
+			email: { type: "string", format: "email" },
+			username: { type: "string", format: "username" },
+			age: { type: "number", min: 18, max: 120 },
+			game: { type: "string", enum: ["roulette", "blackjack"] },
+		};
+
+		const { errors } = validate(schema, {
+			email: "not-an-email",
+			username: "a b",
+			age: 12,
+			game: "poker",
+		});
+
+		expect(errors.map((e) => e.message)).toEqual([
+			"email must be a valid email",
+			"username must be a valid username",
+			"age must be at least 18",
+			"game must be one of: roulette, blackjack",
+		]);
+	});
+
+	test("Amounts too large to store were rejected.", () => {
+		const schema: Schema = {
+			bet: { type: "money", positive: true },
+			adjustment: { type: "money" },
+		};
+
+		const { errors } = validate(schema, { bet: 1e20, adjustment: -1e20 });
+
+		expect(errors.map((e) => e.message)).toEqual([
+			`bet must be at most ${MAX_COINS}`,
+			`adjustment must be at least ${-MAX_COINS}`,
+		]);
+		expect(validate(schema, { bet: MAX_COINS }).errors).toEqual([
+			{ field: "adjustment", message: "adjustment is required" },
+		]);
+	});
+
+	test("Query strings were coerced and defaults applied.", () => {
+		const { value, errors } = validate(
+			historySchema,
+			{ game: "roulette", from: "2025-01-01", limit: "50" },
+			true,
+		);
+
+		expect(errors).toEqual([]);
+		expect(value.game).toBe("roulette");
+		expect(value.from).toEqual(new Date("2025-01-01"));
+		expect(value.page).toBe(1);
+		expect(value.limit).toBe(50);
+	});
+
+	test("Bad query values were rejected.", () => {
+		const { errors } = validate(
+			historySchema,
+			{ from: "yesterday", page: "0", limit: "abc" },
+			true,
+		);
+
+		expect(errors.map((e) => e.field)).toEqual(["from", "page", "limit"]);
+	});
+});
+
+describe("Validated routes", () => {
+	test("Registering with bad details returned every field error.", async () => {
+		const { statusCode, body }: HttpResponse = await makeHttpRequest(
+			"POST",
+			"/register",
+			{ username: "no", email: "nope", password: "123" },
+		);
+
+		expect(statusCode).toBe(StatusCode.BadRequest);
+		expect(body.payload.errors).toEqual([
+			{ field: "username", message: "username must be a valid username" },
+			{ field: "email", message: "email must be a valid email" },
+			{
+				field: "password",
+				message: "password must be at least 6 characters",
+			},
+		]);
+	});
+
+	test("Flipping a coin without logging in was refused before validation.", async () => {
+		const { statusCode }: HttpResponse = await makeHttpRequest(
+			"POST",
+			"/play/coinflip",
+			{},
+		);
+
+		expect(statusCode).toBe(StatusCode.Unauthorized);
+	});
+});